@@ -2,12 +2,16 @@
 // Uses esbuild to bundle ES modules for content script
 
 import fs from "node:fs";
+import { createRequire } from "node:module";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import * as esbuild from "esbuild";
+import { PREDICTION } from "./src/core/config.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const isTest = process.argv.includes("--test");
+// Store build: no <all_urls> content script, keyboard injected on icon click
+const isStore = process.argv.includes("--store");
 
 const SRC_DIR = path.join(__dirname, "src");
 const DIST_DIR = path.join(__dirname, "dist");
@@ -15,6 +19,7 @@ const DIST_DIR = path.join(__dirname, "dist");
 // Files to copy without bundling
 const STATIC_FILES = [
   "manifest.json",
+  "managed_schema.json",
   "style.css",
   "options.html",
   "background.js",
@@ -61,6 +66,34 @@ function copyDir(src, dest) {
   }
 }
 
+// Derive the store manifest from the full one
+// Drops the content script so the extension needs no host permissions;
+// background.js injects main.js when the icon or its shortcut is used.
+function createStoreManifest(manifest) {
+  const { content_scripts: _contentScripts, ...storeManifest } = manifest;
+  return {
+    ...storeManifest,
+    permissions: [...new Set([...manifest.permissions, "scripting"])],
+    commands: {
+      ...manifest.commands,
+      _execute_action: {
+        description: "Show the virtual keyboard on this page",
+      },
+    },
+  };
+}
+
+// Write the store manifest in place of the copied one
+function writeStoreManifest() {
+  const dest = path.join(DIST_DIR, "manifest.json");
+  const manifest = JSON.parse(fs.readFileSync(dest, "utf8"));
+  fs.writeFileSync(
+    dest,
+    `${JSON.stringify(createStoreManifest(manifest), null, 2)}\n`
+  );
+  console.log(`  Wrote store manifest: ${dest}`);
+}
+
 // Copy static files
 function copyStatic() {
   console.log("Copying static files...");
@@ -73,6 +106,10 @@ function copyStatic() {
     }
   }
 
+  if (isStore) {
+    writeStoreManifest();
+  }
+
   for (const dir of STATIC_DIRS) {
     const src = path.join(SRC_DIR, dir);
     const dest = path.join(DIST_DIR, dir);
@@ -107,6 +144,24 @@ function copyWasmFiles() {
   }
 }
 
+// Write word lists as lowercase, one word per line
+function writeLexicons() {
+  console.log("\nWriting autocorrect lexicons...");
+  const lexiconDir = path.join(DIST_DIR, "lexicons");
+  ensureDir(lexiconDir);
+  const require = createRequire(import.meta.url);
+
+  for (const [dictionaryId, packageName] of Object.entries(
+    PREDICTION.LEXICONS
+  )) {
+    // Sorted, so the keyboard can binary search the list as one string
+    const words = require(packageName).map((word) => word.toLowerCase());
+    const dest = path.join(lexiconDir, `${dictionaryId}.txt`);
+    fs.writeFileSync(dest, `${[...new Set(words)].sort().join("\n")}\n`);
+    console.log(`  Wrote: ${packageName} -> ${dest}`);
+  }
+}
+
 // Build configuration for main content script
 const mainBuildOptions = {
   entryPoints: [path.join(SRC_DIR, "main.js")],
@@ -140,6 +195,9 @@ async function build() {
   if (isTest) {
     console.log("  (test mode: open shadow DOM)");
   }
+  if (isStore) {
+    console.log("  (store mode: keyboard injected on icon click)");
+  }
   console.log("");
 
   // Clean dist
@@ -154,6 +212,9 @@ async function build() {
   // Copy WASM files for voice input
   copyWasmFiles();
 
+  // Write word lists for autocorrect
+  writeLexicons();
+
   // Bundle main.js
   console.log("\nBundling main.js...");
   await esbuild.build(mainBuildOptions);
@@ -1,13 +1,151 @@
 // Virtual Keyboard - Background Service Worker
-// Handles message relay between content scripts and iframes
+// Handles message relay between content scripts and iframes, and settings sync.
+// The store build (build.js --store) has no content script; there the action
+// icon injects main.js into the current tab instead.
 
-import { MESSAGE_TYPES } from "./core/config.js";
+import {
+  CLIPBOARD_READ_PERMISSION,
+  COMMANDS,
+  CONTEXT_MENU_IDS,
+  MESSAGE_TYPES,
+  PREDICTION,
+  STORAGE_KEYS,
+} from "./core/config.js";
+import { addLearnedWords, clearLearnedWords } from "./core/learnedWords.js";
+import { initSync } from "./core/sync.js";
 
-// Open settings when extension icon is clicked
-chrome.action.onClicked.addListener(() => {
-  chrome.runtime.openOptionsPage();
+// Mirror settings to chrome.storage.sync when the user has opted in
+initSync();
+
+// Store build: no content script, so the keyboard is injected on demand
+const isOnDemand = !chrome.runtime.getManifest().content_scripts;
+
+// Extension icon (or its shortcut): open settings, or in the store build
+// bring up the keyboard on the current tab
+chrome.action.onClicked.addListener((tab) => {
+  if (isOnDemand) {
+    injectKeyboard(tab);
+  } else {
+    chrome.runtime.openOptionsPage();
+  }
 });
 
+// Keyboard shortcuts (see manifest "commands"), e.g. from a macro pad
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleCommand(command, tab);
+});
+
+/**
+ * Relay a shortcut command to the tab's top frame, which hosts the keyboard
+ * @param {string} command - Command name from the manifest
+ * @param {chrome.tabs.Tab} [tab] - Active tab when the command fired
+ */
+async function handleCommand(command, tab) {
+  const method = COMMANDS[command];
+  if (!method) return;
+
+  const target = tab || (await getActiveTab());
+  if (!target?.id) return;
+
+  // Store build: the toggle shortcut brings the keyboard in first
+  if (isOnDemand && method === MESSAGE_TYPES.TOGGLE_KEYBOARD) {
+    await injectKeyboard(target, { method });
+    return;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(target.id, { method }, { frameId: 0 });
+  } catch {
+    // No keyboard on this page (e.g. chrome:// pages)
+  }
+}
+
+// Context menu, for widgets the keyboard doesn't detect by itself
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_IDS.TYPE_HERE,
+    title: "Type here with virtual keyboard",
+    contexts: ["all"],
+  });
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_IDS.ALWAYS_TYPE_HERE,
+    title: "Always use virtual keyboard for this field on this site",
+    contexts: ["all"],
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenu(info, tab);
+});
+
+/**
+ * Ask the right-clicked frame to bind the element under the menu
+ * @param {chrome.contextMenus.OnClickData} info
+ * @param {chrome.tabs.Tab} [tab]
+ */
+async function handleContextMenu(info, tab) {
+  if (!tab?.id) return;
+  const message = {
+    method: MESSAGE_TYPES.BIND_ELEMENT,
+    remember: info.menuItemId === CONTEXT_MENU_IDS.ALWAYS_TYPE_HERE,
+  };
+
+  // Store build: without the content script there's no element to bind yet,
+  // so this just brings up the keyboard
+  if (isOnDemand) {
+    await injectKeyboard(tab, message, info.frameId);
+    return;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, message, {
+      frameId: info.frameId || 0,
+    });
+  } catch {
+    // No keyboard on this page (e.g. chrome:// pages)
+  }
+}
+
+/**
+ * Inject the keyboard into a tab and open it
+ * If it's already there (an earlier click), send it a message instead.
+ * @param {chrome.tabs.Tab} tab
+ * @param {Object} [message] - Sent when already injected
+ * @param {number} [frameId] - Frame to send it to
+ */
+async function injectKeyboard(
+  tab,
+  message = { method: MESSAGE_TYPES.OPEN_FROM_BUTTON },
+  frameId = 0
+) {
+  if (!tab?.id) return;
+  try {
+    const [check] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => Boolean(globalThis.virtualKeyboardLoaded),
+    });
+    if (check?.result) {
+      await chrome.tabs.sendMessage(tab.id, message, { frameId });
+      return;
+    }
+
+    // Ask the top frame to open once it has initialized
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => {
+        globalThis.virtualKeyboardOpenOnLoad = true;
+      },
+    });
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id, allFrames: true },
+      files: ["main.js"],
+    });
+  } catch (error) {
+    // Pages like chrome:// and the Web Store can't be scripted
+    console.warn("Virtual Keyboard: could not inject into tab", error);
+  }
+}
+
 /**
  * Get the active tab in the current window
  * @returns {Promise<chrome.tabs.Tab>}
@@ -73,6 +211,19 @@ async function handleMessage(request, _sender) {
       await broadcastToAllTabs(request);
       break;
 
+    case MESSAGE_TYPES.REQUEST_CLIPBOARD_READ:
+      return { granted: await requestClipboardRead() };
+
+    case MESSAGE_TYPES.GET_LEXICON:
+      return { text: await readLexicon(request.dictionaryId) };
+
+    case MESSAGE_TYPES.ADD_LEARNED_WORDS:
+      return { words: await addLearnedWords(request.words) };
+
+    case MESSAGE_TYPES.CLEAR_LEARNED_WORDS:
+      await clearLearnedWords();
+      break;
+
     default:
       // Unknown message type - relay to active tab as fallback
       await relayToActiveTab(request);
@@ -81,3 +232,43 @@ async function handleMessage(request, _sender) {
 
   return { success: true };
 }
+
+/**
+ * Check that Paste may read the clipboard. The first time it can't, open the
+ * settings page, where a click can grant the permission.
+ * @returns {Promise<boolean>} Whether clipboardRead is granted
+ */
+async function requestClipboardRead() {
+  if (await chrome.permissions.contains(CLIPBOARD_READ_PERMISSION)) {
+    return true;
+  }
+
+  const key = STORAGE_KEYS.CLIPBOARD_READ_ASKED;
+  const result = await chrome.storage.local.get(key);
+  if (!result[key]) {
+    await chrome.storage.local.set({ [key]: true });
+    await chrome.tabs.create({
+      url: chrome.runtime.getURL("options.html#clipboard"),
+    });
+  }
+  return false;
+}
+
+/**
+ * Read a dictionary's full word list for autocorrect. lexicons/ isn't
+ * web-accessible, so pages can't fetch the list or probe for it.
+ * @param {string} dictionaryId
+ * @returns {Promise<string|null>} Sorted words, one per line
+ */
+async function readLexicon(dictionaryId) {
+  if (!Object.hasOwn(PREDICTION.LEXICONS, dictionaryId)) return null;
+  try {
+    const url = chrome.runtime.getURL(`lexicons/${dictionaryId}.txt`);
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.text();
+  } catch (error) {
+    console.warn(`Could not read the ${dictionaryId} lexicon:`, error);
+    return null;
+  }
+}
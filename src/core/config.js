@@ -7,10 +7,14 @@ export const DOM_IDS = {
   MAIN_KBD: "vk-main-kbd",
   MAIN_KBD_PLACEHOLDER: "vk-main-kbd-ph",
   MAIN_NUMBERS: "vk-main-numbers",
+  MAIN_NAVIGATION: "vk-main-navigation",
   NUMBER_BAR_INPUT: "vk-number-bar-input",
+  DIGITS_INPUT: "vk-digits-input",
+  DATE_TIME_INPUT: "vk-date-time-input",
   SCROLL_EXTEND: "vk-scroll-extend",
   OVERLAY_LANGUAGE: "vk-overlay-language",
   OVERLAY_LANGUAGE_UL: "vk-overlay-language-ul",
+  OVERLAY_SETTINGS: "vk-overlay-Settings",
   URL_BAR: "vk-url-bar",
   URL_BAR_TEXTBOX: "vk-url-bar-textbox",
   SETTINGS_BUTTON: "vk-settings-btn",
@@ -18,6 +22,8 @@ export const DOM_IDS = {
   URL_BUTTON: "vk-url-btn",
   OPEN_BUTTON: "vk-open-btn",
   VOICE_BUTTON: "vk-voice-btn",
+  SUGGESTION_BAR: "vk-suggestion-bar",
+  CANDIDATE_BAR: "vk-candidate-bar",
 };
 
 export const CSS_CLASSES = {
@@ -29,6 +35,11 @@ export const CSS_CLASSES = {
   EMAIL_INPUT: "vk-email-key",
   HIDE_EMAIL_INPUT: "vk-hide-email-key",
   NUMBER_KEY: "vk-number-key",
+  SUGGESTION: "vk-suggestion",
+  CANDIDATE: "vk-candidate",
+  DEAD_KEY: "vk-key-dead",
+  // Dead key or Compose key waiting for the rest of its sequence
+  PENDING_KEY: "vk-key-pending",
   SHIFT_ACTIVE: "shift-active",
   KEYBOARD_OPEN: "keyboard-open",
   KEYBOARD_CLOSED: "keyboard-closed",
@@ -44,6 +55,13 @@ export const TIMING = {
   ANIMATION_DURATION: 400,
   // Grace period before closing when element is removed (allows new focus)
   REMOVAL_CLOSE_DELAY: 100,
+  // Debounce before persisting learned words to storage
+  LEARNED_WORDS_SAVE_DELAY: 1000,
+  // Pause that ends a run of typing as one undo step
+  UNDO_GROUP_DELAY: 1000,
+  // Held Backspace repeats characters this long, then deletes whole words
+  BACKSPACE_WORD_DELAY: 1500,
+  BACKSPACE_WORD_INTERVAL: 250,
 };
 
 export const KEYBOARD = {
@@ -55,6 +73,20 @@ export const KEYBOARD = {
   MAX_ZOOM: 150,
 };
 
+export const PREDICTION = {
+  MAX_SUGGESTIONS: 3,
+  // Input method candidates shown at once (the bar scrolls)
+  MAX_CANDIDATES: 20,
+  MIN_LEARN_LENGTH: 2,
+  MAX_LEARNED_WORDS: 2000,
+  // Full word lists written to lexicons/<dictionary>.txt by build.js, from
+  // these npm packages. Autocorrect only corrects words these lists don't
+  // know; other dictionaries fall back to their own words.
+  LEXICONS: {
+    en: "an-array-of-english-words",
+  },
+};
+
 export const INPUT_TYPES = [
   "text",
   "password",
@@ -63,6 +95,11 @@ export const INPUT_TYPES = [
   "number",
   "tel",
   "url",
+  "date",
+  "time",
+  "datetime-local",
+  "month",
+  "week",
 ];
 
 export const SPECIAL_KEYS = {
@@ -77,6 +114,38 @@ export const SPECIAL_KEYS = {
   BACKSPACE: "Backspace",
   SPACE: "Space",
   VOICE: "Voice",
+  PREV_SEGMENT: "PrevSegment",
+  NEXT_SEGMENT: "NextSegment",
+  PREV_FIELD: "PrevField",
+  NEXT_FIELD: "NextField",
+  NAVIGATION: "Nav",
+  SELECT_ALL: "SelectAll",
+  COPY: "Copy",
+  CUT: "Cut",
+  PASTE: "Paste",
+  UNDO: "Undo",
+  REDO: "Redo",
+  COMPOSE: "Compose",
+};
+
+// Keys on the navigation layer (key name -> the keyboard event it sends)
+export const NAVIGATION_KEYS = {
+  ArrowLeft: { key: "ArrowLeft", code: "ArrowLeft", keyCode: 37 },
+  ArrowRight: { key: "ArrowRight", code: "ArrowRight", keyCode: 39 },
+  ArrowUp: { key: "ArrowUp", code: "ArrowUp", keyCode: 38 },
+  ArrowDown: { key: "ArrowDown", code: "ArrowDown", keyCode: 40 },
+  Home: { key: "Home", code: "Home", keyCode: 36 },
+  End: { key: "End", code: "End", keyCode: 35 },
+  WordLeft: { key: "ArrowLeft", code: "ArrowLeft", keyCode: 37, ctrlKey: true },
+  WordRight: {
+    key: "ArrowRight",
+    code: "ArrowRight",
+    keyCode: 39,
+    ctrlKey: true,
+  },
+  Tab: { key: "Tab", code: "Tab", keyCode: 9 },
+  ShiftTab: { key: "Tab", code: "Tab", keyCode: 9, shiftKey: true },
+  Escape: { key: "Escape", code: "Escape", keyCode: 27 },
 };
 
 export const STORAGE_KEYS = {
@@ -89,6 +158,7 @@ export const STORAGE_KEYS = {
   SHOW_URL_BUTTON: "showUrlButton",
   SHOW_CLOSE_BUTTON: "showCloseButton",
   SHOW_NUMBERS_BUTTON: "showNumbersButton",
+  SHOW_NAVIGATION_BUTTON: "showNavigationButton",
   SHOW_NUMBER_BAR: "showNumberBar",
   KEYBOARD_ZOOM_WIDTH: "keyboardZoomWidth",
   KEYBOARD_ZOOM_HEIGHT: "keyboardZoomHeight",
@@ -109,14 +179,153 @@ export const STORAGE_KEYS = {
   KEY_REPEAT_SPEED: "keyRepeatSpeed",
   // Kiosk mode
   HIDE_CURSOR: "hideCursor",
+  // Word prediction
+  WORD_SUGGESTIONS: "wordSuggestions",
+  LEARNED_WORDS: "learnedWords",
+  AUTOCORRECT: "autocorrect",
+  GESTURE_TYPING: "gestureTyping",
+  // User-defined layouts
+  CUSTOM_LAYOUTS: "customLayouts",
+  // Settings sync (chrome.storage.sync)
+  SYNC_SETTINGS: "syncSettings",
+  SYNC_TIMESTAMPS: "syncTimestamps",
+  SYNC_ERRORS: "syncErrors",
+  // Settings page already opened to grant clipboardRead
+  CLIPBOARD_READ_ASKED: "clipboardReadAsked",
+  // Per-site overrides (origin -> profile)
+  SITE_PROFILES: "siteProfiles",
+  // Allow/deny rules for where the keyboard binds
+  ACTIVATION_RULES: "activationRules",
+  // Fields picked from the context menu (origin -> CSS selectors)
+  FORCED_FIELDS: "forcedFields",
+};
+
+// Type of each stored setting, matching its default (checked when a backup
+// is restored). "array" and "object" are told apart; null is allowed only
+// where the default is null.
+export const SETTING_TYPES = {
+  [STORAGE_KEYS.OPENED_FIRST_TIME]: "string",
+  [STORAGE_KEYS.KEYBOARD_LAYOUT]: "string",
+  [STORAGE_KEYS.KEYBOARD_LAYOUTS_LIST]: "string", // JSON-encoded list
+  [STORAGE_KEYS.SHOW_OPEN_BUTTON]: "boolean",
+  [STORAGE_KEYS.SHOW_LANGUAGE_BUTTON]: "boolean",
+  [STORAGE_KEYS.SHOW_SETTINGS_BUTTON]: "boolean",
+  [STORAGE_KEYS.SHOW_URL_BUTTON]: "boolean",
+  [STORAGE_KEYS.SHOW_CLOSE_BUTTON]: "boolean",
+  [STORAGE_KEYS.SHOW_NUMBERS_BUTTON]: "boolean",
+  [STORAGE_KEYS.SHOW_NAVIGATION_BUTTON]: "boolean",
+  [STORAGE_KEYS.SHOW_NUMBER_BAR]: "boolean",
+  [STORAGE_KEYS.KEYBOARD_ZOOM_WIDTH]: "number",
+  [STORAGE_KEYS.KEYBOARD_ZOOM_HEIGHT]: "number",
+  [STORAGE_KEYS.KEYBOARD_ZOOM_LOCKED]: "boolean",
+  [STORAGE_KEYS.SPACEBAR_CURSOR_SWIPE]: "boolean",
+  [STORAGE_KEYS.KEYBOARD_DRAGGABLE]: "boolean",
+  [STORAGE_KEYS.KEYBOARD_POSITION]: "object|null",
+  [STORAGE_KEYS.AUTOSTART]: "boolean",
+  [STORAGE_KEYS.STICKY_SHIFT]: "boolean",
+  [STORAGE_KEYS.AUTO_CAPS]: "boolean",
+  [STORAGE_KEYS.VOICE_ENABLED]: "boolean",
+  [STORAGE_KEYS.VOICE_MODEL]: "string",
+  [STORAGE_KEYS.VOICE_LANGUAGE]: "string",
+  [STORAGE_KEYS.KEY_REPEAT_ENABLED]: "boolean",
+  [STORAGE_KEYS.KEY_REPEAT_DELAY]: "number",
+  [STORAGE_KEYS.KEY_REPEAT_SPEED]: "number",
+  [STORAGE_KEYS.HIDE_CURSOR]: "boolean",
+  [STORAGE_KEYS.WORD_SUGGESTIONS]: "boolean",
+  [STORAGE_KEYS.LEARNED_WORDS]: "object",
+  [STORAGE_KEYS.AUTOCORRECT]: "boolean",
+  [STORAGE_KEYS.GESTURE_TYPING]: "boolean",
+  [STORAGE_KEYS.CUSTOM_LAYOUTS]: "object",
+  [STORAGE_KEYS.SYNC_SETTINGS]: "boolean",
+  [STORAGE_KEYS.SYNC_TIMESTAMPS]: "object",
+  [STORAGE_KEYS.SYNC_ERRORS]: "object",
+  [STORAGE_KEYS.CLIPBOARD_READ_ASKED]: "boolean",
+  [STORAGE_KEYS.SITE_PROFILES]: "object",
+  [STORAGE_KEYS.ACTIVATION_RULES]: "array",
+  [STORAGE_KEYS.FORCED_FIELDS]: "object",
+};
+
+// Settings a site profile can override (setting name -> storage key)
+export const SITE_PROFILE_SETTINGS = {
+  layout: STORAGE_KEYS.KEYBOARD_LAYOUT,
+  keyboardZoomWidth: STORAGE_KEYS.KEYBOARD_ZOOM_WIDTH,
+  keyboardZoomHeight: STORAGE_KEYS.KEYBOARD_ZOOM_HEIGHT,
+  autostart: STORAGE_KEYS.AUTOSTART,
+  showOpenButton: STORAGE_KEYS.SHOW_OPEN_BUTTON,
+  showLanguageButton: STORAGE_KEYS.SHOW_LANGUAGE_BUTTON,
+  showSettingsButton: STORAGE_KEYS.SHOW_SETTINGS_BUTTON,
+  showUrlButton: STORAGE_KEYS.SHOW_URL_BUTTON,
+  showCloseButton: STORAGE_KEYS.SHOW_CLOSE_BUTTON,
+  showNumbersButton: STORAGE_KEYS.SHOW_NUMBERS_BUTTON,
+  showNavigationButton: STORAGE_KEYS.SHOW_NAVIGATION_BUTTON,
+  showNumberBar: STORAGE_KEYS.SHOW_NUMBER_BAR,
+  autoCaps: STORAGE_KEYS.AUTO_CAPS,
+};
+
+// Settings backup files (options page export/import)
+export const SETTINGS_BACKUP = {
+  FORMAT: "virtual-keyboard-settings",
+  VERSION: 1,
 };
 
+// Stored keys left out of settings backups
+export const BACKUP_EXCLUDED_KEYS = [
+  STORAGE_KEYS.OPENED_FIRST_TIME, // Restoring it would skip first-run setup
+  STORAGE_KEYS.LEARNED_WORDS, // Typing history, not settings
+  STORAGE_KEYS.SYNC_TIMESTAMPS, // Sync bookkeeping for this device
+  STORAGE_KEYS.SYNC_ERRORS,
+  STORAGE_KEYS.CLIPBOARD_READ_ASKED, // Permissions are granted per device
+];
+
+// Stored keys that stay on this device when settings sync is on
+export const SYNC_EXCLUDED_KEYS = [
+  STORAGE_KEYS.OPENED_FIRST_TIME,
+  STORAGE_KEYS.KEYBOARD_POSITION, // Screens differ between devices
+  STORAGE_KEYS.KEYBOARD_ZOOM_WIDTH,
+  STORAGE_KEYS.KEYBOARD_ZOOM_HEIGHT,
+  STORAGE_KEYS.KEYBOARD_ZOOM_LOCKED,
+  STORAGE_KEYS.LEARNED_WORDS, // Too large for sync quotas, and private
+  STORAGE_KEYS.SYNC_SETTINGS, // Each device opts in separately
+  STORAGE_KEYS.SYNC_TIMESTAMPS,
+  STORAGE_KEYS.SYNC_ERRORS,
+  STORAGE_KEYS.CLIPBOARD_READ_ASKED,
+  // Hold the addresses of sites the user visits
+  STORAGE_KEYS.SITE_PROFILES,
+  STORAGE_KEYS.ACTIVATION_RULES,
+  STORAGE_KEYS.FORCED_FIELDS,
+];
+
 export const MESSAGE_TYPES = {
   OPEN_FROM_IFRAME: "openFromIframe",
   CLICK_FROM_IFRAME: "clickFromIframe",
   OPEN_FROM_BUTTON: "openFromButton",
   OPEN_URL_BAR: "openUrlBar",
+  TOGGLE_KEYBOARD: "toggleKeyboard",
+  CYCLE_LAYOUT: "cycleLayout",
+  BIND_ELEMENT: "bindElement",
   KEYBOARD_STATE_CHANGE: "keyboardStateChange",
+  REQUEST_CLIPBOARD_READ: "requestClipboardRead",
+  GET_LEXICON: "getLexicon",
+  ADD_LEARNED_WORDS: "addLearnedWords",
+  CLEAR_LEARNED_WORDS: "clearLearnedWords",
+};
+
+// Optional permission that lets Paste read the system clipboard, granted
+// from the settings page
+export const CLIPBOARD_READ_PERMISSION = { permissions: ["clipboardRead"] };
+
+// Keyboard shortcut commands (manifest "commands") and the message each
+// relays to the active tab
+export const COMMANDS = {
+  "toggle-keyboard": MESSAGE_TYPES.TOGGLE_KEYBOARD,
+  "open-url-bar": MESSAGE_TYPES.OPEN_URL_BAR,
+  "cycle-layout": MESSAGE_TYPES.CYCLE_LAYOUT,
+};
+
+// Context menu items (chrome.contextMenus)
+export const CONTEXT_MENU_IDS = {
+  TYPE_HERE: "typeHere",
+  ALWAYS_TYPE_HERE: "alwaysTypeHere",
 };
 
 // Key type definitions for layout renderer
@@ -128,6 +337,7 @@ export const KEY_TYPES = {
   BackspaceSmall: {
     class: "vk-key vk-key-backspace-sm",
     icon: "backspace",
+    dataKey: "Backspace",
   },
   Enter: {
     class: "vk-key vk-key-enter",
@@ -154,11 +364,17 @@ export const KEY_TYPES = {
     class: "vk-key vk-key-action",
     label: "&123",
   },
-  Settings: {
+  Nav: {
     class: "vk-key vk-key-action",
+    label: "Nav",
+    dataKey: "Nav",
+  },
+  Settings: {
+    class: "vk-key-action vk-menu vk-settings-btn",
     icon: "settings",
-    attrs: { id: DOM_IDS.SETTINGS_BUTTON },
-    dataKey: "OpenSettings",
+    attrs: { id: DOM_IDS.SETTINGS_BUTTON, "data-menu": "Settings" },
+    noDataKey: true,
+    noClick: true,
   },
   Language: {
     class: "vk-key-action vk-menu vk-lang-btn",
@@ -173,6 +389,51 @@ export const KEY_TYPES = {
     attrs: { id: DOM_IDS.URL_BUTTON },
     dataKey: "Url",
   },
+  PrevField: {
+    class: "vk-key vk-key-action",
+    label: "Prev",
+    dataKey: "PrevField",
+  },
+  NextField: {
+    class: "vk-key vk-key-action",
+    label: "Next",
+    dataKey: "NextField",
+  },
+  SelectAll: {
+    class: "vk-key vk-key-action",
+    label: "Select All",
+    dataKey: "SelectAll",
+  },
+  Copy: {
+    class: "vk-key vk-key-action",
+    label: "Copy",
+    dataKey: "Copy",
+  },
+  Cut: {
+    class: "vk-key vk-key-action",
+    label: "Cut",
+    dataKey: "Cut",
+  },
+  Paste: {
+    class: "vk-key vk-key-action",
+    label: "Paste",
+    dataKey: "Paste",
+  },
+  Undo: {
+    class: "vk-key vk-key-action",
+    label: "Undo",
+    dataKey: "Undo",
+  },
+  Redo: {
+    class: "vk-key vk-key-action",
+    label: "Redo",
+    dataKey: "Redo",
+  },
+  Compose: {
+    class: "vk-key vk-key-action",
+    label: "⎄",
+    dataKey: "Compose",
+  },
   Voice: {
     class: "vk-key vk-key-action vk-key-voice",
     icon: "mic",
@@ -189,6 +450,7 @@ export const KEY_TYPES = {
 
 export const DEFAULT_BOTTOM_ROW = [
   "&123",
+  "Nav",
   "Language",
   "Space",
   "Voice",
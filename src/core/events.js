@@ -82,6 +82,7 @@ export const EVENTS = {
   // Input events
   INPUT_FOCUS: "input:focus",
   INPUT_BLUR: "input:blur",
+  FIELD_NAVIGATE: "input:navigate",
 
   // URL bar events
   URL_BAR_OPEN: "urlBar:open",
@@ -0,0 +1,142 @@
+// Learned Words
+// Word counts learned from typing, stored per layout as { word: count }.
+// Every tab and frame learns words, so the stored counts are only changed by
+// the background service worker, one update at a time: two frames saving at
+// once can't drop each other's counts, and a save that read the words before
+// a clear can't write them back after it.
+
+import { PREDICTION, STORAGE_KEYS } from "./config.js";
+
+// Updates still to run, in the order they arrived
+let queue = Promise.resolve();
+
+/**
+ * Run a storage update after the ones already queued
+ * @param {function(): Promise<*>} update
+ * @returns {Promise<*>} The update's result
+ */
+function enqueue(update) {
+  const result = queue.then(update);
+  queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Add uses of a word to a layout -> words map
+ * Words are matched ignoring case, keeping the spelling first seen
+ * @param {Map<string, Map<string, {word: string, count: number}>>} target
+ * @param {string} layoutId
+ * @param {string} word
+ * @param {number} count
+ */
+export function addWordCount(target, layoutId, word, count) {
+  const lower = word.toLowerCase();
+  if (!target.has(layoutId)) {
+    target.set(layoutId, new Map());
+  }
+  const words = target.get(layoutId);
+  const entry = words.get(lower);
+  if (entry) {
+    entry.count += count;
+  } else {
+    words.set(lower, { word, count });
+    trimLearnedWords(words);
+  }
+}
+
+/**
+ * Add every count in one layout -> words map to another
+ * @param {Map} target
+ * @param {Map} source
+ */
+export function mergeWordCounts(target, source) {
+  for (const [layoutId, words] of source) {
+    for (const { word, count } of words.values()) {
+      addWordCount(target, layoutId, word, count);
+    }
+  }
+}
+
+/**
+ * Convert stored learned words to layout -> words maps
+ * @param {Object<string, Object<string, number>>} stored
+ * @returns {Map}
+ */
+export function fromStoredWords(stored) {
+  const maps = new Map();
+  for (const [layoutId, words] of Object.entries(stored)) {
+    const map = new Map();
+    for (const [word, count] of Object.entries(words)) {
+      map.set(word.toLowerCase(), { word, count });
+    }
+    maps.set(layoutId, map);
+  }
+  return maps;
+}
+
+/**
+ * Convert layout -> words maps to the stored shape
+ * @param {Map} maps
+ * @returns {Object<string, Object<string, number>>}
+ */
+export function toStoredWords(maps) {
+  const data = {};
+  for (const [layoutId, words] of maps) {
+    data[layoutId] = {};
+    for (const { word, count } of words.values()) {
+      data[layoutId][word] = count;
+    }
+  }
+  return data;
+}
+
+/**
+ * Drop the least used words once a layout exceeds the size limit
+ * @param {Map} words
+ */
+function trimLearnedWords(words) {
+  if (words.size <= PREDICTION.MAX_LEARNED_WORDS) return;
+
+  const leastUsed = [...words.entries()].sort(
+    (a, b) => a[1].count - b[1].count
+  );
+  const excess = words.size - PREDICTION.MAX_LEARNED_WORDS;
+  for (const [key] of leastUsed.slice(0, excess)) {
+    words.delete(key);
+  }
+}
+
+/**
+ * Add word counts to the stored ones (background service worker only)
+ * @param {Object<string, Object<string, number>>} counts - layout -> word -> uses
+ * @returns {Promise<Object<string, Object<string, number>>>} All stored words
+ */
+export function addLearnedWords(counts) {
+  return enqueue(async () => {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.LEARNED_WORDS);
+    const merged = fromStoredWords(result[STORAGE_KEYS.LEARNED_WORDS] || {});
+    mergeWordCounts(merged, fromStoredWords(counts));
+    const words = toStoredWords(merged);
+    await chrome.storage.local.set({ [STORAGE_KEYS.LEARNED_WORDS]: words });
+    return words;
+  });
+}
+
+/**
+ * Forget all stored words (background service worker only)
+ * @returns {Promise<void>}
+ */
+export function clearLearnedWords() {
+  return enqueue(() =>
+    chrome.storage.local.set({ [STORAGE_KEYS.LEARNED_WORDS]: {} })
+  );
+}
+
+export default {
+  addWordCount,
+  mergeWordCounts,
+  fromStoredWords,
+  toStoredWords,
+  addLearnedWords,
+  clearLearnedWords,
+};
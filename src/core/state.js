@@ -126,7 +126,10 @@ export const keyboardState = createStore({
   shift: false,
   autoCapsActive: false, // Tracks when auto-caps triggered the current shift
   numbersMode: false,
+  navigationMode: false,
   loadedLayout: "",
+  // Dead key or Compose sequence being typed: { sequence, composeKey }
+  composeSequence: null,
 });
 
 // Currently focused input state
@@ -154,6 +157,7 @@ export const settingsState = createStore({
   showUrlButton: true,
   showCloseButton: true,
   showNumbersButton: true,
+  showNavigationButton: false,
   keyboardZoomWidth: 100,
   keyboardZoomHeight: 100,
   keyboardZoomLocked: true,
@@ -167,6 +171,9 @@ export const settingsState = createStore({
   voiceEnabled: false,
   voiceModel: "base-q8", // 'tiny-q8', 'base-q8', 'small-q8', 'tiny', 'base', 'small'
   voiceLanguage: "multilingual", // 'en' or 'multilingual'
+  wordSuggestions: false,
+  autocorrect: false,
+  gestureTyping: false,
 });
 
 // URL bar state
@@ -190,3 +197,10 @@ export const voiceState = createStore({
   downloadProgress: 0,
   error: null,
 });
+
+// Word prediction state
+export const predictionState = createStore({
+  suggestions: [],
+  // Input method choices for the text being composed: [{text, length}]
+  candidates: [],
+});
@@ -1,15 +1,71 @@
 // Chrome Storage Wrapper
 // Async wrapper around chrome.storage.local with defaults
+// Values set by policy (chrome.storage.managed) take precedence over local ones
 
-import { STORAGE_KEYS } from "./config.js";
+import {
+  formatLayoutErrors,
+  LAYOUT_ID_PATTERN,
+  validateLayout,
+} from "../layouts/LayoutSchema.js";
+import {
+  BACKUP_EXCLUDED_KEYS,
+  MESSAGE_TYPES,
+  SETTING_TYPES,
+  SETTINGS_BACKUP,
+  SITE_PROFILE_SETTINGS,
+  STORAGE_KEYS,
+} from "./config.js";
+
+const SETTING_KEYS = new Set(Object.values(STORAGE_KEYS));
+
+/**
+ * Get settings locked by policy (managed_schema.json)
+ * @returns {Promise<Object>} Setting key -> value, in the same form as local storage
+ */
+export async function getManagedSettings() {
+  let policy = {};
+  try {
+    policy = (await chrome.storage.managed?.get()) || {};
+  } catch {
+    // No policy support (e.g. unmanaged profile or other browsers)
+    return {};
+  }
+
+  const managed = {};
+  for (const [key, value] of Object.entries(policy)) {
+    if (!SETTING_KEYS.has(key)) continue;
+    // The layout list is stored as a JSON string but set by policy as a list
+    managed[key] =
+      key === STORAGE_KEYS.KEYBOARD_LAYOUTS_LIST && Array.isArray(value)
+        ? JSON.stringify(value)
+        : value;
+  }
+  return managed;
+}
 
 /**
- * Get values from chrome.storage.local
+ * Get the keys of settings locked by policy
+ * @returns {Promise<string[]>}
+ */
+export async function getLockedSettings() {
+  return Object.keys(await getManagedSettings());
+}
+
+/**
+ * Get values from chrome.storage.local, with policy values applied on top
  * @param {string|string[]} keys - Key(s) to retrieve
  * @returns {Promise<Object>} Object with requested values
  */
 export async function get(keys) {
-  return chrome.storage.local.get(keys);
+  const [result, managed] = await Promise.all([
+    chrome.storage.local.get(keys),
+    getManagedSettings(),
+  ]);
+  const wanted = keys == null ? null : [].concat(keys);
+  for (const [key, value] of Object.entries(managed)) {
+    if (!wanted || wanted.includes(key)) result[key] = value;
+  }
+  return result;
 }
 
 /**
@@ -178,6 +234,23 @@ export async function setShowNumbersButton(show) {
   await set({ [STORAGE_KEYS.SHOW_NUMBERS_BUTTON]: show });
 }
 
+/**
+ * Get whether to show the navigation layer toggle button
+ * @returns {Promise<boolean>}
+ */
+export async function getShowNavigationButton() {
+  const result = await get(STORAGE_KEYS.SHOW_NAVIGATION_BUTTON);
+  return result[STORAGE_KEYS.SHOW_NAVIGATION_BUTTON] === true;
+}
+
+/**
+ * Set whether to show the navigation layer toggle button
+ * @param {boolean} show
+ */
+export async function setShowNavigationButton(show) {
+  await set({ [STORAGE_KEYS.SHOW_NAVIGATION_BUTTON]: show });
+}
+
 /**
  * Get whether to show the number bar
  * @returns {Promise<boolean>}
@@ -416,6 +489,331 @@ export async function setHideCursor(enabled) {
   await set({ [STORAGE_KEYS.HIDE_CURSOR]: enabled });
 }
 
+/**
+ * Get word suggestions setting
+ * @returns {Promise<boolean>}
+ */
+export async function getWordSuggestions() {
+  const result = await get(STORAGE_KEYS.WORD_SUGGESTIONS);
+  return result[STORAGE_KEYS.WORD_SUGGESTIONS] === true;
+}
+
+/**
+ * Set word suggestions setting
+ * @param {boolean} enabled
+ */
+export async function setWordSuggestions(enabled) {
+  await set({ [STORAGE_KEYS.WORD_SUGGESTIONS]: enabled });
+}
+
+/**
+ * Get autocorrect setting
+ * @returns {Promise<boolean>}
+ */
+export async function getAutocorrect() {
+  const result = await get(STORAGE_KEYS.AUTOCORRECT);
+  return result[STORAGE_KEYS.AUTOCORRECT] === true;
+}
+
+/**
+ * Set autocorrect setting
+ * @param {boolean} enabled
+ */
+export async function setAutocorrect(enabled) {
+  await set({ [STORAGE_KEYS.AUTOCORRECT]: enabled });
+}
+
+/**
+ * Get gesture typing setting
+ * @returns {Promise<boolean>}
+ */
+export async function getGestureTyping() {
+  const result = await get(STORAGE_KEYS.GESTURE_TYPING);
+  return result[STORAGE_KEYS.GESTURE_TYPING] === true;
+}
+
+/**
+ * Set gesture typing setting
+ * @param {boolean} enabled
+ */
+export async function setGestureTyping(enabled) {
+  await set({ [STORAGE_KEYS.GESTURE_TYPING]: enabled });
+}
+
+/**
+ * Get words learned from typing, grouped by layout
+ * @returns {Promise<Object<string, Object<string, number>>>} layout -> word -> count
+ */
+export async function getLearnedWords() {
+  const result = await get(STORAGE_KEYS.LEARNED_WORDS);
+  return result[STORAGE_KEYS.LEARNED_WORDS] || {};
+}
+
+/**
+ * Add uses of words learned from typing
+ * The background worker applies updates one at a time, so counts saved from
+ * several tabs at once all add up
+ * @param {Object<string, Object<string, number>>} counts - layout -> word -> uses
+ * @returns {Promise<Object<string, Object<string, number>>|null>} All learned
+ *   words, or null if they couldn't be saved
+ */
+export async function addLearnedWords(counts) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      method: MESSAGE_TYPES.ADD_LEARNED_WORDS,
+      words: counts,
+    });
+    return response?.words || null;
+  } catch (error) {
+    console.warn("Could not save learned words:", error);
+    return null;
+  }
+}
+
+/**
+ * Forget all words learned from typing
+ * Goes through the background worker too, after any save already under way
+ */
+export async function clearLearnedWords() {
+  await chrome.runtime.sendMessage({
+    method: MESSAGE_TYPES.CLEAR_LEARNED_WORDS,
+  });
+}
+
+/**
+ * Get settings sync setting
+ * @returns {Promise<boolean>}
+ */
+export async function getSyncSettings() {
+  const result = await get(STORAGE_KEYS.SYNC_SETTINGS);
+  return result[STORAGE_KEYS.SYNC_SETTINGS] === true;
+}
+
+/**
+ * Set settings sync setting
+ * @param {boolean} enabled
+ */
+export async function setSyncSettings(enabled) {
+  await set({ [STORAGE_KEYS.SYNC_SETTINGS]: enabled });
+}
+
+/**
+ * Get user-defined layouts
+ * @returns {Promise<Object<string, Object>>} layoutId -> layout definition
+ */
+export async function getCustomLayouts() {
+  const result = await get(STORAGE_KEYS.CUSTOM_LAYOUTS);
+  return result[STORAGE_KEYS.CUSTOM_LAYOUTS] || {};
+}
+
+/**
+ * Set user-defined layouts
+ * @param {Object<string, Object>} layouts - layoutId -> layout definition
+ */
+export async function setCustomLayouts(layouts) {
+  await set({ [STORAGE_KEYS.CUSTOM_LAYOUTS]: layouts });
+}
+
+/**
+ * Get per-site setting overrides
+ * @returns {Promise<Object<string, Object>>} origin -> profile (setting name -> value)
+ */
+export async function getSiteProfiles() {
+  const result = await get(STORAGE_KEYS.SITE_PROFILES);
+  return result[STORAGE_KEYS.SITE_PROFILES] || {};
+}
+
+/**
+ * Set per-site setting overrides
+ * @param {Object<string, Object>} profiles - origin -> profile (setting name -> value)
+ */
+export async function setSiteProfiles(profiles) {
+  await set({ [STORAGE_KEYS.SITE_PROFILES]: profiles });
+}
+
+/**
+ * Get the overrides that apply on a site
+ * Unknown settings and settings locked by policy are left out, so the
+ * result can be applied on top of the global settings as is.
+ * @param {string} origin - e.g. "https://pos.example.com"
+ * @returns {Promise<Object>} Setting name -> value
+ */
+export async function getSiteProfile(origin) {
+  const [profiles, locked] = await Promise.all([
+    getSiteProfiles(),
+    getLockedSettings(),
+  ]);
+  const profile = {};
+  for (const [name, value] of Object.entries(profiles[origin] || {})) {
+    const key = SITE_PROFILE_SETTINGS[name];
+    if (key && !locked.includes(key) && value !== undefined) {
+      profile[name] = value;
+    }
+  }
+  return profile;
+}
+
+/**
+ * Save (or with null, remove) the overrides for one site
+ * @param {string} origin
+ * @param {Object|null} profile - Setting name -> value
+ */
+export async function setSiteProfile(origin, profile) {
+  const { [origin]: _previous, ...others } = await getSiteProfiles();
+  await setSiteProfiles(profile ? { ...others, [origin]: profile } : others);
+}
+
+/**
+ * Get the allow/deny rules for where the keyboard binds
+ * @returns {Promise<Array<{action: string, url: string, selector?: string}>>}
+ */
+export async function getActivationRules() {
+  const result = await get(STORAGE_KEYS.ACTIVATION_RULES);
+  return result[STORAGE_KEYS.ACTIVATION_RULES] || [];
+}
+
+/**
+ * Set the allow/deny rules for where the keyboard binds
+ * @param {Array<{action: string, url: string, selector?: string}>} rules
+ */
+export async function setActivationRules(rules) {
+  await set({ [STORAGE_KEYS.ACTIVATION_RULES]: rules });
+}
+
+/**
+ * Get the fields picked from the context menu, by origin
+ * @returns {Promise<Object<string, string[]>>} Origin -> CSS selectors
+ */
+export async function getForcedFields() {
+  const result = await get(STORAGE_KEYS.FORCED_FIELDS);
+  return result[STORAGE_KEYS.FORCED_FIELDS] || {};
+}
+
+/**
+ * Set the fields picked from the context menu
+ * @param {Object<string, string[]>} fields - Origin -> CSS selectors
+ */
+export async function setForcedFields(fields) {
+  await set({ [STORAGE_KEYS.FORCED_FIELDS]: fields });
+}
+
+/**
+ * Remember (or with remove, forget) a field for one site
+ * @param {string} origin
+ * @param {string} selector
+ * @param {boolean} [remove]
+ */
+export async function setForcedField(origin, selector, remove = false) {
+  const { [origin]: selectors = [], ...others } = await getForcedFields();
+  const updated = selectors.filter((existing) => existing !== selector);
+  if (!remove) updated.push(selector);
+  await setForcedFields(
+    updated.length > 0 ? { ...others, [origin]: updated } : others
+  );
+}
+
+/**
+ * Build a backup of every setting
+ * @returns {Promise<Object>} Versioned settings bundle
+ */
+export async function exportSettings() {
+  const stored = await chrome.storage.local.get(null);
+  const settings = {};
+  for (const key of SETTING_KEYS) {
+    if (BACKUP_EXCLUDED_KEYS.includes(key) || stored[key] === undefined) {
+      continue;
+    }
+    settings[key] = stored[key];
+  }
+  return {
+    format: SETTINGS_BACKUP.FORMAT,
+    version: SETTINGS_BACKUP.VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+  };
+}
+
+/**
+ * Check a backed-up setting before it is restored
+ * @param {string} key - Storage key
+ * @param {*} value
+ * @returns {string|null} What is wrong with the value, or null if it's fine
+ */
+function checkSettingValue(key, value) {
+  const type =
+    value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+  const expected = SETTING_TYPES[key];
+  if (!expected.split("|").includes(type)) {
+    return `${key}: expected ${expected.replace("|", " or ")}, got ${type}`;
+  }
+  if (type === "number" && !Number.isFinite(value)) {
+    return `${key}: expected a finite number`;
+  }
+
+  // Same checks as importing layouts on the options page
+  if (key === STORAGE_KEYS.CUSTOM_LAYOUTS) {
+    const idPattern = new RegExp(LAYOUT_ID_PATTERN);
+    for (const [id, layout] of Object.entries(value)) {
+      if (!idPattern.test(id)) {
+        return `${key}: invalid layout ID "${id}"`;
+      }
+      const [error] = formatLayoutErrors(validateLayout(layout));
+      if (error) return `${key}.${id}: ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Restore settings from a backup made by exportSettings
+ * Unknown keys and settings locked by policy are skipped, and settings whose
+ * value doesn't have the right type (or, for custom layouts, fails layout
+ * validation) are left as they are.
+ * @param {Object} bundle - Parsed backup file
+ * @returns {Promise<{restored: string[], skipped: string[], invalid: string[]}>}
+ *   invalid holds one message per rejected setting
+ * @throws {Error} If the bundle isn't a settings backup this version can read
+ */
+export async function importSettings(bundle) {
+  if (bundle?.format !== SETTINGS_BACKUP.FORMAT) {
+    throw new Error("Not a Virtual Keyboard settings backup");
+  }
+  if (
+    !Number.isInteger(bundle.version) ||
+    bundle.version > SETTINGS_BACKUP.VERSION
+  ) {
+    throw new Error(`Unsupported backup version: ${bundle.version}`);
+  }
+  if (!bundle.settings || typeof bundle.settings !== "object") {
+    throw new Error("Backup has no settings");
+  }
+
+  const locked = await getLockedSettings();
+  const items = {};
+  const skipped = [];
+  const invalid = [];
+  for (const [key, value] of Object.entries(bundle.settings)) {
+    if (
+      !SETTING_KEYS.has(key) ||
+      BACKUP_EXCLUDED_KEYS.includes(key) ||
+      locked.includes(key)
+    ) {
+      skipped.push(key);
+      continue;
+    }
+    const error = checkSettingValue(key, value);
+    if (error) {
+      skipped.push(key);
+      invalid.push(error);
+    } else {
+      items[key] = value;
+    }
+  }
+
+  await set(items);
+  return { restored: Object.keys(items), skipped, invalid };
+}
+
 /**
  * Check if this is the first time the extension has been opened
  * @returns {Promise<boolean>}
@@ -447,6 +845,7 @@ export async function loadAllSettings() {
     STORAGE_KEYS.SHOW_URL_BUTTON,
     STORAGE_KEYS.SHOW_CLOSE_BUTTON,
     STORAGE_KEYS.SHOW_NUMBERS_BUTTON,
+    STORAGE_KEYS.SHOW_NAVIGATION_BUTTON,
     STORAGE_KEYS.SHOW_NUMBER_BAR,
     STORAGE_KEYS.KEYBOARD_ZOOM_WIDTH,
     STORAGE_KEYS.KEYBOARD_ZOOM_HEIGHT,
@@ -464,6 +863,9 @@ export async function loadAllSettings() {
     STORAGE_KEYS.KEY_REPEAT_DELAY,
     STORAGE_KEYS.KEY_REPEAT_SPEED,
     STORAGE_KEYS.HIDE_CURSOR,
+    STORAGE_KEYS.WORD_SUGGESTIONS,
+    STORAGE_KEYS.AUTOCORRECT,
+    STORAGE_KEYS.GESTURE_TYPING,
   ]);
 
   return {
@@ -476,6 +878,7 @@ export async function loadAllSettings() {
     showUrlButton: result[STORAGE_KEYS.SHOW_URL_BUTTON] !== false,
     showCloseButton: result[STORAGE_KEYS.SHOW_CLOSE_BUTTON] !== false,
     showNumbersButton: result[STORAGE_KEYS.SHOW_NUMBERS_BUTTON] !== false,
+    showNavigationButton: result[STORAGE_KEYS.SHOW_NAVIGATION_BUTTON] === true,
     showNumberBar: result[STORAGE_KEYS.SHOW_NUMBER_BAR] !== false,
     keyboardZoomWidth: result[STORAGE_KEYS.KEYBOARD_ZOOM_WIDTH] || 100,
     keyboardZoomHeight: result[STORAGE_KEYS.KEYBOARD_ZOOM_HEIGHT] || 100,
@@ -493,6 +896,9 @@ export async function loadAllSettings() {
     keyRepeatDelay: result[STORAGE_KEYS.KEY_REPEAT_DELAY] || 400,
     keyRepeatSpeed: result[STORAGE_KEYS.KEY_REPEAT_SPEED] || 75,
     hideCursor: result[STORAGE_KEYS.HIDE_CURSOR] === true,
+    wordSuggestions: result[STORAGE_KEYS.WORD_SUGGESTIONS] === true,
+    autocorrect: result[STORAGE_KEYS.AUTOCORRECT] === true,
+    gestureTyping: result[STORAGE_KEYS.GESTURE_TYPING] === true,
   };
 }
 
@@ -511,6 +917,7 @@ export async function initializeDefaults(defaultLayouts) {
     [STORAGE_KEYS.SHOW_URL_BUTTON]: true,
     [STORAGE_KEYS.SHOW_CLOSE_BUTTON]: true,
     [STORAGE_KEYS.SHOW_NUMBERS_BUTTON]: true,
+    [STORAGE_KEYS.SHOW_NAVIGATION_BUTTON]: false,
     [STORAGE_KEYS.SHOW_NUMBER_BAR]: true,
     [STORAGE_KEYS.KEYBOARD_ZOOM_WIDTH]: 100,
     [STORAGE_KEYS.KEYBOARD_ZOOM_HEIGHT]: 100,
@@ -528,6 +935,10 @@ export async function initializeDefaults(defaultLayouts) {
     [STORAGE_KEYS.KEY_REPEAT_DELAY]: 400,
     [STORAGE_KEYS.KEY_REPEAT_SPEED]: 75,
     [STORAGE_KEYS.HIDE_CURSOR]: false,
+    [STORAGE_KEYS.WORD_SUGGESTIONS]: false,
+    [STORAGE_KEYS.AUTOCORRECT]: false,
+    [STORAGE_KEYS.GESTURE_TYPING]: false,
+    [STORAGE_KEYS.SYNC_SETTINGS]: false,
   });
 }
 
@@ -548,6 +959,8 @@ function parseLayoutsList(data) {
 export default {
   get,
   set,
+  getManagedSettings,
+  getLockedSettings,
   remove,
   clear,
   getLayout,
@@ -566,6 +979,8 @@ export default {
   setShowCloseButton,
   getShowNumbersButton,
   setShowNumbersButton,
+  getShowNavigationButton,
+  setShowNavigationButton,
   getShowNumberBar,
   setShowNumberBar,
   getKeyboardZoomWidth,
@@ -594,6 +1009,30 @@ export default {
   setVoiceLanguage,
   getHideCursor,
   setHideCursor,
+  getWordSuggestions,
+  setWordSuggestions,
+  getAutocorrect,
+  setAutocorrect,
+  getGestureTyping,
+  setGestureTyping,
+  getLearnedWords,
+  addLearnedWords,
+  clearLearnedWords,
+  getSyncSettings,
+  setSyncSettings,
+  getCustomLayouts,
+  setCustomLayouts,
+  getSiteProfiles,
+  setSiteProfiles,
+  getSiteProfile,
+  setSiteProfile,
+  getActivationRules,
+  setActivationRules,
+  getForcedFields,
+  setForcedFields,
+  setForcedField,
+  exportSettings,
+  importSettings,
   isFirstTime,
   markOpened,
   loadAllSettings,
@@ -0,0 +1,251 @@
+// Settings Sync
+// Mirrors preferences between chrome.storage.local and chrome.storage.sync
+// when the user opts in. Runs in the background service worker; content
+// scripts keep reading local storage and apply synced values through their
+// own storage.onChanged listener.
+//
+// Each synced key is stored in sync as { value, updatedAt }. This device
+// remembers when it last changed each key (SYNC_TIMESTAMPS), and whichever
+// side changed a key most recently wins.
+//
+// Keys are written one at a time so a key over the per-item quota (a big set
+// of custom layouts, say) doesn't stop the rest from syncing. Keys that can't
+// be synced are listed in SYNC_ERRORS for the options page to show.
+
+import { STORAGE_KEYS, SYNC_EXCLUDED_KEYS } from "./config.js";
+
+const SYNCED_KEYS = Object.values(STORAGE_KEYS).filter(
+  (key) => !SYNC_EXCLUDED_KEYS.includes(key)
+);
+
+/**
+ * Check if a storage key is mirrored to sync
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isSyncedKey(key) {
+  return SYNCED_KEYS.includes(key);
+}
+
+/**
+ * Check if the user has turned sync on for this device
+ * @returns {Promise<boolean>}
+ */
+async function isSyncEnabled() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_SETTINGS);
+  return result[STORAGE_KEYS.SYNC_SETTINGS] === true;
+}
+
+/**
+ * Compare two stored values
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Get when this device last changed or received each key
+ * @returns {Promise<Object<string, number>>}
+ */
+async function getTimestamps() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_TIMESTAMPS);
+  return result[STORAGE_KEYS.SYNC_TIMESTAMPS] || {};
+}
+
+// Largest item chrome.storage.sync accepts, if the browser doesn't say
+const DEFAULT_QUOTA_BYTES_PER_ITEM = 8192;
+
+/**
+ * Write one entry to sync
+ * @param {string} key
+ * @param {{value: *, updatedAt: number}} entry
+ * @returns {Promise<string|null>} Why the entry couldn't be synced, or null
+ */
+async function writeSyncItem(key, entry) {
+  // Sync counts the key plus the JSON-encoded value
+  const size = new TextEncoder().encode(key + JSON.stringify(entry)).length;
+  const quota =
+    chrome.storage.sync.QUOTA_BYTES_PER_ITEM ?? DEFAULT_QUOTA_BYTES_PER_ITEM;
+  if (size > quota) {
+    return `too large to sync (${size} bytes, the limit is ${quota})`;
+  }
+
+  try {
+    await chrome.storage.sync.set({ [key]: entry });
+    return null;
+  } catch (error) {
+    console.warn(`Settings sync failed for ${key}:`, error);
+    return error.message || String(error);
+  }
+}
+
+/**
+ * Write entries to sync one key at a time, recording (not throwing) failures
+ * @param {Object<string, {value: *, updatedAt: number}>} entries
+ */
+async function writeSync(entries) {
+  const keys = Object.keys(entries);
+  if (keys.length === 0) return;
+
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_ERRORS);
+  const previous = result[STORAGE_KEYS.SYNC_ERRORS] || {};
+  const errors = { ...previous };
+  for (const key of keys) {
+    const error = await writeSyncItem(key, entries[key]);
+    if (error) {
+      errors[key] = error;
+    } else {
+      delete errors[key];
+    }
+  }
+
+  if (!sameValue(errors, previous)) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_ERRORS]: errors });
+  }
+}
+
+/**
+ * Apply entries from sync to local storage
+ * Values equal to the sync copy aren't pushed back by pushChanges, so this
+ * doesn't echo.
+ * @param {Object<string, {value: *, updatedAt: number}>} entries
+ * @param {Object<string, number>} timestamps - Updated in place
+ */
+async function applyToLocal(entries, timestamps) {
+  if (Object.keys(entries).length === 0) return;
+
+  const items = {};
+  const removed = [];
+  for (const [key, entry] of Object.entries(entries)) {
+    if (entry.value === undefined) {
+      removed.push(key);
+    } else {
+      items[key] = entry.value;
+    }
+    timestamps[key] = entry.updatedAt;
+  }
+  if (removed.length > 0) await chrome.storage.local.remove(removed);
+  await chrome.storage.local.set({
+    ...items,
+    [STORAGE_KEYS.SYNC_TIMESTAMPS]: timestamps,
+  });
+}
+
+/**
+ * Push local changes to sync
+ * @param {Object} changes - chrome.storage.onChanged changes (local area)
+ */
+export async function pushChanges(changes) {
+  const keys = Object.keys(changes).filter(isSyncedKey);
+  if (keys.length === 0 || !(await isSyncEnabled())) return;
+
+  const synced = await chrome.storage.sync.get(keys);
+  const timestamps = await getTimestamps();
+  const now = Date.now();
+  const entries = {};
+  for (const key of keys) {
+    const { newValue } = changes[key];
+    // Skip values that just arrived from sync
+    if (synced[key] && sameValue(synced[key].value, newValue)) continue;
+    entries[key] = { value: newValue, updatedAt: now };
+    timestamps[key] = now;
+  }
+  if (Object.keys(entries).length === 0) return;
+
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.SYNC_TIMESTAMPS]: timestamps,
+  });
+  await writeSync(entries);
+}
+
+/**
+ * Pull changes made on other devices, keeping local values changed later
+ * @param {Object} changes - chrome.storage.onChanged changes (sync area)
+ */
+export async function pullChanges(changes) {
+  if (!(await isSyncEnabled())) return;
+
+  const timestamps = await getTimestamps();
+  const entries = {};
+  for (const [key, { newValue }] of Object.entries(changes)) {
+    if (!isSyncedKey(key) || !newValue) continue;
+    if (newValue.updatedAt > (timestamps[key] || 0)) {
+      entries[key] = newValue;
+    }
+  }
+  await applyToLocal(entries, timestamps);
+}
+
+/**
+ * Reconcile local and sync storage, newest change winning per key
+ * Used when sync is turned on and when the service worker starts, to catch
+ * changes made while it wasn't running.
+ */
+export async function reconcile() {
+  if (!(await isSyncEnabled())) return;
+
+  const [local, synced, timestamps] = await Promise.all([
+    chrome.storage.local.get(SYNCED_KEYS),
+    chrome.storage.sync.get(SYNCED_KEYS),
+    getTimestamps(),
+  ]);
+
+  const previousTimestamps = { ...timestamps };
+  const now = Date.now();
+  const pulled = {};
+  const pushed = {};
+  for (const key of SYNCED_KEYS) {
+    const entry = synced[key];
+    const localTime = timestamps[key] || 0;
+    if (entry && entry.updatedAt > localTime) {
+      if (!sameValue(entry.value, local[key])) pulled[key] = entry;
+      else timestamps[key] = entry.updatedAt;
+    } else if (
+      local[key] !== undefined &&
+      !sameValue(entry?.value, local[key])
+    ) {
+      pushed[key] = { value: local[key], updatedAt: localTime || now };
+      timestamps[key] = localTime || now;
+    }
+  }
+
+  if (Object.keys(pulled).length > 0) {
+    await applyToLocal(pulled, timestamps);
+  } else if (!sameValue(timestamps, previousTimestamps)) {
+    // Nothing pulled, but pushed keys still need their times recorded
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SYNC_TIMESTAMPS]: timestamps,
+    });
+  }
+  await writeSync(pushed);
+}
+
+/**
+ * Start mirroring settings (call once from the background service worker)
+ */
+export function initSync() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "sync") {
+      pullChanges(changes);
+    } else if (areaName === "local") {
+      if (changes[STORAGE_KEYS.SYNC_SETTINGS]?.newValue === true) {
+        reconcile();
+      } else {
+        pushChanges(changes);
+      }
+    }
+  });
+
+  reconcile();
+}
+
+export default {
+  isSyncedKey,
+  pushChanges,
+  pullChanges,
+  reconcile,
+  initSync,
+};
@@ -0,0 +1,166 @@
+// Hangul Composer
+// Assembles Korean jamo into syllable blocks as they're typed (2-set layout):
+// an initial consonant, a vowel and an optional final consonant make one
+// syllable, with compound vowels (ㅗ+ㅏ=ㅘ) and finals (ㄹ+ㄱ=ㄺ).
+// A syllable is kept as the list of jamo typed for it, so Backspace takes
+// back one keystroke at a time (한 -> 하 -> ㅎ).
+
+const INITIALS = "ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ";
+const MEDIALS = "ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ";
+// Index 0 is "no final"
+const FINALS = [..."_ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ"];
+
+const COMPOUND_VOWELS = {
+  ㅗㅏ: "ㅘ",
+  ㅗㅐ: "ㅙ",
+  ㅗㅣ: "ㅚ",
+  ㅜㅓ: "ㅝ",
+  ㅜㅔ: "ㅞ",
+  ㅜㅣ: "ㅟ",
+  ㅡㅣ: "ㅢ",
+};
+
+const COMPOUND_FINALS = {
+  ㄱㅅ: "ㄳ",
+  ㄴㅈ: "ㄵ",
+  ㄴㅎ: "ㄶ",
+  ㄹㄱ: "ㄺ",
+  ㄹㅁ: "ㄻ",
+  ㄹㅂ: "ㄼ",
+  ㄹㅅ: "ㄽ",
+  ㄹㅌ: "ㄾ",
+  ㄹㅍ: "ㄿ",
+  ㄹㅎ: "ㅀ",
+  ㅂㅅ: "ㅄ",
+};
+
+// First precomposed syllable (가)
+const SYLLABLE_BASE = 0xac00;
+
+/**
+ * Check if a character is a consonant jamo
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isConsonant(char) {
+  return (
+    typeof char === "string" && char.length === 1 && INITIALS.includes(char)
+  );
+}
+
+/**
+ * Check if a character is a vowel jamo
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isVowel(char) {
+  return (
+    typeof char === "string" && char.length === 1 && MEDIALS.includes(char)
+  );
+}
+
+/**
+ * Check if a key types a jamo the composer assembles
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isJamo(key) {
+  return isConsonant(key) || isVowel(key);
+}
+
+/**
+ * Split the jamo typed for a syllable into its parts
+ * @param {string[]} jamo
+ * @returns {{initial: string|null, medial: string|null, final: string|null}|null}
+ *   Null if the jamo don't make one syllable
+ */
+function parseSyllable(jamo) {
+  let i = 0;
+  const initial = isConsonant(jamo[i]) ? jamo[i++] : null;
+
+  let medial = null;
+  if (isVowel(jamo[i])) {
+    medial = jamo[i++];
+    const compound = COMPOUND_VOWELS[medial + jamo[i]];
+    if (compound) {
+      medial = compound;
+      i++;
+    }
+  }
+
+  let final = null;
+  if (initial && medial && isConsonant(jamo[i])) {
+    final = jamo[i++];
+    const compound = COMPOUND_FINALS[final + jamo[i]];
+    if (compound) {
+      final = compound;
+      i++;
+    }
+    // ㄸ, ㅃ and ㅉ only start syllables
+    if (!FINALS.includes(final)) return null;
+  }
+
+  if (i !== jamo.length || (!initial && !medial)) return null;
+  return { initial, medial, final };
+}
+
+/**
+ * Get the text for the jamo typed so far
+ * A full syllable becomes its precomposed character; a lone consonant or
+ * vowel stays a jamo.
+ * @param {string[]} jamo
+ * @returns {string}
+ */
+export function composeSyllable(jamo) {
+  const parts = parseSyllable(jamo);
+  if (!parts) return jamo.join("");
+
+  const { initial, medial, final } = parts;
+  if (!initial || !medial) return initial || medial;
+  const code =
+    SYLLABLE_BASE +
+    (INITIALS.indexOf(initial) * MEDIALS.length + MEDIALS.indexOf(medial)) *
+      FINALS.length +
+    (final ? FINALS.indexOf(final) : 0);
+  return String.fromCharCode(code);
+}
+
+/**
+ * Add a typed jamo to the syllable being composed
+ * When it can't join the syllable, the syllable is finished and the jamo
+ * starts the next one - taking the final consonant with it when it's a
+ * vowel (한 + ㅏ -> 하 + 나).
+ * @param {string[]} jamo - Jamo typed for the current syllable
+ * @param {string} key - Jamo just typed
+ * @returns {{committed: string, jamo: string[]}} Finished text, and the
+ *   jamo of the syllable now being composed
+ */
+export function addJamo(jamo, key) {
+  const extended = [...jamo, key];
+  if (parseSyllable(extended)) return { committed: "", jamo: extended };
+
+  if (isVowel(key) && parseSyllable(jamo)?.final) {
+    const moved = jamo.at(-1);
+    return {
+      committed: composeSyllable(jamo.slice(0, -1)),
+      jamo: [moved, key],
+    };
+  }
+  return { committed: composeSyllable(jamo), jamo: [key] };
+}
+
+/**
+ * Take back the last jamo typed for a syllable (Backspace)
+ * @param {string[]} jamo
+ * @returns {string[]} Empty when nothing is left
+ */
+export function removeJamo(jamo) {
+  return jamo.slice(0, -1);
+}
+
+export default {
+  isJamo,
+  composeSyllable,
+  addJamo,
+  removeJamo,
+};
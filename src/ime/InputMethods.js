@@ -0,0 +1,79 @@
+// Input Methods
+// Registry of input methods (IMEs) layouts can use through their
+// `inputMethod` option. An input method sits between the key pressed and the
+// text inserted: keys it accepts go into a pre-edit buffer that's shown in
+// the field as it's composed, and finished text is committed as typing goes
+// on. Methods with candidates (pinyin) show them in a bar above the keyboard.
+
+import {
+  addJamo,
+  composeSyllable,
+  isJamo,
+  removeJamo,
+} from "./HangulComposer.js";
+import { pinyin } from "./Pinyin.js";
+import { createTransliterator } from "./Transliterator.js";
+import { RUSSIAN, TAMIL, UKRAINIAN } from "./transliterationTables.js";
+
+/**
+ * @typedef {Object} InputMethod
+ * @property {(key: string, keys: string[]) => boolean} accepts - Whether a
+ *   key goes into the pre-edit buffer (given the keys already in it)
+ * @property {(keys: string[], key: string) => {committed: string, keys: string[]}} addKey -
+ *   Add a key to the buffer; returns finished text and the new buffer
+ * @property {(keys: string[]) => string[]} removeKey - Take back the last key
+ *   (Backspace)
+ * @property {(keys: string[]) => string} getPreedit - Text shown in the field
+ *   for the buffer
+ * @property {(keys: string[]) => {text: string, length: number}[]} [getCandidates] -
+ *   Choices for the buffer, each with the number of keys it uses up
+ */
+
+/** @type {Map<string, InputMethod>} */
+const inputMethods = new Map();
+
+/**
+ * Register an input method
+ * @param {string} id - Id layouts refer to in `inputMethod`
+ * @param {InputMethod} method
+ */
+export function registerInputMethod(id, method) {
+  inputMethods.set(id, method);
+}
+
+/**
+ * Get an input method by id
+ * @param {string|undefined} id
+ * @returns {InputMethod|null}
+ */
+export function getInputMethod(id) {
+  return (id && inputMethods.get(id)) || null;
+}
+
+/**
+ * Get the ids of all registered input methods
+ * @returns {string[]}
+ */
+export function getInputMethodIds() {
+  return [...inputMethods.keys()];
+}
+
+registerInputMethod("hangul", {
+  accepts: (key) => isJamo(key),
+  addKey(keys, key) {
+    const { committed, jamo } = addJamo(keys, key);
+    return { committed, keys: jamo };
+  },
+  removeKey: removeJamo,
+  getPreedit: composeSyllable,
+});
+registerInputMethod("translit-ru", createTransliterator(RUSSIAN));
+registerInputMethod("translit-ua", createTransliterator(UKRAINIAN));
+registerInputMethod("translit-ta", createTransliterator(TAMIL));
+registerInputMethod("pinyin", pinyin);
+
+export default {
+  registerInputMethod,
+  getInputMethod,
+  getInputMethodIds,
+};
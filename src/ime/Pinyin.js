@@ -0,0 +1,71 @@
+// Pinyin
+// Chinese input: pinyin letters collect in the pre-edit buffer and the
+// candidate bar offers words and characters for them. A candidate can cover
+// only the start of the buffer ("nihaoma" -> 你好), leaving the rest to pick.
+
+import { SYLLABLES, WORDS } from "./pinyinTable.js";
+
+const SYLLABLE_NAMES = Object.keys(SYLLABLES);
+
+/**
+ * Candidates for one stretch of pinyin: words first, then characters
+ * A separator inside the stretch (xi'an) rules out a single syllable; one
+ * at either end is used up with it.
+ * @param {string} stretch
+ * @returns {string[]}
+ */
+function candidatesFor(stretch) {
+  const trimmed = stretch.replace(/^'+|'+$/g, "");
+  const pinyin = trimmed.replaceAll("'", "");
+  const characters = trimmed.includes("'") ? "" : (SYLLABLES[pinyin] ?? "");
+  return [...(WORDS[pinyin] ?? []), ...characters];
+}
+
+/**
+ * Get candidates for the pre-edit buffer, longest reading first
+ * @param {string[]} keys - Letters typed so far (with ' as a separator)
+ * @returns {{text: string, length: number}[]} Each candidate with the number
+ *   of keys it uses up
+ */
+export function getCandidates(keys) {
+  const candidates = [];
+  const seen = new Set();
+  const add = (text, length) => {
+    if (seen.has(text)) return;
+    seen.add(text);
+    candidates.push({ text, length });
+  };
+
+  for (let end = keys.length; end > 0; end--) {
+    const pinyin = keys.slice(0, end).join("");
+    for (const text of candidatesFor(pinyin)) add(text, end);
+
+    // Syllables still being typed ("zh" -> 这, 中, ...)
+    if (
+      end === keys.length &&
+      candidates.length === 0 &&
+      !pinyin.includes("'")
+    ) {
+      for (const syllable of SYLLABLE_NAMES) {
+        if (!syllable.startsWith(pinyin)) continue;
+        for (const text of SYLLABLES[syllable]) add(text, end);
+      }
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Pinyin input method
+ * @type {import("./InputMethods.js").InputMethod}
+ */
+export const pinyin = {
+  accepts: (key, keys) =>
+    /^[a-z]$/.test(key) || (key === "'" && keys.length > 0),
+  addKey: (keys, key) => ({ committed: "", keys: [...keys, key] }),
+  removeKey: (keys) => keys.slice(0, -1),
+  getPreedit: (keys) => keys.join(""),
+  getCandidates,
+};
+
+export default pinyin;
@@ -0,0 +1,85 @@
+// Transliterator
+// Phonetic input: Latin keys become another script through a table of Latin
+// sequences ("sh" -> "ш", "kaa" -> "கா"). Keys stay in the pre-edit buffer
+// while they could still grow into a longer sequence, so "s", "sh", "shch"
+// show с, ш, щ in turn.
+
+/**
+ * Look up a Latin sequence in a table
+ * Tables are case-sensitive where case matters (Tamil "n"/"N"); otherwise
+ * the lowercase entry is used, capitalised when the sequence is ("Sh" -> "Ш").
+ * @param {Object<string, string>} table
+ * @param {string} sequence
+ * @returns {string|undefined}
+ */
+function lookup(table, sequence) {
+  if (Object.hasOwn(table, sequence)) return table[sequence];
+
+  const lower = sequence.toLowerCase();
+  if (!Object.hasOwn(table, lower)) return undefined;
+  const output = table[lower];
+  return sequence[0] === lower[0]
+    ? output
+    : output.charAt(0).toUpperCase() + output.slice(1);
+}
+
+/**
+ * Convert Latin text with a table, longest sequence first
+ * Characters the table doesn't cover are kept as they are.
+ * @param {string} text
+ * @param {Object<string, string>} table
+ * @returns {string}
+ */
+export function transliterate(text, table) {
+  const longest = Math.max(...Object.keys(table).map((s) => s.length));
+  let result = "";
+  let i = 0;
+  while (i < text.length) {
+    let length = Math.min(longest, text.length - i);
+    let output;
+    for (; length > 0; length--) {
+      output = lookup(table, text.slice(i, i + length));
+      if (output !== undefined) break;
+    }
+    if (length === 0) {
+      output = text[i];
+      length = 1;
+    }
+    result += output;
+    i += length;
+  }
+  return result;
+}
+
+/**
+ * Create an input method for a transliteration table
+ * @param {Object<string, string>} table - Latin sequence -> text
+ * @returns {import("./InputMethods.js").InputMethod}
+ */
+export function createTransliterator(table) {
+  const prefixes = new Set();
+  for (const sequence of Object.keys(table)) {
+    for (let i = 1; i <= sequence.length; i++) {
+      prefixes.add(sequence.slice(0, i));
+    }
+  }
+  const isPrefix = (text) =>
+    prefixes.has(text) || prefixes.has(text.toLowerCase());
+  const getPreedit = (keys) => transliterate(keys.join(""), table);
+
+  return {
+    accepts: (key) => isPrefix(key),
+    addKey(keys, key) {
+      const extended = [...keys, key];
+      if (isPrefix(extended.join(""))) return { committed: "", keys: extended };
+      return { committed: getPreedit(keys), keys: [key] };
+    },
+    removeKey: (keys) => keys.slice(0, -1),
+    getPreedit,
+  };
+}
+
+export default {
+  transliterate,
+  createTransliterator,
+};
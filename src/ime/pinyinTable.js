@@ -0,0 +1,294 @@
+// Pinyin Table
+// Common characters for each pinyin syllable (most frequent first) and
+// common words, for the pinyin input method (Pinyin.js). ü is typed as v.
+
+export const SYLLABLES = {
+  a: "啊阿",
+  ai: "爱哎唉矮",
+  an: "安按暗岸案",
+  ba: "吧把八爸巴",
+  bai: "白百拜败",
+  ban: "办半班般板",
+  bang: "帮棒",
+  bao: "报包保宝抱",
+  bei: "被北备背杯",
+  ben: "本奔",
+  bi: "比必笔闭",
+  bian: "边变便遍",
+  biao: "表标",
+  bie: "别",
+  bing: "并病冰兵",
+  bu: "不部步布补",
+  cai: "才菜采财猜",
+  can: "参餐残",
+  cha: "查茶差插",
+  chang: "长场常唱厂",
+  chao: "超朝吵",
+  che: "车",
+  chen: "陈沉晨",
+  cheng: "成城程称",
+  chi: "吃持迟",
+  chu: "出处初除",
+  chuan: "穿传船",
+  chuang: "窗床创",
+  chun: "春",
+  ci: "次此词",
+  cong: "从",
+  cuo: "错",
+  da: "大打达答",
+  dai: "带代待戴",
+  dan: "但单担蛋",
+  dang: "当",
+  dao: "到道倒刀",
+  de: "的得德地",
+  deng: "等灯",
+  di: "地第低弟",
+  dian: "点电店",
+  diao: "掉调",
+  ding: "定顶",
+  dong: "东动懂冬",
+  dou: "都豆",
+  du: "读度独",
+  duan: "段短断",
+  dui: "对队",
+  duo: "多朵",
+  e: "饿额",
+  er: "二而儿耳",
+  fa: "发法",
+  fan: "饭反翻",
+  fang: "方放房",
+  fei: "非飞费",
+  fen: "分份",
+  feng: "风封",
+  fu: "服父复付",
+  gai: "该改",
+  gan: "感干敢",
+  gang: "刚",
+  gao: "高告",
+  ge: "个哥歌各",
+  gei: "给",
+  gen: "跟根",
+  geng: "更",
+  gong: "工公共",
+  gou: "够狗",
+  gu: "古故",
+  gua: "挂",
+  guan: "关管观馆",
+  guang: "光广",
+  gui: "贵",
+  guo: "国过果",
+  hai: "还海孩害",
+  han: "汉喊",
+  hao: "好号",
+  he: "和喝合河",
+  hei: "黑",
+  hen: "很",
+  hong: "红",
+  hou: "后候",
+  hu: "湖护呼户",
+  hua: "话花化画",
+  huai: "坏",
+  huan: "换欢环",
+  huang: "黄",
+  hui: "会回",
+  huo: "或活火",
+  ji: "几机记级鸡",
+  jia: "家加假",
+  jian: "见间件建",
+  jiang: "将讲江",
+  jiao: "叫教交",
+  jie: "接姐节结",
+  jin: "进今近金",
+  jing: "经京精",
+  jiu: "就九旧酒",
+  ju: "句局举",
+  jue: "觉决",
+  kai: "开",
+  kan: "看",
+  kao: "考靠",
+  ke: "可课客",
+  kong: "空",
+  kou: "口",
+  kuai: "快块",
+  lai: "来",
+  lao: "老",
+  le: "了乐",
+  lei: "累类",
+  leng: "冷",
+  li: "里理力李",
+  lian: "连脸练",
+  liang: "两量亮",
+  liao: "了",
+  ling: "另零",
+  liu: "六留",
+  long: "龙",
+  lu: "路",
+  lv: "绿旅",
+  ma: "吗妈马",
+  mai: "买卖",
+  man: "满慢",
+  mang: "忙",
+  mao: "毛猫",
+  me: "么",
+  mei: "没美每",
+  men: "们门",
+  mi: "米",
+  mian: "面",
+  min: "民",
+  ming: "明名",
+  mu: "目木",
+  na: "那拿哪",
+  nan: "南男难",
+  ne: "呢",
+  neng: "能",
+  ni: "你",
+  nian: "年念",
+  niu: "牛",
+  nu: "努",
+  nv: "女",
+  pa: "怕",
+  pao: "跑",
+  peng: "朋",
+  pian: "片",
+  piao: "票",
+  ping: "平",
+  qi: "起其期气七",
+  qian: "前钱千",
+  qing: "请情清",
+  qiu: "求球",
+  qu: "去取",
+  quan: "全",
+  que: "却",
+  ran: "然",
+  rang: "让",
+  re: "热",
+  ren: "人认",
+  ri: "日",
+  ru: "如",
+  san: "三",
+  shang: "上",
+  shao: "少",
+  she: "社",
+  shei: "谁",
+  shen: "什身",
+  sheng: "生声",
+  shi: "是时事十",
+  shou: "手收",
+  shu: "书数",
+  shuo: "说",
+  si: "四死",
+  song: "送",
+  suo: "所",
+  ta: "他她它",
+  tai: "太",
+  tian: "天",
+  tiao: "条",
+  ting: "听",
+  tong: "同",
+  tou: "头",
+  wai: "外",
+  wan: "完晚万玩",
+  wang: "往网忘",
+  wei: "为位",
+  wen: "问文",
+  wo: "我",
+  wu: "五无",
+  xi: "西喜洗",
+  xia: "下",
+  xian: "先现",
+  xiang: "想向",
+  xiao: "小笑",
+  xie: "写谢些",
+  xin: "新心信",
+  xing: "行",
+  xu: "需",
+  xue: "学",
+  ya: "呀",
+  yan: "眼",
+  yang: "样",
+  yao: "要",
+  ye: "也",
+  yi: "一以已",
+  yin: "因",
+  ying: "应",
+  yong: "用",
+  you: "有又",
+  yu: "与语雨鱼",
+  yuan: "远",
+  yue: "月",
+  zai: "在再",
+  zao: "早",
+  zen: "怎",
+  zhan: "站",
+  zhang: "张",
+  zhao: "找",
+  zhe: "这着",
+  zhen: "真",
+  zheng: "正",
+  zhi: "只知",
+  zhong: "中",
+  zhu: "住",
+  zi: "自子字",
+  zou: "走",
+  zui: "最",
+  zuo: "做作坐昨",
+};
+
+export const WORDS = {
+  beijing: ["北京"],
+  danshi: ["但是"],
+  dianhua: ["电话"],
+  diannao: ["电脑"],
+  difang: ["地方"],
+  dongxi: ["东西"],
+  duibuqi: ["对不起"],
+  duoshao: ["多少"],
+  gaoxing: ["高兴"],
+  gongzuo: ["工作"],
+  hanyu: ["汉语"],
+  haode: ["好的"],
+  jintian: ["今天"],
+  keneng: ["可能"],
+  keyi: ["可以"],
+  laoshi: ["老师"],
+  meiguanxi: ["没关系"],
+  meiyou: ["没有"],
+  mingtian: ["明天"],
+  nage: ["那个"],
+  nihao: ["你好"],
+  nimen: ["你们"],
+  pengyou: ["朋友"],
+  ruguo: ["如果"],
+  shanghai: ["上海"],
+  shenme: ["什么"],
+  shihou: ["时候"],
+  shijian: ["时间"],
+  shouji: ["手机"],
+  suoyi: ["所以"],
+  tamen: ["他们", "她们"],
+  weishenme: ["为什么"],
+  wenti: ["问题"],
+  women: ["我们"],
+  xianzai: ["现在"],
+  xiexie: ["谢谢"],
+  xihuan: ["喜欢"],
+  xuesheng: ["学生"],
+  xuyao: ["需要"],
+  yijing: ["已经"],
+  yinwei: ["因为"],
+  yingyu: ["英语"],
+  yiqi: ["一起"],
+  yixia: ["一下"],
+  zaijian: ["再见"],
+  zenme: ["怎么"],
+  zhege: ["这个"],
+  zhidao: ["知道"],
+  zhongguo: ["中国"],
+  zhongwen: ["中文"],
+  zuotian: ["昨天"],
+};
+
+export default {
+  SYLLABLES,
+  WORDS,
+};
@@ -0,0 +1,176 @@
+// Transliteration Tables
+// Latin sequences -> text for the phonetic layouts (see Transliterator.js).
+// Lowercase entries also match capitalised input; Tamil uses capitals for
+// its own letters (N, L, R, S) and long vowels (A, I, U, E, O).
+
+export const RUSSIAN = {
+  a: "а",
+  b: "б",
+  v: "в",
+  g: "г",
+  d: "д",
+  e: "е",
+  yo: "ё",
+  jo: "ё",
+  zh: "ж",
+  z: "з",
+  i: "и",
+  j: "й",
+  k: "к",
+  l: "л",
+  m: "м",
+  n: "н",
+  o: "о",
+  p: "п",
+  r: "р",
+  s: "с",
+  t: "т",
+  u: "у",
+  f: "ф",
+  h: "х",
+  x: "х",
+  kh: "х",
+  c: "ц",
+  ts: "ц",
+  ch: "ч",
+  sh: "ш",
+  shch: "щ",
+  w: "щ",
+  y: "ы",
+  "e'": "э",
+  yu: "ю",
+  ju: "ю",
+  ya: "я",
+  ja: "я",
+  "'": "ь",
+  "''": "ъ",
+};
+
+export const UKRAINIAN = {
+  a: "а",
+  b: "б",
+  v: "в",
+  h: "г",
+  g: "ґ",
+  d: "д",
+  e: "е",
+  ye: "є",
+  je: "є",
+  zh: "ж",
+  z: "з",
+  y: "и",
+  i: "і",
+  yi: "ї",
+  ji: "ї",
+  j: "й",
+  k: "к",
+  l: "л",
+  m: "м",
+  n: "н",
+  o: "о",
+  p: "п",
+  r: "р",
+  s: "с",
+  t: "т",
+  u: "у",
+  f: "ф",
+  x: "х",
+  kh: "х",
+  c: "ц",
+  ts: "ц",
+  ch: "ч",
+  sh: "ш",
+  shch: "щ",
+  w: "щ",
+  yu: "ю",
+  ju: "ю",
+  ya: "я",
+  ja: "я",
+  "'": "ь",
+  // Apostrophe between consonant and vowel (м’ясо)
+  "''": "’",
+};
+
+// Tamil consonants
+const TAMIL_CONSONANTS = {
+  k: "க",
+  g: "க",
+  ng: "ங",
+  c: "ச",
+  ch: "ச",
+  s: "ச",
+  nj: "ஞ",
+  t: "ட",
+  d: "ட",
+  N: "ண",
+  th: "த",
+  dh: "த",
+  w: "ந",
+  n: "ன",
+  p: "ப",
+  b: "ப",
+  m: "ம",
+  y: "ய",
+  r: "ர",
+  l: "ல",
+  v: "வ",
+  zh: "ழ",
+  L: "ள",
+  R: "ற",
+  j: "ஜ",
+  sh: "ஷ",
+  S: "ஸ",
+  h: "ஹ",
+  ksh: "க்ஷ",
+};
+
+// Tamil vowels: [on their own, as a sign after a consonant]
+const TAMIL_VOWELS = {
+  a: ["அ", ""],
+  aa: ["ஆ", "ா"],
+  A: ["ஆ", "ா"],
+  i: ["இ", "ி"],
+  ii: ["ஈ", "ீ"],
+  I: ["ஈ", "ீ"],
+  u: ["உ", "ு"],
+  uu: ["ஊ", "ூ"],
+  U: ["ஊ", "ூ"],
+  e: ["எ", "ெ"],
+  ee: ["ஏ", "ே"],
+  E: ["ஏ", "ே"],
+  ai: ["ஐ", "ை"],
+  o: ["ஒ", "ொ"],
+  oo: ["ஓ", "ோ"],
+  O: ["ஓ", "ோ"],
+  au: ["ஔ", "ௌ"],
+};
+
+// Pulli - marks a consonant with no vowel
+const TAMIL_VIRAMA = "்";
+
+/**
+ * Build the Tamil table: every vowel, every consonant on its own (with
+ * pulli), and every consonant + vowel pair
+ * @returns {Object<string, string>}
+ */
+function buildTamil() {
+  const table = { q: "ஃ" };
+  for (const [latin, [vowel]] of Object.entries(TAMIL_VOWELS)) {
+    table[latin] = vowel;
+  }
+  for (const [latin, consonant] of Object.entries(TAMIL_CONSONANTS)) {
+    table[latin] = consonant + TAMIL_VIRAMA;
+    for (const [vowelLatin, [, sign]] of Object.entries(TAMIL_VOWELS)) {
+      table[latin + vowelLatin] = consonant + sign;
+    }
+  }
+  return table;
+}
+
+export const TAMIL = buildTamil();
+
+export default {
+  RUSSIAN,
+  UKRAINIAN,
+  TAMIL,
+};
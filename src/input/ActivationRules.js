@@ -0,0 +1,184 @@
+// Activation Rules
+// Allow/deny rules deciding on which pages, and for which fields, the
+// keyboard binds. Each rule has a URL glob and an optional CSS selector:
+//
+//   deny  https://pos.example.com/*               - never on this app
+//   deny  https://crm.example.com/* input.pin     - not for its PIN fields
+//   allow https://*.example.com/*                 - only on these sites
+//
+// Deny rules win. When there are allow rules, the keyboard only binds where
+// one of them matches; with none, it binds everywhere not denied.
+
+const ACTIONS = ["allow", "deny"];
+
+// Active rules, with URL globs compiled (see applyActivationRules)
+let activeRules = [];
+
+/**
+ * Compile a URL glob into a regular expression
+ * "*" matches any run of characters; everything else is literal, and the
+ * pattern must match the whole URL.
+ * @param {string} glob - e.g. "https://*.example.com/*"
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const source = glob
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Check a CSS selector is valid
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a stored rule is usable
+ * @param {*} rule
+ * @returns {string|null} Error message, or null if valid
+ */
+export function checkActivationRule(rule) {
+  if (!rule || typeof rule !== "object") return "must be an object";
+  if (!ACTIONS.includes(rule.action)) {
+    return `unknown action "${rule.action}" (use "allow" or "deny")`;
+  }
+  if (typeof rule.url !== "string" || !rule.url) return "missing URL pattern";
+  if (rule.selector !== undefined && !isValidSelector(rule.selector)) {
+    return `invalid CSS selector "${rule.selector}"`;
+  }
+  return null;
+}
+
+/**
+ * Replace the active rules
+ * Invalid rules are skipped with a warning rather than failing the rest.
+ * @param {Array<{action: string, url: string, selector?: string}>} rules
+ */
+export function applyActivationRules(rules) {
+  activeRules = [];
+  for (const rule of Array.isArray(rules) ? rules : []) {
+    const error = checkActivationRule(rule);
+    if (error) {
+      console.warn(`Virtual Keyboard: skipping activation rule: ${error}`);
+      continue;
+    }
+    activeRules.push({ ...rule, pattern: globToRegExp(rule.url) });
+  }
+}
+
+/**
+ * Check if a rule applies to a URL, and to an element when given
+ * @param {Object} rule - Compiled rule
+ * @param {string} url
+ * @param {HTMLElement} [element] - Omit to match page-wide rules only
+ * @returns {boolean}
+ */
+function ruleMatches(rule, url, element) {
+  if (!rule.pattern.test(url)) return false;
+  if (!rule.selector) return true;
+  return Boolean(element?.matches?.(rule.selector));
+}
+
+/**
+ * Check if the keyboard may bind anything on a page
+ * A page is active unless a page-wide deny rule matches, or allow rules
+ * exist and none of them matches its URL.
+ * @param {string} [url] - Defaults to the current page
+ * @returns {boolean}
+ */
+export function isPageAllowed(url = location.href) {
+  if (
+    activeRules.some(
+      (rule) =>
+        rule.action === "deny" && !rule.selector && ruleMatches(rule, url)
+    )
+  ) {
+    return false;
+  }
+  const allows = activeRules.filter((rule) => rule.action === "allow");
+  return allows.length === 0 || allows.some((rule) => rule.pattern.test(url));
+}
+
+/**
+ * Check if the keyboard may bind to a field
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+export function isFieldAllowed(element) {
+  if (activeRules.length === 0) return true;
+
+  const url = element.ownerDocument?.URL || location.href;
+  if (
+    activeRules.some(
+      (rule) => rule.action === "deny" && ruleMatches(rule, url, element)
+    )
+  ) {
+    return false;
+  }
+  const allows = activeRules.filter((rule) => rule.action === "allow");
+  return (
+    allows.length === 0 ||
+    allows.some((rule) => ruleMatches(rule, url, element))
+  );
+}
+
+/**
+ * Parse rules written one per line: "allow|deny <url-glob> [css selector]"
+ * Blank lines and lines starting with "#" are ignored.
+ * @param {string} text
+ * @returns {{rules: Array<Object>, errors: string[]}}
+ */
+export function parseActivationRules(text) {
+  const rules = [];
+  const errors = [];
+  text.split("\n").forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+
+    const [action, url, ...selectorParts] = trimmed.split(/\s+/);
+    const rule = { action: action.toLowerCase(), url };
+    if (selectorParts.length > 0) rule.selector = selectorParts.join(" ");
+
+    const error = checkActivationRule(rule);
+    if (error) {
+      errors.push(`Line ${index + 1}: ${error}`);
+    } else {
+      rules.push(rule);
+    }
+  });
+  return { rules, errors };
+}
+
+/**
+ * Write rules back in the one-per-line form parseActivationRules reads
+ * @param {Array<Object>} rules
+ * @returns {string}
+ */
+export function formatActivationRules(rules) {
+  return rules
+    .map(({ action, url, selector }) =>
+      [action, url, selector].filter(Boolean).join(" ")
+    )
+    .join("\n");
+}
+
+export default {
+  globToRegExp,
+  checkActivationRule,
+  applyActivationRules,
+  isPageAllowed,
+  isFieldAllowed,
+  parseActivationRules,
+  formatActivationRules,
+};
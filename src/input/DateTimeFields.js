@@ -0,0 +1,342 @@
+// Date and Time Fields
+// Segment-by-segment entry for date, time, datetime-local, month and week
+// inputs, typed on a digit pad instead of the browser's picker. While the
+// keyboard is open the field is a text input (see renderInputType) holding the
+// value in the format its type requires, with placeholders for segments not
+// yet entered:
+//
+//   date            yyyy-mm-dd   ->  2024-03-09
+//   time            hh:mm        ->  14:05
+//   datetime-local  yyyy-mm-ddThh:mm
+//   month           yyyy-mm
+//   week            yyyy-Www     ->  2024-W07
+//
+// Only a complete value is valid for the input type, so a partly entered one
+// reads as empty once the field's own type is restored. The page is only told
+// about complete values (see reportValue); if a partly entered value is
+// cleared when the type is restored, the page is told then.
+
+// Segment tokens: placeholder shown until entered, and the allowed range
+const TOKENS = {
+  YYYY: { placeholder: "yyyy", min: 1, max: 9999 },
+  MM: { placeholder: "mm", min: 1, max: 12 },
+  DD: { placeholder: "dd", min: 1, max: 31 },
+  ww: { placeholder: "ww", min: 1, max: 53 },
+  hh: { placeholder: "hh", min: 0, max: 23 },
+  mm: { placeholder: "mm", min: 0, max: 59 },
+};
+
+// Value format for each input type (tokens above, everything else literal)
+export const DATE_TIME_FORMATS = {
+  date: "YYYY-MM-DD",
+  time: "hh:mm",
+  "datetime-local": "YYYY-MM-DDThh:mm",
+  month: "YYYY-MM",
+  week: "YYYY-Www",
+};
+
+// Field -> the value the page last saw: its value before entry began, or the
+// last complete value entered
+const reportedValues = new WeakMap();
+
+/**
+ * Check if an input type is edited with the date/time pad
+ * @param {string} type - Input type (the original one, before editing)
+ * @returns {boolean}
+ */
+export function isDateTimeType(type) {
+  return Object.hasOwn(DATE_TIME_FORMATS, type);
+}
+
+/**
+ * Split a type's format into segments
+ * @param {string} type
+ * @returns {Array<{token: string, start: number, length: number,
+ *   placeholder: string, min: number, max: number}>}
+ */
+export function getSegments(type) {
+  const segments = [];
+  for (const match of DATE_TIME_FORMATS[type].matchAll(
+    /YYYY|MM|DD|ww|hh|mm/g
+  )) {
+    segments.push({
+      token: match[0],
+      start: match.index,
+      length: match[0].length,
+      ...TOKENS[match[0]],
+    });
+  }
+  return segments;
+}
+
+/**
+ * Build the text with every segment showing its placeholder
+ * @param {string} type
+ * @returns {string}
+ */
+function getTemplate(type) {
+  let text = DATE_TIME_FORMATS[type];
+  for (const segment of getSegments(type)) {
+    text = replaceSegment(text, segment, segment.placeholder);
+  }
+  return text;
+}
+
+/**
+ * Replace one segment of the text
+ * @param {string} text
+ * @param {Object} segment
+ * @param {string} value - Exactly segment.length characters
+ * @returns {string}
+ */
+function replaceSegment(text, segment, value) {
+  return (
+    text.slice(0, segment.start) +
+    value +
+    text.slice(segment.start + segment.length)
+  );
+}
+
+/**
+ * Check if a segment has been entered
+ * @param {string} text
+ * @param {Object} segment
+ * @returns {boolean}
+ */
+function isSegmentFilled(text, segment) {
+  return /^\d+$/.test(text.substr(segment.start, segment.length));
+}
+
+/**
+ * Check if every segment has been entered, making the text a valid value
+ * @param {string} text
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isComplete(text, type) {
+  return (
+    text.length === DATE_TIME_FORMATS[type].length &&
+    getSegments(type).every((segment) => isSegmentFilled(text, segment))
+  );
+}
+
+/**
+ * Get the text to edit for a field's current value
+ * Values with more precision than the pad enters (seconds) are shortened;
+ * anything else that isn't a valid value starts from the placeholders.
+ * @param {string} value - The input's value
+ * @param {string} type
+ * @returns {string}
+ */
+export function toEditText(value, type) {
+  const text = (value || "").slice(0, DATE_TIME_FORMATS[type].length);
+  return isComplete(text, type) ? text : getTemplate(type);
+}
+
+/**
+ * Get the segment a cursor position falls in
+ * @param {string} type
+ * @param {number} position
+ * @returns {number} Segment index
+ */
+export function getSegmentAt(type, position) {
+  const segments = getSegments(type);
+  const index = segments.findIndex(
+    (segment) => position < segment.start + segment.length
+  );
+  return index === -1 ? segments.length - 1 : index;
+}
+
+/**
+ * Get the number of days in a month
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {number}
+ */
+function daysInMonth(year, month) {
+  // setUTCFullYear, since Date.UTC maps years 0-99 to 1900-1999
+  const date = new Date(0);
+  date.setUTCFullYear(year, month, 0);
+  return date.getUTCDate();
+}
+
+/**
+ * Get the number of ISO weeks in a year (52 or 53)
+ * @param {number} year
+ * @returns {number}
+ */
+function weeksInYear(year) {
+  // A year has 53 weeks when it starts on a Thursday, or on a Wednesday in a
+  // leap year
+  const date = new Date(0);
+  date.setUTCFullYear(year, 0, 1);
+  const firstDay = date.getUTCDay();
+  const isLeap = daysInMonth(year, 2) === 29;
+  return firstDay === 4 || (isLeap && firstDay === 3) ? 53 : 52;
+}
+
+/**
+ * Clamp a complete value's day to its month, and week to its year
+ * @param {string} text - Complete value
+ * @param {string} type
+ * @returns {string}
+ */
+function normalize(text, type) {
+  const segments = getSegments(type);
+  const find = (token) => segments.find((segment) => segment.token === token);
+  const read = (segment) => Number(text.substr(segment.start, segment.length));
+  const year = find("YYYY");
+  const day = find("DD");
+  const week = find("ww");
+
+  if (year && day) {
+    const last = daysInMonth(read(year), read(find("MM")));
+    if (read(day) > last) text = replaceSegment(text, day, String(last));
+  }
+  if (year && week) {
+    const last = weeksInYear(read(year));
+    if (read(week) > last) text = replaceSegment(text, week, String(last));
+  }
+  return text;
+}
+
+/**
+ * Fill in a segment from the digits typed so far, clamped to its range
+ * @param {string} text
+ * @param {Object} segment
+ * @param {string} digits
+ * @returns {string}
+ */
+function commitSegment(text, segment, digits) {
+  const value = Math.min(segment.max, Math.max(segment.min, Number(digits)));
+  return replaceSegment(
+    text,
+    segment,
+    String(value).padStart(segment.length, "0")
+  );
+}
+
+/**
+ * Type a digit into a segment
+ * Digits fill the segment from the left; it's committed when full, or as soon
+ * as no further digit could keep it in range (e.g. 4 for a month), and entry
+ * moves on to the next segment.
+ * @param {string} text - Current edit text
+ * @param {string} type
+ * @param {number} index - Segment being entered
+ * @param {number} typed - Digits already typed into it
+ * @param {string} digit
+ * @returns {{text: string, index: number, typed: number}}
+ */
+export function typeDigit(text, type, index, typed, digit) {
+  const segments = getSegments(type);
+  const segment = segments[index];
+  const digits = text.substr(segment.start, typed) + digit;
+
+  if (digits.length < segment.length && Number(digits) * 10 <= segment.max) {
+    return {
+      text: replaceSegment(
+        text,
+        segment,
+        digits + segment.placeholder.slice(digits.length)
+      ),
+      index,
+      typed: digits.length,
+    };
+  }
+
+  text = commitSegment(text, segment, digits);
+  if (isComplete(text, type)) text = normalize(text, type);
+  return { text, index: Math.min(index + 1, segments.length - 1), typed: 0 };
+}
+
+/**
+ * Move to another segment, committing a partly typed one (1 -> 01)
+ * @param {string} text
+ * @param {string} type
+ * @param {number} index - Segment being entered
+ * @param {number} typed - Digits already typed into it
+ * @param {number} step - +1 for next, -1 for previous
+ * @returns {{text: string, index: number, typed: number}}
+ */
+export function moveSegment(text, type, index, typed, step) {
+  const segments = getSegments(type);
+  if (typed > 0) {
+    const segment = segments[index];
+    text = commitSegment(text, segment, text.substr(segment.start, typed));
+    if (isComplete(text, type)) text = normalize(text, type);
+  }
+  const next = Math.min(segments.length - 1, Math.max(0, index + step));
+  return { text, index: next, typed: 0 };
+}
+
+/**
+ * Clear a segment back to its placeholder
+ * An already empty segment clears the previous one instead, so repeated
+ * Backspace walks back through the value.
+ * @param {string} text
+ * @param {string} type
+ * @param {number} index
+ * @returns {{text: string, index: number, typed: number}}
+ */
+export function clearSegment(text, type, index) {
+  const segments = getSegments(type);
+  let segment = segments[index];
+  const isEmpty =
+    text.substr(segment.start, segment.length) === segment.placeholder;
+  if (isEmpty && index > 0) {
+    index--;
+    segment = segments[index];
+  }
+  return {
+    text: replaceSegment(text, segment, segment.placeholder),
+    index,
+    typed: 0,
+  };
+}
+
+/**
+ * Remember a field's value before entry begins (kept if already entered)
+ * @param {HTMLInputElement} element
+ */
+export function beginReporting(element) {
+  if (!reportedValues.has(element)) {
+    reportedValues.set(element, element.value);
+  }
+}
+
+/**
+ * Remember a complete value the page has been told about
+ * @param {HTMLInputElement} element
+ * @param {string} value
+ */
+export function reportValue(element, value) {
+  reportedValues.set(element, value);
+}
+
+/**
+ * Stop tracking a field once its own type is back
+ * @param {HTMLInputElement} element
+ * @returns {boolean} Whether its value differs from what the page last saw
+ */
+export function endReporting(element) {
+  if (!reportedValues.has(element)) return false;
+  const changed = reportedValues.get(element) !== element.value;
+  reportedValues.delete(element);
+  return changed;
+}
+
+export default {
+  DATE_TIME_FORMATS,
+  isDateTimeType,
+  getSegments,
+  isComplete,
+  toEditText,
+  getSegmentAt,
+  typeDigit,
+  moveSegment,
+  clearSegment,
+  beginReporting,
+  reportValue,
+  endReporting,
+};
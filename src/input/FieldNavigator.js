@@ -0,0 +1,119 @@
+// Field Navigator
+// Moves focus between the fields the keyboard types into, for the PrevField
+// and NextField keys - filling in a form without reaching past the keyboard
+// to tap each field. Fields are found in tab order across open shadow roots
+// and same-origin iframes (cross-origin iframes host their own keyboard).
+
+import { DOM_IDS } from "../core/config.js";
+import { isFieldAllowed } from "./ActivationRules.js";
+import { isReadOnly, isSupportedInput } from "./InputBinder.js";
+import { getInputMode } from "./InputHints.js";
+import { walkElements } from "./ShadowDOMWatcher.js";
+
+/**
+ * Read an element's tabindex attribute
+ * Browsers give editable content a tabIndex of 0 even without the attribute,
+ * so only an explicit value counts.
+ * @param {HTMLElement} element
+ * @returns {number}
+ */
+function getTabIndex(element) {
+  const value = Number.parseInt(element.getAttribute("tabindex"), 10);
+  return Number.isNaN(value) ? 0 : value;
+}
+
+/**
+ * Check if Tab (and so the navigation keys) would stop at a field
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isNavigable(element) {
+  return (
+    isSupportedInput(element) &&
+    isFieldAllowed(element) &&
+    !isReadOnly(element) &&
+    getTabIndex(element) >= 0 &&
+    getInputMode(element) !== "none" &&
+    // Hidden fields (display: none, detached) have no boxes
+    element.getClientRects().length > 0
+  );
+}
+
+/**
+ * Collect the navigable fields in a document, in document order
+ * @param {Document} doc
+ * @param {HTMLElement[]} [fields] - Array to add to
+ * @returns {HTMLElement[]}
+ */
+function collectFields(doc, fields = []) {
+  for (const node of walkElements(doc, true)) {
+    if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+    if (node.localName === "iframe") {
+      let frameDoc = null;
+      try {
+        frameDoc = node.contentDocument;
+      } catch {
+        // Cross-origin iframe, skip
+      }
+      if (frameDoc) collectFields(frameDoc, fields);
+    } else if (
+      isNavigable(node) &&
+      // Not the keyboard's own URL bar
+      node.getRootNode().host?.id !== DOM_IDS.KEYBOARD_HOST
+    ) {
+      fields.push(node);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Get the fields the navigation keys move between, in tab order
+ * Fields with a positive tabindex come first, lowest first, then the rest in
+ * document order.
+ * @param {Document} [doc]
+ * @returns {HTMLElement[]}
+ */
+export function getNavigableFields(doc = document) {
+  const fields = collectFields(doc);
+  const positive = fields.filter((field) => getTabIndex(field) > 0);
+  positive.sort((a, b) => getTabIndex(a) - getTabIndex(b));
+  return [...positive, ...fields.filter((field) => getTabIndex(field) === 0)];
+}
+
+/**
+ * Find the field before or after another one
+ * @param {HTMLElement|null} current - Field that has focus
+ * @param {number} step - 1 for the next field, -1 for the previous one
+ * @param {Document} [doc]
+ * @returns {HTMLElement|null} Null at either end of the page
+ */
+export function findAdjacentField(current, step, doc = document) {
+  const fields = getNavigableFields(doc);
+  const index = fields.indexOf(current);
+  if (index === -1) {
+    return (step > 0 ? fields[0] : fields[fields.length - 1]) || null;
+  }
+  return fields[index + step] || null;
+}
+
+/**
+ * Focus the field before or after another one
+ * The caller scrolls it into view above the keyboard, so the browser's own
+ * scroll on focus is prevented.
+ * @param {HTMLElement|null} current
+ * @param {number} step - 1 for the next field, -1 for the previous one
+ * @returns {HTMLElement|null} The focused field, or null if there's none
+ */
+export function focusAdjacentField(current, step) {
+  const field = findAdjacentField(current, step);
+  field?.focus({ preventScroll: true });
+  return field;
+}
+
+export default {
+  getNavigableFields,
+  findAdjacentField,
+  focusAdjacentField,
+};
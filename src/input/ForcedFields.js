@@ -0,0 +1,136 @@
+// Forced Fields
+// Elements the user picked with the "Type here with virtual keyboard"
+// context menu item, for widgets isSupportedInput doesn't recognise (canvas
+// editors, custom controls). Fields the user asked to remember are stored as
+// CSS selectors per origin and bound like ordinary inputs on later visits.
+
+// Selectors remembered for this page's origin (see applyForcedFields)
+let forcedSelectors = [];
+
+// Element the context menu was last opened on
+let contextMenuTarget = null;
+
+/**
+ * Build a CSS selector that finds an element again on a later visit
+ * Uses the nearest ID, then tag names with :nth-of-type down to the element.
+ * Stops at a shadow root, so the selector is relative to it.
+ * @param {HTMLElement} element
+ * @returns {string}
+ */
+export function getElementSelector(element) {
+  const parts = [];
+  let current = element;
+  while (current?.nodeType === Node.ELEMENT_NODE) {
+    if (current.id) {
+      parts.unshift(`#${CSS.escape(current.id)}`);
+      break;
+    }
+    const tag = current.localName;
+    const parent = current.parentElement;
+    if (!parent) {
+      parts.unshift(tag);
+      break;
+    }
+    const sameTag = [...parent.children].filter(
+      (child) => child.localName === tag
+    );
+    parts.unshift(
+      sameTag.length > 1
+        ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})`
+        : tag
+    );
+    current = parent;
+  }
+  return parts.join(" > ");
+}
+
+/**
+ * Check a CSS selector is valid
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Use the remembered fields for an origin
+ * Invalid selectors are dropped so they can't break querySelectorAll.
+ * @param {Object<string, string[]>} fieldsByOrigin - Origin -> selectors
+ * @param {string} [origin] - Defaults to the current page's origin
+ */
+export function applyForcedFields(fieldsByOrigin, origin = location.origin) {
+  const selectors = fieldsByOrigin?.[origin];
+  forcedSelectors = Array.isArray(selectors)
+    ? selectors.filter(
+        (selector) => typeof selector === "string" && isValidSelector(selector)
+      )
+    : [];
+}
+
+/**
+ * Get a selector matching every remembered field, for querySelectorAll
+ * @returns {string} Empty when there are none
+ */
+export function getForcedFieldsSelector() {
+  return forcedSelectors.join(", ");
+}
+
+/**
+ * Check if the user chose to always use the keyboard for an element
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+export function isForcedField(element) {
+  return forcedSelectors.some((selector) => element.matches?.(selector));
+}
+
+/**
+ * Remember the element each context menu opens on
+ * Runs in the capture phase, and reads the composed path so elements inside
+ * open shadow roots are found.
+ * @param {Document} [doc]
+ */
+export function trackContextMenuTarget(doc = document) {
+  doc.addEventListener(
+    "contextmenu",
+    (event) => {
+      contextMenuTarget = event.composedPath()[0] || event.target;
+    },
+    true
+  );
+}
+
+/**
+ * Get the element the context menu was last opened on
+ * Inside editable content this is the editing host rather than the child
+ * element (paragraph, span) that was right-clicked.
+ * @returns {HTMLElement|null}
+ */
+export function getContextMenuTarget() {
+  let element = contextMenuTarget;
+  if (element?.nodeType !== Node.ELEMENT_NODE) {
+    element = element?.parentElement || null;
+  }
+  while (
+    element?.isContentEditable &&
+    element.parentElement?.isContentEditable
+  ) {
+    element = element.parentElement;
+  }
+  return element;
+}
+
+export default {
+  getElementSelector,
+  applyForcedFields,
+  getForcedFieldsSelector,
+  isForcedField,
+  trackContextMenuTarget,
+  getContextMenuTarget,
+};
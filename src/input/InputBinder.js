@@ -4,9 +4,99 @@
 import { INPUT_TYPES } from "../core/config.js";
 import { EVENTS, emit } from "../core/events.js";
 import { focusState } from "../core/state.js";
+import { isFieldAllowed } from "./ActivationRules.js";
+import { getForcedFieldsSelector, isForcedField } from "./ForcedFields.js";
+import { getInputMode } from "./InputHints.js";
 
 const BOUND_ATTR = "data-vk-enabled";
 
+// contenteditable values that make an element editable ("" means "true")
+const EDITABLE_VALUES = ["", "true", "plaintext-only"];
+
+// ARIA roles for custom text fields (a combobox only counts when it's
+// editable itself - otherwise it's a select-like list)
+const TEXTBOX_ROLES = ["textbox", "searchbox"];
+
+// Roles whose Enter key confirms rather than adding a line
+const SINGLE_LINE_ROLES = ["searchbox", "combobox"];
+
+/**
+ * Check if an element is an editing host: contenteditable is set on the
+ * element itself, or it's the body of a designMode document
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+export function isEditingHost(element) {
+  const value = element.getAttribute?.("contenteditable");
+  if (
+    typeof value === "string" &&
+    EDITABLE_VALUES.includes(value.toLowerCase())
+  ) {
+    return true;
+  }
+  const doc = element.ownerDocument;
+  return element === doc?.body && doc.designMode === "on";
+}
+
+/**
+ * Find the editing host an element inherits its editability from
+ * @param {HTMLElement} element
+ * @returns {HTMLElement|null} Null when the element isn't editable
+ */
+export function getEditingHost(element) {
+  for (
+    let node = element;
+    node?.nodeType === Node.ELEMENT_NODE;
+    node = node.parentElement
+  ) {
+    if (isEditingHost(node)) return node;
+    // contenteditable="false" islands aren't editable
+    if (node.getAttribute("contenteditable")?.toLowerCase() === "false") {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if an editable element only takes plain text (Enter adds "\n")
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+export function isPlainTextOnly(element) {
+  return (
+    getEditingHost(element)?.getAttribute("contenteditable")?.toLowerCase() ===
+    "plaintext-only"
+  );
+}
+
+/**
+ * Check if a custom text field holds a single line (search boxes,
+ * comboboxes, or aria-multiline="false"), so Enter confirms it
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+export function isSingleLineField(element) {
+  return (
+    SINGLE_LINE_ROLES.includes(element.getAttribute?.("role")) ||
+    element.getAttribute?.("aria-multiline") === "false"
+  );
+}
+
+/**
+ * Check if a field is read-only or disabled, natively or through ARIA
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+export function isReadOnly(element) {
+  return Boolean(
+    element.disabled ||
+      element.readOnly ||
+      element.getAttribute?.("aria-readonly") === "true" ||
+      element.getAttribute?.("aria-disabled") === "true"
+  );
+}
+
 /**
  * Check if an element is a supported input type
  * @param {HTMLElement} element
@@ -16,24 +106,22 @@ export function isSupportedInput(element) {
   if (!element || !element.nodeName) return false;
 
   const nodeName = element.nodeName.toUpperCase();
+  let editable = false;
 
   if (nodeName === "INPUT") {
-    return INPUT_TYPES.includes(element.type);
-  }
-
-  if (nodeName === "TEXTAREA") {
-    return true;
-  }
-
-  // Contenteditable elements
-  if (
-    element.getAttribute?.("role") === "textbox" ||
-    element.getAttribute?.("contenteditable") === "true"
+    editable = INPUT_TYPES.includes(element.type);
+  } else if (nodeName === "TEXTAREA") {
+    editable = true;
+  } else if (
+    // Contenteditable elements, designMode documents and ARIA text fields
+    isEditingHost(element) ||
+    TEXTBOX_ROLES.includes(element.getAttribute?.("role"))
   ) {
-    return true;
+    editable = true;
   }
 
-  return false;
+  // Fields the user picked from the context menu and asked to remember
+  return editable || isForcedField(element);
 }
 
 /**
@@ -49,8 +137,9 @@ export function getInputType(element) {
   }
 
   if (
-    element.getAttribute?.("role") === "textbox" ||
-    element.getAttribute?.("contenteditable") === "true"
+    nodeName !== "INPUT" &&
+    (getEditingHost(element) ||
+      TEXTBOX_ROLES.includes(element.getAttribute?.("role")))
   ) {
     return "contenteditable";
   }
@@ -110,6 +199,26 @@ export function bindInput(element) {
   }
 }
 
+/**
+ * Bind an element the keyboard didn't detect and open the keyboard on it
+ * Used by the context menu item, so any element can be typed into.
+ * @param {HTMLElement} element
+ */
+export function forceBindInput(element) {
+  if (!element) return;
+  bindInput(element);
+
+  // Let elements like canvas take focus, so the keyboard's events reach them
+  if (!element.hasAttribute("tabindex") && element.tabIndex < 0) {
+    element.setAttribute("tabindex", "-1");
+  }
+  element.focus();
+  const doc = element.ownerDocument || document;
+  if (doc.activeElement !== element) {
+    handleFocus(element, getInputType(element), true);
+  }
+}
+
 /**
  * Handle input blur
  * @param {HTMLElement} element
@@ -136,7 +245,12 @@ function handlePointerDown(event) {
  * @param {boolean} isFocus - true for focus event, false for click
  */
 function handleFocus(element, inputType, isFocus) {
-  if (element.disabled || element.readOnly) return;
+  if (isReadOnly(element)) return;
+  // inputmode="none" means the page shows its own keyboard
+  if (getInputMode(element) === "none") return;
+  // Allow/deny rules are checked here rather than when binding - they can
+  // change, and so can the URL in single-page apps
+  if (!isFieldAllowed(element)) return;
 
   emit(EVENTS.INPUT_FOCUS, {
     element,
@@ -150,8 +264,10 @@ function handleFocus(element, inputType, isFocus) {
  * @param {HTMLElement|Document|ShadowRoot} container
  */
 export function bindAllInputs(container = document) {
-  const selector =
-    'input, textarea, [contenteditable="true"], [role="textbox"]';
+  let selector =
+    'input, textarea, [contenteditable], [role="textbox"], [role="searchbox"]';
+  const forced = getForcedFieldsSelector();
+  if (forced) selector += `, ${forced}`;
   const elements = container.querySelectorAll(selector);
 
   for (const element of elements) {
@@ -179,14 +295,28 @@ export function processAddedNode(node) {
   }
 }
 
+/**
+ * Find the field a focus event is for
+ * Focus can land on an element inside an editor (a focusable child, or the
+ * body of a designMode document), which inherits its editing host's field.
+ * @param {EventTarget} target
+ * @returns {HTMLElement|null}
+ */
+function getFocusedField(target) {
+  if (!target || target.nodeType !== Node.ELEMENT_NODE) return null;
+  if (isSupportedInput(target)) return target;
+  const host = getEditingHost(target);
+  return host && isSupportedInput(host) ? host : null;
+}
+
 /**
  * Handle document-level focus events as a fallback
  * This catches inputs that weren't bound by MutationObserver
  * @param {FocusEvent} event
  */
 function handleDocumentFocus(event) {
-  const element = event.target;
-  if (!element || !isSupportedInput(element)) return;
+  const element = getFocusedField(event.target);
+  if (!element) return;
 
   // If not bound, bind it now and trigger focus explicitly
   // (bindInput's activeElement check may not work reliably across all contexts)
@@ -208,10 +338,16 @@ export function startDocumentFocusListener(doc = document) {
 }
 
 export default {
+  isEditingHost,
+  getEditingHost,
+  isPlainTextOnly,
+  isSingleLineField,
+  isReadOnly,
   isSupportedInput,
   getInputType,
   isBound,
   bindInput,
+  forceBindInput,
   bindAllInputs,
   processAddedNode,
   startDocumentFocusListener,
@@ -0,0 +1,110 @@
+// Input Hints
+// Attributes pages use to describe the keyboard a field wants: inputmode,
+// enterkeyhint and autocomplete. They apply to any field (inputs, textareas,
+// editable content), and inputmode takes precedence over the input type, so
+// <input type="text" inputmode="numeric"> gets the digit pad.
+
+import { isDateTimeType } from "./DateTimeFields.js";
+
+// Recognised inputmode values ("none" means the page shows its own keyboard)
+const INPUT_MODES = [
+  "none",
+  "text",
+  "decimal",
+  "numeric",
+  "tel",
+  "search",
+  "email",
+  "url",
+];
+
+// Recognised enterkeyhint values
+const ENTER_KEY_HINTS = [
+  "enter",
+  "done",
+  "go",
+  "next",
+  "previous",
+  "search",
+  "send",
+];
+
+/**
+ * Read an enumerated attribute, ignoring case and unknown values
+ * @param {HTMLElement} element
+ * @param {string} name
+ * @param {string[]} values
+ * @returns {string|null}
+ */
+function getEnumAttribute(element, name, values) {
+  const value = element?.getAttribute?.(name)?.trim().toLowerCase();
+  return values.includes(value) ? value : null;
+}
+
+/**
+ * Get a field's inputmode
+ * @param {HTMLElement} element
+ * @returns {string|null} null when missing or not recognised
+ */
+export function getInputMode(element) {
+  return getEnumAttribute(element, "inputmode", INPUT_MODES);
+}
+
+/**
+ * Get a field's enterkeyhint
+ * @param {HTMLElement} element
+ * @returns {string|null} null when missing or not recognised
+ */
+export function getEnterKeyHint(element) {
+  return getEnumAttribute(element, "enterkeyhint", ENTER_KEY_HINTS);
+}
+
+/**
+ * Check if a field asks for a one-time code (SMS or authenticator digits)
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+export function isOneTimeCode(element) {
+  const tokens = (element?.getAttribute?.("autocomplete") || "")
+    .toLowerCase()
+    .split(/\s+/);
+  return tokens.includes("one-time-code");
+}
+
+/**
+ * Pick the keyboard for a field
+ * Date/time fields always get their pad, since their value has a fixed format.
+ * Otherwise a one-time code or inputmode decides, then the input type.
+ * @param {HTMLElement} element
+ * @returns {'digits'|'number'|'dateTime'|'email'|'text'}
+ */
+export function getKeyboardKind(element) {
+  const type = element?.getAttribute?.("data-original-type");
+  if (isDateTimeType(type)) return "dateTime";
+  if (isOneTimeCode(element)) return "digits";
+
+  switch (getInputMode(element)) {
+    case null:
+      break;
+    case "numeric":
+      return "digits";
+    case "decimal":
+    case "tel":
+      return "number";
+    case "email":
+      return "email";
+    default:
+      return "text";
+  }
+
+  if (type === "number" || type === "tel") return "number";
+  if (type === "email") return "email";
+  return "text";
+}
+
+export default {
+  getInputMode,
+  getEnterKeyHint,
+  isOneTimeCode,
+  getKeyboardKind,
+};
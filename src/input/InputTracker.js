@@ -4,6 +4,7 @@
 import { MESSAGE_TYPES, TIMING } from "../core/config.js";
 import { EVENTS, emit, on } from "../core/events.js";
 import { focusState, runtimeState, scrollState } from "../core/state.js";
+import { endReporting, isDateTimeType } from "./DateTimeFields.js";
 
 // Counter for generating unique element IDs in iframes
 let iframeElementCount = 0;
@@ -110,12 +111,13 @@ function handleInputFocus({ element, inputType, isFocus }) {
  * @param {HTMLElement} element
  */
 function handleInputBlur(element) {
+  // Restore original input type if we changed it (first, so a change
+  // handler reads the value in the field's own type)
+  restoreInputType(element);
+
   // Fire change event if content was modified
   fireChangeIfNeeded();
 
-  // Restore original input type if we changed it
-  restoreInputType(element);
-
   // Clear focused element
   focusState.set("element", null);
 
@@ -153,6 +155,15 @@ function restoreInputType(element) {
   const originalType = element.getAttribute("data-original-type");
   if (originalType && element.type !== originalType) {
     element.type = originalType;
+
+    // A partly entered date/time reads as empty in its own type; tell the
+    // page if that isn't the value it last saw (the change event follows)
+    if (isDateTimeType(originalType) && endReporting(element)) {
+      element.dispatchEvent(
+        new InputEvent("input", { bubbles: true, inputType: "deleteContent" })
+      );
+      markChanged();
+    }
   }
 }
 
@@ -26,6 +26,7 @@ function processPendingMutations() {
   pendingMutations = [];
   debounceTimeout = null;
 
+  // Fields are bound on every page - allow/deny rules are checked on focus
   for (const mutation of mutations) {
     for (const node of mutation.addedNodes) {
       processAddedNode(node);
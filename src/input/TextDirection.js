@@ -0,0 +1,40 @@
+// Text Direction
+// Arrow keys and the spacebar swipe move the cursor the way they point on
+// screen. In a right-to-left field (Arabic, Hebrew, Persian) that is the
+// opposite of the text's logical order, so a step to the right moves back
+// through the value.
+
+/**
+ * Check if a field lays its text out right to left
+ * Covers the dir attribute on the field or an ancestor (including
+ * dir="auto" resolved from the text) and the CSS direction property.
+ * @param {HTMLElement|null} element
+ * @returns {boolean}
+ */
+export function isRtlField(element) {
+  if (!element) return false;
+  try {
+    if (element.matches(":dir(rtl)")) return true;
+  } catch (_e) {
+    // :dir() isn't supported everywhere
+  }
+  const view = element.ownerDocument?.defaultView;
+  if (view?.getComputedStyle(element).direction === "rtl") return true;
+  return element.closest?.("[dir]")?.getAttribute("dir") === "rtl";
+}
+
+/**
+ * Turn an on-screen step into a step through the field's value
+ * @param {number} direction - -1 for left, 1 for right
+ * @param {HTMLElement|null} element - Field the cursor is in
+ * @returns {number} -1 to move back through the text, 1 to move forward
+ */
+export function getLogicalStep(direction, element) {
+  const step = direction < 0 ? -1 : 1;
+  return isRtlField(element) ? -step : step;
+}
+
+export default {
+  isRtlField,
+  getLogicalStep,
+};
@@ -0,0 +1,65 @@
+// Clipboard
+// System clipboard access for the Copy, Cut and Paste keys. Text copied from
+// the keyboard is also kept here, so Paste still works where the page blocks
+// the clipboard API (insecure origins, clipboard permission policies).
+// Reading needs the optional clipboardRead permission; the first Paste
+// without it opens the settings page where it can be granted.
+
+import { MESSAGE_TYPES } from "../core/config.js";
+
+// Text last copied or cut with the keyboard
+let lastCopied = "";
+
+// Whether clipboardRead has been granted
+let canRead = false;
+
+/**
+ * Put text on the clipboard
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+export async function writeClipboard(text) {
+  lastCopied = text;
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (_e) {
+    // Clipboard unavailable - Paste falls back to lastCopied
+  }
+}
+
+/**
+ * Read text from the clipboard
+ * @returns {Promise<string>}
+ */
+export async function readClipboard() {
+  // Not awaited - the permission is granted on the settings page, which
+  // would take focus from the field mid-paste
+  requestReadPermission();
+  try {
+    return await navigator.clipboard.readText();
+  } catch (_e) {
+    return lastCopied;
+  }
+}
+
+/**
+ * Ask the background worker for clipboardRead until it's granted (only
+ * extension pages can request a permission)
+ * @returns {Promise<void>}
+ */
+async function requestReadPermission() {
+  if (canRead) return;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      method: MESSAGE_TYPES.REQUEST_CLIPBOARD_READ,
+    });
+    canRead = response?.granted === true;
+  } catch (_e) {
+    // Extension reloaded - the page's own clipboard access still applies
+  }
+}
+
+export default {
+  writeClipboard,
+  readClipboard,
+};
@@ -0,0 +1,53 @@
+// Compose Sequences
+// Dead keys and the Compose key hold back the keys typed after them until
+// they spell a sequence in the layout's `compose` table ("´e" -> "é",
+// "o/" -> "ø"), the way they do on a physical keyboard.
+
+/**
+ * Look up a sequence in a compose table
+ * An uppercase sequence with no entry of its own uses the lowercase one,
+ * uppercased ("´E" -> "É").
+ * @param {Object<string, string>} table - Sequence -> text
+ * @param {string} sequence - Keys typed so far
+ * @returns {{text: string|null, partial: boolean}} The text for a complete
+ *   sequence, and whether a longer sequence starts with it
+ */
+export function matchSequence(table, sequence) {
+  const lower = sequence.toLowerCase();
+  let text = null;
+  if (Object.hasOwn(table, sequence)) {
+    text = table[sequence];
+  } else if (Object.hasOwn(table, lower)) {
+    text = table[lower].toUpperCase();
+  }
+
+  const partial = Object.keys(table).some(
+    (entry) =>
+      entry.length > sequence.length &&
+      (entry.startsWith(sequence) || entry.startsWith(lower))
+  );
+  return { text, partial };
+}
+
+/**
+ * Get the characters a layout types with dead keys
+ * Both the key and its shifted character are dead (´ and ` share a key).
+ * @param {Object|null} layout - Layout definition
+ * @returns {Set<string>}
+ */
+export function getDeadKeys(layout) {
+  const deadKeys = new Set();
+  for (const row of layout?.rows ?? []) {
+    for (const key of row) {
+      if (typeof key !== "object" || !key.dead) continue;
+      deadKeys.add(key.key);
+      if (key.shift) deadKeys.add(key.shift);
+    }
+  }
+  return deadKeys;
+}
+
+export default {
+  matchSequence,
+  getDeadKeys,
+};
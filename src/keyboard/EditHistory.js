@@ -0,0 +1,357 @@
+// Edit History
+// Undo/redo for edits made with the keyboard. The keyboard sets field values
+// directly, which the browser's own undo stack doesn't see, so each field
+// keeps its own history here: a snapshot of its content and selection before
+// every edit. Runs of typing (or deleting) count as one undo step.
+//
+// The content after each keyboard edit is kept too. If the field no longer
+// holds it - the page or the user changed it some other way - the history is
+// dropped rather than undoing over that change. Contenteditable content is
+// compared and restored as text (with "\n" for <br>): only the text that
+// differs is replaced, so the markup around it is kept. It's a plain DOM edit,
+// like the keyboard's own - execCommand would fire typing events inside the
+// historyUndo/historyRedo pair and add steps to the browser's undo stack.
+
+import { TIMING } from "../core/config.js";
+
+// Oldest steps are dropped past this many
+const MAX_STEPS = 100;
+
+// Field -> { undo: Snapshot[], redo: Snapshot[], kind, time, after }
+// after is the content once the last edit settled (null until then)
+const histories = new WeakMap();
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} content - Value, or text for contenteditable
+ * @property {number} start - Selection start (text offset)
+ * @property {number} end - Selection end (text offset)
+ */
+
+/**
+ * Check if an element is edited through its value (input/textarea)
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function hasValue(element) {
+  return element.localName === "input" || element.localName === "textarea";
+}
+
+/**
+ * Walk the text nodes and line breaks of a contenteditable element
+ * @param {HTMLElement} element
+ * @returns {TreeWalker}
+ */
+function walkText(element) {
+  return element.ownerDocument.createTreeWalker(
+    element,
+    NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
+    (node) =>
+      node.nodeType === Node.TEXT_NODE || node.localName === "br"
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_SKIP
+  );
+}
+
+/**
+ * Get the text of a contenteditable element, with "\n" for each <br>
+ * @param {HTMLElement} element
+ * @returns {string}
+ */
+function getText(element) {
+  const walker = walkText(element);
+  let text = "";
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    text += node.nodeType === Node.TEXT_NODE ? node.data : "\n";
+  }
+  return text;
+}
+
+/**
+ * Get a field's content: its value, or its text for contenteditable
+ * @param {HTMLElement} element
+ * @returns {string}
+ */
+function getContent(element) {
+  return hasValue(element) ? element.value : getText(element);
+}
+
+/**
+ * Get the text offset of a point inside a contenteditable element
+ * @param {HTMLElement} element
+ * @param {Node} node
+ * @param {number} offset
+ * @returns {number}
+ */
+function getTextOffset(element, node, offset) {
+  const range = element.ownerDocument.createRange();
+  range.setStart(element, 0);
+  range.setEnd(node, offset);
+  const before = range.cloneContents();
+  return before.textContent.length + before.querySelectorAll("br").length;
+}
+
+/**
+ * Find the point at a text offset in a contenteditable element
+ * @param {HTMLElement} element
+ * @param {number} offset
+ * @returns {{node: Node, offset: number}}
+ */
+function findTextPoint(element, offset) {
+  const walker = walkText(element);
+  let remaining = offset;
+  let last = null;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (remaining <= node.length) return { node, offset: remaining };
+      remaining -= node.length;
+      last = { node, offset: node.length };
+    } else {
+      const index = Array.prototype.indexOf.call(
+        node.parentNode.childNodes,
+        node
+      );
+      if (remaining === 0) return { node: node.parentNode, offset: index };
+      remaining -= 1;
+      last = { node: node.parentNode, offset: index + 1 };
+    }
+  }
+  // Past the end - after the last text, or at the end of an empty field
+  return last || { node: element, offset: element.childNodes.length };
+}
+
+/**
+ * Select a span of text in a contenteditable element
+ * @param {HTMLElement} element
+ * @param {number} start
+ * @param {number} end
+ */
+function selectText(element, start, end) {
+  const startPoint = findTextPoint(element, start);
+  const endPoint = findTextPoint(element, end);
+  const range = element.ownerDocument.createRange();
+  range.setStart(startPoint.node, startPoint.offset);
+  range.setEnd(endPoint.node, endPoint.offset);
+  const selection = element.ownerDocument.defaultView.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+/**
+ * Replace the selected text in a contenteditable element
+ * @param {HTMLElement} element
+ * @param {string} text - "\n" becomes a <br>
+ */
+function replaceSelectedText(element, text) {
+  const doc = element.ownerDocument;
+  const range = doc.defaultView.getSelection().getRangeAt(0);
+  range.deleteContents();
+
+  const fragment = doc.createDocumentFragment();
+  text.split("\n").forEach((line, i) => {
+    if (i > 0) fragment.append(doc.createElement("br"));
+    if (line) fragment.append(doc.createTextNode(line));
+  });
+  if (text) range.insertNode(fragment);
+}
+
+/**
+ * Capture a field's content and selection
+ * @param {HTMLElement} element
+ * @returns {Snapshot}
+ */
+function takeSnapshot(element) {
+  if (hasValue(element)) {
+    let start = element.value.length;
+    let end = start;
+    try {
+      start = element.selectionStart ?? start;
+      end = element.selectionEnd ?? end;
+    } catch (_e) {
+      // Some input types don't support selection
+    }
+    return { content: element.value, start, end };
+  }
+
+  const selection = element.ownerDocument.defaultView.getSelection();
+  const range = selection.rangeCount ? selection.getRangeAt(0) : null;
+  const content = getText(element);
+  if (!range || !element.contains(range.commonAncestorContainer)) {
+    return { content, start: content.length, end: content.length };
+  }
+  return {
+    content,
+    start: getTextOffset(element, range.startContainer, range.startOffset),
+    end: getTextOffset(element, range.endContainer, range.endOffset),
+  };
+}
+
+/**
+ * Put a field back to a snapshot
+ * @param {HTMLElement} element
+ * @param {Snapshot} snapshot
+ */
+function restoreSnapshot(element, { content, start, end }) {
+  if (hasValue(element)) {
+    element.value = content;
+    try {
+      element.setSelectionRange(start, end);
+    } catch (_e) {
+      // Some input types don't support selection
+    }
+    return;
+  }
+
+  // Replace only the text that differs, keeping the markup around it
+  const current = getText(element);
+  let prefix = 0;
+  while (
+    prefix < current.length &&
+    prefix < content.length &&
+    current[prefix] === content[prefix]
+  ) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < current.length - prefix &&
+    suffix < content.length - prefix &&
+    current.at(-1 - suffix) === content.at(-1 - suffix)
+  ) {
+    suffix++;
+  }
+
+  if (prefix < current.length - suffix || prefix < content.length - suffix) {
+    selectText(element, prefix, current.length - suffix);
+    replaceSelectedText(
+      element,
+      content.slice(prefix, content.length - suffix)
+    );
+  }
+  selectText(element, start, end);
+}
+
+/**
+ * Keep a field's content once the current edit (and the page's input
+ * handlers) have run
+ * @param {HTMLElement} element
+ * @param {Object} history
+ */
+function settleLater(element, history) {
+  history.after = null;
+  queueMicrotask(() => {
+    if (history.after === null) history.after = getContent(element);
+  });
+}
+
+/**
+ * Get a field's history, dropping it if the field was changed since the
+ * keyboard last edited it
+ * @param {HTMLElement} element
+ */
+function getCurrentHistory(element) {
+  const history = histories.get(element);
+  if (!history) return null;
+  // Asked before the edit settled - it's still the keyboard's content
+  if (history.after === null) history.after = getContent(element);
+  if (history.after !== getContent(element)) {
+    histories.delete(element);
+    return null;
+  }
+  return history;
+}
+
+/**
+ * Get a field's history, creating it if needed
+ * @param {HTMLElement} element
+ */
+function getHistory(element) {
+  let history = getCurrentHistory(element);
+  if (!history) {
+    history = { undo: [], redo: [], kind: null, time: 0, after: null };
+    histories.set(element, history);
+  }
+  return history;
+}
+
+/**
+ * Record a field's state before the keyboard edits it
+ * Consecutive edits of the same kind in quick succession join one step.
+ * @param {HTMLElement} element
+ * @param {string} [kind] - "insert" and "delete" group into runs; anything
+ *   else is always its own step
+ */
+export function recordEdit(element, kind = "other") {
+  const history = getHistory(element);
+  const now = Date.now();
+  const continuesRun =
+    kind === history.kind &&
+    kind !== "other" &&
+    now - history.time < TIMING.UNDO_GROUP_DELAY;
+
+  if (!continuesRun) {
+    history.undo.push(takeSnapshot(element));
+    if (history.undo.length > MAX_STEPS) history.undo.shift();
+  }
+  history.redo = [];
+  history.kind = kind;
+  history.time = now;
+  settleLater(element, history);
+}
+
+/**
+ * Check if a field has edits to undo
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+export function canUndo(element) {
+  return (getCurrentHistory(element)?.undo.length ?? 0) > 0;
+}
+
+/**
+ * Check if a field has undone edits to redo
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+export function canRedo(element) {
+  return (getCurrentHistory(element)?.redo.length ?? 0) > 0;
+}
+
+/**
+ * Undo the last edit step in a field
+ * @param {HTMLElement} element
+ * @returns {boolean} False if there was nothing to undo
+ */
+export function undo(element) {
+  if (!canUndo(element)) return false;
+  const history = histories.get(element);
+  history.redo.push(takeSnapshot(element));
+  restoreSnapshot(element, history.undo.pop());
+  // The next edit starts a new step
+  history.kind = null;
+  settleLater(element, history);
+  return true;
+}
+
+/**
+ * Redo the last undone edit step in a field
+ * @param {HTMLElement} element
+ * @returns {boolean} False if there was nothing to redo
+ */
+export function redo(element) {
+  if (!canRedo(element)) return false;
+  const history = histories.get(element);
+  history.undo.push(takeSnapshot(element));
+  restoreSnapshot(element, history.redo.pop());
+  history.kind = null;
+  settleLater(element, history);
+  return true;
+}
+
+export default {
+  recordEdit,
+  canUndo,
+  canRedo,
+  undo,
+  redo,
+};
@@ -0,0 +1,372 @@
+// Key Events
+// Builds the events a physical keyboard fires for a keystroke, so pages and
+// editor frameworks see the same sequence as real typing:
+// keydown -> keypress -> beforeinput -> (edit) -> input -> keyup.
+// Characters get the `code` of the key that types them in the active layout.
+
+import { getLayout } from "../layouts/layouts.js";
+
+// Physical keys of the main rows, top to bottom. Layout rows line up from
+// the bottom, so a layout with a fourth row puts it on the digit row.
+const PHYSICAL_ROWS = [
+  [
+    "Digit1",
+    "Digit2",
+    "Digit3",
+    "Digit4",
+    "Digit5",
+    "Digit6",
+    "Digit7",
+    "Digit8",
+    "Digit9",
+    "Digit0",
+    "Minus",
+    "Equal",
+  ],
+  [
+    "KeyQ",
+    "KeyW",
+    "KeyE",
+    "KeyR",
+    "KeyT",
+    "KeyY",
+    "KeyU",
+    "KeyI",
+    "KeyO",
+    "KeyP",
+    "BracketLeft",
+    "BracketRight",
+    "Backslash",
+  ],
+  [
+    "KeyA",
+    "KeyS",
+    "KeyD",
+    "KeyF",
+    "KeyG",
+    "KeyH",
+    "KeyJ",
+    "KeyK",
+    "KeyL",
+    "Semicolon",
+    "Quote",
+  ],
+  [
+    "KeyZ",
+    "KeyX",
+    "KeyC",
+    "KeyV",
+    "KeyB",
+    "KeyN",
+    "KeyM",
+    "Comma",
+    "Period",
+    "Slash",
+  ],
+];
+
+// Characters on a US keyboard: unshifted, then shifted. Used for keys that
+// aren't in the layout rows, such as the numbers and symbols layer.
+const US_KEYS = {
+  Backquote: "`~",
+  Digit1: "1!",
+  Digit2: "2@",
+  Digit3: "3#",
+  Digit4: "4$",
+  Digit5: "5%",
+  Digit6: "6^",
+  Digit7: "7&",
+  Digit8: "8*",
+  Digit9: "9(",
+  Digit0: "0)",
+  Minus: "-_",
+  Equal: "=+",
+  BracketLeft: "[{",
+  BracketRight: "]}",
+  Backslash: "\\|",
+  Semicolon: ";:",
+  Quote: "'\"",
+  Comma: ",<",
+  Period: ".>",
+  Slash: "/?",
+  Space: " ",
+};
+
+// Legacy keyCode values for keys other than letters and digits
+const LEGACY_KEY_CODES = {
+  Space: 32,
+  Semicolon: 186,
+  Equal: 187,
+  Comma: 188,
+  Minus: 189,
+  Period: 190,
+  Slash: 191,
+  Backquote: 192,
+  BracketLeft: 219,
+  Backslash: 220,
+  BracketRight: 221,
+  Quote: 222,
+};
+
+// Non-character keys the keyboard types with
+const NAMED_KEYS = {
+  Enter: { code: "Enter", keyCode: 13, charCode: 13 },
+  Backspace: { code: "Backspace", keyCode: 8, charCode: 0 },
+};
+
+// Character -> US key code, with letters added to the table above
+const usCodes = new Map();
+for (const [code, chars] of Object.entries(US_KEYS)) {
+  for (const char of chars) usCodes.set(char, code);
+}
+for (const letter of "ABCDEFGHIJKLMNOPQRSTUVWXYZ") {
+  usCodes.set(letter, `Key${letter}`);
+  usCodes.set(letter.toLowerCase(), `Key${letter}`);
+}
+
+// Shifted characters on a US keyboard
+const US_SHIFTED = new Set(Object.values(US_KEYS).map((chars) => chars[1]));
+
+// Lam-Alef keys type two letters that join into one ligature
+const LAM_ALEF = /^\u0644[\u0622\u0623\u0625\u0627]$/u;
+
+// Layout rows -> Map(char -> code)
+// Keyed by the rows themselves so edited custom layouts get fresh codes
+const codeCache = new WeakMap();
+
+/**
+ * Get the characters a layout key types
+ * @param {string|Object} key - Key from a layout row
+ * @returns {string[]} Empty for special keys and spacers
+ */
+function getKeyChars(key) {
+  const value = typeof key === "string" ? key : key?.key;
+  if (typeof value !== "string") return [];
+
+  // "?|@" - the email toggle types either character
+  const parts = value.split("|");
+  if (parts.some((part) => [...part].length !== 1 && !LAM_ALEF.test(part))) {
+    return [];
+  }
+
+  const chars = [...parts, ...parts.map((part) => part.toUpperCase())];
+  if (typeof key?.shift === "string") chars.push(key.shift);
+  return chars;
+}
+
+/**
+ * Map each character in a layout's rows to the physical key it sits on
+ * @param {Array<Array<string|Object>>} rows - Layout rows
+ * @param {boolean} [rtl] - Rows list their keys from the right
+ * @returns {Map<string, string>}
+ */
+export function buildKeyCodes(rows, rtl = false) {
+  const codes = new Map();
+  const offset = PHYSICAL_ROWS.length - rows.length;
+  rows.forEach((row, rowIndex) => {
+    const physicalRow = PHYSICAL_ROWS[rowIndex + offset];
+    if (!physicalRow) return;
+
+    let column = 0;
+    for (const key of rtl ? [...row].reverse() : row) {
+      const chars = getKeyChars(key);
+      if (chars.length === 0) continue;
+      const code = physicalRow[column++];
+      if (!code) break;
+      for (const char of chars) {
+        if (!codes.has(char)) codes.set(char, code);
+      }
+    }
+  });
+  return codes;
+}
+
+/**
+ * Get (and cache) the key codes for a layout
+ * @param {string|null} layoutId
+ * @returns {Map<string, string>}
+ */
+function getLayoutKeyCodes(layoutId) {
+  const layout = getLayout(layoutId);
+  const rows = layout?.rows;
+  if (!rows) return new Map();
+  if (!codeCache.has(rows)) {
+    codeCache.set(rows, buildKeyCodes(rows, layout.dir === "rtl"));
+  }
+  return codeCache.get(rows);
+}
+
+/**
+ * Get the legacy keyCode for a character's key
+ * Letters use their Latin letter, like Chrome does on any layout.
+ * @param {string} char
+ * @param {string} code - Physical key code
+ * @returns {number}
+ */
+function getLegacyKeyCode(char, code) {
+  if (/^[a-z]$/i.test(char)) return char.toUpperCase().charCodeAt(0);
+  if (/^Key[A-Z]$/.test(code)) return code.charCodeAt(3);
+  if (/^Digit\d$/.test(code)) return code.charCodeAt(5);
+  return LEGACY_KEY_CODES[code] ?? 0;
+}
+
+/**
+ * @typedef {Object} KeyInfo
+ * @property {string} key - KeyboardEvent.key
+ * @property {string} code - Physical key code, "" if no key types it
+ * @property {number} keyCode - Legacy keydown/keyup code
+ * @property {number} charCode - Legacy keypress code, 0 for no keypress
+ * @property {boolean} shiftKey - Whether Shift is held to type it
+ */
+
+/**
+ * Describe the physical key that types a character
+ * @param {string} key - Character, or "Enter"/"Backspace"
+ * @param {string|null} [layoutId] - Active layout
+ * @returns {KeyInfo}
+ */
+export function getKeyInfo(key, layoutId = null) {
+  if (Object.hasOwn(NAMED_KEYS, key)) {
+    return { key, ...NAMED_KEYS[key], shiftKey: false };
+  }
+
+  const code =
+    getLayoutKeyCodes(layoutId).get(key) ??
+    (key === " " ? "Space" : usCodes.get(key)) ??
+    "";
+  return {
+    key,
+    code,
+    keyCode: getLegacyKeyCode(key, code),
+    charCode: key.codePointAt(0) ?? 0,
+    shiftKey: key !== key.toLowerCase() || US_SHIFTED.has(key),
+  };
+}
+
+/**
+ * Create a keyboard event for a key
+ * keypress carries the character code; keydown and keyup the key code.
+ * @param {string} type - "keydown", "keypress" or "keyup"
+ * @param {KeyInfo} info
+ * @returns {KeyboardEvent}
+ */
+export function createKeyEvent(type, info) {
+  const isKeypress = type === "keypress";
+  const keyCode = isKeypress ? info.charCode : info.keyCode;
+  return new KeyboardEvent(type, {
+    key: info.key,
+    code: info.code,
+    keyCode,
+    charCode: isKeypress ? info.charCode : 0,
+    which: keyCode,
+    shiftKey: info.shiftKey,
+    bubbles: true,
+    cancelable: true,
+  });
+}
+
+/**
+ * Dispatch a cancelable beforeinput event for an edit
+ * @param {HTMLElement} element
+ * @param {string} inputType - e.g., "insertText", "deleteContentBackward"
+ * @param {string|null} [data] - Inserted text
+ * @param {StaticRange[]} [targetRanges] - What the edit will replace
+ * @returns {boolean} False if the page cancelled the edit
+ */
+export function dispatchBeforeInputEvent(
+  element,
+  inputType,
+  data = null,
+  targetRanges = []
+) {
+  const event = new InputEvent("beforeinput", {
+    bubbles: true,
+    cancelable: true,
+    inputType,
+    data,
+    targetRanges,
+  });
+  element.dispatchEvent(event);
+  return !event.defaultPrevented;
+}
+
+/**
+ * Dispatch the input event that follows an edit
+ * @param {HTMLElement} element
+ * @param {string} inputType - e.g., "insertText", "deleteContentBackward"
+ * @param {string|null} [data] - Inserted text
+ */
+export function dispatchInputEvent(element, inputType, data = null) {
+  element.dispatchEvent(
+    new InputEvent("input", { bubbles: true, inputType, data })
+  );
+}
+
+/**
+ * Type a key into a field with the full event sequence
+ * Cancelling keydown or keypress skips the edit, as does cancelling
+ * beforeinput; keyup always follows.
+ * @param {HTMLElement} element
+ * @param {string} key - Character, or "Enter"/"Backspace"
+ * @param {Object} options
+ * @param {string|null} [options.layoutId] - Active layout, for key codes
+ * @param {string} [options.inputType] - Edit's inputType; without one the
+ *   key fires no beforeinput/input (e.g., Enter submitting a form)
+ * @param {string|null} [options.data] - Inserted text
+ * @param {function(): StaticRange[]} [options.getTargetRanges] - What the
+ *   edit will replace, read after keydown in case the page moved the cursor
+ * @param {function(): (boolean|void)} options.edit - Makes the change;
+ *   returning false means nothing changed, so no input event
+ * @returns {boolean} Whether the edit was made
+ */
+export function typeKey(
+  element,
+  key,
+  { layoutId = null, inputType, data = null, getTargetRanges, edit }
+) {
+  const info = getKeyInfo(key, layoutId);
+  const keydownEvent = createKeyEvent("keydown", info);
+  element.dispatchEvent(keydownEvent);
+
+  let edited = false;
+  if (!keydownEvent.defaultPrevented) {
+    const keypressEvent = info.charCode
+      ? createKeyEvent("keypress", info)
+      : null;
+    if (keypressEvent) element.dispatchEvent(keypressEvent);
+
+    if (!keypressEvent?.defaultPrevented) {
+      edited = applyEdit(element, { inputType, data, getTargetRanges, edit });
+    }
+  }
+
+  element.dispatchEvent(createKeyEvent("keyup", info));
+  return edited;
+}
+
+/**
+ * Run an edit between its beforeinput and input events
+ * @param {HTMLElement} element
+ * @param {Object} options - As for typeKey
+ * @returns {boolean} Whether the edit was made
+ */
+function applyEdit(element, { inputType, data, getTargetRanges, edit }) {
+  if (!inputType) return edit() !== false;
+
+  const targetRanges = getTargetRanges?.() ?? [];
+  if (!dispatchBeforeInputEvent(element, inputType, data, targetRanges)) {
+    return false;
+  }
+  if (edit() === false) return false;
+  dispatchInputEvent(element, inputType, data);
+  return true;
+}
+
+export default {
+  buildKeyCodes,
+  getKeyInfo,
+  createKeyEvent,
+  dispatchBeforeInputEvent,
+  dispatchInputEvent,
+  typeKey,
+};
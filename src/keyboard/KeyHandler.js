@@ -1,26 +1,89 @@
 // Key Handler
 // Handles key press events and synthetic event dispatching
 
-import { SPECIAL_KEYS } from "../core/config.js";
+import { PREDICTION, SPECIAL_KEYS } from "../core/config.js";
 import { EVENTS, emit } from "../core/events.js";
 import {
   focusState,
   keyboardState,
+  predictionState,
   settingsState,
   urlBarState,
   voiceState,
 } from "../core/state.js";
+import { getInputMethod } from "../ime/InputMethods.js";
+import {
+  beginReporting,
+  clearSegment,
+  getSegmentAt,
+  getSegments,
+  isComplete,
+  isDateTimeType,
+  moveSegment,
+  reportValue,
+  toEditText,
+  typeDigit,
+} from "../input/DateTimeFields.js";
+import {
+  getEditingHost,
+  isPlainTextOnly,
+  isSingleLineField,
+} from "../input/InputBinder.js";
+import { getInputMode, isOneTimeCode } from "../input/InputHints.js";
 import { clearCloseTimer, markChanged } from "../input/InputTracker.js";
+import { getLayout } from "../layouts/layouts.js";
+import { findCorrection, ignoreWord } from "../prediction/Autocorrect.js";
+import {
+  clearSuggestions,
+  getWordBeforeCursor,
+  learnWord,
+  updateSuggestions,
+} from "../prediction/Predictor.js";
 import * as VoiceInput from "../voice/VoiceInput.js";
+import { readClipboard, writeClipboard } from "./Clipboard.js";
+import { getDeadKeys, matchSequence } from "./ComposeSequences.js";
+import {
+  canRedo,
+  canUndo,
+  recordEdit,
+  redo as redoEdit,
+  undo as undoEdit,
+} from "./EditHistory.js";
+import {
+  createKeyEvent,
+  dispatchBeforeInputEvent,
+  dispatchInputEvent,
+  getKeyInfo,
+  typeKey,
+} from "./KeyEvents.js";
 import { applyShiftToCharacter } from "./KeyMap.js";
+import { handleNavigationKey, isNavigationKey } from "./NavigationKeys.js";
+import {
+  getPreviousGraphemeBoundary,
+  getPreviousWordBoundary,
+  splitGraphemes,
+} from "./TextSegments.js";
+
+// Last autocorrection - an immediate Backspace restores the original word
+let lastCorrection = null;
+
+// Date/time field being entered: segment index and digits typed into it
+let dateTimeEntry = { element: null, index: 0, typed: 0 };
+
+// Text being composed by an input method: the field, the method, the keys in
+// its pre-edit buffer, and where the text is - a value offset, or the text
+// node in contenteditable
+let composition = null;
 
 /**
  * Handle a key press
  * @param {string} key - Key value
  * @param {Object} options - Additional options
+ * @param {boolean} [options.skip] - Don't refocus the field
+ * @param {boolean} [options.byWord] - Backspace deletes a whole word (held key)
  */
 export function handleKeyPress(key, options = {}) {
-  const { skip = false } = options;
+  const { skip = false, byWord = false } = options;
 
   // Don't clear close timer for Close key
   if (key !== SPECIAL_KEYS.CLOSE) {
@@ -33,6 +96,48 @@ export function handleKeyPress(key, options = {}) {
     clearCloseTimer();
   }
 
+  // A correction can only be undone by the very next key
+  const correction = lastCorrection;
+  lastCorrection = null;
+  // Input methods compose keys into text as they're typed
+  if (handleCompositionKey(key)) {
+    refreshSuggestions();
+    return;
+  }
+
+  // Dead keys and the Compose key hold back the keys after them
+  if (handleComposeSequenceKey(key)) {
+    refreshSuggestions();
+    return;
+  }
+
+  if (
+    key === SPECIAL_KEYS.BACKSPACE &&
+    correction &&
+    undoCorrection(correction)
+  ) {
+    refreshSuggestions();
+    return;
+  }
+
+  // Date/time fields are entered a segment at a time
+  if (handleDateTimeKey(key)) return;
+
+  // Navigation layer keys move the cursor or focus
+  if (isNavigationKey(key)) {
+    handleNavigationKey(key);
+    refreshSuggestions();
+    return;
+  }
+
+  // Finishing a word corrects it, then teaches it to the predictor
+  if (isWordBoundary(key)) {
+    if (key !== SPECIAL_KEYS.ENTER) {
+      autocorrectWordBeforeCursor();
+    }
+    learnWordBeforeCursor();
+  }
+
   switch (key) {
     case SPECIAL_KEYS.EMPTY:
       // No-op
@@ -51,6 +156,10 @@ export function handleKeyPress(key, options = {}) {
       handleNumbersToggle();
       break;
 
+    case SPECIAL_KEYS.NAVIGATION:
+      handleNavigationToggle();
+      break;
+
     case SPECIAL_KEYS.CLOSE:
       handleClose();
       break;
@@ -64,17 +173,110 @@ export function handleKeyPress(key, options = {}) {
       break;
 
     case SPECIAL_KEYS.BACKSPACE:
-      handleBackspace();
+      handleBackspace({ byWord });
       break;
 
     case SPECIAL_KEYS.VOICE:
       handleVoice();
       break;
 
+    case SPECIAL_KEYS.PREV_FIELD:
+      emit(EVENTS.FIELD_NAVIGATE, { step: -1 });
+      break;
+
+    case SPECIAL_KEYS.NEXT_FIELD:
+      emit(EVENTS.FIELD_NAVIGATE, { step: 1 });
+      break;
+
+    case SPECIAL_KEYS.SELECT_ALL:
+      handleSelectAll();
+      break;
+
+    case SPECIAL_KEYS.COPY:
+      handleCopy();
+      break;
+
+    case SPECIAL_KEYS.CUT:
+      handleCut();
+      break;
+
+    case SPECIAL_KEYS.PASTE:
+      handlePaste();
+      break;
+
+    case SPECIAL_KEYS.UNDO:
+      handleUndo();
+      break;
+
+    case SPECIAL_KEYS.REDO:
+      handleRedo();
+      break;
+
     default:
       insertCharacter(key);
       break;
   }
+
+  refreshSuggestions();
+}
+
+/**
+ * Accept a word suggestion, completing the word before the cursor
+ * @param {string} word - Suggested word (starts with the typed fragment)
+ */
+export function acceptSuggestion(word) {
+  const element = focusState.get("element");
+  if (!element) return;
+
+  element.focus();
+  clearCloseTimer();
+  endComposition();
+  cancelComposeSequence();
+
+  const typed = getWordBeforeCursor(getTextBeforeCursor(element));
+  for (const char of word.slice(typed.length)) {
+    // Suggestion already carries the right casing
+    insertCharacter(char, { applyShift: false });
+  }
+
+  // Space finishes the word, which also learns it
+  handleKeyPress(" ");
+}
+
+/**
+ * Insert a whole word followed by a space (used by gesture typing)
+ * Shift applies as if the word's letters were tapped one by one
+ * @param {string} word
+ */
+export function insertWord(word) {
+  const element = focusState.get("element");
+  if (!element) return;
+
+  element.focus();
+  clearCloseTimer();
+  endComposition();
+  cancelComposeSequence();
+  lastCorrection = null;
+
+  for (const char of word) {
+    insertCharacter(char);
+  }
+  handleKeyPress(" ");
+}
+
+/**
+ * Recompute word suggestions for the focused element
+ */
+export function refreshSuggestions() {
+  const element = focusState.get("element");
+  if (!element || !isPredictionEnabled(element)) {
+    clearSuggestions();
+    return;
+  }
+  updateSuggestions(
+    getTextBeforeCursor(element),
+    keyboardState.get("loadedLayout")
+  );
 }
 
 /**
@@ -87,8 +289,10 @@ function handleUrl() {
 
   if (urlBarState.get("open") || isEmailInput) {
     // URL bar is open OR email input focused, insert ".com"
-    if (element) {
+    if (element && dispatchBeforeInputEvent(element, "insertText", ".com")) {
+      recordEdit(element);
       insertTextAtPosition(element, ".com");
+      dispatchInputEvent(element, "insertText", ".com");
     }
   } else {
     // Open URL bar
@@ -111,6 +315,14 @@ function handleNumbersToggle() {
   keyboardState.set("numbersMode", !current);
 }
 
+/**
+ * Handle navigation layer toggle
+ */
+function handleNavigationToggle() {
+  const current = keyboardState.get("navigationMode");
+  keyboardState.set("navigationMode", !current);
+}
+
 /**
  * Handle close button press
  */
@@ -127,64 +339,54 @@ function handleEnter() {
   const element = focusState.get("element");
   if (!element) return;
 
-  // Dispatch keydown event
-  const keydownEvent = new KeyboardEvent("keydown", {
-    key: "Enter",
-    code: "Enter",
-    keyCode: 13,
-    which: 13,
-    bubbles: true,
-    cancelable: true,
-  });
-  element.dispatchEvent(keydownEvent);
-
-  // If site handled the keydown (prevented default), don't do manual insertion
-  if (keydownEvent.defaultPrevented) {
+  const type = focusState.get("type");
+  const layoutId = keyboardState.get("loadedLayout");
+
+  if (
+    type === "textarea" ||
+    (type === "contenteditable" && !isSingleLineField(element))
+  ) {
+    // Rich text editors get a new paragraph, as with a real Enter key
+    const inputType =
+      type === "textarea" || isPlainTextOnly(element)
+        ? "insertLineBreak"
+        : "insertParagraph";
+    typeKey(element, SPECIAL_KEYS.ENTER, {
+      layoutId,
+      inputType,
+      getTargetRanges: () => getTargetRanges(element),
+      edit: () => {
+        recordEdit(element);
+        if (type === "textarea") {
+          insertTextAtPosition(element, "\n");
+        } else if (keepsNewlines(element)) {
+          // Plain text editors keep the line break as text
+          insertTextAtCursor(element, "\n");
+        } else {
+          insertLineBreakAtCursor(element);
+        }
+      },
+    });
     markChanged();
-    dispatchInputEvent(element);
     activateAutoCaps();
     return;
   }
 
-  const type = focusState.get("type");
-
-  if (type === "textarea") {
-    // Insert newline
-    const pos = element.selectionStart;
-    const posEnd = element.selectionEnd;
-    element.value = `${element.value.slice(0, pos)}\n${element.value.slice(posEnd)}`;
-    element.selectionStart = element.selectionEnd = pos + 1;
-    dispatchInputEvent(element);
-    activateAutoCaps();
-  } else if (type === "contenteditable") {
-    // Insert <br>
-    const selection = getSelectionForElement(element);
-    if (selection.rangeCount > 0) {
-      const range = selection.getRangeAt(0);
-      range.deleteContents();
-      const br = element.ownerDocument.createElement("br");
-      range.insertNode(br);
-      range.setStartAfter(br);
-      range.setEndAfter(br);
-      selection.removeAllRanges();
-      selection.addRange(range);
-    }
-    dispatchInputEvent(element);
-    markChanged();
-    activateAutoCaps();
-  } else {
-    // Submit form or close keyboard
-    const form = element.closest("form");
-    if (form) {
-      const submitted = clickSubmitButton(form);
-      if (!submitted) {
-        form.dispatchEvent(new Event("submit", { bubbles: true }));
+  // Single-line fields: submit the form or close the keyboard, unless the
+  // site handled the key itself
+  typeKey(element, SPECIAL_KEYS.ENTER, {
+    layoutId,
+    edit: () => {
+      const form = element.closest("form");
+      if (form) {
+        const submitted = clickSubmitButton(form);
+        if (!submitted) {
+          form.dispatchEvent(new Event("submit", { bubbles: true }));
+        }
       }
-    }
-    emit(EVENTS.KEYBOARD_CLOSE);
-  }
-
-  dispatchInputEvent(element);
+      emit(EVENTS.KEYBOARD_CLOSE);
+    },
+  });
   markChanged();
 }
 
@@ -267,8 +469,12 @@ function insertVoiceText(_element, text) {
 
 /**
  * Handle backspace key press
+ * Deletes in logical order whatever the field's direction, a whole
+ * character (grapheme cluster) or word at a time
+ * @param {Object} [options]
+ * @param {boolean} [options.byWord] - Delete back to the start of a word
  */
-function handleBackspace() {
+function handleBackspace({ byWord = false } = {}) {
   const element = focusState.get("element");
   if (!element) return;
 
@@ -285,90 +491,97 @@ function handleBackspace() {
     }
   }
 
-  // Dispatch keydown event
-  const keydownEvent = new KeyboardEvent("keydown", {
-    key: "Backspace",
-    code: "Backspace",
-    keyCode: 8,
-    which: 8,
-    bubbles: true,
-    cancelable: true,
+  typeKey(element, SPECIAL_KEYS.BACKSPACE, {
+    layoutId: keyboardState.get("loadedLayout"),
+    inputType: byWord ? "deleteWordBackward" : "deleteContentBackward",
+    getTargetRanges: () => getTargetRanges(element, savedRange, true, byWord),
+    edit: () => {
+      if (type === "contenteditable") {
+        recordEdit(element, "delete");
+        deleteAtCursorWithRange(element, savedRange, byWord);
+        return true;
+      }
+      return deleteBeforeCaret(element, byWord);
+    },
   });
-  element.dispatchEvent(keydownEvent);
 
-  // If site handled the keydown (prevented default), don't do manual deletion
-  if (keydownEvent.defaultPrevented) {
-    markChanged();
-    dispatchBackspaceEvents(element);
-    return;
-  }
+  // Sites that handle the keydown themselves have still changed the field
+  markChanged();
+}
 
-  if (type === "contenteditable") {
-    deleteAtCursorWithRange(element, savedRange);
-  } else {
-    try {
-      let pos = element.selectionStart;
-      const posEnd = element.selectionEnd;
-      if (pos !== null && posEnd !== null) {
-        if (posEnd === pos) pos--;
-        if (pos >= 0) {
-          element.value =
-            element.value.slice(0, pos) + element.value.slice(posEnd);
-          element.selectionStart = element.selectionEnd = pos;
-        }
-      } else {
-        // Fallback for inputs that don't support selection (email, number)
-        element.value = element.value.slice(0, -1);
+/**
+ * Delete the selection, or the character or word before the cursor, in an
+ * input or textarea
+ * @param {HTMLInputElement|HTMLTextAreaElement} element
+ * @param {boolean} [byWord] - Delete back to the start of a word
+ * @returns {boolean} False if there was nothing to delete
+ */
+function deleteBeforeCaret(element, byWord = false) {
+  const { value } = element;
+  if (!value) return false;
+  const findStart = byWord
+    ? getPreviousWordBoundary
+    : getPreviousGraphemeBoundary;
+  recordEdit(element, "delete");
+  try {
+    let pos = element.selectionStart;
+    const posEnd = element.selectionEnd;
+    if (pos !== null && posEnd !== null) {
+      if (posEnd === pos) {
+        if (pos === 0) return false;
+        pos = findStart(value, pos);
       }
-    } catch (_e) {
-      // Some input types (email, number) throw on selection access
-      element.value = element.value.slice(0, -1);
+      element.value = value.slice(0, pos) + value.slice(posEnd);
+      element.selectionStart = element.selectionEnd = pos;
+    } else {
+      // Fallback for inputs that don't support selection (email, number)
+      element.value = value.slice(0, findStart(value, value.length));
     }
+  } catch (_e) {
+    // Some input types (email, number) throw on selection access
+    element.value = value.slice(0, findStart(value, value.length));
   }
-
-  markChanged();
-  // Dispatch remaining events (keypress, keyup, input)
-  dispatchBackspaceEvents(element);
+  return true;
 }
 
 /**
  * Insert a character
  * @param {string} key - Character to insert
+ * @param {Object} options
+ * @param {boolean} options.applyShift - Uppercase the key when shift is on
  */
-function insertCharacter(key) {
+function insertCharacter(key, { applyShift = true } = {}) {
   const element = focusState.get("element");
   if (!element) return;
 
   const type = focusState.get("type");
 
   // Apply shift transformation
-  if (keyboardState.get("shift")) {
+  if (applyShift && keyboardState.get("shift")) {
     key = applyShiftToCharacter(key);
   }
 
-  // Dispatch keydown event
-  const keydownEvent = createKeyboardEvent(
-    "keydown",
-    key.charCodeAt(0),
-    0,
-    key
-  );
-  element.dispatchEvent(keydownEvent);
-
-  if (type === "contenteditable") {
-    insertTextAtCursor(element, key);
-    markChanged();
-    resetShiftIfNeeded(key);
-    dispatchKeyEvents(element, key);
-  } else {
-    const maxLength = element.maxLength;
-    if (maxLength <= 0 || element.value.length < maxLength) {
+  const inserted = typeKey(element, key, {
+    layoutId: keyboardState.get("loadedLayout"),
+    inputType: "insertText",
+    data: key,
+    getTargetRanges: () => getTargetRanges(element),
+    edit: () => {
+      if (type === "contenteditable") {
+        recordEdit(element, "insert");
+        insertTextAtCursor(element, key);
+        return true;
+      }
+      const maxLength = element.maxLength;
+      if (maxLength > 0 && element.value.length >= maxLength) return false;
+      recordEdit(element, "insert");
       insertTextAtPosition(element, key);
-      markChanged();
-      resetShiftIfNeeded(key);
-      dispatchKeyEvents(element, key);
-    }
-  }
+      return true;
+    },
+  });
+
+  if (inserted) markChanged();
+  resetShiftIfNeeded(key);
 
   // Activate auto-caps after sentence-ending punctuation
   if (key === "." || key === "?" || key === "!") {
@@ -398,19 +611,24 @@ function resetShiftIfNeeded(key) {
 /**
  * Activate auto-caps if enabled and shift is not already on
  * Only activates if shift is OFF to avoid interfering with sticky shift
- * Skips activation for email and password inputs
+ * Skips activation for email, password and date/time inputs
  */
 function activateAutoCaps() {
   if (!settingsState.get("autoCaps") || keyboardState.get("shift")) {
     return;
   }
 
-  // Skip auto-caps for email and password inputs
+  // Skip auto-caps for email, password and date/time inputs
   const element = focusState.get("element");
   if (element) {
     const origType =
       element.getAttribute?.("data-original-type") || element.type;
-    if (origType === "email" || origType === "password") {
+    if (
+      origType === "email" ||
+      origType === "password" ||
+      isDateTimeType(origType) ||
+      getInputMode(element) === "email"
+    ) {
       return;
     }
   }
@@ -420,189 +638,1117 @@ function activateAutoCaps() {
 }
 
 // =============================================================================
-// DOM Manipulation Helpers
+// Date and Time Fields
 // =============================================================================
 
 /**
- * Get the selection object for an element (handles iframe elements)
- * @param {HTMLElement} element
- * @returns {Selection|null}
- */
-function getSelectionForElement(element) {
-  const win = element?.ownerDocument?.defaultView || window;
-  return win.getSelection();
-}
-
-/**
- * Insert text at cursor position for contenteditable
- * @param {HTMLElement} element - The contenteditable element
- * @param {string} text
+ * Start entering a date/time field shown as text (see renderInputType)
+ * Fills the field with its segments and selects the first one; a field that
+ * is already being entered keeps its place.
+ * @param {HTMLInputElement} element
+ * @param {string} type - The field's original input type
  */
-function insertTextAtCursor(element, text) {
-  const selection = getSelectionForElement(element);
-  if (selection.rangeCount > 0) {
-    const range = selection.getRangeAt(0);
-    range.deleteContents();
-    const textNode = element.ownerDocument.createTextNode(text);
-    range.insertNode(textNode);
-    range.setStartAfter(textNode);
-    range.setEndAfter(textNode);
-    selection.removeAllRanges();
-    selection.addRange(range);
+export function beginDateTimeEntry(element, type) {
+  beginReporting(element);
+  element.value = toEditText(element.value, type);
+  if (dateTimeEntry.element !== element) {
+    dateTimeEntry = { element, index: 0, typed: 0 };
   }
+  selectSegment(element, type, dateTimeEntry.index);
 }
 
 /**
- * Insert text at cursor position for input/textarea
- * Handles inputs that don't support selection (email, number, etc.)
- * @param {HTMLElement} input
- * @param {string} text
+ * Select a segment so the field shows which one is being entered
+ * @param {HTMLInputElement} element
+ * @param {string} type
+ * @param {number} index
  */
-function insertTextAtPosition(input, text) {
+function selectSegment(element, type, index) {
+  const segment = getSegments(type)[index];
   try {
-    const pos = input.selectionStart;
-    const posEnd = input.selectionEnd;
-    if (pos !== null && posEnd !== null) {
-      input.value =
-        input.value.slice(0, pos) + text + input.value.slice(posEnd);
-      input.selectionStart = input.selectionEnd = pos + text.length;
-    } else {
-      // Fallback for inputs that don't support selection (email, number)
-      input.value += text;
-    }
+    element.setSelectionRange(segment.start, segment.start + segment.length);
   } catch (_e) {
-    // Some input types (email, number) throw on selection access
-    input.value += text;
+    // Field was switched back to its own type, which has no selection
   }
-  dispatchInputEvent(input);
 }
 
 /**
- * Delete character at cursor for contenteditable using a saved range
- * @param {HTMLElement} element - The contenteditable element
- * @param {Range|null} savedRange - The range captured before keydown dispatch
+ * Handle a date/time pad key for the focused field
+ * Digits fill the current segment, Backspace clears it, and the arrows and
+ * separators move between segments. Tapping into the field picks the segment
+ * under the cursor.
+ * @param {string} key
+ * @returns {boolean} True if the key was handled
  */
-function deleteAtCursorWithRange(element, savedRange) {
-  if (!savedRange) {
-    // Fallback to current selection if no saved range
-    const selection = getSelectionForElement(element);
-    if (selection.rangeCount > 0) {
-      savedRange = selection.getRangeAt(0);
-    } else {
-      return;
-    }
+function handleDateTimeKey(key) {
+  const element = focusState.get("element");
+  const type = element?.getAttribute?.("data-original-type");
+  if (!isDateTimeType(type) || element.type !== "text") return false;
+
+  let { index, typed } = dateTimeEntry;
+  const cursorIndex = getSegmentAt(type, element.selectionStart ?? 0);
+  if (dateTimeEntry.element !== element || cursorIndex !== index) {
+    index = cursorIndex;
+    typed = 0;
   }
 
-  const { startContainer, startOffset } = savedRange;
-
-  if (savedRange.collapsed) {
-    if (startContainer.nodeType === Node.TEXT_NODE && startOffset > 0) {
-      // Delete character before cursor in text node
-      startContainer.textContent =
-        startContainer.textContent.slice(0, startOffset - 1) +
-        startContainer.textContent.slice(startOffset);
-      // Update selection to new position
-      const selection = getSelectionForElement(element);
-      const newRange = document.createRange();
-      newRange.setStart(startContainer, startOffset - 1);
-      newRange.setEnd(startContainer, startOffset - 1);
-      selection.removeAllRanges();
-      selection.addRange(newRange);
-    } else if (startOffset > 0) {
-      // For element nodes with startOffset > 0
-      const range = document.createRange();
-      range.setStart(startContainer, startOffset - 1);
-      range.setEnd(startContainer, startOffset);
-      range.deleteContents();
-    }
-    // When startOffset === 0, we're at start of a node/line
-    // The keydown event should have handled moving to previous line
-    // We intentionally do nothing here to avoid double-delete
+  let result;
+  if (/^\d$/.test(key)) {
+    result = typeDigit(element.value, type, index, typed, key);
+  } else if (key === SPECIAL_KEYS.BACKSPACE) {
+    result = clearSegment(element.value, type, index);
+  } else if (key === SPECIAL_KEYS.PREV_SEGMENT) {
+    result = moveSegment(element.value, type, index, typed, -1);
+  } else if (key === SPECIAL_KEYS.NEXT_SEGMENT || key === "-" || key === ":") {
+    result = moveSegment(element.value, type, index, typed, 1);
   } else {
-    // Selection exists, delete it
-    savedRange.deleteContents();
+    return false;
   }
-}
 
-/**
- * Find and click submit button in form
- * @param {HTMLFormElement} form
- * @returns {boolean} - Whether a submit button was found and clicked
- */
-function clickSubmitButton(form) {
-  const submitButtons = form.querySelectorAll(
-    'input[type="submit"], button[type="submit"]'
-  );
-  for (const btn of submitButtons) {
-    btn.click();
+  // Only complete values are reported to the page - placeholders like
+  // "2yyy-mm-dd" aren't valid for the field's type. Partial entries are
+  // edited without input events.
+  const complete = isComplete(result.text, type);
+  const edit = () => {
+    if (result.text === element.value) return false;
+    recordEdit(element, "insert");
+    element.value = result.text;
+    if (complete) {
+      reportValue(element, result.text);
+      markChanged();
+    }
     return true;
+  };
+
+  if (key === SPECIAL_KEYS.PREV_SEGMENT || key === SPECIAL_KEYS.NEXT_SEGMENT) {
+    // Segment keys have no physical key - moving off a segment may still
+    // pad it, which is a plain edit
+    if (result.text !== element.value) {
+      if (!complete) {
+        edit();
+      } else if (
+        dispatchBeforeInputEvent(element, "insertReplacementText", result.text)
+      ) {
+        edit();
+        dispatchInputEvent(element, "insertReplacementText", result.text);
+      }
+    }
+  } else {
+    const deleting = key === SPECIAL_KEYS.BACKSPACE;
+    typeKey(element, key, {
+      layoutId: keyboardState.get("loadedLayout"),
+      inputType: !complete
+        ? undefined
+        : deleting
+          ? "deleteContentBackward"
+          : "insertText",
+      data: deleting ? null : key,
+      edit,
+    });
   }
-  return false;
+  dateTimeEntry = { element, index: result.index, typed: result.typed };
+  selectSegment(element, type, result.index);
+  return true;
 }
 
 // =============================================================================
-// Event Dispatching
+// Composition
 // =============================================================================
 
 /**
- * Create a keyboard event
- * @param {string} type - Event type
- * @param {number} keyCode - Key code
- * @param {number} charCode - Character code
- * @param {string} key - Key name (e.g., "Enter", "a")
- * @returns {KeyboardEvent}
- */
-function createKeyboardEvent(type, keyCode = 0, charCode = 0, key = "") {
-  return new KeyboardEvent(type, {
-    bubbles: true,
-    cancelable: true,
-    keyCode,
-    charCode,
-    which: keyCode || charCode,
-    key: key || (charCode ? String.fromCharCode(charCode) : ""),
-  });
-}
-
-/**
- * Dispatch input event
+ * Get the input method that composes keys typed into a field
  * @param {HTMLElement} element
+ * @returns {import("../ime/InputMethods.js").InputMethod|null} Null if the
+ *   layout has none or the field can't be composed into
  */
-function dispatchInputEvent(element) {
-  element.dispatchEvent(new Event("input", { bubbles: true }));
-  element.dispatchEvent(
-    new InputEvent("input", { bubbles: true, inputType: "insertText" })
+function getFieldInputMethod(element) {
+  const method = getInputMethod(
+    getLayout(keyboardState.get("loadedLayout"))?.inputMethod
   );
+  if (!method) return null;
+  // Browsers don't compose in password fields
+  const type = element.getAttribute?.("data-original-type") || element.type;
+  if (type === "password") return null;
+  // The composing text is tracked by cursor position, which some input
+  // types (email, number) don't expose
+  return focusState.get("type") === "contenteditable" ||
+    (element.selectionStart ?? null) !== null
+    ? method
+    : null;
 }
 
 /**
- * Dispatch key events (keypress, keyup)
- * @param {HTMLElement} element
+ * Handle a key for the composition: keys the input method accepts go into
+ * its pre-edit buffer, Backspace takes one back, and any other key finishes
+ * the composition first. With candidates, Space picks the first one and
+ * Enter keeps the letters as typed.
  * @param {string} key
+ * @returns {boolean} True if the key was handled
  */
-function dispatchKeyEvents(element, key) {
-  element.dispatchEvent(createKeyboardEvent("keypress", 0, key.charCodeAt(0)));
-  element.dispatchEvent(createKeyboardEvent("keyup", 0, key.charCodeAt(0)));
-  dispatchInputEvent(element);
-}
-
-/**
- * Dispatch backspace events (keypress, keyup, input - keydown already dispatched)
- * @param {HTMLElement} element
- */
-function dispatchBackspaceEvents(element) {
-  const backspaceEvent = (type) =>
-    new KeyboardEvent(type, {
-      key: "Backspace",
-      code: "Backspace",
-      bubbles: true,
-      cancelable: true,
-      keyCode: 8,
-      which: 8,
-    });
+function handleCompositionKey(key) {
+  const element = focusState.get("element");
+  if (composition && !isCompositionIntact(element)) {
+    endComposition();
+  }
 
-  element.dispatchEvent(backspaceEvent("keypress"));
-  element.dispatchEvent(backspaceEvent("keyup"));
-  element.dispatchEvent(new Event("input", { bubbles: true }));
+  if (composition) {
+    const { method, keys } = composition;
+    if (key === SPECIAL_KEYS.BACKSPACE) {
+      sendCompositionKey(element, key, () =>
+        recompose("", method.removeKey(keys))
+      );
+      return true;
+    }
+    const [first] = predictionState.get("candidates");
+    if (key === " " && first) {
+      sendCompositionKey(element, key, () =>
+        recompose(first.text, keys.slice(first.length))
+      );
+      return true;
+    }
+    if (key === SPECIAL_KEYS.ENTER && method.getCandidates) {
+      sendCompositionKey(element, key, endComposition);
+      return true;
+    }
+  }
+
+  const method = element ? getFieldInputMethod(element) : null;
+  // Shift applies before the input method sees the key (Tamil "n" / "N")
+  const typed =
+    key.length === 1 && keyboardState.get("shift")
+      ? applyShiftToCharacter(key)
+      : key;
+  if (!method?.accepts(typed, composition?.keys ?? [])) {
+    endComposition();
+    return false;
+  }
+
+  sendCompositionKey(element, typed, () => {
+    if (!composition && !startComposition(element, method)) return;
+    const { committed, keys } = method.addKey(composition.keys, typed);
+    recompose(committed, keys);
+  });
+  resetShiftIfNeeded(typed);
+  return true;
+}
+
+/**
+ * Pick a candidate for the text being composed
+ * The keys it doesn't use stay in the buffer for the next pick.
+ * @param {number} index - Position in the candidate bar
+ */
+export function selectCandidate(index) {
+  const element = focusState.get("element");
+  if (!element) return;
+
+  element.focus();
+  clearCloseTimer();
+  if (!composition || !isCompositionIntact(element)) {
+    endComposition();
+    return;
+  }
+
+  const candidate = predictionState.get("candidates")[index];
+  if (!candidate) return;
+  recompose(candidate.text, composition.keys.slice(candidate.length));
+  refreshSuggestions();
+}
+
+/**
+ * Apply an input method's result: finished text is left in the field and
+ * the remaining keys start a new composition after it
+ * @param {string} committed - Finished text
+ * @param {string[]} keys - Keys left in the pre-edit buffer
+ */
+function recompose(committed, keys) {
+  const { element, method } = composition;
+  if (committed) {
+    updateComposition(committed);
+    endComposition();
+    if (keys.length === 0 || !startComposition(element, method)) return;
+  }
+  composition.keys = keys;
+  updateComposition(method.getPreedit(keys));
+  if (keys.length === 0) {
+    endComposition();
+    return;
+  }
+  updateCandidates();
+}
+
+/**
+ * Show the input method's candidates for the keys being composed
+ */
+function updateCandidates() {
+  const candidates =
+    composition?.method.getCandidates?.(composition.keys) ?? [];
+  predictionState.set(
+    "candidates",
+    candidates.slice(0, PREDICTION.MAX_CANDIDATES)
+  );
+}
+
+/**
+ * Send the key events for a key the composition takes
+ * keydown reports "Process" (keyCode 229) like a system IME, so pages
+ * leave it to the composition events.
+ * @param {HTMLElement} element
+ * @param {string} key
+ * @param {function(): void} compose - Applies the key to the composition
+ */
+function sendCompositionKey(element, key, compose) {
+  const info = getKeyInfo(key, keyboardState.get("loadedLayout"));
+  const keydownEvent = new KeyboardEvent("keydown", {
+    key: "Process",
+    code: info.code,
+    keyCode: 229,
+    which: 229,
+    isComposing: composition !== null,
+    bubbles: true,
+    cancelable: true,
+  });
+  element.dispatchEvent(keydownEvent);
+
+  if (!keydownEvent.defaultPrevented) compose();
+  element.dispatchEvent(createKeyEvent("keyup", info));
+}
+
+/**
+ * Start composing at the cursor, replacing any selection
+ * @param {HTMLElement} element
+ * @param {import("../ime/InputMethods.js").InputMethod} method
+ * @returns {boolean} False if the field is full
+ */
+function startComposition(element, method) {
+  composition = { element, method, keys: [], text: "", start: 0, node: null };
+
+  if (focusState.get("type") === "contenteditable") {
+    const selection = getSelectionForElement(element);
+    if (selection.rangeCount === 0) {
+      composition = null;
+      return false;
+    }
+    selection.getRangeAt(0).deleteContents();
+  } else {
+    const start = element.selectionStart ?? element.value.length;
+    const end = element.selectionEnd ?? start;
+    const maxLength = element.maxLength;
+    if (start === end && maxLength > 0 && element.value.length >= maxLength) {
+      composition = null;
+      return false;
+    }
+    // The selection is replaced by the first key's text
+    composition.start = start;
+    composition.text = element.value.slice(start, end);
+  }
+
+  element.dispatchEvent(
+    new CompositionEvent("compositionstart", { bubbles: true, data: "" })
+  );
+  return true;
+}
+
+/**
+ * Replace the composing text in the field
+ * @param {string} text
+ */
+function updateComposition(text) {
+  const { element } = composition;
+  if (text === composition.text) return;
+  // Composition changes can't be cancelled, as with a system IME
+  element.dispatchEvent(
+    new InputEvent("beforeinput", {
+      bubbles: true,
+      inputType: "insertCompositionText",
+      data: text,
+      isComposing: true,
+    })
+  );
+  element.dispatchEvent(
+    new CompositionEvent("compositionupdate", { bubbles: true, data: text })
+  );
+
+  recordEdit(element, "insert");
+  if (composition.node) {
+    composition.node.data = text;
+    placeCaretAfter(composition.node);
+  } else if (focusState.get("type") === "contenteditable") {
+    composition.node = insertTextAtCursor(element, text);
+    if (composition.node) placeCaretAfter(composition.node);
+  } else {
+    const { start } = composition;
+    const end = start + composition.text.length;
+    element.value =
+      element.value.slice(0, start) + text + element.value.slice(end);
+    element.setSelectionRange(start + text.length, start + text.length);
+  }
+  composition.text = text;
+
+  element.dispatchEvent(
+    new InputEvent("input", {
+      bubbles: true,
+      inputType: "insertCompositionText",
+      data: text,
+      isComposing: true,
+    })
+  );
+  markChanged();
+}
+
+/**
+ * Finish the text being composed, leaving it in the field as it is
+ */
+export function endComposition() {
+  if (!composition) return;
+  const { element, text } = composition;
+  composition = null;
+  updateCandidates();
+  element.dispatchEvent(
+    new CompositionEvent("compositionend", { bubbles: true, data: text })
+  );
+}
+
+/**
+ * Check the composing text is still where it was left, with the cursor
+ * right after it - tapping elsewhere or switching fields ends it
+ * @param {HTMLElement|null} element - Focused field
+ * @returns {boolean}
+ */
+function isCompositionIntact(element) {
+  if (composition.element !== element) return false;
+
+  if (focusState.get("type") !== "contenteditable") {
+    const end = composition.start + composition.text.length;
+    return (
+      element.selectionStart === end &&
+      element.selectionEnd === end &&
+      element.value.slice(composition.start, end) === composition.text
+    );
+  }
+
+  const { node } = composition;
+  if (!node) return true;
+  const selection = getSelectionForElement(element);
+  if (!node.isConnected || selection.rangeCount === 0) return false;
+  const range = selection.getRangeAt(0);
+  return (
+    range.collapsed &&
+    node.data === composition.text &&
+    range.comparePoint(node, node.length) === 0
+  );
+}
+
+/**
+ * Put the cursor at the end of a text node
+ * @param {Text} node
+ */
+function placeCaretAfter(node) {
+  const range = node.ownerDocument.createRange();
+  range.setStart(node, node.length);
+  range.collapse(true);
+  const selection = node.ownerDocument.defaultView.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+// =============================================================================
+// Dead Keys and Compose
+// =============================================================================
+
+/**
+ * Handle dead keys, the Compose key, and the keys typed after them
+ * A finished sequence types its character; one the layout's compose table
+ * doesn't have types its keys as they are, and Space types a lone dead key.
+ * @param {string} key
+ * @returns {boolean} True if the key was handled
+ */
+function handleComposeSequenceKey(key) {
+  const pending = keyboardState.get("composeSequence");
+  if (key === SPECIAL_KEYS.COMPOSE) {
+    // Pressing Compose again cancels the sequence
+    keyboardState.set(
+      "composeSequence",
+      pending ? null : { sequence: "", composeKey: true }
+    );
+    return true;
+  }
+
+  const layout = getLayout(keyboardState.get("loadedLayout"));
+  const typed =
+    key.length === 1 && keyboardState.get("shift")
+      ? applyShiftToCharacter(key)
+      : key;
+  const isDead = getDeadKeys(layout).has(typed);
+
+  if (!pending) {
+    if (!isDead) return false;
+    pressDeadKey(typed);
+    return true;
+  }
+
+  if (key === SPECIAL_KEYS.BACKSPACE) {
+    cancelComposeSequence();
+    return true;
+  }
+  if (key === " ") {
+    cancelComposeSequence();
+    if (!pending.composeKey) {
+      insertCharacter(pending.sequence, { applyShift: false });
+    }
+    return true;
+  }
+  // Shift, &123 and other non-character keys leave the sequence waiting
+  if ([...key].length !== 1) return false;
+
+  const sequence = pending.sequence + typed;
+  const { text, partial } = matchSequence(layout?.compose ?? {}, sequence);
+  if (text !== null) {
+    cancelComposeSequence();
+    insertCharacter(text, { applyShift: false });
+    return true;
+  }
+  if (partial) {
+    if (isDead) sendDeadKey(typed);
+    resetShiftIfNeeded(typed);
+    keyboardState.set("composeSequence", { ...pending, sequence });
+    return true;
+  }
+
+  // Not a sequence: type what was held back, then the key itself - or
+  // start over if it's another dead key
+  cancelComposeSequence();
+  for (const char of pending.sequence) {
+    insertCharacter(char, { applyShift: false });
+  }
+  if (!isDead) return false;
+  pressDeadKey(typed);
+  return true;
+}
+
+/**
+ * Start a sequence with a dead key
+ * @param {string} key
+ */
+function pressDeadKey(key) {
+  sendDeadKey(key);
+  resetShiftIfNeeded(key);
+  keyboardState.set("composeSequence", { sequence: key, composeKey: false });
+}
+
+/**
+ * Send the key events for a dead key
+ * keydown reports "Dead" like a physical keyboard, and nothing is typed.
+ * @param {string} key
+ */
+function sendDeadKey(key) {
+  const element = focusState.get("element");
+  if (!element) return;
+  const info = {
+    ...getKeyInfo(key, keyboardState.get("loadedLayout")),
+    key: "Dead",
+  };
+  element.dispatchEvent(createKeyEvent("keydown", info));
+  element.dispatchEvent(createKeyEvent("keyup", info));
+}
+
+/**
+ * Drop a dead key or Compose sequence still waiting for keys
+ */
+export function cancelComposeSequence() {
+  if (keyboardState.get("composeSequence")) {
+    keyboardState.set("composeSequence", null);
+  }
+}
+
+// =============================================================================
+// Selection and Clipboard
+// =============================================================================
+
+/**
+ * Handle select all key press
+ */
+function handleSelectAll() {
+  const element = focusState.get("element");
+  if (!element) return;
+
+  if (focusState.get("type") === "contenteditable") {
+    getSelectionForElement(element).selectAllChildren(getEditingHost(element));
+  } else {
+    element.select();
+  }
+}
+
+/**
+ * Handle copy key press
+ */
+function handleCopy() {
+  const text = getSelectedText(focusState.get("element"));
+  if (text) writeClipboard(text);
+}
+
+/**
+ * Handle cut key press - copies, then deletes the selection unless the page
+ * cancels the beforeinput event
+ */
+function handleCut() {
+  const element = focusState.get("element");
+  const text = getSelectedText(element);
+  if (!text) return;
+
+  writeClipboard(text);
+  if (!dispatchBeforeInputEvent(element, "deleteByCut")) return;
+
+  recordEdit(element);
+  replaceSelection(element, "");
+  dispatchInputEvent(element, "deleteByCut");
+  markChanged();
+}
+
+/**
+ * Handle paste key press - inserts the clipboard text in place of the
+ * selection unless the page cancels the beforeinput event
+ */
+async function handlePaste() {
+  const element = focusState.get("element");
+  if (!element) return;
+
+  const clipboard = await readClipboard();
+  if (focusState.get("element") !== element) return;
+  const text = fitToMaxLength(element, clipboard);
+  if (!text) return;
+  if (!dispatchBeforeInputEvent(element, "insertFromPaste", text)) return;
+
+  recordEdit(element);
+  replaceSelection(element, text);
+  dispatchInputEvent(element, "insertFromPaste", text);
+  markChanged();
+  refreshSuggestions();
+}
+
+/**
+ * Cut pasted text to the room left under the field's maxlength, as typing
+ * stops there too. Whole characters only - an emoji isn't split.
+ * @param {HTMLElement} element
+ * @param {string} text
+ * @returns {string}
+ */
+function fitToMaxLength(element, text) {
+  const maxLength = element.maxLength;
+  if (focusState.get("type") === "contenteditable" || !(maxLength > 0)) {
+    return text;
+  }
+
+  const selected = element.selectionEnd - element.selectionStart;
+  const room = Math.max(0, maxLength - (element.value.length - selected));
+  if (text.length <= room) return text;
+  return text.slice(0, getPreviousGraphemeBoundary(text, room + 1));
+}
+
+/**
+ * Get the selected text in a field
+ * @param {HTMLElement|null} element
+ * @returns {string}
+ */
+function getSelectedText(element) {
+  if (!element) return "";
+
+  if (focusState.get("type") === "contenteditable") {
+    const selection = getSelectionForElement(element);
+    if (!selection.rangeCount) return "";
+    // Only a selection inside the field counts
+    const range = selection.getRangeAt(0);
+    if (!element.contains(range.commonAncestorContainer)) return "";
+    return selection.toString();
+  }
+
+  // Passwords can't be copied, as with the browser's own Copy and Cut
+  if (element.type === "password") return "";
+
+  try {
+    return element.value.slice(element.selectionStart, element.selectionEnd);
+  } catch (_e) {
+    // Some input types don't support selection
+    return "";
+  }
+}
+
+/**
+ * Replace the selection in a field with text, leaving the cursor after it
+ * @param {HTMLElement} element
+ * @param {string} text
+ */
+function replaceSelection(element, text) {
+  if (focusState.get("type") !== "contenteditable") {
+    element.setRangeText(
+      text,
+      element.selectionStart,
+      element.selectionEnd,
+      "end"
+    );
+    return;
+  }
+
+  // Single-line fields can't hold line breaks
+  if (isSingleLineField(element)) {
+    insertTextAtCursor(element, text.replace(/\r?\n/g, " "));
+  } else if (keepsNewlines(element)) {
+    insertTextAtCursor(element, text);
+  } else {
+    // Rich text editors get a <br> for each line break
+    const lines = text.split(/\r?\n/);
+    insertTextAtCursor(element, lines[0]);
+    for (const line of lines.slice(1)) {
+      insertLineBreakAtCursor(element);
+      if (line) insertTextAtCursor(element, line);
+    }
+  }
+}
+
+// =============================================================================
+// Undo and Redo
+// =============================================================================
+
+/**
+ * Handle undo key press
+ */
+function handleUndo() {
+  handleHistoryKey({
+    key: "z",
+    code: "KeyZ",
+    keyCode: 90,
+    inputType: "historyUndo",
+    available: canUndo,
+    apply: undoEdit,
+  });
+}
+
+/**
+ * Handle redo key press
+ */
+function handleRedo() {
+  handleHistoryKey({
+    key: "y",
+    code: "KeyY",
+    keyCode: 89,
+    inputType: "historyRedo",
+    available: canRedo,
+    apply: redoEdit,
+  });
+}
+
+/**
+ * Send an undo/redo shortcut (Ctrl+Z / Ctrl+Y) and, unless the page handles
+ * it with its own history, step through the keyboard's edit history
+ * @param {Object} options
+ * @param {string} options.key - Shortcut key
+ * @param {string} options.code - Shortcut key code
+ * @param {number} options.keyCode - Shortcut key code number
+ * @param {string} options.inputType - "historyUndo" or "historyRedo"
+ * @param {function(HTMLElement): boolean} options.available - Whether there's a step
+ * @param {function(HTMLElement): boolean} options.apply - Takes the step
+ */
+function handleHistoryKey({ key, code, keyCode, inputType, available, apply }) {
+  const element = focusState.get("element");
+  if (!element) return;
+
+  const keydownEvent = new KeyboardEvent("keydown", {
+    key,
+    code,
+    keyCode,
+    which: keyCode,
+    ctrlKey: true,
+    bubbles: true,
+    cancelable: true,
+  });
+  element.dispatchEvent(keydownEvent);
+
+  // If site handled the keydown (e.g., an editor with its own undo), stop
+  if (keydownEvent.defaultPrevented) return;
+
+  if (!available(element)) return;
+  if (!dispatchBeforeInputEvent(element, inputType)) return;
+
+  apply(element);
+  dispatchInputEvent(element, inputType);
+  markChanged();
+}
+
+// =============================================================================
+// Word Prediction Helpers
+// =============================================================================
+
+// Input types where suggestions and corrections would leak or make no sense
+const WORD_EXCLUDED_TYPES = [
+  "password",
+  "email",
+  "url",
+  "number",
+  "tel",
+  "date",
+  "time",
+  "datetime-local",
+  "month",
+  "week",
+];
+
+// inputmode values for fields that don't hold words either
+const WORD_EXCLUDED_INPUT_MODES = ["numeric", "decimal", "tel", "email", "url"];
+
+/**
+ * Check whether an element holds natural-language words
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isWordField(element) {
+  const origType = element.getAttribute?.("data-original-type") || element.type;
+  return (
+    !WORD_EXCLUDED_TYPES.includes(origType) &&
+    !WORD_EXCLUDED_INPUT_MODES.includes(getInputMode(element)) &&
+    // One-time codes must never be learned
+    !isOneTimeCode(element)
+  );
+}
+
+/**
+ * Check whether word prediction applies to an element
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isPredictionEnabled(element) {
+  return settingsState.get("wordSuggestions") === true && isWordField(element);
+}
+
+/**
+ * Correct the word that ends at the cursor, remembering it for undo
+ */
+function autocorrectWordBeforeCursor() {
+  const element = focusState.get("element");
+  if (!element || !settingsState.get("autocorrect") || !isWordField(element)) {
+    return;
+  }
+
+  const word = getWordBeforeCursor(getTextBeforeCursor(element));
+  const corrected = findCorrection(word, keyboardState.get("loadedLayout"));
+  if (!corrected) return;
+
+  replaceWordBeforeCursor(word, corrected);
+  lastCorrection = { element, original: word, corrected };
+}
+
+/**
+ * Undo an autocorrection: remove the space/punctuation typed after it and
+ * restore the original word
+ * @param {{element: HTMLElement, original: string, corrected: string}} correction
+ * @returns {boolean} Whether the correction was undone
+ */
+function undoCorrection({ element, original, corrected }) {
+  if (focusState.get("element") !== element) return false;
+
+  // Cursor must still be right after the corrected word and its boundary
+  const text = getTextBeforeCursor(element);
+  if (!text.slice(0, -1).endsWith(corrected)) return false;
+
+  handleBackspace();
+  replaceWordBeforeCursor(corrected, original);
+  // Don't correct it again, now or in later sessions
+  ignoreWord(original, keyboardState.get("loadedLayout"));
+  return true;
+}
+
+/**
+ * Replace the word ending at the cursor, keeping any shared prefix
+ * Goes through the normal backspace/insert paths so sites see key events
+ * @param {string} from - Word currently before the cursor
+ * @param {string} to - Replacement word
+ */
+function replaceWordBeforeCursor(from, to) {
+  // Backspace deletes a whole character at a time
+  const fromChars = splitGraphemes(from);
+  const toChars = splitGraphemes(to);
+  let common = 0;
+  while (
+    common < fromChars.length &&
+    common < toChars.length &&
+    fromChars[common] === toChars[common]
+  ) {
+    common++;
+  }
+
+  for (let i = common; i < fromChars.length; i++) {
+    handleBackspace();
+  }
+  for (const char of toChars.slice(common)) {
+    insertCharacter(char, { applyShift: false });
+  }
+}
+
+/**
+ * Check whether a key ends the word being typed
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isWordBoundary(key) {
+  return key === " " || key === SPECIAL_KEYS.ENTER || /^[.,!?;:]$/.test(key);
+}
+
+/**
+ * Teach the predictor the word that ends at the cursor
+ * Autocorrect needs this too, so the user's own words stop being corrected
+ */
+function learnWordBeforeCursor() {
+  const element = focusState.get("element");
+  if (
+    !element ||
+    !isWordField(element) ||
+    (!settingsState.get("wordSuggestions") && !settingsState.get("autocorrect"))
+  ) {
+    return;
+  }
+
+  const word = getWordBeforeCursor(getTextBeforeCursor(element));
+  learnWord(word, keyboardState.get("loadedLayout"));
+}
+
+/**
+ * Get the text between the start of the field and the cursor
+ * Returns "" when text is selected, since typing would replace it
+ * @param {HTMLElement} element
+ * @returns {string}
+ */
+function getTextBeforeCursor(element) {
+  if (focusState.get("type") === "contenteditable") {
+    const selection = getSelectionForElement(element);
+    if (!selection || selection.rangeCount === 0) return "";
+    const range = selection.getRangeAt(0);
+    if (!range.collapsed || !element.contains(range.startContainer)) {
+      return "";
+    }
+    const before = element.ownerDocument.createRange();
+    before.selectNodeContents(element);
+    before.setEnd(range.startContainer, range.startOffset);
+    return before.toString();
+  }
+
+  try {
+    const pos = element.selectionStart;
+    if (pos === null || pos !== element.selectionEnd) return "";
+    return element.value.slice(0, pos);
+  } catch (_e) {
+    // Some input types (email, number) throw on selection access
+    return "";
+  }
+}
+
+// =============================================================================
+// DOM Manipulation Helpers
+// =============================================================================
+
+/**
+ * Get the selection object for an element (handles iframe elements)
+ * @param {HTMLElement} element
+ * @returns {Selection|null}
+ */
+function getSelectionForElement(element) {
+  const win = element?.ownerDocument?.defaultView || window;
+  return win.getSelection();
+}
+
+/**
+ * Insert text at cursor position for contenteditable
+ * @param {HTMLElement} element - The contenteditable element
+ * @param {string} text
+ * @returns {Text|null} The inserted text node
+ */
+function insertTextAtCursor(element, text) {
+  const selection = getSelectionForElement(element);
+  if (selection.rangeCount > 0) {
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    const textNode = element.ownerDocument.createTextNode(text);
+    range.insertNode(textNode);
+    range.setStartAfter(textNode);
+    range.setEndAfter(textNode);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return textNode;
+  }
+  return null;
+}
+
+/**
+ * Insert a <br> at cursor position for contenteditable
+ * @param {HTMLElement} element - The contenteditable element
+ */
+function insertLineBreakAtCursor(element) {
+  const selection = getSelectionForElement(element);
+  if (selection.rangeCount > 0) {
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    const br = element.ownerDocument.createElement("br");
+    range.insertNode(br);
+    range.setStartAfter(br);
+    range.setEndAfter(br);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+}
+
+/**
+ * Check if Enter should add "\n" rather than <br>: plaintext-only editors
+ * whose white-space shows newlines, as the browser's own Enter does
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function keepsNewlines(element) {
+  if (!isPlainTextOnly(element)) return false;
+  const win = element.ownerDocument.defaultView || window;
+  const { whiteSpace } = win.getComputedStyle(getEditingHost(element));
+  return ["pre", "pre-wrap", "pre-line", "break-spaces"].includes(whiteSpace);
+}
+
+/**
+ * Insert text at cursor position for input/textarea
+ * Handles inputs that don't support selection (email, number, etc.)
+ * @param {HTMLElement} input
+ * @param {string} text
+ */
+function insertTextAtPosition(input, text) {
+  try {
+    const pos = input.selectionStart;
+    const posEnd = input.selectionEnd;
+    if (pos !== null && posEnd !== null) {
+      input.value =
+        input.value.slice(0, pos) + text + input.value.slice(posEnd);
+      input.selectionStart = input.selectionEnd = pos + text.length;
+    } else {
+      // Fallback for inputs that don't support selection (email, number)
+      input.value += text;
+    }
+  } catch (_e) {
+    // Some input types (email, number) throw on selection access
+    input.value += text;
+  }
+}
+
+/**
+ * Delete character at cursor for contenteditable using a saved range
+ * A word is only deleted as far back as the start of its text node.
+ * @param {HTMLElement} element - The contenteditable element
+ * @param {Range|null} savedRange - The range captured before keydown dispatch
+ * @param {boolean} [byWord] - Delete back to the start of a word
+ */
+function deleteAtCursorWithRange(element, savedRange, byWord = false) {
+  if (!savedRange) {
+    // Fallback to current selection if no saved range
+    const selection = getSelectionForElement(element);
+    if (selection.rangeCount > 0) {
+      savedRange = selection.getRangeAt(0);
+    } else {
+      return;
+    }
+  }
+
+  const { startContainer, startOffset } = savedRange;
+  // The element may be in another document (iframe, designMode editor)
+  const doc = element.ownerDocument;
+  const findStart = byWord
+    ? getPreviousWordBoundary
+    : getPreviousGraphemeBoundary;
+
+  if (savedRange.collapsed) {
+    if (startContainer.nodeType === Node.TEXT_NODE && startOffset > 0) {
+      // Delete character before cursor in text node
+      const text = startContainer.textContent;
+      const start = findStart(text, startOffset);
+      startContainer.textContent =
+        text.slice(0, start) + text.slice(startOffset);
+      // Update selection to new position
+      const selection = getSelectionForElement(element);
+      const newRange = doc.createRange();
+      newRange.setStart(startContainer, start);
+      newRange.setEnd(startContainer, start);
+      selection.removeAllRanges();
+      selection.addRange(newRange);
+    } else if (startOffset > 0) {
+      // For element nodes with startOffset > 0: remove the node before the
+      // cursor, or just its end when more of a text node would be left
+      const previous = startContainer.childNodes[startOffset - 1];
+      const range = doc.createRange();
+      const start =
+        previous?.nodeType === Node.TEXT_NODE
+          ? findStart(previous.data, previous.length)
+          : 0;
+      if (start > 0) {
+        range.setStart(previous, start);
+        range.setEnd(previous, previous.length);
+      } else {
+        range.setStart(startContainer, startOffset - 1);
+        range.setEnd(startContainer, startOffset);
+      }
+      range.deleteContents();
+    }
+    // When startOffset === 0, we're at start of a node/line
+    // The keydown event should have handled moving to previous line
+    // We intentionally do nothing here to avoid double-delete
+  } else {
+    // Selection exists, delete it
+    savedRange.deleteContents();
+  }
+}
+
+/**
+ * Find and click submit button in form
+ * @param {HTMLFormElement} form
+ * @returns {boolean} - Whether a submit button was found and clicked
+ */
+function clickSubmitButton(form) {
+  const submitButtons = form.querySelectorAll(
+    'input[type="submit"], button[type="submit"]'
+  );
+  for (const btn of submitButtons) {
+    btn.click();
+    return true;
+  }
+  return false;
+}
+
+// =============================================================================
+// Event Dispatching
+// =============================================================================
+
+/**
+ * Get what an edit in a contenteditable element will replace, for
+ * beforeinput's getTargetRanges()
+ * @param {HTMLElement} element
+ * @param {Range|null} [range] - Selection before the edit (default: current)
+ * @param {boolean} [backward] - Deleting backward from a collapsed range
+ * @param {boolean} [byWord] - Deleting a word rather than a character
+ * @returns {StaticRange[]} Empty for inputs and textareas, like the browser
+ */
+function getTargetRanges(element, range, backward = false, byWord = false) {
+  if (focusState.get("type") !== "contenteditable") return [];
+  if (range === undefined) {
+    const selection = getSelectionForElement(element);
+    range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+  }
+  if (!range) return [];
+
+  const { startContainer, endContainer, endOffset } = range;
+  let { startOffset } = range;
+  if (
+    backward &&
+    range.collapsed &&
+    startContainer.nodeType === Node.TEXT_NODE &&
+    startOffset > 0
+  ) {
+    // The character (or word) before the cursor
+    startOffset = byWord
+      ? getPreviousWordBoundary(startContainer.data, startOffset)
+      : getPreviousGraphemeBoundary(startContainer.data, startOffset);
+  }
+  return [
+    new StaticRange({ startContainer, startOffset, endContainer, endOffset }),
+  ];
 }
 
 export { activateAutoCaps };
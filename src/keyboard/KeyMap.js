@@ -13,9 +13,10 @@ export function getKeyWithShift(keyElement) {
   const shiftKey = keyElement.dataset.keyShift;
 
   if (keyboardState.get("shift") && shiftKey) {
-    // Auto-caps should only affect letters, not transform numbers/symbols
+    // Auto-caps should only capitalise letters, not transform numbers,
+    // symbols or letters without case (an Arabic key's shift is a haraka)
     if (keyboardState.get("autoCapsActive")) {
-      if (/\p{L}/u.test(baseKey)) {
+      if (/\p{Ll}/u.test(baseKey)) {
         return shiftKey;
       }
       return baseKey;
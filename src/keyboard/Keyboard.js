@@ -1,11 +1,19 @@
 // Keyboard
 // Main keyboard UI class - rendering, show/hide, event delegation
 
-import { CSS_CLASSES, DOM_IDS, TIMING } from "../core/config.js";
+import {
+  CSS_CLASSES,
+  DOM_IDS,
+  PREDICTION,
+  SITE_PROFILE_SETTINGS,
+  SPECIAL_KEYS,
+  TIMING,
+} from "../core/config.js";
 import { EVENTS, emit, on } from "../core/events.js";
 import {
   focusState,
   keyboardState,
+  predictionState,
   runtimeState,
   settingsState,
   urlBarState,
@@ -13,6 +21,9 @@ import {
 } from "../core/state.js";
 import storage from "../core/storage.js";
 import { ICONS } from "../icons/icons.js";
+import { getInputMethod } from "../ime/InputMethods.js";
+import { focusAdjacentField } from "../input/FieldNavigator.js";
+import { getEnterKeyHint, getKeyboardKind } from "../input/InputHints.js";
 import {
   addBodyPadding,
   clearCloseTimer,
@@ -23,9 +34,29 @@ import {
   saveScrollPosition,
   scrollInputIntoView,
 } from "../input/InputTracker.js";
-import { renderLayout } from "../layouts/LayoutRenderer.js";
-import { activateAutoCaps, handleKeyPress } from "./KeyHandler.js";
+import { getLogicalStep } from "../input/TextDirection.js";
+import { getKeyLabel, renderLayout } from "../layouts/LayoutRenderer.js";
+import { getLayout } from "../layouts/layouts.js";
+import { prepareAutocorrect } from "../prediction/Autocorrect.js";
+import { decodeGesture } from "../prediction/GestureDecoder.js";
+import { getCandidateWords } from "../prediction/Predictor.js";
+import { matchSequence } from "./ComposeSequences.js";
+import {
+  acceptSuggestion,
+  activateAutoCaps,
+  beginDateTimeEntry,
+  cancelComposeSequence,
+  endComposition,
+  handleKeyPress,
+  insertWord,
+  refreshSuggestions,
+  selectCandidate,
+} from "./KeyHandler.js";
 import { getKeyWithShift } from "./KeyMap.js";
+import {
+  getNextGraphemeBoundary,
+  getPreviousGraphemeBoundary,
+} from "./TextSegments.js";
 
 let keyboardElement = null;
 let scaleWrapperElement = null;
@@ -42,6 +73,16 @@ let spacebarSwipeState = {
   spaceKey: null,
 };
 
+// Gesture (glide) typing state
+let gestureState = {
+  active: false,
+  startKey: null,
+  points: [],
+  passedKeys: new Set(),
+  hasGestured: false,
+  preventClick: false,
+};
+
 // Keyboard drag state
 let dragState = {
   active: false,
@@ -55,6 +96,7 @@ const keyRepeatState = {
   active: false,
   key: null,
   initialTimeout: null,
+  wordTimeout: null,
   repeatInterval: null,
 };
 
@@ -79,6 +121,16 @@ function startKeyRepeat(keyValue) {
     keyRepeatState.repeatInterval = setInterval(() => {
       handleKeyPress(keyValue);
     }, speed);
+
+    // Backspace held on goes from characters to whole words
+    if (keyValue === SPECIAL_KEYS.BACKSPACE) {
+      keyRepeatState.wordTimeout = setTimeout(() => {
+        clearInterval(keyRepeatState.repeatInterval);
+        keyRepeatState.repeatInterval = setInterval(() => {
+          handleKeyPress(keyValue, { byWord: true });
+        }, TIMING.BACKSPACE_WORD_INTERVAL);
+      }, TIMING.BACKSPACE_WORD_DELAY);
+    }
   }, delay);
 }
 
@@ -90,6 +142,10 @@ function stopKeyRepeat() {
     clearTimeout(keyRepeatState.initialTimeout);
     keyRepeatState.initialTimeout = null;
   }
+  if (keyRepeatState.wordTimeout) {
+    clearTimeout(keyRepeatState.wordTimeout);
+    keyRepeatState.wordTimeout = null;
+  }
   if (keyRepeatState.repeatInterval) {
     clearInterval(keyRepeatState.repeatInterval);
     keyRepeatState.repeatInterval = null;
@@ -106,7 +162,10 @@ const SWIPE_SENSITIVITY = 20; // Pixels of swipe per cursor position change
 const cachedElements = {
   mainKbd: null,
   numbersKbd: null,
+  navigationKbd: null,
   numberInput: null,
+  digitsInput: null,
+  dateTimeInput: null,
   urlBar: null,
   urlBarTextbox: null,
   placeholder: null,
@@ -130,6 +189,12 @@ function getCachedElements() {
     cachedElements.numberInput = shadowRoot.getElementById(
       DOM_IDS.NUMBER_BAR_INPUT
     );
+    cachedElements.digitsInput = shadowRoot.getElementById(
+      DOM_IDS.DIGITS_INPUT
+    );
+    cachedElements.dateTimeInput = shadowRoot.getElementById(
+      DOM_IDS.DATE_TIME_INPUT
+    );
     cachedElements.urlBar = shadowRoot.getElementById(DOM_IDS.URL_BAR);
     cachedElements.urlBarTextbox = shadowRoot.getElementById(
       DOM_IDS.URL_BAR_TEXTBOX
@@ -142,6 +207,12 @@ function getCachedElements() {
   if (!cachedElements.numbersKbd && shadowRoot) {
     cachedElements.numbersKbd = shadowRoot.getElementById(DOM_IDS.MAIN_NUMBERS);
   }
+  // Cache navigationKbd separately (can be recreated by reloadKeyboard)
+  if (!cachedElements.navigationKbd && shadowRoot) {
+    cachedElements.navigationKbd = shadowRoot.getElementById(
+      DOM_IDS.MAIN_NAVIGATION
+    );
+  }
   // Cache layout-dependent elements separately (created in loadLayout)
   if (!cachedElements.urlButton && shadowRoot) {
     cachedElements.urlButton = shadowRoot.getElementById(DOM_IDS.URL_BUTTON);
@@ -293,6 +364,9 @@ export async function init() {
   // Set up spacebar swipe for cursor movement
   setupSpacebarSwipe();
 
+  // Set up gesture typing across letter keys
+  setupGestureTyping();
+
   // Track pointer over keyboard for URL bar blur handling
   keyboardElement.addEventListener("pointerenter", () => {
     runtimeState.set("pointerOverKeyboard", true);
@@ -327,6 +401,12 @@ export async function init() {
 
   // Apply number bar visibility
   updateNumberBarVisibility();
+
+  // Apply suggestion bar visibility
+  updateSuggestionBarVisibility();
+
+  // Apply gesture typing mode
+  updateGestureTyping();
 }
 
 /**
@@ -350,15 +430,31 @@ async function buildKeyboardStructure() {
   const languageOverlay = await createLanguageOverlay();
   scaleWrapperElement.appendChild(languageOverlay);
 
+  // Create settings overlay (options page, per-site profile)
+  scaleWrapperElement.appendChild(createSettingsOverlay());
+
   // Create number input keyboard
   const numberInput = createNumberInputKeyboard();
   scaleWrapperElement.appendChild(numberInput);
 
+  // Create digits-only input keyboard
+  scaleWrapperElement.appendChild(createDigitsInputKeyboard());
+
+  // Create date/time input keyboard
+  scaleWrapperElement.appendChild(createDateTimeInputKeyboard());
+
   // Create main keyboard container
   const mainKbd = document.createElement("div");
   mainKbd.id = DOM_IDS.MAIN_KBD;
   scaleWrapperElement.appendChild(mainKbd);
 
+  // Create input method candidate bar (above the suggestion bar)
+  mainKbd.appendChild(createCandidateBar());
+
+  // Create word suggestion bar (above the number bar)
+  const suggestionBar = createSuggestionBar();
+  mainKbd.appendChild(suggestionBar);
+
   // Create number bar (top row of numbers)
   const numberBar = createNumberBar();
   mainKbd.appendChild(numberBar);
@@ -371,6 +467,9 @@ async function buildKeyboardStructure() {
   // Create numbers/symbols keyboard
   const numbersKbd = createNumbersKeyboard();
   scaleWrapperElement.appendChild(numbersKbd);
+
+  // Create navigation keys layer
+  scaleWrapperElement.appendChild(createNavigationKeyboard());
 }
 
 /**
@@ -513,6 +612,40 @@ async function createLanguageOverlay() {
   return overlay;
 }
 
+/**
+ * Create the settings overlay, opened from the Settings key
+ */
+function createSettingsOverlay() {
+  const overlay = document.createElement("div");
+  overlay.id = DOM_IDS.OVERLAY_SETTINGS;
+  overlay.className = CSS_CLASSES.OVERLAY;
+  overlay.dataset.state = "closed";
+  overlay.style.display = "none";
+
+  const ul = document.createElement("ul");
+  ul.className = "vk-overlay-keys";
+
+  const items = [
+    { action: "openSettings", text: "Settings" },
+    {
+      action: "saveSiteProfile",
+      text: "Save for this site",
+      title: `Use the current layout, size and buttons on ${location.origin}`,
+    },
+  ];
+  for (const { action, text, title } of items) {
+    const li = document.createElement("li");
+    li.className = CSS_CLASSES.OVERLAY_BUTTON;
+    li.textContent = text;
+    li.dataset.action = action;
+    if (title) li.title = title;
+    ul.appendChild(li);
+  }
+
+  overlay.appendChild(ul);
+  return overlay;
+}
+
 /**
  * Special key configurations for button creation
  */
@@ -521,6 +654,38 @@ const SPECIAL_KEY_CONFIG = {
   Enter: { className: "vk-key-enter", icon: "enter" },
   "&123": { className: "vk-key-action", text: "ABC" },
   Close: { className: "vk-key-action", icon: "close" },
+  PrevSegment: { className: "vk-key-action", text: "\u25C0" },
+  NextSegment: { className: "vk-key-action", text: "\u25B6" },
+  Nav: { className: "vk-key-action", text: "ABC" },
+  ArrowLeft: { className: "vk-key-action", text: "\u2190" },
+  ArrowRight: { className: "vk-key-action", text: "\u2192" },
+  ArrowUp: { className: "vk-key-action", text: "\u2191" },
+  ArrowDown: { className: "vk-key-action", text: "\u2193" },
+  Home: { className: "vk-key-action", text: "Home" },
+  End: { className: "vk-key-action", text: "End" },
+  WordLeft: { className: "vk-key-action", text: "\u21E0 Word" },
+  WordRight: { className: "vk-key-action", text: "Word \u21E2" },
+  Tab: { className: "vk-key-action", text: "Tab \u21E5" },
+  ShiftTab: { className: "vk-key-action", text: "\u21E4 Tab" },
+  Escape: { className: "vk-key-action", text: "Esc" },
+  SelectAll: { className: "vk-key-action", text: "Select All" },
+  Cut: { className: "vk-key-action", text: "Cut" },
+  Copy: { className: "vk-key-action", text: "Copy" },
+  Paste: { className: "vk-key-action", text: "Paste" },
+  Undo: { className: "vk-key-action", text: "Undo" },
+  Redo: { className: "vk-key-action", text: "Redo" },
+};
+
+/**
+ * Enter key labels for enterkeyhint values ("enter" keeps the icon)
+ */
+const ENTER_KEY_LABELS = {
+  done: "Done",
+  go: "Go",
+  next: "Next",
+  previous: "Prev",
+  search: "Search",
+  send: "Send",
 };
 
 /**
@@ -596,6 +761,32 @@ function createNumberInputKeyboard() {
   ]);
 }
 
+/**
+ * Create the digits-only input keyboard (for numeric inputmode and one-time
+ * codes)
+ */
+function createDigitsInputKeyboard() {
+  return createKeyboardFromRows(DOM_IDS.DIGITS_INPUT, [
+    ["1", "2", "3"],
+    ["4", "5", "6"],
+    ["7", "8", "9"],
+    ["Backspace", "0", "Enter"],
+  ]);
+}
+
+/**
+ * Create the date/time input keyboard (for date, time, datetime-local, month
+ * and week inputs). Separators jump to the next segment, like the arrows.
+ */
+function createDateTimeInputKeyboard() {
+  return createKeyboardFromRows(DOM_IDS.DATE_TIME_INPUT, [
+    ["7", "8", "9", "Backspace"],
+    ["4", "5", "6", "PrevSegment"],
+    ["1", "2", "3", "NextSegment"],
+    ["-", "0", ":", "Enter"],
+  ]);
+}
+
 /**
  * Create the number bar (row of 0-9 at top)
  */
@@ -611,6 +802,81 @@ function createNumberBar() {
   return container;
 }
 
+/**
+ * Create the word suggestion bar (filled in by renderSuggestions)
+ */
+function createSuggestionBar() {
+  const container = document.createElement("div");
+  container.id = DOM_IDS.SUGGESTION_BAR;
+  container.className = "vk-row";
+  renderSuggestions(container, []);
+  return container;
+}
+
+/**
+ * Render word suggestions into the suggestion bar
+ * Always renders MAX_SUGGESTIONS slots so the keyboard height stays stable
+ * @param {HTMLElement} container - Suggestion bar element
+ * @param {string[]} suggestions
+ */
+function renderSuggestions(container, suggestions) {
+  container.innerHTML = "";
+  for (let i = 0; i < PREDICTION.MAX_SUGGESTIONS; i++) {
+    const word = suggestions[i] || "";
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = CSS_CLASSES.SUGGESTION;
+    btn.dataset.suggestion = word;
+    btn.disabled = !word;
+    const span = document.createElement("span");
+    span.textContent = word;
+    btn.appendChild(span);
+    container.appendChild(btn);
+  }
+}
+
+/**
+ * Create the input method candidate bar (filled in by renderCandidates)
+ * Hidden unless the layout's input method offers candidates
+ */
+function createCandidateBar() {
+  const container = document.createElement("div");
+  container.id = DOM_IDS.CANDIDATE_BAR;
+  container.className = "vk-row";
+  container.style.display = "none";
+  renderCandidates(container, []);
+  return container;
+}
+
+/**
+ * Render input method candidates into the candidate bar
+ * The bar keeps its height when empty so the keyboard doesn't jump
+ * @param {HTMLElement} container - Candidate bar element
+ * @param {{text: string}[]} candidates
+ */
+function renderCandidates(container, candidates) {
+  container.innerHTML = "";
+  candidates.forEach(({ text }, index) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = CSS_CLASSES.CANDIDATE;
+    btn.dataset.index = String(index);
+    btn.textContent = text;
+    container.appendChild(btn);
+  });
+}
+
+/**
+ * Show the candidate bar for layouts whose input method has candidates
+ * @param {string} layoutId
+ */
+function updateCandidateBarVisibility(layoutId) {
+  const candidateBar = shadowRoot?.getElementById(DOM_IDS.CANDIDATE_BAR);
+  if (!candidateBar) return;
+  const method = getInputMethod(getLayout(layoutId)?.inputMethod);
+  candidateBar.style.display = method?.getCandidates ? "" : "none";
+}
+
 /**
  * Create the numbers/symbols keyboard
  */
@@ -655,12 +921,56 @@ function createNumbersKeyboard() {
   return createKeyboardFromRows(DOM_IDS.MAIN_NUMBERS, rows);
 }
 
+/**
+ * Create the navigation keys layer (arrows, Home/End, word jumps, Tab, Esc,
+ * undo/redo and clipboard keys)
+ */
+function createNavigationKeyboard() {
+  const showCloseButton = settingsState.get("showCloseButton");
+
+  const rows = [
+    ["Undo", "Redo", "SelectAll", "Cut", "Copy", "Paste"],
+    ["Escape", "Home", "ArrowUp", "End", "Backspace"],
+    ["WordLeft", "ArrowLeft", "ArrowDown", "ArrowRight", "WordRight"],
+    ["Nav", "ShiftTab", "Tab", "Enter", showCloseButton ? "Close" : null],
+  ].map((row) => row.filter((key) => key !== null));
+
+  return createKeyboardFromRows(DOM_IDS.MAIN_NAVIGATION, rows);
+}
+
 /**
  * Set up event delegation for keyboard clicks
  */
 function setupEventDelegation() {
   // Single click handler for all keys
   keyboardElement.addEventListener("click", (e) => {
+    // Ignore the click that ends a gesture (it lands on the start key)
+    if (gestureState.preventClick) {
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+
+    // Candidates are not keys - they replace the text being composed
+    const candidate = e.target.closest(`.${CSS_CLASSES.CANDIDATE}`);
+    if (candidate) {
+      e.preventDefault();
+      e.stopPropagation();
+      selectCandidate(Number(candidate.dataset.index));
+      return;
+    }
+
+    // Word suggestions are not keys - they complete the current word
+    const suggestion = e.target.closest(`.${CSS_CLASSES.SUGGESTION}`);
+    if (suggestion) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (suggestion.dataset.suggestion) {
+        acceptSuggestion(suggestion.dataset.suggestion);
+      }
+      return;
+    }
+
     const key = e.target.closest(`.${CSS_CLASSES.KEY_CLICK}`);
     if (key) {
       // Check if this is a spacebar click that should be prevented (due to swipe)
@@ -745,6 +1055,29 @@ function setupEventDelegation() {
   });
 }
 
+/**
+ * Switch to a layout and remember it as the user's choice
+ * @param {string} layout - Layout ID
+ */
+async function switchLayout(layout) {
+  await storage.setLayout(layout);
+  settingsState.set("layout", layout);
+  await loadLayout(layout);
+}
+
+/**
+ * Switch to the next layout in the language list, wrapping around
+ */
+export async function cycleLayout() {
+  const layouts = await storage.getLayoutsList();
+  if (layouts.length === 0) return;
+
+  const current = layouts.findIndex(
+    (layout) => layout.value === settingsState.get("layout")
+  );
+  await switchLayout(layouts[(current + 1) % layouts.length].value);
+}
+
 /**
  * Handle overlay button click
  */
@@ -752,10 +1085,7 @@ async function handleOverlayClick(btn) {
   const action = btn.dataset.action;
 
   if (action === "setKeyboard") {
-    const layout = btn.dataset.layout;
-    await storage.setLayout(layout);
-    settingsState.set("layout", layout);
-    await loadLayout(layout);
+    await switchLayout(btn.dataset.layout);
 
     const element = focusState.get("element");
     if (element) {
@@ -764,6 +1094,15 @@ async function handleOverlayClick(btn) {
   } else if (action === "key") {
     const keyValue = getKeyWithShift(btn);
     handleKeyPress(keyValue);
+  } else if (action === "openSettings") {
+    handleKeyPress(SPECIAL_KEYS.OPEN_SETTINGS);
+  } else if (action === "saveSiteProfile") {
+    // Snapshot what's in use now, so this site keeps it when globals change
+    const profile = {};
+    for (const name of Object.keys(SITE_PROFILE_SETTINGS)) {
+      profile[name] = settingsState.get(name);
+    }
+    await storage.setSiteProfile(location.origin, profile);
   }
 }
 
@@ -805,9 +1144,11 @@ function toggleOverlay(menuId, buttonElement) {
     // Center overlay horizontally over the button
     let left = buttonLeft + buttonWidth / 2 - overlayWidth / 2;
     // Position overlay directly above button
-    // Language overlay needs extra offset due to being in bottom row
-    const isLanguageOverlay = overlay.id === DOM_IDS.OVERLAY_LANGUAGE;
-    const top = buttonTop - overlayHeight + (isLanguageOverlay ? 25 : 0);
+    // Language and settings overlays need extra offset due to being in bottom row
+    const isBottomRowOverlay =
+      overlay.id === DOM_IDS.OVERLAY_LANGUAGE ||
+      overlay.id === DOM_IDS.OVERLAY_SETTINGS;
+    const top = buttonTop - overlayHeight + (isBottomRowOverlay ? 25 : 0);
 
     // Clamp left to stay within wrapper bounds
     if (left < padding) {
@@ -880,6 +1221,20 @@ function setupStateSubscriptions() {
     if (numbersKbd) numbersKbd.style.display = numbersMode ? "" : "none";
   });
 
+  // Navigation layer toggle
+  keyboardState.subscribe("navigationMode", showNavigationLayer);
+
+  // Text being composed is finished when its field loses focus, and a
+  // waiting dead key is dropped
+  focusState.subscribe("element", (element, previous) => {
+    if (element === previous) return;
+    endComposition();
+    cancelComposeSequence();
+  });
+
+  // Dead key or Compose pressed - show what the next keys would type
+  keyboardState.subscribe("composeSequence", updateComposeKeys);
+
   // Shift mode toggle
   keyboardState.subscribe("shift", (shift) => {
     const { mainKbd } = getCachedElements();
@@ -919,6 +1274,18 @@ function setupStateSubscriptions() {
   voiceState.subscribe("state", (state) => {
     updateVoiceButtonState(state);
   });
+
+  // Word suggestions changed - redraw suggestion bar
+  predictionState.subscribe("suggestions", (suggestions) => {
+    const suggestionBar = shadowRoot.getElementById(DOM_IDS.SUGGESTION_BAR);
+    if (suggestionBar) renderSuggestions(suggestionBar, suggestions);
+  });
+
+  // Input method candidates changed - redraw candidate bar
+  predictionState.subscribe("candidates", (candidates) => {
+    const candidateBar = shadowRoot.getElementById(DOM_IDS.CANDIDATE_BAR);
+    if (candidateBar) renderCandidates(candidateBar, candidates);
+  });
 }
 
 /**
@@ -971,6 +1338,17 @@ function setupEventListeners() {
 
   on(EVENTS.KEYBOARD_CLOSE, close);
 
+  // PrevField/NextField keys: focus the adjacent field and bring it above the
+  // keyboard (focusing it also re-renders the keyboard for its type)
+  on(EVENTS.FIELD_NAVIGATE, ({ step }) => {
+    const field = focusAdjacentField(focusState.get("element"), step);
+    if (field) {
+      requestAnimationFrame(() => {
+        scrollInputIntoView(getKeyboardHeight());
+      });
+    }
+  });
+
   on(EVENTS.URL_BAR_OPEN, () => {
     setUrlBarOpen(true);
     const { urlBarTextbox } = getCachedElements();
@@ -995,6 +1373,10 @@ export async function loadLayout(layoutId) {
   const { placeholder } = getCachedElements();
   if (!placeholder) return;
 
+  // The new layout may not compose the same way
+  endComposition();
+  cancelComposeSequence();
+
   // Clear existing content
   placeholder.innerHTML = "";
 
@@ -1008,6 +1390,7 @@ export async function loadLayout(layoutId) {
   const showUrlButton = settingsState.get("showUrlButton");
   const showCloseButton = settingsState.get("showCloseButton");
   const showNumbersButton = settingsState.get("showNumbersButton");
+  const showNavigationButton = settingsState.get("showNavigationButton");
   const showVoiceButton = settingsState.get("voiceEnabled");
   const fragment = renderLayout(layoutId, {
     showLanguageButton,
@@ -1015,11 +1398,13 @@ export async function loadLayout(layoutId) {
     showUrlButton,
     showCloseButton,
     showNumbersButton,
+    showNavigationButton,
     showVoiceButton,
   });
   placeholder.appendChild(fragment);
 
   keyboardState.set("loadedLayout", layoutId);
+  updateCandidateBarVisibility(layoutId);
 
   // Update Language button label to show current layout
   updateLanguageButtonLabel(layoutId);
@@ -1106,6 +1491,15 @@ export async function open(force = false) {
     renderInputType();
   }
 
+  // Suggest completions for any word already at the cursor
+  refreshSuggestions();
+
+  // Load autocorrect's word list now so the first word typed can be checked
+  // (only in frames where the keyboard is used)
+  if (settingsState.get("autocorrect")) {
+    prepareAutocorrect(keyboardState.get("loadedLayout"));
+  }
+
   // Calculate key min-width from numbers keyboard (once)
   calculateKeyMinWidth();
 
@@ -1146,6 +1540,17 @@ export async function open(force = false) {
   broadcastKeyboardState(true);
 }
 
+/**
+ * Open the keyboard if closed, otherwise close it
+ */
+export function toggle() {
+  if (keyboardState.get("open")) {
+    close();
+  } else {
+    open(true);
+  }
+}
+
 /**
  * Close the keyboard
  */
@@ -1154,6 +1559,8 @@ export function close() {
   if (settingsState.get("autostart")) return; // Prevent closing in autostart mode
 
   keyboardState.set("open", false);
+  endComposition();
+  cancelComposeSequence();
   keyboardElement.dataset.state = "closed";
   keyboardElement.classList.remove(CSS_CLASSES.KEYBOARD_OPEN);
   keyboardElement.classList.add(CSS_CLASSES.KEYBOARD_CLOSED);
@@ -1163,6 +1570,9 @@ export function close() {
     setUrlBarOpen(false, true);
   }
 
+  // Reopen on the letters, not the navigation layer
+  keyboardState.set("navigationMode", false);
+
   // Show open button
   emit(EVENTS.OPEN_BUTTON_SHOW);
 
@@ -1269,11 +1679,21 @@ function renderInputType() {
     }
   }
 
-  const { mainKbd, numberInput, numbersKbd } = getCachedElements();
+  const {
+    mainKbd,
+    numberInput,
+    digitsInput,
+    dateTimeInput,
+    numbersKbd,
+    navigationKbd,
+  } = getCachedElements();
 
   // Reset displays
   if (numbersKbd) numbersKbd.style.display = "none";
+  if (navigationKbd) navigationKbd.style.display = "none";
   if (numberInput) numberInput.style.display = "none";
+  if (digitsInput) digitsInput.style.display = "none";
+  if (dateTimeInput) dateTimeInput.style.display = "none";
   if (mainKbd) mainKbd.style.display = "";
   keyboardState.set("numbersMode", false);
 
@@ -1284,17 +1704,76 @@ function renderInputType() {
     setUrlButtonMode(false);
   }
 
-  if (type !== "textarea") {
-    const origType = element.getAttribute("data-original-type");
-    if (origType === "number" || origType === "tel") {
+  // Relabel Enter for the field's enterkeyhint (or restore its icon)
+  updateEnterKeys(getEnterKeyHint(element));
+
+  // Pick the keyboard from the input type and the field's inputmode hints
+  const kind = getKeyboardKind(element);
+  switch (kind) {
+    case "digits":
+      // Show digits-only keyboard (numeric inputmode, one-time codes)
+      if (digitsInput) digitsInput.style.display = "";
+      if (mainKbd) mainKbd.style.display = "none";
+      break;
+    case "number":
       // Show number keyboard
       if (numberInput) numberInput.style.display = "";
       if (mainKbd) mainKbd.style.display = "none";
-    } else if (origType === "email") {
+      break;
+    case "dateTime":
+      // Show date/time keyboard, with the field holding its segments
+      if (dateTimeInput) dateTimeInput.style.display = "";
+      if (mainKbd) mainKbd.style.display = "none";
+      beginDateTimeEntry(element, element.getAttribute("data-original-type"));
+      break;
+    case "email":
       // Show email keys (@) and change URL button to .com
       setEmailKeysVisibility(true);
       setUrlButtonMode(true);
+      break;
+  }
+
+  // The navigation layer stays up while Tab moves between text fields, and
+  // gives way to the pads
+  if (kind === "text" || kind === "email") {
+    if (keyboardState.get("navigationMode")) showNavigationLayer(true);
+  } else {
+    keyboardState.set("navigationMode", false);
+  }
+}
+
+/**
+ * Show the navigation layer in place of the main keyboard, or hide it
+ * @param {boolean} visible
+ */
+function showNavigationLayer(visible) {
+  const { mainKbd, navigationKbd } = getCachedElements();
+  if (mainKbd) mainKbd.style.display = visible ? "none" : "";
+  if (navigationKbd) navigationKbd.style.display = visible ? "" : "none";
+}
+
+/**
+ * Show an enterkeyhint's label on every Enter key, or the Enter icon
+ * @param {string|null} hint
+ */
+function updateEnterKeys(hint) {
+  if (!shadowRoot) return;
+  const label = ENTER_KEY_LABELS[hint];
+
+  const keys = shadowRoot.querySelectorAll(
+    '[data-key="Enter"], [data-key="EnterBottom"]'
+  );
+  for (const key of keys) {
+    const span = key.querySelector("span");
+    if (!span) continue;
+    if (label) {
+      span.className = "vk-enter-label";
+      span.textContent = label;
+    } else {
+      span.className = "vk-icon vk-icon-enter";
+      span.innerHTML = ICONS.enter;
     }
+    span.setAttribute("aria-label", label || "Enter");
   }
 }
 
@@ -1309,9 +1788,9 @@ function updateShiftKeys() {
   for (const key of keys) {
     let value = key.dataset.key;
     if (key.dataset.keyShift && shift) {
-      // Auto-caps only shows shifted display for letters
+      // Auto-caps only shows shifted display for lowercase letters
       if (autoCapsActive) {
-        if (/\p{L}/u.test(key.dataset.key)) {
+        if (/\p{Ll}/u.test(key.dataset.key)) {
           value = key.dataset.keyShift;
         }
       } else {
@@ -1320,7 +1799,42 @@ function updateShiftKeys() {
     }
     const span = key.querySelector("span");
     if (span) {
-      span.textContent = value;
+      span.textContent = getKeyLabel(value);
+    }
+  }
+}
+
+/**
+ * Show a waiting dead key or Compose sequence on the keys: the keys that
+ * started it are highlighted, and keys that would finish it show the
+ * character they'd type
+ * @param {{sequence: string, composeKey: boolean}|null} pending
+ */
+function updateComposeKeys(pending) {
+  const { placeholder } = getCachedElements();
+  if (!placeholder) return;
+  const compose = getLayout(keyboardState.get("loadedLayout"))?.compose ?? {};
+
+  for (const key of placeholder.querySelectorAll(`.${CSS_CLASSES.KEY_CLICK}`)) {
+    const value = key.dataset.key;
+    const isPending =
+      !!pending &&
+      (value === SPECIAL_KEYS.COMPOSE
+        ? pending.composeKey
+        : key.classList.contains(CSS_CLASSES.DEAD_KEY) &&
+          [value, key.dataset.keyShift].some(
+            (char) => char && pending.sequence.includes(char)
+          ));
+    key.classList.toggle(CSS_CLASSES.PENDING_KEY, isPending);
+
+    const text =
+      pending && [...value].length === 1
+        ? matchSequence(compose, pending.sequence + value).text
+        : null;
+    if (text) {
+      key.dataset.compose = text;
+    } else {
+      delete key.dataset.compose;
     }
   }
 }
@@ -1366,35 +1880,51 @@ function applyZoom() {
 
 /**
  * Move cursor in the focused input
+ * The cursor moves a whole character at a time (see TextSegments.js), the
+ * way the swipe goes on screen, which is back through the text in a
+ * right-to-left field.
  * @param {number} direction - -1 for left, 1 for right
+ * @param {boolean} [extend] - Extend the selection instead of moving the cursor
  */
-function moveCursor(direction) {
+function moveCursor(direction, extend = false) {
   const element = focusState.get("element");
   if (!element) return;
 
+  endComposition();
+  cancelComposeSequence();
+
   const type = focusState.get("type");
 
   if (type === "contenteditable") {
     const selection = element.ownerDocument.defaultView.getSelection();
     if (selection.rangeCount > 0) {
-      const _range = selection.getRangeAt(0);
-      if (direction < 0) {
-        // Move left
-        selection.modify("move", "backward", "character");
-      } else {
-        // Move right
-        selection.modify("move", "forward", "character");
-      }
+      selection.modify(
+        extend ? "extend" : "move",
+        direction < 0 ? "left" : "right",
+        "character"
+      );
     }
   } else {
     // Input or textarea
     try {
-      const pos = element.selectionStart;
-      const newPos = Math.max(
-        0,
-        Math.min(element.value.length, pos + direction)
-      );
-      element.selectionStart = element.selectionEnd = newPos;
+      const { selectionStart, selectionEnd, selectionDirection } = element;
+      // The end that moves is the one the selection was extended from last
+      const backward = selectionDirection === "backward";
+      const anchor = backward ? selectionEnd : selectionStart;
+      const current = backward ? selectionStart : selectionEnd;
+      const focus =
+        getLogicalStep(direction, element) < 0
+          ? getPreviousGraphemeBoundary(element.value, current)
+          : getNextGraphemeBoundary(element.value, current);
+      if (extend) {
+        element.setSelectionRange(
+          Math.min(anchor, focus),
+          Math.max(anchor, focus),
+          focus < anchor ? "backward" : "forward"
+        );
+      } else {
+        element.selectionStart = element.selectionEnd = focus;
+      }
     } catch (_e) {
       // Some input types don't support selection
     }
@@ -1410,10 +1940,14 @@ function moveCursor(direction) {
       code: key,
       keyCode,
       which: keyCode,
+      shiftKey: extend,
       bubbles: true,
       cancelable: true,
     })
   );
+
+  // Cursor is now next to a different word
+  refreshSuggestions();
 }
 
 /**
@@ -1447,10 +1981,13 @@ function setupSpacebarSwipe() {
       spacebarSwipeState.hasSwiped = true;
     }
 
-    // Move cursor based on swipe distance
+    // Move cursor based on swipe distance; with Shift on, select text
+    // (auto-caps shift doesn't count)
     if (Math.abs(deltaX) >= SWIPE_SENSITIVITY) {
       const direction = deltaX > 0 ? 1 : -1;
-      moveCursor(direction);
+      const selecting =
+        keyboardState.get("shift") && !keyboardState.get("autoCapsActive");
+      moveCursor(direction, selecting);
       spacebarSwipeState.lastX = e.clientX;
     }
   });
@@ -1484,6 +2021,151 @@ function setupSpacebarSwipe() {
   });
 }
 
+/**
+ * Check whether a key types a single letter (can be part of a gesture)
+ * @param {HTMLElement} key
+ * @returns {boolean}
+ */
+function isLetterKey(key) {
+  const value = key.dataset.key;
+  return !!value && [...value].length === 1 && /\p{L}/u.test(value);
+}
+
+/**
+ * Setup gesture typing - drag across letter keys to type a word
+ */
+function setupGestureTyping() {
+  keyboardElement.addEventListener("pointerdown", (e) => {
+    if (!settingsState.get("gestureTyping")) return;
+
+    const key = e.target.closest(
+      `#${DOM_IDS.MAIN_KBD_PLACEHOLDER} .${CSS_CLASSES.KEY_CLICK}`
+    );
+    if (!key || !isLetterKey(key)) return;
+
+    gestureState = {
+      active: true,
+      startKey: key,
+      points: [{ x: e.clientX, y: e.clientY }],
+      passedKeys: new Set(),
+      hasGestured: false,
+      preventClick: false,
+    };
+    key.setPointerCapture(e.pointerId);
+  });
+
+  keyboardElement.addEventListener("pointermove", (e) => {
+    if (!gestureState.active) return;
+
+    gestureState.points.push({ x: e.clientX, y: e.clientY });
+
+    // A gesture starts once the pointer leaves the key it went down on
+    if (!gestureState.hasGestured) {
+      const rect = gestureState.startKey.getBoundingClientRect();
+      gestureState.hasGestured =
+        e.clientX < rect.left ||
+        e.clientX > rect.right ||
+        e.clientY < rect.top ||
+        e.clientY > rect.bottom;
+      if (gestureState.hasGestured) highlightGestureKey(gestureState.startKey);
+    }
+
+    if (gestureState.hasGestured) {
+      const key = shadowRoot
+        .elementFromPoint(e.clientX, e.clientY)
+        ?.closest(`#${DOM_IDS.MAIN_KBD_PLACEHOLDER} .${CSS_CLASSES.KEY_CLICK}`);
+      if (key && isLetterKey(key)) highlightGestureKey(key);
+    }
+  });
+
+  keyboardElement.addEventListener("pointerup", (e) => {
+    if (!gestureState.active) return;
+
+    gestureState.active = false;
+    gestureState.startKey.releasePointerCapture(e.pointerId);
+    clearGestureHighlights();
+
+    // A tap without leaving the key types the letter as usual
+    if (!gestureState.hasGestured) return;
+
+    gestureState.preventClick = true;
+    setTimeout(() => {
+      gestureState.preventClick = false;
+    }, 50);
+
+    const word = decodeGesturePath(gestureState.points);
+    if (word) {
+      insertWord(word);
+    }
+  });
+
+  keyboardElement.addEventListener("pointercancel", () => {
+    gestureState.active = false;
+    clearGestureHighlights();
+  });
+}
+
+/**
+ * Highlight a key the gesture passed over
+ * @param {HTMLElement} key
+ */
+function highlightGestureKey(key) {
+  key.classList.add("active");
+  gestureState.passedKeys.add(key);
+}
+
+/**
+ * Remove gesture highlights from keys
+ */
+function clearGestureHighlights() {
+  for (const key of gestureState.passedKeys) {
+    key.classList.remove("active");
+  }
+  gestureState.passedKeys.clear();
+}
+
+/**
+ * Decode a gesture path into a word using the rendered key positions
+ * @param {Array<{x: number, y: number}>} points - Pointer positions
+ * @returns {string|undefined} Best matching word
+ */
+function decodeGesturePath(points) {
+  const { placeholder } = getCachedElements();
+  if (!placeholder) return undefined;
+
+  const keyCenters = new Map();
+  const widths = [];
+  for (const key of placeholder.querySelectorAll(
+    `.${CSS_CLASSES.KEY_CLICK}[data-key]`
+  )) {
+    if (!isLetterKey(key)) continue;
+    const rect = key.getBoundingClientRect();
+    if (!rect.width) continue; // Hidden (e.g. email keys)
+    keyCenters.set(key.dataset.key.toLowerCase(), {
+      x: rect.left + rect.width / 2,
+      y: rect.top + rect.height / 2,
+    });
+    widths.push(rect.width);
+  }
+  if (widths.length === 0) return undefined;
+
+  widths.sort((a, b) => a - b);
+  const keyWidth = widths[Math.floor(widths.length / 2)];
+  const words = getCandidateWords(keyboardState.get("loadedLayout"));
+  return decodeGesture(points, keyCenters, words, { keyWidth })[0];
+}
+
+/**
+ * Update gesture typing mode based on settings
+ */
+export function updateGestureTyping() {
+  if (!keyboardElement) return;
+  keyboardElement.classList.toggle(
+    "vk-gesture-typing",
+    settingsState.get("gestureTyping") === true
+  );
+}
+
 /**
  * Create and setup the drag handle for repositioning
  */
@@ -1628,6 +2310,18 @@ export function updateNumberBarVisibility() {
   numberBar.style.display = show ? "" : "none";
 }
 
+/**
+ * Update visibility of the word suggestion bar based on settings
+ */
+export function updateSuggestionBarVisibility() {
+  if (!shadowRoot) return;
+  const suggestionBar = shadowRoot.getElementById(DOM_IDS.SUGGESTION_BAR);
+  if (!suggestionBar) return;
+  const show = settingsState.get("wordSuggestions") === true;
+  suggestionBar.style.display = show ? "" : "none";
+  if (!show) refreshSuggestions();
+}
+
 /**
  * Reload the keyboard to apply settings changes that affect structure
  * (e.g., showCloseButton, showNumbersButton)
@@ -1647,17 +2341,27 @@ export function reloadKeyboard() {
     oldNumbersKbd.remove();
   }
   const newNumbersKbd = createNumbersKeyboard();
-  keyboardElement.appendChild(newNumbersKbd);
+  scaleWrapperElement.appendChild(newNumbersKbd);
 
   // Clear cached elements since we recreated numbersKbd
   cachedElements.numbersKbd = null;
+
+  // Recreate navigation layer (handles close button)
+  shadowRoot.getElementById(DOM_IDS.MAIN_NAVIGATION)?.remove();
+  scaleWrapperElement.appendChild(createNavigationKeyboard());
+  cachedElements.navigationKbd = null;
+  keyboardState.set("navigationMode", false);
 }
 
 export default {
   init,
   open,
   close,
+  toggle,
   loadLayout,
+  cycleLayout,
   updateNumberBarVisibility,
+  updateSuggestionBarVisibility,
+  updateGestureTyping,
   reloadKeyboard,
 };
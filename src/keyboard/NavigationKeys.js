@@ -0,0 +1,229 @@
+// Navigation Keys
+// Arrow, Home/End, word jump, Tab and Esc keys for the navigation layer. Each
+// key sends keydown/keyup like a hardware key, so web apps' own shortcuts
+// see it. Browsers don't act on synthetic key events, so when the page leaves
+// the keydown alone the cursor or focus is moved here instead.
+
+import { NAVIGATION_KEYS } from "../core/config.js";
+import { EVENTS, emit } from "../core/events.js";
+import { focusState } from "../core/state.js";
+import { isRtlField } from "../input/TextDirection.js";
+import {
+  getNextGraphemeBoundary,
+  getNextWordBoundary,
+  getPreviousGraphemeBoundary,
+  getPreviousWordBoundary,
+} from "./TextSegments.js";
+
+// Left/right keys in an input or textarea mapped to the logical direction
+// they move in a right-to-left field
+const RTL_MIRRORED = {
+  ArrowLeft: "ArrowRight",
+  ArrowRight: "ArrowLeft",
+  WordLeft: "WordRight",
+  WordRight: "WordLeft",
+};
+
+// Selection.modify() arguments for moving the cursor in contenteditable.
+// "left" and "right" move visually, so they follow bidi text on screen.
+const CONTENTEDITABLE_MOVES = {
+  ArrowLeft: ["left", "character"],
+  ArrowRight: ["right", "character"],
+  ArrowUp: ["backward", "line"],
+  ArrowDown: ["forward", "line"],
+  WordLeft: ["left", "word"],
+  WordRight: ["right", "word"],
+  Home: ["backward", "lineboundary"],
+  End: ["forward", "lineboundary"],
+};
+
+/**
+ * Check if a key belongs to the navigation layer
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isNavigationKey(key) {
+  return Object.hasOwn(NAVIGATION_KEYS, key);
+}
+
+/**
+ * Move a position inside a character back to the character's start
+ * Columns are kept in UTF-16 units, so on another line they can land in the
+ * middle of an emoji or a letter with its accents.
+ * @param {string} value
+ * @param {number} pos
+ * @returns {number}
+ */
+function snapToGrapheme(value, pos) {
+  const before = getPreviousGraphemeBoundary(value, pos);
+  const after = getNextGraphemeBoundary(value, before);
+  return after <= pos ? after : before;
+}
+
+/**
+ * Find where a navigation key puts the cursor in a text value
+ * Left, right, up and down step over or land on whole characters, and word
+ * jumps use the browser's word breaks (see TextSegments.js), in the value's
+ * logical order (see moveCaret for right-to-left fields). Lines are the
+ * value's own lines; soft-wrapped lines count as one.
+ * @param {string} value - Field value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} name - Navigation key name (e.g., "WordLeft")
+ * @param {boolean} [multiline] - Whether the field has lines (textarea)
+ * @returns {number|null} New cursor position, or null if the key doesn't move it
+ */
+export function getCaretTarget(value, start, end, name, multiline = false) {
+  const lineStart = (pos) => value.lastIndexOf("\n", pos - 1) + 1;
+  const lineEnd = (pos) => {
+    const index = value.indexOf("\n", pos);
+    return index === -1 ? value.length : index;
+  };
+
+  switch (name) {
+    case "ArrowLeft":
+      // A selection collapses to its start
+      return start !== end ? start : getPreviousGraphemeBoundary(value, start);
+    case "ArrowRight":
+      return start !== end ? end : getNextGraphemeBoundary(value, end);
+    case "WordLeft":
+      return getPreviousWordBoundary(value, start);
+    case "WordRight":
+      return getNextWordBoundary(value, end);
+    case "Home":
+      return multiline ? lineStart(start) : 0;
+    case "End":
+      return multiline ? lineEnd(end) : value.length;
+    case "ArrowUp": {
+      if (!multiline) return null;
+      const currentStart = lineStart(start);
+      // On the first line, Up goes to the start like native textareas
+      if (currentStart === 0) return 0;
+      const previousStart = lineStart(currentStart - 1);
+      const previousLength = currentStart - 1 - previousStart;
+      return snapToGrapheme(
+        value,
+        previousStart + Math.min(start - currentStart, previousLength)
+      );
+    }
+    case "ArrowDown": {
+      if (!multiline) return null;
+      const currentEnd = lineEnd(end);
+      // On the last line, Down goes to the end
+      if (currentEnd === value.length) return value.length;
+      const nextStart = currentEnd + 1;
+      const nextLength = lineEnd(nextStart) - nextStart;
+      return snapToGrapheme(
+        value,
+        nextStart + Math.min(end - lineStart(end), nextLength)
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create a keyboard event for a navigation key
+ * @param {string} type - "keydown" or "keyup"
+ * @param {Object} config - Entry from NAVIGATION_KEYS
+ * @returns {KeyboardEvent}
+ */
+function createNavigationEvent(type, config) {
+  return new KeyboardEvent(type, {
+    key: config.key,
+    code: config.code,
+    keyCode: config.keyCode,
+    which: config.keyCode,
+    ctrlKey: config.ctrlKey === true,
+    shiftKey: config.shiftKey === true,
+    bubbles: true,
+    cancelable: true,
+  });
+}
+
+/**
+ * Move the cursor in an input or textarea
+ * Right-to-left text runs leftwards from its start, so left and right swap.
+ * @param {HTMLInputElement|HTMLTextAreaElement} element
+ * @param {string} name - Navigation key name
+ */
+function moveCaret(element, name) {
+  try {
+    const target = getCaretTarget(
+      element.value,
+      element.selectionStart,
+      element.selectionEnd,
+      isRtlField(element) ? (RTL_MIRRORED[name] ?? name) : name,
+      element.localName === "textarea"
+    );
+    if (target !== null) element.setSelectionRange(target, target);
+  } catch (_e) {
+    // Some input types don't support selection
+  }
+}
+
+/**
+ * Move the cursor in a contenteditable element
+ * @param {HTMLElement} element
+ * @param {string} name - Navigation key name
+ */
+function moveSelection(element, name) {
+  const selection = element.ownerDocument.defaultView.getSelection();
+  if (!selection?.rangeCount || !selection.modify) return;
+  const [direction, unit] = CONTENTEDITABLE_MOVES[name];
+  selection.modify("move", direction, unit);
+}
+
+/**
+ * Carry out what the browser does for a navigation key
+ * @param {HTMLElement} element - Focused field
+ * @param {string} name - Navigation key name
+ */
+function performDefaultAction(element, name) {
+  switch (name) {
+    case "Tab":
+      emit(EVENTS.FIELD_NAVIGATE, { step: 1 });
+      return;
+    case "ShiftTab":
+      emit(EVENTS.FIELD_NAVIGATE, { step: -1 });
+      return;
+    case "Escape":
+      // Nothing to do in a field - Esc is only for the page's handlers
+      return;
+  }
+
+  if (focusState.get("type") === "contenteditable") {
+    moveSelection(element, name);
+  } else {
+    moveCaret(element, name);
+  }
+}
+
+/**
+ * Handle a navigation layer key press
+ * @param {string} name - Key name from NAVIGATION_KEYS
+ */
+export function handleNavigationKey(name) {
+  const element = focusState.get("element");
+  const config = NAVIGATION_KEYS[name];
+  if (!element || !config) return;
+
+  const keydownEvent = createNavigationEvent("keydown", config);
+  element.dispatchEvent(keydownEvent);
+
+  // If the site handled the keydown (prevented default), leave it at that
+  if (!keydownEvent.defaultPrevented) {
+    performDefaultAction(element, name);
+  }
+
+  // Tab moves focus, and the key comes up in the field it moved to
+  const target = focusState.get("element") || element;
+  target.dispatchEvent(createNavigationEvent("keyup", config));
+}
+
+export default {
+  isNavigationKey,
+  getCaretTarget,
+  handleNavigationKey,
+};
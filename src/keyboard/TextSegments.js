@@ -0,0 +1,91 @@
+// Text Segments
+// Backspace and the cursor keys work on what a reader sees as one character
+// (a grapheme cluster): an emoji with its skin tone or ZWJ sequence, a letter
+// with its accents, a Tamil consonant with its vowel sign. Stepping by UTF-16
+// code unit would split surrogate pairs and leave stray marks behind.
+// Long-press Backspace deletes whole words and the word jump keys move over
+// them, found the same way - so languages written without spaces (Chinese,
+// Japanese, Thai) still split into words.
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, {
+  granularity: "grapheme",
+});
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+
+/**
+ * Find the start of the character before a position
+ * @param {string} text
+ * @param {number} pos
+ * @returns {number}
+ */
+export function getPreviousGraphemeBoundary(text, pos) {
+  if (pos <= 0) return 0;
+  return graphemeSegmenter.segment(text).containing(pos - 1).index;
+}
+
+/**
+ * Find the end of the character after a position
+ * @param {string} text
+ * @param {number} pos
+ * @returns {number}
+ */
+export function getNextGraphemeBoundary(text, pos) {
+  if (pos >= text.length) return text.length;
+  const { index, segment } = graphemeSegmenter.segment(text).containing(pos);
+  return index + segment.length;
+}
+
+/**
+ * Find where deleting a word back from a position stops
+ * Like Ctrl+Backspace: the spaces and punctuation before the position go
+ * too, up to the start of the word before them.
+ * @param {string} text
+ * @param {number} pos
+ * @returns {number}
+ */
+export function getPreviousWordBoundary(text, pos) {
+  const segments = wordSegmenter.segment(text);
+  let start = Math.min(pos, text.length);
+  while (start > 0) {
+    const segment = segments.containing(start - 1);
+    start = segment.index;
+    if (segment.isWordLike) break;
+  }
+  return start;
+}
+
+/**
+ * Find where jumping a word forward from a position stops
+ * Like Ctrl+Right on a Mac: past the spaces and punctuation after the
+ * position, to the end of the word after them.
+ * @param {string} text
+ * @param {number} pos
+ * @returns {number}
+ */
+export function getNextWordBoundary(text, pos) {
+  const segments = wordSegmenter.segment(text);
+  let end = Math.max(pos, 0);
+  while (end < text.length) {
+    const segment = segments.containing(end);
+    end = segment.index + segment.segment.length;
+    if (segment.isWordLike) break;
+  }
+  return end;
+}
+
+/**
+ * Split text into the characters a reader sees
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitGraphemes(text) {
+  return Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment);
+}
+
+export default {
+  getPreviousGraphemeBoundary,
+  getNextGraphemeBoundary,
+  getPreviousWordBoundary,
+  getNextWordBoundary,
+  splitGraphemes,
+};
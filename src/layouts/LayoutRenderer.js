@@ -3,22 +3,45 @@
 
 import { CSS_CLASSES, DEFAULT_BOTTOM_ROW, KEY_TYPES } from "../core/config.js";
 import { ICONS } from "../icons/icons.js";
-import { getLayoutsList, layouts } from "./layouts.js";
+import { getLayout, getLayoutsList } from "./layouts.js";
+
+// Invisible characters some layouts type, shown by name on their keys
+const INVISIBLE_LABELS = {
+  "\u200c": "ZWNJ",
+  "\u200d": "ZWJ",
+};
+
+// A combining mark on its own (a haraka or a virama key)
+const LONE_MARK = /^\p{M}+$/u;
+
+/**
+ * Get the text shown on a character key
+ * A lone combining mark is drawn on a dotted circle (◌َ) so it doesn't
+ * attach to nothing, and invisible characters get a name.
+ * @param {string} char - Character the key types
+ * @returns {string}
+ */
+export function getKeyLabel(char) {
+  if (Object.hasOwn(INVISIBLE_LABELS, char)) return INVISIBLE_LABELS[char];
+  return LONE_MARK.test(char) ? `\u25cc${char}` : char;
+}
 
 /**
  * Render a complete keyboard layout
- * @param {string} layoutId - Layout identifier (e.g., 'en', 'fr')
+ * @param {string|Object} layoutId - Layout identifier (e.g., 'en', 'fr'), or a
+ *   layout definition to render directly (used by the options page preview)
  * @param {Object} options - Render options
  * @param {boolean} options.showLanguageButton - Whether to show the language button
  * @param {boolean} options.showSettingsButton - Whether to show the settings button
  * @param {boolean} options.showUrlButton - Whether to show the URL button
  * @param {boolean} options.showCloseButton - Whether to show the close button
  * @param {boolean} options.showNumbersButton - Whether to show the &123 numbers toggle button
+ * @param {boolean} options.showNavigationButton - Whether to show the Nav navigation layer toggle button
  * @param {boolean} options.showVoiceButton - Whether to show the voice input button
  * @returns {DocumentFragment} DOM fragment containing the keyboard
  */
 export function renderLayout(layoutId, options = {}) {
-  const layout = layouts[layoutId];
+  const layout = typeof layoutId === "string" ? getLayout(layoutId) : layoutId;
   if (!layout) {
     console.error(`Layout not found: ${layoutId}`);
     return document.createDocumentFragment();
@@ -30,22 +53,25 @@ export function renderLayout(layoutId, options = {}) {
     showUrlButton = true,
     showCloseButton = true,
     showNumbersButton = true,
+    showNavigationButton = false, // Navigation layer is opt-in
     showVoiceButton = false, // Voice is opt-in
   } = options;
 
   const fragment = document.createDocumentFragment();
   const labels = layout.labels || {};
+  // Right-to-left layouts list keys in reading order, starting at the right
+  const rtl = layout.dir === "rtl";
 
   // Render overlays first
   if (layout.overlays) {
     for (const [overlayId, items] of Object.entries(layout.overlays)) {
-      fragment.appendChild(renderOverlay(overlayId, items));
+      fragment.appendChild(renderOverlay(overlayId, items, rtl));
     }
   }
 
   // Render main keyboard rows
   for (const row of layout.rows) {
-    fragment.appendChild(renderRow(row, labels));
+    fragment.appendChild(renderRow(row, labels, { rtl }));
   }
 
   // Render bottom row, optionally filtering out buttons
@@ -65,6 +91,9 @@ export function renderLayout(layoutId, options = {}) {
   if (!showNumbersButton) {
     bottomRow = bottomRow.filter((key) => key !== "&123");
   }
+  if (!showNavigationButton) {
+    bottomRow = bottomRow.filter((key) => key !== "Nav");
+  }
   if (!showVoiceButton) {
     bottomRow = bottomRow.filter((key) => key !== "Voice");
   }
@@ -74,6 +103,7 @@ export function renderLayout(layoutId, options = {}) {
     (!showUrlButton ? 1 : 0) +
     (!showCloseButton ? 1 : 0) +
     (!showNumbersButton ? 1 : 0) +
+    (!showNavigationButton ? 1 : 0) +
     (!showVoiceButton ? 1 : 0);
   fragment.appendChild(
     renderRow(bottomRow, labels, { widenSpace: hiddenButtonCount > 0 })
@@ -88,11 +118,15 @@ export function renderLayout(layoutId, options = {}) {
  * @param {Object} labels - Custom label overrides
  * @param {Object} options - Row options
  * @param {boolean} options.widenSpace - Whether to make spacebar wider
+ * @param {boolean} options.rtl - Lay the keys out from the right
  * @returns {HTMLElement} Row element
  */
 function renderRow(keys, labels = {}, options = {}) {
   const row = document.createElement("div");
   row.className = "vk-row";
+  if (options.rtl) {
+    row.dir = "rtl";
+  }
 
   for (const keyDef of keys) {
     const keyElements = renderKey(keyDef, labels, options);
@@ -210,7 +244,7 @@ function createRegularKey(keyDef, options = {}) {
   key.type = "button";
 
   // Parse key definition
-  let char, shiftChar, menuId, displayShift;
+  let char, shiftChar, menuId, displayShift, dead;
 
   if (typeof keyDef === "string") {
     char = keyDef;
@@ -219,6 +253,7 @@ function createRegularKey(keyDef, options = {}) {
     shiftChar = keyDef.shift;
     menuId = keyDef.menu;
     displayShift = keyDef.display;
+    dead = keyDef.dead;
   }
 
   // Build class list
@@ -239,6 +274,11 @@ function createRegularKey(keyDef, options = {}) {
     classes.push(CSS_CLASSES.KEY_CASE_DISPLAY);
   }
 
+  // Add dead key class (types nothing until the next key)
+  if (dead) {
+    classes.push(CSS_CLASSES.DEAD_KEY);
+  }
+
   // Add extra class if provided
   if (options.extraClass) {
     classes.push(options.extraClass);
@@ -265,7 +305,7 @@ function createRegularKey(keyDef, options = {}) {
 
   // Create content span
   const span = document.createElement("span");
-  span.textContent = char;
+  span.textContent = getKeyLabel(char);
   key.appendChild(span);
 
   return key;
@@ -275,14 +315,18 @@ function createRegularKey(keyDef, options = {}) {
  * Render an overlay menu
  * @param {string} overlayId - Overlay identifier
  * @param {Array} items - Array of overlay item definitions
+ * @param {boolean} rtl - Lay the items out from the right
  * @returns {HTMLElement}
  */
-function renderOverlay(overlayId, items) {
+function renderOverlay(overlayId, items, rtl = false) {
   const overlay = document.createElement("div");
   overlay.id = `vk-overlay-${overlayId}`;
   overlay.className = CSS_CLASSES.OVERLAY;
   overlay.dataset.state = "closed";
   overlay.style.display = "none";
+  if (rtl) {
+    overlay.dir = "rtl";
+  }
 
   const ul = document.createElement("ul");
   ul.className = "vk-overlay-keys";
@@ -331,7 +375,7 @@ function renderOverlayItem(itemDef) {
     li.dataset.keyShift = shiftChar;
   }
 
-  li.textContent = char;
+  li.textContent = getKeyLabel(char);
   return li;
 }
 
@@ -343,5 +387,6 @@ export { getLayoutsList };
 
 export default {
   renderLayout,
+  getKeyLabel,
   getLayoutsList,
 };
@@ -0,0 +1,265 @@
+// Layout Schema
+// JSON Schema for layout definitions (the key syntax documented at the top of
+// layouts.js) and a small validator for it, so imported or hand-edited layouts
+// are rejected with per-key messages instead of breaking renderLayout
+
+import { KEY_TYPES } from "../core/config.js";
+import { getInputMethodIds } from "../ime/InputMethods.js";
+
+// Custom layout IDs - short, since the ID is shown on the language button
+export const LAYOUT_ID_PATTERN = "^[a-z0-9-]{1,8}$";
+
+// One character, optionally followed by combining marks (Tamil vowel signs,
+// or a lone mark such as the Tamil virama key or an Arabic haraka), or an
+// Arabic Lam-Alef pair, which is drawn as one ligature
+const CHARACTER = /^(?:.\p{M}*|\u0644[\u0622\u0623\u0625\u0627])$/su;
+
+// "?|@" - shown normally | shown for email inputs
+const EMAIL_TOGGLE = /^[^|]\p{M}*\|[^|]\p{M}*$/u;
+
+const SPECIAL_KEYS = Object.keys(KEY_TYPES);
+
+/**
+ * Formats used by the schema beyond standard JSON Schema
+ * Each returns an error message, or null when the value is valid
+ */
+const FORMATS = {
+  character: (value) =>
+    CHARACTER.test(value) ? null : `"${value}" must be a single character`,
+  "key-name": (value) =>
+    CHARACTER.test(value) || SPECIAL_KEYS.includes(value)
+      ? null
+      : `unknown special key "${value}"`,
+  key: (value) => {
+    if (CHARACTER.test(value) || SPECIAL_KEYS.includes(value)) return null;
+    if (value.includes("|")) {
+      return EMAIL_TOGGLE.test(value)
+        ? null
+        : `email toggle "${value}" must be two characters separated by "|" (e.g. "?|@")`;
+    }
+    return `unknown special key "${value}"`;
+  },
+};
+
+export const LAYOUT_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "Virtual Keyboard layout",
+  type: "object",
+  required: ["name", "rows"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "string", pattern: LAYOUT_ID_PATTERN },
+    name: { type: "string", minLength: 1 },
+    dir: { type: "string", enum: ["ltr", "rtl"] },
+    dictionary: { type: "string" },
+    inputMethod: { type: "string", enum: getInputMethodIds() },
+    labels: {
+      type: "object",
+      additionalProperties: { type: "string" },
+    },
+    rows: {
+      type: "array",
+      minItems: 1,
+      items: { $ref: "#/$defs/keyList" },
+    },
+    bottomRow: { $ref: "#/$defs/keyList" },
+    overlays: {
+      type: "object",
+      additionalProperties: { $ref: "#/$defs/keyList" },
+    },
+    compose: {
+      type: "object",
+      additionalProperties: { type: "string", minLength: 1 },
+    },
+  },
+  $defs: {
+    keyList: {
+      type: "array",
+      minItems: 1,
+      items: { $ref: "#/$defs/key" },
+    },
+    key: {
+      anyOf: [
+        { type: "string", format: "key" },
+        {
+          type: "object",
+          required: ["key"],
+          additionalProperties: false,
+          properties: {
+            key: { type: "string", format: "key-name" },
+            shift: { type: "string", format: "character" },
+            menu: { type: "string", minLength: 1 },
+            display: { type: "boolean" },
+            dead: { type: "boolean" },
+          },
+        },
+      ],
+    },
+  },
+};
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Prefix a type name with "a" or "an"
+ * @param {string} type
+ * @returns {string}
+ */
+function withArticle(type) {
+  return `${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`;
+}
+
+/**
+ * Append a property or index to a path
+ * @param {string} path
+ * @param {string|number} part
+ * @returns {string}
+ */
+function joinPath(path, part) {
+  if (typeof part === "number") return `${path}[${part}]`;
+  return path ? `${path}.${part}` : part;
+}
+
+/**
+ * Validate a value against a (subset of) JSON Schema
+ * Supports the keywords LAYOUT_SCHEMA uses. anyOf picks the branch whose
+ * type matches the value so errors describe what was actually written.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - Path of value, for error messages
+ * @param {Array<{path: string, message: string}>} errors - Collects errors
+ */
+function validateNode(value, schema, path, errors) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace("#/$defs/", "");
+    validateNode(value, LAYOUT_SCHEMA.$defs[name], path, errors);
+    return;
+  }
+
+  if (schema.anyOf) {
+    const branch = schema.anyOf.find((s) => s.type === typeOf(value));
+    if (branch) {
+      validateNode(value, branch, path, errors);
+    } else {
+      const types = schema.anyOf.map((s) => s.type).join(" or ");
+      errors.push({ path, message: `must be ${withArticle(types)}` });
+    }
+    return;
+  }
+
+  const type = typeOf(value);
+  if (schema.type && schema.type !== type) {
+    errors.push({
+      path,
+      message: `must be ${withArticle(schema.type)}, got ${type}`,
+    });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const options = schema.enum.map((option) => `"${option}"`).join(", ");
+    errors.push({ path, message: `must be one of ${options}` });
+    return;
+  }
+
+  if (type === "string") {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push({ path, message: "must not be empty" });
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    } else if (schema.format) {
+      const message = FORMATS[schema.format](value);
+      if (message) errors.push({ path, message });
+    }
+  }
+
+  if (type === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: "must not be empty" });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        validateNode(item, schema.items, joinPath(path, index), errors);
+      });
+    }
+  }
+
+  if (type === "object") {
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(value, name)) {
+        errors.push({ path, message: `missing "${name}"` });
+      }
+    }
+    for (const [name, child] of Object.entries(value)) {
+      const childSchema =
+        schema.properties?.[name] ?? schema.additionalProperties;
+      if (childSchema === false || childSchema === undefined) {
+        errors.push({
+          path: joinPath(path, name),
+          message: "unknown property",
+        });
+      } else if (childSchema !== true) {
+        validateNode(child, childSchema, joinPath(path, name), errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a layout definition
+ * Checks the schema plus that every long-press menu names an existing overlay
+ * @param {*} layout - Parsed layout JSON
+ * @returns {Array<{path: string, message: string}>} Errors (empty when valid)
+ */
+export function validateLayout(layout) {
+  const errors = [];
+  validateNode(layout, LAYOUT_SCHEMA, "", errors);
+  if (errors.length > 0 || typeOf(layout) !== "object") return errors;
+
+  const overlays = layout.overlays || {};
+  const checkMenus = (keys, path) => {
+    keys.forEach((key, index) => {
+      if (typeof key === "object" && key.menu !== undefined) {
+        if (!Object.hasOwn(overlays, key.menu)) {
+          errors.push({
+            path: joinPath(joinPath(path, index), "menu"),
+            message: `no overlay named "${key.menu}"`,
+          });
+        }
+      }
+    });
+  };
+  layout.rows.forEach((row, index) => {
+    checkMenus(row, joinPath("rows", index));
+  });
+  if (layout.bottomRow) checkMenus(layout.bottomRow, "bottomRow");
+
+  return errors;
+}
+
+/**
+ * Format validation errors as one line each
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {string[]}
+ */
+export function formatLayoutErrors(errors) {
+  return errors.map(({ path, message }) =>
+    path ? `${path}: ${message}` : message
+  );
+}
+
+export default {
+  LAYOUT_SCHEMA,
+  LAYOUT_ID_PATTERN,
+  validateLayout,
+  formatLayoutErrors,
+};
@@ -0,0 +1,197 @@
+// Word Prediction Dictionaries
+// ============================
+//
+// Offline word lists used for suggestions, keyed by dictionary ID.
+// Layouts opt in with a "dictionary" property (see layouts.js).
+//
+// Each list is a whitespace-separated string of words ordered from most to
+// least frequent. The position in the list is the only frequency information
+// we keep, which keeps this file small. Single letters are left out since
+// they never need a suggestion.
+
+export const dictionaries = {
+  en: `
+    the be to of and in that have it for not on with he as you do at this
+    but his by from they we say her she or an will my one all would there
+    their what so up out if about who get which go me when make can like
+    time no just him know take people into year your good some could them
+    see other than then now look only come its over think also back after
+    use two how our work first well way even new want because any these give
+    day most us is are was were been has had did does said very thank thanks
+    please hello yes here where why more much many before should need right
+    still through down off again never always something nothing everything
+    anything someone everyone today tomorrow yesterday morning afternoon
+    evening night week month next last long little great old big high
+    different small large important few public same able best better sure
+    free own home house school world life hand part place case point number
+    group problem fact name question information service business company
+    system program customer order account address email phone password
+    search message between under while around another without against during
+    each every both those such however though although until since already
+    maybe probably really actually usually together available possible note
+    notes meeting check call help find tell ask feel try leave put mean keep
+    let begin seem show hear play run move live believe bring happen write
+    provide sit stand lose pay meet include continue set learn change lead
+    understand watch follow stop create speak read allow add spend grow open
+    walk win offer remember love consider appear buy wait serve send expect
+    build stay fall cut reach remain report done going doing getting looking
+    working using coming
+  `,
+
+  fr: `
+    de la le et les des en un du une que est pour qui dans par plus pas au
+    sur ne se ce il sont avec son aux mais comme ou on leur elle nous vous
+    je tu ils elles tout tous fait été être avoir cette ces sa ses mon ma
+    mes ton ta tes notre votre aussi bien très peu encore toujours jamais
+    rien quelque chose faire dire aller voir savoir pouvoir vouloir venir
+    prendre donner trouver parler mettre passer demander aujourd'hui demain
+    hier maintenant après avant depuis pendant entre sous chez sans vers
+    merci bonjour bonsoir oui non temps jour année fois homme femme enfant
+    monde vie main maison travail pays ville question nom numéro adresse
+    message téléphone client commande service bonne grand grande petit
+    petite nouveau nouvelle premier première dernier autre même quand
+    comment pourquoi où parce alors donc ici beaucoup moins trop déjà
+    ensemble
+  `,
+
+  de: `
+    der die und in den von zu das mit sich des auf für ist im dem nicht ein
+    eine als auch es an er hat aus bei sie nach wird noch wie einem über
+    einen so zum war haben nur oder aber vor zur bis mehr durch man sein
+    wurde sei ich du wir ihr mein dein unser euer kann können muss müssen
+    soll will wollen werden machen gehen kommen sagen sehen geben wissen
+    finden bitte danke hallo ja nein heute morgen gestern jetzt immer nie
+    schon wieder hier dort warum wann wo was wer welche weil dass wenn dann
+    sehr gut neue neu groß klein alle viele andere ersten Zeit Jahr Tag
+    Woche Monat Mann Frau Kind Welt Leben Haus Arbeit Stadt Land Frage Name
+    Nummer Adresse Nachricht Telefon Kunde Bestellung Straße
+  `,
+
+  it: `
+    di che il la per un non in una sono mi ho lo ma ti le ha si con cosa da
+    se io come del della bene questo qui tu hai gli più lui lei noi voi loro
+    tutto tutti anche ancora sempre mai già molto poco fare essere avere
+    dire andare vedere sapere potere volere venire dare prendere grazie
+    prego ciao buongiorno buonasera sì oggi domani ieri adesso dopo prima
+    quando dove perché quanto tempo anno giorno settimana mese uomo donna
+    bambino mondo vita casa lavoro città paese domanda nome numero indirizzo
+    messaggio telefono cliente ordine nuovo nuova grande piccolo primo
+    ultimo altro altra stesso insieme quindi allora
+  `,
+
+  es: `
+    de la que el en los se del las un por con no una su para es al lo como
+    más pero sus le ya fue este ha sí porque esta son entre cuando muy sin
+    sobre también me hasta hay donde quien desde todo nos durante todos uno
+    les ni contra otros ese eso ante ellos yo tú él ella nosotros vosotros
+    ustedes ser estar tener hacer poder decir ir ver dar saber querer llegar
+    pasar deber poner gracias hola buenos días buenas tardes noches hoy
+    mañana ayer ahora después antes siempre nunca aquí allí tiempo año día
+    semana mes hombre mujer niño mundo vida casa trabajo ciudad país
+    pregunta nombre número dirección mensaje teléfono cliente pedido nuevo
+    nueva grande pequeño primero último otro otra mismo
+  `,
+
+  ru: `
+    не на быть он что по это она этот но они мы как из который то за свой
+    весь год от так для ты же все тот мочь вы человек такой его сказать
+    только или ещё бы себя один уже до время если сам когда другой вот
+    говорить наш мой знать стать при чтобы дело жизнь кто первый очень два
+    день её новый рука даже во со раз где там под можно ну какой после их
+    работа без самый потом надо хотеть ли слово идти большой должен место
+    иметь ничто спасибо пожалуйста здравствуйте привет да нет сегодня завтра
+    вчера сейчас всегда никогда здесь почему адрес телефон сообщение заказ
+    клиент вопрос имя номер город
+  `,
+
+  hu: `
+    az és hogy nem is egy meg van már csak még de ez azt mint volt vagy el
+    ki fel le be most mert ha akkor sem lesz kell lehet nagyon itt ott hol
+    mikor miért hogyan mit minden semmi valami mindig soha ma holnap tegnap
+    köszönöm kérem szia igen jó rossz nagy kicsi új régi első utolsó idő év
+    nap hét hónap ember férfi nő gyerek világ élet ház munka város ország
+    kérdés név szám cím üzenet telefon ügyfél rendelés között után előtt
+    alatt fölött mellett nélkül szerint
+  `,
+
+  no: `
+    og det på som er en til han av for ikke med at var de seg den har jeg om
+    et men så vi kan hun du fra vil skal eller ble bli være hadde når hva
+    hvor hvorfor hvordan her der nå alltid aldri også bare mye mange noen
+    alle andre takk hei ja nei god godt dag idag morgen går tid år uke måned
+    mann kvinne barn verden liv hus arbeid by land spørsmål navn nummer
+    adresse melding telefon kunde bestilling ny nytt stor liten første siste
+    etter før mellom uten
+  `,
+
+  pl: `
+    nie się na to że do jest jak co ale tak po za od już być jego tym jej go
+    mnie tylko czy ja ty on ona my wy oni był była było może są przez tego
+    ten ta te dla jeszcze bardzo także teraz zawsze nigdy tutaj tam gdzie
+    kiedy dlaczego dziękuję proszę cześć dzień dobry dzisiaj jutro wczoraj
+    czas rok tydzień miesiąc człowiek mężczyzna kobieta dziecko świat życie
+    dom praca miasto kraj pytanie imię numer adres wiadomość telefon klient
+    zamówienie nowy duży mały pierwszy ostatni inny przed między
+  `,
+
+  sl: `
+    in je na se da za so ki pa ne bi po kot tudi od še ali do ga to sem si
+    smo ste bo ko če lahko samo zelo jaz ti on ona mi vi oni danes jutri
+    včeraj zdaj vedno nikoli tukaj tam kje kdaj zakaj kako hvala prosim
+    živjo dober dan ja čas leto teden mesec človek moški ženska otrok svet
+    življenje hiša delo mesto država vprašanje ime številka naslov sporočilo
+    telefon stranka naročilo nov velik majhen prvi zadnji
+  `,
+
+  sw: `
+    och att det som en på är av för med till den har de inte om ett han men
+    var jag sig från vi så kan man när år säger hon under också efter eller
+    nu sin där vid mot ska skulle kommer ut får finns vara hade alla andra
+    mycket än här då sedan över bara in blir upp även vad två du tack hej ja
+    nej idag imorgon igår alltid aldrig varför hur tid dag vecka månad
+    människa kvinna barn världen liv hus arbete stad land fråga namn nummer
+    adress meddelande telefon kund beställning ny stor liten första
+  `,
+
+  cs: `
+    se na je to že do jsem jako ale by pro tak jsou už po jak jeho jen co
+    nebo od byl být které který jsme jste já ty on ona my vy oni ještě také
+    velmi dnes zítra včera teď vždy nikdy tady tam kde kdy proč děkuji
+    prosím ahoj dobrý den ano ne čas rok týden měsíc člověk muž žena dítě
+    svět život dům práce město země otázka jméno číslo adresa zpráva telefon
+    zákazník objednávka nový velký malý první poslední jiný před mezi bez
+    podle
+  `,
+
+  ua: `
+    не на що він це та як до але за вона ми ви вони ти по так від який яка
+    яке все бути був була було щоб для вже ще тільки якщо коли де чому тут
+    там завжди ніколи сьогодні завтра вчора зараз дуже дякую будь ласка
+    привіт ні час рік день тиждень місяць людина чоловік жінка дитина світ
+    життя дім робота місто країна питання ім'я номер адреса повідомлення
+    телефон клієнт замовлення новий великий малий перший останній інший
+    після перед між без
+  `,
+};
+
+// Parsed word lists, built on first use
+const parsedDictionaries = new Map();
+
+/**
+ * Get a dictionary word list by ID
+ * @param {string} dictionaryId
+ * @returns {string[]} Words ordered from most to least frequent
+ */
+export function getDictionary(dictionaryId) {
+  if (!dictionaries[dictionaryId]) return [];
+
+  if (!parsedDictionaries.has(dictionaryId)) {
+    parsedDictionaries.set(
+      dictionaryId,
+      dictionaries[dictionaryId].split(/\s+/).filter(Boolean)
+    );
+  }
+  return parsedDictionaries.get(dictionaryId);
+}
+
+export default dictionaries;
@@ -7,6 +7,10 @@
 // With shift:     { "key": "ü", "shift": "Ü" }  - Explicit shift character
 // With menu:      { "key": "e", "menu": "FrE" } - Long-press shows overlay "FrE"
 // Display shift:  { "key": "ㅂ", "shift": "ㅃ", "display": true } - Shows shifted char on key
+// Dead key:       { "key": "´", "shift": "`", "dead": true } - Types nothing; the next key
+//                 is looked up in the layout's "compose" table ("´" + "e" -> "é")
+// Combining mark: { "key": "ض", "shift": "َ" } - A lone mark is shown on a dotted circle
+// Lam-Alef:       { "key": "لا", "shift": "لآ" } - Types both letters of the ligature
 //
 // SPECIAL KEYS:
 // -------------
@@ -18,6 +22,7 @@
 // "Space"          - Spacebar
 // "Close"          - Close keyboard button
 // "Url"            - URL button
+// "Compose"        - Compose key: the next keys are looked up in "compose" ("o" "/" -> "ø")
 // "&123"           - Toggle numbers/symbols mode
 // "Settings"       - Settings menu button
 // "Language"       - Language switcher (menu)
@@ -32,17 +37,93 @@
 // -----------------
 // {
 //   "name": "Display Name",
+//   "dir": "rtl",                               // Optional: rows list keys from the right
+//   "dictionary": "en",                         // Optional word list for suggestions (dictionaries.js)
+//   "inputMethod": "hangul",                    // Optional input method (src/ime/InputMethods.js)
 //   "labels": { "Backspace": "Custom Label" },  // Optional custom key labels
 //   "rows": [ [...], [...], [...] ],            // Main keyboard rows (usually 3)
 //   "bottomRow": ["&123", "Settings", ...],     // Optional custom bottom row
-//   "overlays": { "MenuId": [...] }             // Optional long-press menus
+//   "overlays": { "MenuId": [...] },            // Optional long-press menus
+//   "compose": { "´e": "é", "o/": "ø" }         // Optional dead key / Compose sequences
 // }
 //
 // Default bottom row (if not specified): ["&123", "Language", "Space", "Url", "Settings", "Close"]
+//
+// CUSTOM LAYOUTS:
+// ---------------
+// Layouts created in the options page use the same structure. They are kept
+// in chrome.storage and registered at startup with registerCustomLayouts().
+// Built-in IDs always win, so a custom layout can't shadow one. Definitions
+// that fail LayoutSchema.js validation are skipped rather than rendered.
+
+import { formatLayoutErrors, validateLayout } from "./LayoutSchema.js";
+
+// Compose sequences for the Latin layouts with dead keys: a dead accent
+// followed by a letter, or the Compose key followed by two characters.
+// Uppercase letters use the lowercase entry ("´E" -> "É").
+const LATIN_COMPOSE = {
+  "´a": "á",
+  "´e": "é",
+  "´i": "í",
+  "´o": "ó",
+  "´u": "ú",
+  "´y": "ý",
+  "´c": "ć",
+  "´n": "ń",
+  "´s": "ś",
+  "´z": "ź",
+  "´l": "ĺ",
+  "´r": "ŕ",
+  "`a": "à",
+  "`e": "è",
+  "`i": "ì",
+  "`o": "ò",
+  "`u": "ù",
+  "^a": "â",
+  "^e": "ê",
+  "^i": "î",
+  "^o": "ô",
+  "^u": "û",
+  "¨a": "ä",
+  "¨e": "ë",
+  "¨i": "ï",
+  "¨o": "ö",
+  "¨u": "ü",
+  "¨y": "ÿ",
+  ˇc: "č",
+  ˇd: "ď",
+  ˇe: "ě",
+  ˇn: "ň",
+  ˇr: "ř",
+  ˇs: "š",
+  ˇt: "ť",
+  ˇz: "ž",
+  "˛a": "ą",
+  "˛e": "ę",
+  "˙z": "ż",
+  "~a": "ã",
+  "~n": "ñ",
+  "~o": "õ",
+  "¸c": "ç",
+  // Compose key sequences
+  "o/": "ø",
+  "l/": "ł",
+  ae: "æ",
+  oe: "œ",
+  ss: "ß",
+  "c,": "ç",
+  "z.": "ż",
+  "e=": "€",
+  "<<": "«",
+  ">>": "»",
+  "!!": "¡",
+  "??": "¿",
+};
 
 export const layouts = {
   en: {
     name: "English (QWERTY)",
+    dictionary: "en",
     rows: [
       ["q", "w", "e", "r", "t", "y", "u", "i", "o", "p", "Backspace"],
       ["_spacer", "a", "s", "d", "f", "g", "h", "j", "k", "l", "'", "Enter"],
@@ -52,6 +133,7 @@ export const layouts = {
 
   fr: {
     name: "French (AZERTY)",
+    dictionary: "fr",
     rows: [
       [
         { key: "a", menu: "FrA" },
@@ -64,6 +146,7 @@ export const layouts = {
         { key: "i", menu: "FrI" },
         { key: "o", menu: "FrO" },
         "p",
+        { key: "^", shift: "¨", dead: true, display: true },
         "Backspace",
       ],
       ["_spacer", "q", "s", "d", "f", "g", "h", "j", "k", "l", "m", "Enter"],
@@ -78,10 +161,11 @@ export const layouts = {
         { key: "n", menu: "FrN" },
         ".",
         "?|@",
-        "_spacer",
+        "Compose",
         "Shift",
       ],
     ],
+    compose: LATIN_COMPOSE,
     overlays: {
       FrA: [
         "a",
@@ -129,6 +213,7 @@ export const layouts = {
 
   de: {
     name: "German (QWERTZ)",
+    dictionary: "de",
     rows: [
       [
         "q",
@@ -142,6 +227,7 @@ export const layouts = {
         { key: "o", menu: "DeO" },
         { key: "p", menu: "DeP" },
         { key: "ü", shift: "Ü" },
+        { key: "´", shift: "`", dead: true, display: true },
         "Backspace",
       ],
       [
@@ -171,10 +257,11 @@ export const layouts = {
         ",",
         ".",
         "?|@",
-        "_spacer",
+        "Compose",
         "Shift",
       ],
     ],
+    compose: LATIN_COMPOSE,
     overlays: {
       DeM: ["m", { key: "µ", shift: "M" }],
       DeE: ["e", { key: "œ", shift: "Œ" }],
@@ -187,6 +274,7 @@ export const layouts = {
 
   it: {
     name: "Italian (QWERTY)",
+    dictionary: "it",
     rows: [
       [
         "q",
@@ -260,6 +348,7 @@ export const layouts = {
 
   es: {
     name: "Spanish (QWERTY)",
+    dictionary: "es",
     labels: { Backspace: "Borrar", Enter: "Intro" },
     rows: [
       ["q", "w", "e", "r", "t", "y", "u", "i", "o", "p", "Backspace"],
@@ -299,6 +388,7 @@ export const layouts = {
   // Russian uses Cyrillic - each key needs explicit shift mapping
   ru: {
     name: "Russian (JCUKEN)",
+    dictionary: "ru",
     rows: [
       [
         { key: "й", shift: "Й" },
@@ -349,6 +439,7 @@ export const layouts = {
     // Custom bottom row with punctuation around spacebar
     bottomRow: [
       "&123",
+      "Nav",
       "Language",
       ".",
       "Space",
@@ -363,6 +454,7 @@ export const layouts = {
   // Korean uses Hangul Jamo - some keys have shift variants, some have long-press menus
   kr: {
     name: "Korean",
+    inputMethod: "hangul",
     rows: [
       [
         { key: "ㅂ", shift: "ㅃ", display: true },
@@ -420,6 +512,7 @@ export const layouts = {
   // Hungarian has many special characters and a unique layout
   hu: {
     name: "Magyar (QWERTY)",
+    dictionary: "hu",
     labels: { Backspace: "Töröl", Shift: "Shift" },
     rows: [
       [
@@ -473,6 +566,7 @@ export const layouts = {
     // Enter is in bottom row for Hungarian
     bottomRow: [
       "&123",
+      "Nav",
       "Language",
       "Space",
       "Voice",
@@ -485,6 +579,7 @@ export const layouts = {
 
   no: {
     name: "Norwegian (QWERTY)",
+    dictionary: "no",
     rows: [
       [
         "q",
@@ -536,6 +631,7 @@ export const layouts = {
   // Polish uses lowercase overlay IDs (Ple not PlE)
   pl: {
     name: "Polish (QWERTY)",
+    dictionary: "pl",
     rows: [
       [
         "q",
@@ -548,6 +644,7 @@ export const layouts = {
         "i",
         { key: "o", menu: "Plo" },
         "p",
+        { key: "´", shift: "˛", dead: true, display: true },
         "Backspace",
       ],
       [
@@ -576,10 +673,11 @@ export const layouts = {
         ",",
         ".",
         "?|@",
-        "_spacer",
+        "Compose",
         "Shift",
       ],
     ],
+    compose: LATIN_COMPOSE,
     overlays: {
       Ple: ["e", { key: "ę", shift: "Ę" }],
       Plu: ["u", "€"], // Euro sign, no shift variant
@@ -596,6 +694,7 @@ export const layouts = {
 
   sl: {
     name: "Slovenian (QWERTZ)",
+    dictionary: "sl",
     labels: { Backspace: "Back" },
     rows: [
       [
@@ -651,6 +750,7 @@ export const layouts = {
 
   sw: {
     name: "Swedish (QWERTY)",
+    dictionary: "sw",
     rows: [
       ["q", "w", "e", "r", "t", "y", "u", "i", "o", "p", "å", "BackspaceSmall"],
       [
@@ -742,6 +842,7 @@ export const layouts = {
   // Czech has an extra row of diacritical characters at the top
   cs: {
     name: "Czech (QWERTY)",
+    dictionary: "cs",
     rows: [
       // Extra row with Czech diacritical characters
       [
@@ -763,7 +864,20 @@ export const layouts = {
         { key: "ň", shift: "Ň" },
       ],
       // Standard QWERTY row
-      ["q", "w", "e", "r", "t", "y", "u", "i", "o", "p", "Backspace"],
+      [
+        "q",
+        "w",
+        "e",
+        "r",
+        "t",
+        "y",
+        "u",
+        "i",
+        "o",
+        "p",
+        { key: "´", shift: "ˇ", dead: true, display: true },
+        "Backspace",
+      ],
       ["_spacer", "a", "s", "d", "f", "g", "h", "j", "k", "l", "'", "Enter"],
       [
         "Shift",
@@ -777,15 +891,17 @@ export const layouts = {
         ",",
         ".",
         "?|@",
-        "_spacer",
+        "Compose",
         "Shift",
       ],
     ],
+    compose: LATIN_COMPOSE,
   },
 
   // Ukrainian - similar to Russian but with different letters (і, ї, є instead of ы, э, ъ)
   ua: {
     name: "Ukrainian (QWERTY)",
+    dictionary: "ua",
     rows: [
       [
         { key: "й", shift: "Й" },
@@ -835,6 +951,7 @@ export const layouts = {
     ],
     bottomRow: [
       "&123",
+      "Nav",
       "Language",
       ".",
       "Space",
@@ -845,17 +962,265 @@ export const layouts = {
       "Close",
     ],
   },
+
+  // Phonetic layouts: Latin keys are transliterated as they're typed
+  "ru-ph": {
+    name: "Russian (Phonetic)",
+    dictionary: "ru",
+    inputMethod: "translit-ru",
+    rows: [
+      ["q", "w", "e", "r", "t", "y", "u", "i", "o", "p", "Backspace"],
+      ["_spacer", "a", "s", "d", "f", "g", "h", "j", "k", "l", "'", "Enter"],
+      ["Shift", "z", "x", "c", "v", "b", "n", "m", ",", ".", "?|@", "Shift"],
+    ],
+  },
+
+  "ua-ph": {
+    name: "Ukrainian (Phonetic)",
+    dictionary: "ua",
+    inputMethod: "translit-ua",
+    rows: [
+      ["q", "w", "e", "r", "t", "y", "u", "i", "o", "p", "Backspace"],
+      ["_spacer", "a", "s", "d", "f", "g", "h", "j", "k", "l", "'", "Enter"],
+      ["Shift", "z", "x", "c", "v", "b", "n", "m", ",", ".", "?|@", "Shift"],
+    ],
+  },
+
+  "ta-ph": {
+    name: "Tamil (Phonetic)",
+    inputMethod: "translit-ta",
+    rows: [
+      ["q", "w", "e", "r", "t", "y", "u", "i", "o", "p", "Backspace"],
+      ["_spacer", "a", "s", "d", "f", "g", "h", "j", "k", "l", "'", "Enter"],
+      ["Shift", "z", "x", "c", "v", "b", "n", "m", ",", ".", "?|@", "Shift"],
+    ],
+  },
+
+  zh: {
+    name: "Chinese (Pinyin)",
+    inputMethod: "pinyin",
+    rows: [
+      ["q", "w", "e", "r", "t", "y", "u", "i", "o", "p", "Backspace"],
+      ["_spacer", "a", "s", "d", "f", "g", "h", "j", "k", "l", "'", "Enter"],
+      ["Shift", "z", "x", "c", "v", "b", "n", "m", ",", ".", "?|@", "Shift"],
+    ],
+  },
+
+  // Right-to-left layouts list each row from the right, so the letters sit
+  // where they are on a hardware keyboard. Harakat are on shift, and the
+  // Lam-Alef keys type both letters of the ligature.
+  ar: {
+    name: "Arabic",
+    dir: "rtl",
+    rows: [
+      [
+        "BackspaceSmall",
+        { key: "د", shift: ">" },
+        { key: "ج", shift: "<" },
+        { key: "ح", shift: "؛" },
+        { key: "خ", shift: "×" },
+        { key: "ه", shift: "÷" },
+        { key: "ع", shift: "‘" },
+        { key: "غ", shift: "إ" },
+        { key: "ف", shift: "لإ" },
+        { key: "ق", shift: "ٌ" },
+        { key: "ث", shift: "ُ" },
+        { key: "ص", shift: "ً" },
+        { key: "ض", shift: "َ" },
+      ],
+      [
+        "Enter",
+        { key: "ط", shift: '"' },
+        { key: "ك", shift: ":" },
+        { key: "م", shift: "/" },
+        { key: "ن", shift: "،" },
+        { key: "ت", shift: "ـ" },
+        { key: "ا", shift: "أ" },
+        { key: "ل", shift: "لأ" },
+        { key: "ب", shift: "[" },
+        { key: "ي", shift: "]" },
+        { key: "س", shift: "ٍ" },
+        { key: "ش", shift: "ِ" },
+        "_spacer",
+      ],
+      [
+        "Shift",
+        "؟|@",
+        { key: "ذ", shift: "ّ" },
+        "ظ",
+        { key: "ز", shift: "." },
+        { key: "و", shift: "," },
+        { key: "ة", shift: "'" },
+        { key: "ى", shift: "آ" },
+        { key: "لا", shift: "لآ" },
+        { key: "ر", shift: "{" },
+        { key: "ؤ", shift: "}" },
+        { key: "ء", shift: "ْ" },
+        { key: "ئ", shift: "~" },
+        "Shift",
+      ],
+    ],
+    bottomRow: [
+      "&123",
+      "Nav",
+      "Language",
+      "،",
+      "Space",
+      ".",
+      "Voice",
+      "Url",
+      "Settings",
+      "Close",
+    ],
+  },
+
+  he: {
+    name: "Hebrew",
+    dir: "rtl",
+    rows: [
+      ["Backspace", "פ", "ם", "ן", "ו", "ט", "א", "ר", "ק", "'", "/"],
+      [
+        "Enter",
+        ",",
+        "ף",
+        "ך",
+        "ל",
+        "ח",
+        "י",
+        "ע",
+        "כ",
+        "ג",
+        "ד",
+        "ש",
+        "_spacer",
+      ],
+      [
+        "Shift",
+        "?|@",
+        ".",
+        "ץ",
+        "ת",
+        "צ",
+        "מ",
+        "נ",
+        "ה",
+        "ב",
+        "ס",
+        "ז",
+        "Shift",
+      ],
+    ],
+  },
+
+  // Persian (ISIRI 9147) - the key next to the spacebar types a zero-width
+  // non-joiner, the "half space" between parts of a word
+  fa: {
+    name: "Persian",
+    dir: "rtl",
+    rows: [
+      [
+        "BackspaceSmall",
+        "چ",
+        "ج",
+        "ح",
+        "خ",
+        "ه",
+        "ع",
+        "غ",
+        "ف",
+        "ق",
+        { key: "ث", shift: "ٍ" },
+        { key: "ص", shift: "ٌ" },
+        { key: "ض", shift: "ً" },
+      ],
+      [
+        "Enter",
+        "گ",
+        "ک",
+        { key: "م", shift: "»" },
+        { key: "ن", shift: "«" },
+        { key: "ت", shift: "ـ" },
+        { key: "ا", shift: "آ" },
+        { key: "ل", shift: "ۀ" },
+        { key: "ب", shift: "ّ" },
+        { key: "ی", shift: "ِ" },
+        { key: "س", shift: "ُ" },
+        { key: "ش", shift: "َ" },
+        "_spacer",
+      ],
+      [
+        "Shift",
+        "؟|@",
+        ".",
+        "و",
+        { key: "پ", shift: "ء" },
+        { key: "د", shift: "أ" },
+        { key: "ذ", shift: "إ" },
+        { key: "ر", shift: "ؤ" },
+        { key: "ز", shift: "ژ" },
+        { key: "ط", shift: "ي" },
+        { key: "ظ", shift: "ة" },
+        "Shift",
+      ],
+    ],
+    bottomRow: [
+      "&123",
+      "Nav",
+      "Language",
+      "،",
+      "Space",
+      "\u200c",
+      "Voice",
+      "Url",
+      "Settings",
+      "Close",
+    ],
+  },
 };
 
+// User-defined layouts, keyed by ID
+let customLayouts = {};
+
+/**
+ * Replace the registered custom layouts
+ * @param {Object<string, Object>} definitions - layoutId -> layout definition
+ */
+export function registerCustomLayouts(definitions) {
+  customLayouts = {};
+  for (const [id, layout] of Object.entries(definitions || {})) {
+    if (Object.hasOwn(layouts, id)) continue;
+    const errors = validateLayout(layout);
+    if (errors.length > 0) {
+      console.warn(
+        `Skipping invalid custom layout "${id}":`,
+        formatLayoutErrors(errors)
+      );
+      continue;
+    }
+    customLayouts[id] = layout;
+  }
+}
+
+/**
+ * Check if a layout ID belongs to a built-in layout
+ * @param {string} layoutId
+ * @returns {boolean}
+ */
+export function isBuiltInLayout(layoutId) {
+  return Object.hasOwn(layouts, layoutId);
+}
+
 /**
- * Get list of all available layouts
+ * Get list of all available layouts (built-ins first, then custom)
  * @returns {Array<{value: string, name: string}>}
  */
 export function getLayoutsList() {
-  return Object.entries(layouts).map(([value, layout]) => ({
-    value,
-    name: layout.name,
-  }));
+  return Object.entries({ ...layouts, ...customLayouts }).map(
+    ([value, layout]) => ({
+      value,
+      name: layout.name,
+    })
+  );
 }
 
 /**
@@ -864,7 +1229,9 @@ export function getLayoutsList() {
  * @returns {Object|null}
  */
 export function getLayout(layoutId) {
-  return layouts[layoutId] || null;
+  if (Object.hasOwn(layouts, layoutId)) return layouts[layoutId];
+  if (Object.hasOwn(customLayouts, layoutId)) return customLayouts[layoutId];
+  return null;
 }
 
 export default layouts;
@@ -1,11 +1,28 @@
 // Virtual Keyboard - Main Entry Point
 // Initializes all modules and sets up the keyboard
 
-import { DOM_IDS, MESSAGE_TYPES, TIMING } from "./core/config.js";
+import {
+  DOM_IDS,
+  MESSAGE_TYPES,
+  SITE_PROFILE_SETTINGS,
+  STORAGE_KEYS,
+  TIMING,
+} from "./core/config.js";
 import { EVENTS, emit, on } from "./core/events.js";
 import { focusState, runtimeState, settingsState } from "./core/state.js";
 import storage from "./core/storage.js";
 import {
+  applyActivationRules,
+  isPageAllowed,
+} from "./input/ActivationRules.js";
+import {
+  applyForcedFields,
+  getContextMenuTarget,
+  getElementSelector,
+  trackContextMenuTarget,
+} from "./input/ForcedFields.js";
+import {
+  forceBindInput,
   getInputType,
   startDocumentFocusListener,
 } from "./input/InputBinder.js";
@@ -16,7 +33,12 @@ import {
 } from "./input/ShadowDOMWatcher.js";
 import Keyboard from "./keyboard/Keyboard.js";
 import { handleKeyPress } from "./keyboard/KeyHandler.js";
-import { getLayoutsList } from "./layouts/layouts.js";
+import {
+  getLayoutsList,
+  isBuiltInLayout,
+  registerCustomLayouts,
+} from "./layouts/layouts.js";
+import { loadLearnedWords } from "./prediction/Predictor.js";
 
 // =============================================================================
 // CURSOR HIDING (KIOSK MODE)
@@ -69,6 +91,7 @@ let openButtonElement = null;
 function createOpenButton() {
   if (openButtonElement) return;
   if (!settingsState.get("showOpenButton")) return;
+  if (!isPageAllowed()) return;
 
   const button = document.createElement("button");
   button.id = DOM_IDS.OPEN_BUTTON;
@@ -171,6 +194,75 @@ function hideOpenButton() {
 // SETTINGS LOADING
 // =============================================================================
 
+// Overrides for this site (setting name -> value), see storage.getSiteProfile
+let siteProfile = {};
+
+/**
+ * Re-read this site's profile after it changed
+ * @returns {Promise<Object>} Changes that move each affected setting to its
+ *   new value (the profile's, or the global one when no longer overridden)
+ */
+async function reloadSiteProfile() {
+  const previous = siteProfile;
+  siteProfile = await storage.getSiteProfile(location.origin);
+
+  const names = [
+    ...new Set([...Object.keys(previous), ...Object.keys(siteProfile)]),
+  ];
+  const global = await storage.get(
+    names.map((name) => SITE_PROFILE_SETTINGS[name])
+  );
+  const changes = {};
+  for (const name of names) {
+    const key = SITE_PROFILE_SETTINGS[name];
+    const newValue = Object.hasOwn(siteProfile, name)
+      ? siteProfile[name]
+      : global[key];
+    if (newValue !== settingsState.get(name)) changes[key] = { newValue };
+  }
+  return changes;
+}
+
+/**
+ * Work out which settings a storage change affects
+ * Policy values win: local edits to locked settings are ignored, and policy
+ * changes are re-read so a removed policy falls back to the local value.
+ * Settings overridden for this site ignore changes to the global value.
+ * @param {Object} changes - chrome.storage.onChanged changes
+ * @param {string} areaName - Storage area that changed
+ * @returns {Promise<Object|null>} Changes to apply, or null to ignore
+ */
+async function getEffectiveChanges(changes, areaName) {
+  let effective;
+  if (areaName === "local") {
+    const locked = await storage.getLockedSettings();
+    effective = Object.fromEntries(
+      Object.entries(changes).filter(([key]) => !locked.includes(key))
+    );
+  } else if (areaName === "managed") {
+    const keys = Object.keys(changes);
+    const values = await storage.get(keys);
+    effective = Object.fromEntries(
+      keys.map((key) => [key, { newValue: values[key] }])
+    );
+  } else {
+    return null;
+  }
+
+  // A policy change can lock settings the profile overrides
+  const profileChanges =
+    areaName === "managed" || effective[STORAGE_KEYS.SITE_PROFILES]
+      ? await reloadSiteProfile()
+      : {};
+  const overridden = Object.keys(siteProfile).map(
+    (name) => SITE_PROFILE_SETTINGS[name]
+  );
+  for (const key of overridden) {
+    delete effective[key];
+  }
+  return { ...effective, ...profileChanges };
+}
+
 /**
  * Load settings from storage
  */
@@ -190,6 +282,7 @@ async function loadSettings() {
       showUrlButton: true,
       showCloseButton: true,
       showNumbersButton: true,
+      showNavigationButton: false,
       showNumberBar: true,
       keyboardZoomWidth: 100,
       keyboardZoomHeight: 100,
@@ -207,6 +300,9 @@ async function loadSettings() {
       keyRepeatDelay: 400,
       keyRepeatSpeed: 75,
       hideCursor: false,
+      wordSuggestions: false,
+      autocorrect: false,
+      gestureTyping: false,
     });
   } else {
     settingsState.set({
@@ -217,6 +313,7 @@ async function loadSettings() {
       showUrlButton: settings.showUrlButton,
       showCloseButton: settings.showCloseButton,
       showNumbersButton: settings.showNumbersButton,
+      showNavigationButton: settings.showNavigationButton,
       showNumberBar: settings.showNumberBar,
       keyboardZoomWidth: settings.keyboardZoomWidth,
       keyboardZoomHeight: settings.keyboardZoomHeight,
@@ -234,16 +331,40 @@ async function loadSettings() {
       keyRepeatDelay: settings.keyRepeatDelay,
       keyRepeatSpeed: settings.keyRepeatSpeed,
       hideCursor: settings.hideCursor,
+      wordSuggestions: settings.wordSuggestions,
+      autocorrect: settings.autocorrect,
+      gestureTyping: settings.gestureTyping,
     });
 
     // Apply cursor hiding immediately if enabled
     updateCursorHiding(settings.hideCursor);
   }
 
-  // Listen for storage changes to update settings live
-  chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName !== "local") return;
+  // Per-site overrides win over the global settings
+  siteProfile = await storage.getSiteProfile(location.origin);
+  settingsState.set(siteProfile);
+
+  // Rules for where to bind, needed before any input is bound
+  applyActivationRules(await storage.getActivationRules());
 
+  // Fields the user picked from the context menu on this site
+  applyForcedFields(await storage.getForcedFields());
+
+  // Listen for storage changes to update settings live
+  chrome.storage.onChanged.addListener(async (areaChanges, areaName) => {
+    const changes = await getEffectiveChanges(areaChanges, areaName);
+    if (!changes) return;
+
+    if (changes.keyboardLayout1 !== undefined) {
+      // Changed elsewhere (another tab, or synced from another device)
+      const layout = changes.keyboardLayout1.newValue || "en";
+      if (layout !== settingsState.get("layout")) {
+        settingsState.set("layout", layout);
+        import("./keyboard/Keyboard.js").then((Keyboard) => {
+          Keyboard.loadLayout(layout);
+        });
+      }
+    }
     if (changes.keyboardZoomWidth) {
       settingsState.set(
         "keyboardZoomWidth",
@@ -353,6 +474,16 @@ async function loadSettings() {
         Keyboard.reloadKeyboard();
       });
     }
+    if (changes.showNavigationButton !== undefined) {
+      settingsState.set(
+        "showNavigationButton",
+        changes.showNavigationButton.newValue === true
+      );
+      // Reload keyboard to show/hide navigation button
+      import("./keyboard/Keyboard.js").then((Keyboard) => {
+        Keyboard.reloadKeyboard();
+      });
+    }
     if (changes.showNumberBar !== undefined) {
       settingsState.set(
         "showNumberBar",
@@ -414,6 +545,52 @@ async function loadSettings() {
       settingsState.set("hideCursor", hideCursor);
       updateCursorHiding(hideCursor);
     }
+    if (changes.wordSuggestions !== undefined) {
+      settingsState.set(
+        "wordSuggestions",
+        changes.wordSuggestions.newValue === true
+      );
+      import("./keyboard/Keyboard.js").then((Keyboard) => {
+        Keyboard.updateSuggestionBarVisibility();
+      });
+    }
+    if (changes.autocorrect !== undefined) {
+      settingsState.set("autocorrect", changes.autocorrect.newValue === true);
+    }
+    if (changes.gestureTyping !== undefined) {
+      settingsState.set(
+        "gestureTyping",
+        changes.gestureTyping.newValue === true
+      );
+      import("./keyboard/Keyboard.js").then((Keyboard) => {
+        Keyboard.updateGestureTyping();
+      });
+    }
+    if (changes.learnedWords !== undefined) {
+      // Only reload when cleared from the options page - reloading on every
+      // save would drop words learned since the last save
+      const learned = changes.learnedWords.newValue || {};
+      if (Object.keys(learned).length === 0) {
+        loadLearnedWords();
+      }
+    }
+    if (changes.activationRules !== undefined) {
+      applyActivationRules(changes.activationRules.newValue);
+    }
+    if (changes.forcedFields !== undefined) {
+      applyForcedFields(changes.forcedFields.newValue);
+      bindAllInputsDeep(document);
+    }
+    if (changes.customLayouts !== undefined) {
+      registerCustomLayouts(changes.customLayouts.newValue);
+      // Re-render if the layout in use is one that was edited
+      const currentLayout = settingsState.get("layout");
+      if (currentLayout && !isBuiltInLayout(currentLayout)) {
+        import("./keyboard/Keyboard.js").then((Keyboard) => {
+          Keyboard.loadLayout(currentLayout);
+        });
+      }
+    }
   });
 }
 
@@ -449,9 +626,15 @@ function setupIframeCommunication() {
       } else if (request.method === MESSAGE_TYPES.CLICK_FROM_IFRAME) {
         handleKeyPress(request.key, { skip: request.skip });
       } else if (request.method === MESSAGE_TYPES.OPEN_URL_BAR) {
+        // Opened by a shortcut, the keyboard may still be closed
+        Keyboard.open();
         setTimeout(() => {
           emit(EVENTS.URL_BAR_OPEN);
         }, TIMING.URL_BAR_FOCUS_DELAY);
+      } else if (request.method === MESSAGE_TYPES.TOGGLE_KEYBOARD) {
+        Keyboard.toggle();
+      } else if (request.method === MESSAGE_TYPES.CYCLE_LAYOUT) {
+        Keyboard.cycleLayout();
       }
     });
 
@@ -463,7 +646,9 @@ function setupIframeCommunication() {
     }
   }
 
-  // All frames listen for keyboard state changes
+  // All frames listen for keyboard state changes, and for the context menu
+  // (sent only to the frame that was right-clicked)
+  trackContextMenuTarget(document);
   chrome.runtime.onMessage.addListener((request) => {
     if (request.method === MESSAGE_TYPES.KEYBOARD_STATE_CHANGE) {
       if (request.isOpen) {
@@ -471,10 +656,26 @@ function setupIframeCommunication() {
       } else {
         showOpenButton();
       }
+    } else if (request.method === MESSAGE_TYPES.BIND_ELEMENT) {
+      handleBindElement(request.remember);
     }
   });
 }
 
+/**
+ * Type into the element the context menu was opened on
+ * @param {boolean} remember - Also bind it on later visits to this site
+ */
+function handleBindElement(remember) {
+  const element = getContextMenuTarget();
+  if (!element) return;
+
+  forceBindInput(element);
+  if (remember) {
+    storage.setForcedField(location.origin, getElementSelector(element));
+  }
+}
+
 /**
  * Recursively search for an iframe by ID in all nested iframes
  * @param {Document} doc - Document to search in
@@ -545,6 +746,12 @@ async function init() {
   // Load settings first
   await loadSettings();
 
+  // Register user-defined layouts before any layout is rendered
+  registerCustomLayouts(await storage.getCustomLayouts());
+
+  // Load words learned for suggestions
+  await loadLearnedWords();
+
   // Initialize input tracker
   initInputTracker();
 
@@ -570,8 +777,10 @@ async function init() {
   // Create open button (only if not in autostart mode)
   createOpenButton();
 
-  // Auto-open keyboard if autostart is enabled
-  if (settingsState.get("autostart")) {
+  // Auto-open keyboard if autostart is enabled, or when injected on demand
+  // by the store build's action icon
+  const openOnLoad = globalThis.virtualKeyboardOpenOnLoad === true;
+  if ((settingsState.get("autostart") || openOnLoad) && isPageAllowed()) {
     Keyboard.open(true);
   }
 }
@@ -583,7 +792,14 @@ async function init() {
 const isTopFrame = top === self;
 const isCrossOriginIframe = top !== self && window.frameElement === null;
 
-if (isTopFrame || isCrossOriginIframe) {
+// The store build injects main.js on demand, possibly into frames that
+// already have it
+const isAlreadyLoaded = globalThis.virtualKeyboardLoaded === true;
+globalThis.virtualKeyboardLoaded = true;
+
+if (isAlreadyLoaded) {
+  // Nothing to do - the existing instance handles this frame
+} else if (isTopFrame || isCrossOriginIframe) {
   // Full initialization for top frame and cross-origin iframes
   init().catch((err) => {
     console.error("Virtual Keyboard: Error initializing", err);
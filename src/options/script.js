@@ -1,7 +1,37 @@
 // Virtual Keyboard Options - Layout selector and display settings
 
-import { STORAGE_KEYS } from "../core/config.js";
-import { getLayoutsList } from "../core/storage.js";
+import {
+  CLIPBOARD_READ_PERMISSION,
+  KEYBOARD,
+  STORAGE_KEYS,
+} from "../core/config.js";
+import {
+  clearLearnedWords,
+  exportSettings,
+  get,
+  getActivationRules,
+  getCustomLayouts,
+  getForcedFields,
+  getLayoutsList,
+  getLockedSettings,
+  getSiteProfiles,
+  importSettings,
+  setActivationRules,
+  setCustomLayouts,
+  setForcedField,
+  setSiteProfiles,
+} from "../core/storage.js";
+import {
+  formatActivationRules,
+  parseActivationRules,
+} from "../input/ActivationRules.js";
+import { renderLayout } from "../layouts/LayoutRenderer.js";
+import {
+  formatLayoutErrors,
+  LAYOUT_ID_PATTERN,
+  validateLayout,
+} from "../layouts/LayoutSchema.js";
+import { layouts as builtInLayouts } from "../layouts/layouts.js";
 import * as VoiceInput from "../voice/VoiceInput.js";
 
 const $ = (id) => document.getElementById(id);
@@ -13,6 +43,18 @@ let loadedModelKey = null;
 
 let zoomLocked = true;
 
+// Settings set by policy, which can't be changed here
+let lockedSettings = [];
+
+// User-defined layouts as last loaded from storage (id -> definition)
+let customLayouts = {};
+
+// Shadow root the custom layout preview renders into
+let previewRoot = null;
+
+// Per-site overrides as last loaded from storage (origin -> profile)
+let siteProfiles = {};
+
 function saveDisplaySettings() {
   const showOpenButton = $("showOpenButton").checked;
   const showNumberBar = $("showNumberBar").checked;
@@ -21,12 +63,16 @@ function saveDisplaySettings() {
   const showUrlButton = $("showUrlButton").checked;
   const showCloseButton = $("showCloseButton").checked;
   const showNumbersButton = $("showNumbersButton").checked;
+  const showNavigationButton = $("showNavigationButton").checked;
   const keyboardZoomWidth = parseInt($("keyboardZoomWidth").value, 10) || 100;
   const keyboardZoomHeight = parseInt($("keyboardZoomHeight").value, 10) || 100;
   const keyboardDraggable = $("keyboardDraggable").checked;
   const spacebarCursorSwipe = $("spacebarCursorSwipe").checked;
   const stickyShift = $("stickyShift").checked;
   const autoCaps = $("autoCaps").checked;
+  const wordSuggestions = $("wordSuggestions").checked;
+  const autocorrect = $("autocorrect").checked;
+  const gestureTyping = $("gestureTyping").checked;
   const autostart = $("autostart").checked;
   const voiceEnabled = $("voiceEnabled").checked;
   const voiceModel = $("voiceModel").value;
@@ -35,8 +81,9 @@ function saveDisplaySettings() {
   const keyRepeatDelay = parseInt($("keyRepeatDelay").value, 10) || 400;
   const keyRepeatSpeed = parseInt($("keyRepeatSpeed").value, 10) || 75;
   const hideCursor = $("hideCursor").checked;
+  const syncSettings = $("syncSettings").checked;
 
-  chrome.storage.local.set({
+  const items = {
     [STORAGE_KEYS.SHOW_OPEN_BUTTON]: showOpenButton,
     [STORAGE_KEYS.SHOW_NUMBER_BAR]: showNumberBar,
     [STORAGE_KEYS.SHOW_LANGUAGE_BUTTON]: showLanguageButton,
@@ -44,6 +91,7 @@ function saveDisplaySettings() {
     [STORAGE_KEYS.SHOW_URL_BUTTON]: showUrlButton,
     [STORAGE_KEYS.SHOW_CLOSE_BUTTON]: showCloseButton,
     [STORAGE_KEYS.SHOW_NUMBERS_BUTTON]: showNumbersButton,
+    [STORAGE_KEYS.SHOW_NAVIGATION_BUTTON]: showNavigationButton,
     [STORAGE_KEYS.KEYBOARD_ZOOM_WIDTH]: keyboardZoomWidth,
     [STORAGE_KEYS.KEYBOARD_ZOOM_HEIGHT]: keyboardZoomHeight,
     [STORAGE_KEYS.KEYBOARD_ZOOM_LOCKED]: zoomLocked,
@@ -51,6 +99,9 @@ function saveDisplaySettings() {
     [STORAGE_KEYS.SPACEBAR_CURSOR_SWIPE]: spacebarCursorSwipe,
     [STORAGE_KEYS.STICKY_SHIFT]: stickyShift,
     [STORAGE_KEYS.AUTO_CAPS]: autoCaps,
+    [STORAGE_KEYS.WORD_SUGGESTIONS]: wordSuggestions,
+    [STORAGE_KEYS.AUTOCORRECT]: autocorrect,
+    [STORAGE_KEYS.GESTURE_TYPING]: gestureTyping,
     [STORAGE_KEYS.AUTOSTART]: autostart,
     [STORAGE_KEYS.VOICE_ENABLED]: voiceEnabled,
     [STORAGE_KEYS.VOICE_MODEL]: voiceModel,
@@ -59,7 +110,13 @@ function saveDisplaySettings() {
     [STORAGE_KEYS.KEY_REPEAT_DELAY]: keyRepeatDelay,
     [STORAGE_KEYS.KEY_REPEAT_SPEED]: keyRepeatSpeed,
     [STORAGE_KEYS.HIDE_CURSOR]: hideCursor,
-  });
+    [STORAGE_KEYS.SYNC_SETTINGS]: syncSettings,
+  };
+  // Policy values win anyway - don't copy them into local storage
+  for (const key of lockedSettings) {
+    delete items[key];
+  }
+  chrome.storage.local.set(items);
 
   // Toggle voice options visibility
   updateVoiceOptionsVisibility();
@@ -189,7 +246,7 @@ function updateKeyRepeatOptionsVisibility() {
 }
 
 async function loadDisplaySettings() {
-  const result = await chrome.storage.local.get([
+  const result = await get([
     STORAGE_KEYS.SHOW_OPEN_BUTTON,
     STORAGE_KEYS.SHOW_NUMBER_BAR,
     STORAGE_KEYS.SHOW_LANGUAGE_BUTTON,
@@ -197,6 +254,7 @@ async function loadDisplaySettings() {
     STORAGE_KEYS.SHOW_URL_BUTTON,
     STORAGE_KEYS.SHOW_CLOSE_BUTTON,
     STORAGE_KEYS.SHOW_NUMBERS_BUTTON,
+    STORAGE_KEYS.SHOW_NAVIGATION_BUTTON,
     STORAGE_KEYS.KEYBOARD_ZOOM_WIDTH,
     STORAGE_KEYS.KEYBOARD_ZOOM_HEIGHT,
     STORAGE_KEYS.KEYBOARD_ZOOM_LOCKED,
@@ -204,6 +262,9 @@ async function loadDisplaySettings() {
     STORAGE_KEYS.SPACEBAR_CURSOR_SWIPE,
     STORAGE_KEYS.STICKY_SHIFT,
     STORAGE_KEYS.AUTO_CAPS,
+    STORAGE_KEYS.WORD_SUGGESTIONS,
+    STORAGE_KEYS.AUTOCORRECT,
+    STORAGE_KEYS.GESTURE_TYPING,
     STORAGE_KEYS.AUTOSTART,
     STORAGE_KEYS.VOICE_ENABLED,
     STORAGE_KEYS.VOICE_MODEL,
@@ -212,6 +273,7 @@ async function loadDisplaySettings() {
     STORAGE_KEYS.KEY_REPEAT_DELAY,
     STORAGE_KEYS.KEY_REPEAT_SPEED,
     STORAGE_KEYS.HIDE_CURSOR,
+    STORAGE_KEYS.SYNC_SETTINGS,
   ]);
 
   $("showOpenButton").checked = result[STORAGE_KEYS.SHOW_OPEN_BUTTON] !== false;
@@ -225,6 +287,8 @@ async function loadDisplaySettings() {
     result[STORAGE_KEYS.SHOW_CLOSE_BUTTON] !== false;
   $("showNumbersButton").checked =
     result[STORAGE_KEYS.SHOW_NUMBERS_BUTTON] !== false;
+  $("showNavigationButton").checked =
+    result[STORAGE_KEYS.SHOW_NAVIGATION_BUTTON] === true;
   $("keyboardZoomWidth").value =
     result[STORAGE_KEYS.KEYBOARD_ZOOM_WIDTH] || 100;
   $("keyboardZoomHeight").value =
@@ -237,6 +301,9 @@ async function loadDisplaySettings() {
     result[STORAGE_KEYS.SPACEBAR_CURSOR_SWIPE] === true;
   $("stickyShift").checked = result[STORAGE_KEYS.STICKY_SHIFT] === true;
   $("autoCaps").checked = result[STORAGE_KEYS.AUTO_CAPS] === true;
+  $("wordSuggestions").checked = result[STORAGE_KEYS.WORD_SUGGESTIONS] === true;
+  $("autocorrect").checked = result[STORAGE_KEYS.AUTOCORRECT] === true;
+  $("gestureTyping").checked = result[STORAGE_KEYS.GESTURE_TYPING] === true;
   $("autostart").checked = result[STORAGE_KEYS.AUTOSTART] === true;
   $("voiceEnabled").checked = result[STORAGE_KEYS.VOICE_ENABLED] === true;
   $("voiceModel").value = result[STORAGE_KEYS.VOICE_MODEL] || "base-q8";
@@ -249,6 +316,7 @@ async function loadDisplaySettings() {
   $("keyRepeatSpeed").value = result[STORAGE_KEYS.KEY_REPEAT_SPEED] || 75;
   updateKeyRepeatOptionsVisibility();
   $("hideCursor").checked = result[STORAGE_KEYS.HIDE_CURSOR] === true;
+  $("syncSettings").checked = result[STORAGE_KEYS.SYNC_SETTINGS] === true;
 }
 
 function updateZoomLockCheckbox() {
@@ -349,9 +417,723 @@ async function loadLayouts() {
   }
 }
 
+// =============================================================================
+// CUSTOM LAYOUTS
+// =============================================================================
+
+const CUSTOM_LAYOUT_ID_PATTERN = new RegExp(LAYOUT_ID_PATTERN);
+
+/**
+ * Show a message next to the custom layout buttons
+ * @param {string} message
+ * @param {boolean} [isError]
+ */
+function showCustomLayoutStatus(message, isError = false) {
+  const status = $("customLayoutStatus");
+  status.textContent = message;
+  status.style.color = isError ? "#c00" : "#080";
+}
+
+/**
+ * List layout problems under the editor (one per key)
+ * @param {string[]} errors
+ */
+function showCustomLayoutErrors(errors) {
+  const list = $("customLayoutErrors");
+  list.innerHTML = "";
+  for (const error of errors) {
+    const li = document.createElement("li");
+    li.textContent = error;
+    list.appendChild(li);
+  }
+}
+
+/**
+ * Parse and validate the layout in the editor
+ * @returns {{layout: Object|null, errors: string[]}}
+ */
+function readLayoutDefinition() {
+  let definition;
+  try {
+    definition = JSON.parse($("customLayoutDefinition").value);
+  } catch (error) {
+    return { layout: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+  const layout =
+    definition && typeof definition === "object" && !Array.isArray(definition)
+      ? { ...definition, name: $("customLayoutName").value.trim() }
+      : definition;
+  const errors = formatLayoutErrors(validateLayout(layout));
+  return { layout: errors.length ? null : layout, errors };
+}
+
+/**
+ * Render the definition being edited into the preview area
+ */
+function updateLayoutPreview() {
+  if (!previewRoot) {
+    previewRoot = $("customLayoutPreview").attachShadow({ mode: "open" });
+    const styleLink = document.createElement("link");
+    styleLink.rel = "stylesheet";
+    styleLink.href = chrome.runtime.getURL("style.css");
+    previewRoot.appendChild(styleLink);
+  }
+
+  const { layout, errors } = readLayoutDefinition();
+  showCustomLayoutErrors(errors);
+  if (!layout) return;
+
+  // Same structure as the real keyboard so style.css applies unchanged
+  const keyboard = document.createElement("div");
+  keyboard.id = "virtual-keyboard";
+  keyboard.className = "keyboard-open";
+  keyboard.style.position = "relative";
+  keyboard.style.left = "0";
+  keyboard.style.transform = "none";
+  const wrapper = document.createElement("div");
+  wrapper.className = "vk-scale-wrapper";
+  const mainKbd = document.createElement("div");
+  mainKbd.id = "vk-main-kbd";
+  const placeholder = document.createElement("div");
+  placeholder.id = "vk-main-kbd-ph";
+  placeholder.appendChild(renderLayout(layout));
+  mainKbd.appendChild(placeholder);
+  wrapper.appendChild(mainKbd);
+  keyboard.appendChild(wrapper);
+
+  previewRoot.getElementById("virtual-keyboard")?.remove();
+  previewRoot.appendChild(keyboard);
+}
+
+/**
+ * Fill the editor fields
+ * @param {string} id
+ * @param {Object} layout - Layout definition including its name
+ */
+function fillLayoutEditor(id, layout) {
+  const { name, ...definition } = layout;
+  $("customLayoutId").value = id;
+  $("customLayoutName").value = name || "";
+  $("customLayoutDefinition").value = JSON.stringify(definition, null, 2);
+  updateLayoutPreview();
+}
+
+/**
+ * Load the layout picked in the edit dropdown (or clear for a new one)
+ */
+function selectCustomLayout() {
+  const id = $("customLayoutSelect").value;
+  $("customLayoutId").disabled =
+    Boolean(id) || lockedSettings.includes(STORAGE_KEYS.CUSTOM_LAYOUTS);
+  if (id) {
+    fillLayoutEditor(id, customLayouts[id]);
+  } else {
+    fillLayoutEditor("", { name: "", rows: [["a", "b", "c", "Backspace"]] });
+    showCustomLayoutErrors([]); // Don't complain about the missing name yet
+  }
+}
+
+/**
+ * Copy the layout picked in the "start from" dropdown into the editor
+ */
+function cloneLayout() {
+  const sourceId = $("customLayoutSource").value;
+  const source = builtInLayouts[sourceId] || customLayouts[sourceId];
+  if (!source) return;
+
+  $("customLayoutSelect").value = "";
+  $("customLayoutId").disabled = false;
+  fillLayoutEditor("", {
+    ...structuredClone(source),
+    name: `${source.name} (copy)`,
+  });
+}
+
+/**
+ * Add an option to a select, or rename it if already present
+ * @param {HTMLSelectElement} select
+ * @param {string} value
+ * @param {string} text
+ */
+function upsertOption(select, value, text) {
+  const existing = Array.from(select.options).find(
+    (opt) => opt.value === value
+  );
+  if (existing) {
+    existing.text = text;
+    return;
+  }
+  const opt = document.createElement("option");
+  opt.value = value;
+  opt.text = text;
+  select.options.add(opt);
+}
+
+/**
+ * List custom layouts in the available, edit and "start from" dropdowns
+ */
+function renderCustomLayoutLists() {
+  for (const opt of Array.from($("al").options)) {
+    if (opt.dataset.custom) opt.remove();
+  }
+  $("customLayoutSelect").length = 1; // Keep "New layout"
+  $("customLayoutSource").innerHTML = "";
+
+  for (const [id, layout] of Object.entries(builtInLayouts)) {
+    upsertOption($("customLayoutSource"), id, layout.name);
+  }
+  for (const [id, layout] of Object.entries(customLayouts)) {
+    upsertOption($("al"), id, layout.name);
+    $("al").options[$("al").length - 1].dataset.custom = "true";
+    upsertOption($("customLayoutSelect"), id, layout.name);
+    upsertOption($("customLayoutSource"), id, layout.name);
+  }
+  renderSiteRuleLayouts();
+}
+
+async function loadCustomLayouts() {
+  customLayouts = await getCustomLayouts();
+  renderCustomLayoutLists();
+  selectCustomLayout();
+}
+
+/**
+ * Store custom layouts and add them to the chosen list
+ * @param {Object<string, Object>} added - layoutId -> layout definition
+ */
+async function storeCustomLayouts(added) {
+  customLayouts = { ...customLayouts, ...added };
+  await setCustomLayouts(customLayouts);
+
+  renderCustomLayoutLists();
+  // New layouts go straight to the chosen list so they show in the switcher
+  for (const [id, layout] of Object.entries(added)) {
+    upsertOption($("sl"), id, layout.name);
+  }
+  saveLayouts();
+}
+
+/**
+ * Check a custom layout ID is usable
+ * @param {string} id
+ * @param {boolean} allowExisting - Whether it may replace a custom layout
+ * @returns {string|null} Error message, or null if usable
+ */
+function checkCustomLayoutId(id, allowExisting) {
+  if (!CUSTOM_LAYOUT_ID_PATTERN.test(id)) {
+    return `ID "${id}" must be 1-8 lowercase letters, digits or dashes`;
+  }
+  if (builtInLayouts[id] || (!allowExisting && customLayouts[id])) {
+    return `A layout with ID "${id}" already exists`;
+  }
+  return null;
+}
+
+async function saveCustomLayout() {
+  const editingId = $("customLayoutSelect").value;
+  const id = editingId || $("customLayoutId").value.trim().toLowerCase();
+
+  const idError = checkCustomLayoutId(id, Boolean(editingId));
+  if (idError) {
+    showCustomLayoutStatus(idError, true);
+    return;
+  }
+  const { layout, errors } = readLayoutDefinition();
+  if (!layout) {
+    showCustomLayoutErrors(errors);
+    showCustomLayoutStatus("Fix the errors below before saving", true);
+    return;
+  }
+
+  const { id: _fileId, ...definition } = layout;
+  await storeCustomLayouts({ [id]: definition });
+
+  $("customLayoutSelect").value = id;
+  $("customLayoutId").disabled = true;
+  showCustomLayoutStatus("Saved");
+}
+
+/**
+ * Save data as a JSON file download
+ * @param {string} filename
+ * @param {*} data
+ */
+function downloadJson(filename, data) {
+  const blob = new Blob([`${JSON.stringify(data, null, 2)}\n`], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export the selected custom layout, or all of them when none is selected
+ */
+function exportCustomLayouts() {
+  const selectedId = $("customLayoutSelect").value;
+  if (selectedId) {
+    downloadJson(`${selectedId}.json`, {
+      id: selectedId,
+      ...customLayouts[selectedId],
+    });
+    return;
+  }
+
+  const all = Object.entries(customLayouts).map(([id, layout]) => ({
+    id,
+    ...layout,
+  }));
+  if (all.length === 0) {
+    showCustomLayoutStatus("No custom layouts to export", true);
+    return;
+  }
+  downloadJson("custom-layouts.json", all);
+}
+
+/**
+ * Import layouts from a JSON file - one layout object or a list of them,
+ * each with an "id". Nothing is imported unless every layout is valid.
+ * @param {File} file
+ */
+async function importCustomLayouts(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showCustomLayoutErrors([`Invalid JSON: ${error.message}`]);
+    showCustomLayoutStatus(`Could not import ${file.name}`, true);
+    return;
+  }
+
+  const entries = Array.isArray(data) ? data : [data];
+  const imported = {};
+  const errors = [];
+  entries.forEach((layout, index) => {
+    const label = Array.isArray(data) ? `[${index}] ` : "";
+    const layoutErrors = formatLayoutErrors(validateLayout(layout));
+    if (layoutErrors.length === 0 && layout.id === undefined) {
+      layoutErrors.push('missing "id"');
+    }
+    if (layoutErrors.length > 0) {
+      errors.push(...layoutErrors.map((error) => `${label}${error}`));
+      return;
+    }
+
+    const { id, ...definition } = layout;
+    const idError = imported[id]
+      ? `ID "${id}" appears more than once`
+      : checkCustomLayoutId(id, true);
+    if (idError) {
+      errors.push(`${label}${idError}`);
+      return;
+    }
+    imported[id] = definition;
+  });
+
+  if (errors.length > 0) {
+    showCustomLayoutErrors(errors);
+    showCustomLayoutStatus(`Could not import ${file.name}`, true);
+    return;
+  }
+
+  await storeCustomLayouts(imported);
+  const [firstId] = Object.keys(imported);
+  $("customLayoutSelect").value = firstId;
+  selectCustomLayout();
+  showCustomLayoutStatus(
+    `Imported ${entries.length} layout${entries.length === 1 ? "" : "s"}`
+  );
+}
+
+async function deleteCustomLayout() {
+  const id = $("customLayoutSelect").value;
+  if (!id) return;
+
+  const { [id]: _removed, ...remaining } = customLayouts;
+  customLayouts = remaining;
+  await setCustomLayouts(customLayouts);
+
+  for (const opt of Array.from($("sl").options)) {
+    if (opt.value === id) opt.remove();
+  }
+  if ($("sl").length === 0) {
+    upsertOption($("sl"), "en", builtInLayouts.en.name);
+  }
+  saveLayouts();
+
+  renderCustomLayoutLists();
+  selectCustomLayout();
+  showCustomLayoutStatus("Deleted");
+}
+
+// =============================================================================
+// SITE RULES
+// =============================================================================
+
+/**
+ * Show a message next to the site rule buttons
+ * @param {string} message
+ * @param {boolean} [isError]
+ */
+function showSiteRuleStatus(message, isError = false) {
+  const status = $("siteRuleStatus");
+  status.textContent = message;
+  status.style.color = isError ? "#c00" : "#080";
+}
+
+/**
+ * Turn what was typed as a site into its origin
+ * @param {string} text - e.g. "pos.example.com" or "https://pos.example.com/till"
+ * @returns {string|null} e.g. "https://pos.example.com", or null if not a site
+ */
+function parseSiteOrigin(text) {
+  const value = text.trim();
+  if (!value) return null;
+  try {
+    const url = new URL(value.includes("://") ? value : `https://${value}`);
+    return url.origin === "null" ? null : url.origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the controls for each overridable setting
+ * @returns {HTMLElement[]}
+ */
+function getSiteRuleControls() {
+  return Array.from($("siteRuleSettings").querySelectorAll("[data-setting]"));
+}
+
+/**
+ * Offer every layout, built-in and custom, in the site rule layout dropdown
+ */
+function renderSiteRuleLayouts() {
+  const select = $("siteRuleLayout");
+  const selected = select.value;
+  select.length = 1; // Keep "Default"
+  for (const [id, layout] of Object.entries({
+    ...builtInLayouts,
+    ...customLayouts,
+  })) {
+    upsertOption(select, id, layout.name);
+  }
+  select.value = selected;
+}
+
+function renderSiteRuleList() {
+  $("siteRuleSelect").length = 1; // Keep "New site"
+  for (const origin of Object.keys(siteProfiles).sort()) {
+    upsertOption($("siteRuleSelect"), origin, origin);
+  }
+}
+
+/**
+ * Load the site picked in the dropdown (or clear for a new one)
+ */
+function selectSiteRule() {
+  const origin = $("siteRuleSelect").value;
+  const profile = siteProfiles[origin] || {};
+  $("siteRuleOrigin").value = origin;
+  $("siteRuleOrigin").disabled =
+    Boolean(origin) || lockedSettings.includes(STORAGE_KEYS.SITE_PROFILES);
+  for (const control of getSiteRuleControls()) {
+    const value = profile[control.dataset.setting];
+    control.value = value === undefined ? "" : String(value);
+  }
+  showSiteRuleStatus("");
+}
+
+async function loadSiteRules() {
+  siteProfiles = await getSiteProfiles();
+  renderSiteRuleList();
+  selectSiteRule();
+}
+
+/**
+ * Read the overrides chosen in the editor (settings left at "Default" are omitted)
+ * @returns {Object} Setting name -> value
+ */
+function readSiteRule() {
+  const profile = {};
+  for (const control of getSiteRuleControls()) {
+    const name = control.dataset.setting;
+    if (control.value === "") continue;
+    if (control.type === "number") {
+      const zoom = parseInt(control.value, 10);
+      if (Number.isNaN(zoom)) continue;
+      profile[name] = Math.min(
+        KEYBOARD.MAX_ZOOM,
+        Math.max(KEYBOARD.MIN_ZOOM, zoom)
+      );
+    } else if (name === "layout") {
+      profile[name] = control.value;
+    } else {
+      profile[name] = control.value === "true";
+    }
+  }
+  return profile;
+}
+
+async function saveSiteRule() {
+  const origin =
+    $("siteRuleSelect").value || parseSiteOrigin($("siteRuleOrigin").value);
+  if (!origin) {
+    showSiteRuleStatus(
+      "Enter a site address, such as https://pos.example.com",
+      true
+    );
+    return;
+  }
+  const profile = readSiteRule();
+  if (Object.keys(profile).length === 0) {
+    showSiteRuleStatus("Choose at least one setting for this site", true);
+    return;
+  }
+
+  siteProfiles = { ...siteProfiles, [origin]: profile };
+  await setSiteProfiles(siteProfiles);
+
+  renderSiteRuleList();
+  $("siteRuleSelect").value = origin;
+  selectSiteRule();
+  showSiteRuleStatus("Saved");
+}
+
+async function deleteSiteRule() {
+  const origin = $("siteRuleSelect").value;
+  if (!origin) return;
+
+  const { [origin]: _removed, ...remaining } = siteProfiles;
+  siteProfiles = remaining;
+  await setSiteProfiles(siteProfiles);
+
+  renderSiteRuleList();
+  selectSiteRule();
+  showSiteRuleStatus("Deleted");
+}
+
+// =============================================================================
+// ACTIVATION RULES
+// =============================================================================
+
+async function loadActivationRules() {
+  $("activationRules").value = formatActivationRules(
+    await getActivationRules()
+  );
+}
+
+async function saveActivationRules() {
+  const { rules, errors } = parseActivationRules($("activationRules").value);
+  const list = $("activationRulesErrors");
+  list.innerHTML = "";
+  for (const error of errors) {
+    const li = document.createElement("li");
+    li.textContent = error;
+    list.appendChild(li);
+  }
+
+  const status = $("activationRulesStatus");
+  if (errors.length > 0) {
+    status.textContent = "Fix the errors below before saving";
+    status.style.color = "#c00";
+    return;
+  }
+  await setActivationRules(rules);
+  $("activationRules").value = formatActivationRules(rules);
+  status.textContent = "Saved";
+  status.style.color = "#080";
+}
+
+// =============================================================================
+// REMEMBERED FIELDS
+// =============================================================================
+
+/**
+ * List the fields remembered from the context menu, each with a Forget button
+ */
+async function loadForcedFields() {
+  const list = $("forcedFieldList");
+  list.innerHTML = "";
+  for (const [origin, selectors] of Object.entries(await getForcedFields())) {
+    for (const selector of selectors) {
+      const li = document.createElement("li");
+      const code = document.createElement("code");
+      code.textContent = selector;
+      const forget = document.createElement("button");
+      forget.type = "button";
+      forget.textContent = "Forget";
+      forget.addEventListener("click", async () => {
+        await setForcedField(origin, selector, true);
+        await loadForcedFields();
+      });
+      li.append(`${origin} `, code, " ", forget);
+      list.appendChild(li);
+    }
+  }
+  $("forcedFieldsEmpty").style.display = list.children.length ? "none" : "";
+}
+
+// =============================================================================
+// BACKUP AND POLICY
+// =============================================================================
+
+const LAYOUT_LIST_CONTROLS = ["al", "sl", "kl_add", "kl_remove"];
+
+// Controls for settings whose element ID isn't the storage key
+const SETTING_CONTROLS = {
+  [STORAGE_KEYS.KEYBOARD_LAYOUT]: LAYOUT_LIST_CONTROLS,
+  [STORAGE_KEYS.KEYBOARD_LAYOUTS_LIST]: LAYOUT_LIST_CONTROLS,
+  [STORAGE_KEYS.KEYBOARD_ZOOM_LOCKED]: ["zoomLock"],
+  [STORAGE_KEYS.CUSTOM_LAYOUTS]: [
+    "customLayoutSelect",
+    "customLayoutClone",
+    "customLayoutId",
+    "customLayoutName",
+    "customLayoutDefinition",
+    "customLayoutSave",
+    "customLayoutDelete",
+    "customLayoutImport",
+  ],
+  [STORAGE_KEYS.ACTIVATION_RULES]: ["activationRules", "activationRulesSave"],
+  [STORAGE_KEYS.SITE_PROFILES]: [
+    "siteRuleOrigin",
+    "siteRuleSettings",
+    "siteRuleSave",
+    "siteRuleDelete",
+  ],
+};
+
+/**
+ * Disable the controls of settings locked by policy
+ */
+async function applyLockedSettings() {
+  lockedSettings = await getLockedSettings();
+
+  for (const key of lockedSettings) {
+    for (const id of SETTING_CONTROLS[key] || [key]) {
+      const control = $(id);
+      if (!control) continue;
+      control.disabled = true;
+      control.title = "Set by your administrator";
+    }
+  }
+  $("managedNotice").style.display = lockedSettings.length ? "" : "none";
+}
+
+async function loadClipboardPermission() {
+  $("clipboardRead").checked = await chrome.permissions.contains(
+    CLIPBOARD_READ_PERMISSION
+  );
+}
+
+/**
+ * Grant or give up clipboardRead (requesting needs the checkbox click)
+ */
+async function toggleClipboardPermission() {
+  if ($("clipboardRead").checked) {
+    await chrome.permissions.request(CLIPBOARD_READ_PERMISSION);
+  } else {
+    await chrome.permissions.remove(CLIPBOARD_READ_PERMISSION);
+  }
+  await loadClipboardPermission();
+}
+
+/**
+ * List the settings that couldn't be synced, if sync is on
+ * @param {Object<string, string>} errors - Storage key -> reason
+ */
+function showSyncErrors(errors = {}) {
+  const messages = Object.entries(errors).map(
+    ([key, reason]) => `${key}: ${reason}`
+  );
+  $("syncStatus").textContent =
+    $("syncSettings").checked && messages.length > 0
+      ? `Not synced - ${messages.join("; ")}`
+      : "";
+}
+
+async function loadSyncErrors() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_ERRORS);
+  showSyncErrors(result[STORAGE_KEYS.SYNC_ERRORS]);
+}
+
+/**
+ * Show a message next to the backup buttons
+ * @param {string} message
+ * @param {boolean} [isError]
+ */
+function showBackupStatus(message, isError = false) {
+  const status = $("backupStatus");
+  status.textContent = message;
+  status.style.color = isError ? "#c00" : "#080";
+}
+
+async function backupSettings() {
+  const date = new Date().toISOString().slice(0, 10);
+  downloadJson(
+    `virtual-keyboard-settings-${date}.json`,
+    await exportSettings()
+  );
+}
+
+/**
+ * Restore settings from a backup file and refresh the page controls
+ * @param {File} file
+ */
+async function restoreSettings(file) {
+  let result;
+  try {
+    result = await importSettings(JSON.parse(await file.text()));
+  } catch (error) {
+    showBackupStatus(`Could not restore ${file.name}: ${error.message}`, true);
+    return;
+  }
+
+  loadLayouts();
+  await loadDisplaySettings();
+  await loadCustomLayouts();
+  await loadSiteRules();
+  await loadActivationRules();
+  await loadForcedFields();
+
+  const locked = result.skipped.filter((key) => lockedSettings.includes(key));
+  const notes = [];
+  if (locked.length) {
+    notes.push(`those set by your administrator: ${locked.join(", ")}`);
+  }
+  if (result.invalid.length) {
+    notes.push(`invalid ones (${result.invalid.join("; ")})`);
+  }
+  showBackupStatus(
+    notes.length
+      ? `Settings restored, except ${notes.join(" and ")}`
+      : "Settings restored",
+    result.invalid.length > 0
+  );
+}
+
 window.addEventListener("load", async () => {
   loadLayouts();
   await loadDisplaySettings();
+  await loadCustomLayouts();
+  await applyLockedSettings();
+  await loadSiteRules();
+  await loadActivationRules();
+  await loadForcedFields();
+  await loadSyncErrors();
+  await loadClipboardPermission();
+
+  // The background worker records keys it couldn't sync
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[STORAGE_KEYS.SYNC_ERRORS]) {
+      showSyncErrors(changes[STORAGE_KEYS.SYNC_ERRORS].newValue);
+    }
+  });
 
   $("closeSettings").addEventListener("click", () => {
     // Try to close the window/tab, fall back to navigating back
@@ -362,8 +1144,37 @@ window.addEventListener("load", async () => {
     }
   });
 
+  $("backupSettings").addEventListener("click", backupSettings);
+  $("restoreSettings").addEventListener("click", () => {
+    $("restoreSettingsFile").click();
+  });
+  $("restoreSettingsFile").addEventListener("change", async () => {
+    const [file] = $("restoreSettingsFile").files;
+    if (file) await restoreSettings(file);
+    $("restoreSettingsFile").value = "";
+  });
+
   $("kl_add").addEventListener("click", addLayout);
   $("kl_remove").addEventListener("click", removeLayout);
+  $("customLayoutSelect").addEventListener("change", selectCustomLayout);
+  $("customLayoutClone").addEventListener("click", cloneLayout);
+  $("customLayoutDefinition").addEventListener("input", updateLayoutPreview);
+  $("customLayoutName").addEventListener("input", updateLayoutPreview);
+  $("customLayoutSave").addEventListener("click", saveCustomLayout);
+  $("customLayoutDelete").addEventListener("click", deleteCustomLayout);
+  $("customLayoutExport").addEventListener("click", exportCustomLayouts);
+  $("customLayoutImport").addEventListener("click", () => {
+    $("customLayoutImportFile").click();
+  });
+  $("customLayoutImportFile").addEventListener("change", async () => {
+    const [file] = $("customLayoutImportFile").files;
+    if (file) await importCustomLayouts(file);
+    $("customLayoutImportFile").value = "";
+  });
+  $("siteRuleSelect").addEventListener("change", selectSiteRule);
+  $("siteRuleSave").addEventListener("click", saveSiteRule);
+  $("siteRuleDelete").addEventListener("click", deleteSiteRule);
+  $("activationRulesSave").addEventListener("click", saveActivationRules);
 
   $("showOpenButton").addEventListener("change", saveDisplaySettings);
   $("showNumberBar").addEventListener("change", saveDisplaySettings);
@@ -372,6 +1183,7 @@ window.addEventListener("load", async () => {
   $("showUrlButton").addEventListener("change", saveDisplaySettings);
   $("showCloseButton").addEventListener("change", saveDisplaySettings);
   $("showNumbersButton").addEventListener("change", saveDisplaySettings);
+  $("showNavigationButton").addEventListener("change", saveDisplaySettings);
   $("keyboardZoomWidth").addEventListener("change", handleZoomWidthChange);
   $("keyboardZoomHeight").addEventListener("change", handleZoomHeightChange);
   $("zoomLock").addEventListener("change", handleZoomLockChange);
@@ -379,6 +1191,11 @@ window.addEventListener("load", async () => {
   $("spacebarCursorSwipe").addEventListener("change", saveDisplaySettings);
   $("stickyShift").addEventListener("change", saveDisplaySettings);
   $("autoCaps").addEventListener("change", saveDisplaySettings);
+  $("wordSuggestions").addEventListener("change", saveDisplaySettings);
+  $("autocorrect").addEventListener("change", saveDisplaySettings);
+  $("gestureTyping").addEventListener("change", saveDisplaySettings);
+  $("clipboardRead").addEventListener("change", toggleClipboardPermission);
+  $("clearLearnedWords").addEventListener("click", clearLearnedWords);
   $("autostart").addEventListener("change", saveDisplaySettings);
   $("resetPosition").addEventListener("click", () => {
     chrome.storage.local.set({ [STORAGE_KEYS.KEYBOARD_POSITION]: null });
@@ -405,4 +1222,8 @@ window.addEventListener("load", async () => {
   $("keyRepeatDelay").addEventListener("change", saveDisplaySettings);
   $("keyRepeatSpeed").addEventListener("change", saveDisplaySettings);
   $("hideCursor").addEventListener("change", saveDisplaySettings);
+  $("syncSettings").addEventListener("change", () => {
+    saveDisplaySettings();
+    loadSyncErrors();
+  });
 });
@@ -0,0 +1,217 @@
+// Autocorrect
+// Finds the dictionary word closest to a typed word, treating slips onto
+// neighbouring keys as cheaper mistakes than arbitrary substitutions.
+// Only unknown words are corrected - for dictionaries with a full lexicon,
+// words it doesn't have; for the others, words missing from the dictionary
+// and the user's learned words - and only when one candidate clearly beats
+// the rest.
+
+import { getLayout } from "../layouts/layouts.js";
+import { getLexicon, hasLexicon, loadLexicon } from "./Lexicon.js";
+import { getLayoutDictionary, isKnownWord, learnWord } from "./Predictor.js";
+
+// Cost of hitting a key next to the intended one (other edits cost 1)
+const ADJACENT_KEY_COST = 0.5;
+
+// Words this short are left alone - too many real words are one edit apart
+const MIN_CORRECT_LENGTH = 3;
+
+// The best candidate must be this much closer than the next best...
+const DISTANCE_MARGIN = 0.5;
+
+// ...or this many times more common (dictionaries are in frequency order,
+// so a word's rank stands in for how common it is)
+const FREQUENCY_MARGIN = 5;
+
+// Layout rows -> Map(char -> Set(neighbouring chars))
+// Keyed by the rows themselves so edited custom layouts get fresh adjacency
+const adjacencyCache = new WeakMap();
+
+/**
+ * Get the typed character for a layout key definition
+ * @param {string|Object} key - Key from a layout row
+ * @returns {string|null} Single character, or null for special keys
+ */
+function getKeyChar(key) {
+  const value = typeof key === "string" ? key : key?.key;
+  if (typeof value !== "string" || [...value].length !== 1) return null;
+  return value.toLowerCase();
+}
+
+/**
+ * Build key adjacency from a layout's rows
+ * Keys are neighbours when they sit next to each other in a row or are
+ * within one column in the row above or below
+ * @param {Array<Array<string|Object>>} rows - Layout rows
+ * @returns {Map<string, Set<string>>}
+ */
+export function buildAdjacency(rows) {
+  const positions = [];
+  rows.forEach((row, rowIndex) => {
+    row.forEach((key, column) => {
+      const char = getKeyChar(key);
+      if (char) positions.push({ char, row: rowIndex, column });
+    });
+  });
+
+  const adjacency = new Map();
+  for (const a of positions) {
+    if (!adjacency.has(a.char)) adjacency.set(a.char, new Set());
+    for (const b of positions) {
+      if (a === b) continue;
+      const rowDistance = Math.abs(a.row - b.row);
+      const columnDistance = Math.abs(a.column - b.column);
+      if (
+        (rowDistance === 0 && columnDistance === 1) ||
+        (rowDistance === 1 && columnDistance <= 1)
+      ) {
+        adjacency.get(a.char).add(b.char);
+      }
+    }
+  }
+  return adjacency;
+}
+
+/**
+ * Get (and cache) key adjacency for a layout
+ * @param {string} layoutId
+ * @returns {Map<string, Set<string>>}
+ */
+function getAdjacency(layoutId) {
+  const rows = getLayout(layoutId)?.rows;
+  if (!rows) return new Map();
+  if (!adjacencyCache.has(rows)) {
+    adjacencyCache.set(rows, buildAdjacency(rows));
+  }
+  return adjacencyCache.get(rows);
+}
+
+/**
+ * Weighted edit distance between two words
+ * Damerau-Levenshtein where substituting a neighbouring key is cheaper
+ * @param {string} a - Typed word (lowercase)
+ * @param {string} b - Candidate word (lowercase)
+ * @param {Map<string, Set<string>>} adjacency
+ * @returns {number}
+ */
+export function editDistance(a, b, adjacency = new Map()) {
+  const s = [...a];
+  const t = [...b];
+  const d = Array.from({ length: s.length + 1 }, (_, i) =>
+    Array.from({ length: t.length + 1 }, (_, j) =>
+      i === 0 ? j : j === 0 ? i : 0
+    )
+  );
+
+  for (let i = 1; i <= s.length; i++) {
+    for (let j = 1; j <= t.length; j++) {
+      let substitution = 0;
+      if (s[i - 1] !== t[j - 1]) {
+        substitution = adjacency.get(s[i - 1])?.has(t[j - 1])
+          ? ADJACENT_KEY_COST
+          : 1;
+      }
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + substitution
+      );
+      // Swapped neighbouring letters ("teh" -> "the")
+      if (i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[s.length][t.length];
+}
+
+/**
+ * Start loading what autocorrect needs for a layout
+ * @param {string} layoutId
+ */
+export function prepareAutocorrect(layoutId) {
+  const dictionaryId = getLayout(layoutId)?.dictionary;
+  if (hasLexicon(dictionaryId)) loadLexicon(dictionaryId);
+}
+
+/**
+ * Find a correction for a typed word
+ * Capitalised words are left alone (names, acronyms, sentence starts the
+ * user typed on purpose), as is any word the layout's dictionary, lexicon
+ * or learned words know, and every word while the lexicon is loading.
+ * @param {string} word - Word as typed
+ * @param {string} layoutId - Current layout (selects dictionary and adjacency)
+ * @returns {string|null} Corrected word, or null if the word should be kept
+ */
+export function findCorrection(word, layoutId) {
+  if (!word || [...word].length < MIN_CORRECT_LENGTH) return null;
+
+  const lower = word.toLowerCase();
+  if (word !== lower || isKnownWord(word, layoutId)) return null;
+
+  const dictionaryId = getLayout(layoutId)?.dictionary;
+  if (hasLexicon(dictionaryId)) {
+    const lexicon = getLexicon(dictionaryId);
+    if (!lexicon || lexicon.has(lower)) return null;
+  }
+
+  const length = [...lower].length;
+  // Two whole edits only for long words, where few real words are that close
+  const maxDistance = length <= 4 ? 1 : length <= 7 ? 1.5 : 2;
+  const adjacency = getAdjacency(layoutId);
+
+  // Closest two candidates; ties go to the more frequent word
+  let best = null;
+  let runnerUp = null;
+  getLayoutDictionary(layoutId).forEach((candidate, rank) => {
+    const candidateLower = candidate.toLowerCase();
+    if (Math.abs([...candidateLower].length - length) > maxDistance) return;
+
+    const distance = editDistance(lower, candidateLower, adjacency);
+    if (distance > maxDistance) return;
+
+    const match = { word: candidate, distance, rank };
+    if (!best || distance < best.distance) {
+      runnerUp = best;
+      best = match;
+    } else if (!runnerUp || distance < runnerUp.distance) {
+      runnerUp = match;
+    }
+  });
+
+  if (!best || !isClearWinner(best, runnerUp)) return null;
+  return best.word;
+}
+
+/**
+ * Check whether the best candidate is far enough ahead to correct to
+ * @param {{distance: number, rank: number}} best
+ * @param {{distance: number, rank: number}|null} runnerUp
+ * @returns {boolean}
+ */
+function isClearWinner(best, runnerUp) {
+  if (!runnerUp) return true;
+  return (
+    runnerUp.distance - best.distance >= DISTANCE_MARGIN ||
+    runnerUp.rank + 1 >= (best.rank + 1) * FREQUENCY_MARGIN
+  );
+}
+
+/**
+ * Stop correcting a word
+ * Called when the user undoes a correction. The word is learned, so it is
+ * remembered across sessions and suggested like the user's other words.
+ * @param {string} word
+ * @param {string} layoutId
+ */
+export function ignoreWord(word, layoutId) {
+  learnWord(word, layoutId);
+}
+
+export default {
+  buildAdjacency,
+  editDistance,
+  prepareAutocorrect,
+  findCorrection,
+  ignoreWord,
+};
@@ -0,0 +1,152 @@
+// Gesture Decoder
+// Turns a swipe path across the keyboard into the most likely word by
+// comparing its shape with the path each candidate word would trace
+// through the key centers
+
+// Points both paths are resampled to before comparing them
+const SAMPLE_POINTS = 32;
+
+// How far (in key widths) a path may pass from a word's keys and still match
+const KEY_TOLERANCE = 1;
+
+// Score added for the least frequent candidate (most frequent adds 0)
+const FREQUENCY_WEIGHT = 0.3;
+
+/**
+ * Distance between two points
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Resample a path to evenly spaced points along its length
+ * @param {Array<{x: number, y: number}>} points
+ * @param {number} count - Number of points to return
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function resamplePath(points, count = SAMPLE_POINTS) {
+  if (points.length === 0) return [];
+
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += distance(points[i - 1], points[i]);
+  }
+  if (length === 0) return Array.from({ length: count }, () => points[0]);
+
+  const interval = length / (count - 1);
+  const result = [points[0]];
+  let carried = 0;
+  for (let i = 1; i < points.length && result.length < count; i++) {
+    let prev = points[i - 1];
+    const next = points[i];
+    let segment = distance(prev, next);
+    while (carried + segment >= interval && result.length < count) {
+      const t = (interval - carried) / segment;
+      const point = {
+        x: prev.x + t * (next.x - prev.x),
+        y: prev.y + t * (next.y - prev.y),
+      };
+      result.push(point);
+      segment -= interval - carried;
+      prev = point;
+      carried = 0;
+    }
+    carried += segment;
+  }
+  // Rounding can leave us one short
+  while (result.length < count) result.push(points[points.length - 1]);
+  return result;
+}
+
+/**
+ * Get the keys within tolerance of a point
+ * @param {{x: number, y: number}} point
+ * @param {Map<string, {x: number, y: number}>} keyCenters
+ * @param {number} radius
+ * @returns {Set<string>}
+ */
+function keysNear(point, keyCenters, radius) {
+  const keys = new Set();
+  for (const [char, center] of keyCenters) {
+    if (distance(point, center) <= radius) keys.add(char);
+  }
+  return keys;
+}
+
+/**
+ * Decode a swipe path into words
+ * @param {Array<{x: number, y: number}>} path - Pointer positions in order
+ * @param {Map<string, {x: number, y: number}>} keyCenters - Lowercase char -> key center
+ * @param {string[]} words - Candidate words, most likely first
+ * @param {Object} options
+ * @param {number} options.keyWidth - Typical key width (same units as path)
+ * @param {number} [options.limit] - Maximum number of words to return
+ * @returns {string[]} Matching words, best first
+ */
+export function decodeGesture(
+  path,
+  keyCenters,
+  words,
+  { keyWidth, limit = 1 }
+) {
+  if (path.length < 2 || !keyWidth) return [];
+
+  const radius = keyWidth * KEY_TOLERANCE;
+  const startKeys = keysNear(path[0], keyCenters, radius);
+  const endKeys = keysNear(path[path.length - 1], keyCenters, radius);
+  const sampledPath = resamplePath(path);
+
+  const seen = new Set();
+  const scored = [];
+  words.forEach((word, rank) => {
+    const chars = [...word.toLowerCase()];
+    const key = chars.join("");
+    if (chars.length < 2 || seen.has(key)) return;
+    seen.add(key);
+
+    if (!startKeys.has(chars[0]) || !endKeys.has(chars[chars.length - 1])) {
+      return;
+    }
+
+    // Path the word would trace (double letters are a single key visit)
+    const template = [];
+    for (const char of chars) {
+      const center = keyCenters.get(char);
+      if (!center) return;
+      if (template[template.length - 1] !== center) template.push(center);
+    }
+
+    // Every key in the word must be passed near by the swipe
+    for (const center of template) {
+      if (!path.some((point) => distance(point, center) <= radius)) return;
+    }
+
+    const sampledTemplate = resamplePath(
+      template.length > 1 ? template : [template[0], template[0]]
+    );
+    let shape = 0;
+    for (let i = 0; i < SAMPLE_POINTS; i++) {
+      shape += distance(sampledPath[i], sampledTemplate[i]);
+    }
+    shape /= SAMPLE_POINTS * keyWidth;
+
+    scored.push({
+      word,
+      score: shape + FREQUENCY_WEIGHT * (rank / words.length),
+    });
+  });
+
+  return scored
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit)
+    .map(({ word }) => word);
+}
+
+export default {
+  resamplePath,
+  decodeGesture,
+};
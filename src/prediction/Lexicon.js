@@ -0,0 +1,113 @@
+// Lexicon
+// Full word lists that tell autocorrect whether a word is real. The
+// suggestion dictionaries only hold a few hundred common words, so a word
+// missing from them is usually spelled right. The lists are written to
+// lexicons/ at build time; the background worker reads one for the keyboard
+// the first time it opens with autocorrect on. A list is kept as the one
+// sorted string it arrives as and binary searched, which takes far less
+// memory than a Set of its words.
+
+import { MESSAGE_TYPES, PREDICTION } from "../core/config.js";
+
+// dictionaryId -> {has(word): boolean}
+const lexicons = new Map();
+
+// dictionaryId -> Promise while the list is being read (kept after a failure
+// so it isn't retried on every word)
+const pending = new Map();
+
+/**
+ * Check whether a dictionary has a full word list
+ * @param {string} dictionaryId
+ * @returns {boolean}
+ */
+export function hasLexicon(dictionaryId) {
+  return (
+    typeof dictionaryId === "string" &&
+    Object.hasOwn(PREDICTION.LEXICONS, dictionaryId)
+  );
+}
+
+/**
+ * Wrap a sorted word list, one word per line
+ * @param {string} text
+ * @returns {{has: function(string): boolean}}
+ */
+function createWordList(text) {
+  const starts = [0];
+  for (
+    let i = text.indexOf("\n");
+    i !== -1 && i + 1 < text.length;
+    i = text.indexOf("\n", i + 1)
+  ) {
+    starts.push(i + 1);
+  }
+  const lineStarts = Uint32Array.from(starts);
+
+  const wordAt = (index) => {
+    const end = text.indexOf("\n", lineStarts[index]);
+    return text.slice(lineStarts[index], end === -1 ? text.length : end);
+  };
+
+  return {
+    has(word) {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low <= high) {
+        const middle = (low + high) >> 1;
+        const candidate = wordAt(middle);
+        if (candidate === word) return true;
+        if (candidate < word) low = middle + 1;
+        else high = middle - 1;
+      }
+      return false;
+    },
+  };
+}
+
+/**
+ * Read a dictionary's word list (once)
+ * @param {string} dictionaryId
+ * @returns {Promise<void>}
+ */
+export function loadLexicon(dictionaryId) {
+  if (!hasLexicon(dictionaryId) || lexicons.has(dictionaryId)) {
+    return Promise.resolve();
+  }
+  if (!pending.has(dictionaryId)) {
+    const request = chrome.runtime
+      .sendMessage({ method: MESSAGE_TYPES.GET_LEXICON, dictionaryId })
+      .then((response) => {
+        if (typeof response?.text !== "string") {
+          throw new Error("the word list could not be read");
+        }
+        lexicons.set(dictionaryId, createWordList(response.text));
+        pending.delete(dictionaryId);
+      })
+      .catch((error) => {
+        console.warn(`Could not load the ${dictionaryId} lexicon:`, error);
+      });
+    pending.set(dictionaryId, request);
+  }
+  return pending.get(dictionaryId);
+}
+
+/**
+ * Get a dictionary's word list
+ * Returns null until the list has loaded; the first call starts loading it
+ * @param {string} dictionaryId
+ * @returns {{has: function(string): boolean}|null} Lowercased words
+ */
+export function getLexicon(dictionaryId) {
+  if (!lexicons.has(dictionaryId)) {
+    loadLexicon(dictionaryId);
+    return null;
+  }
+  return lexicons.get(dictionaryId);
+}
+
+export default {
+  hasLexicon,
+  loadLexicon,
+  getLexicon,
+};
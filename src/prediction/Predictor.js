@@ -0,0 +1,230 @@
+// Word Predictor
+// Suggests completions for the word being typed from the layout's
+// dictionary and from words the user has typed before
+
+import { PREDICTION, TIMING } from "../core/config.js";
+import {
+  addWordCount,
+  fromStoredWords,
+  mergeWordCounts,
+  toStoredWords,
+} from "../core/learnedWords.js";
+import { predictionState } from "../core/state.js";
+import storage from "../core/storage.js";
+import { getDictionary } from "../layouts/dictionaries.js";
+import { getLayout } from "../layouts/layouts.js";
+
+// Letters, combining marks and in-word apostrophes ("aujourd'hui", "don't")
+const WORD_BEFORE_CURSOR = /[\p{L}\p{M}][\p{L}\p{M}'’]*$/u;
+
+// layoutId -> Map(lowercased word -> { word, count })
+let learnedWords = new Map();
+// Same shape, holding only the uses counted since the last save
+let pendingWords = new Map();
+let saveTimeout = null;
+
+// dictionaryId -> Set of lowercased words (for fast lookups)
+const dictionaryWordSets = new Map();
+
+/**
+ * Load learned words from storage into memory
+ */
+export async function loadLearnedWords() {
+  pendingWords = new Map();
+  learnedWords = fromStoredWords(await storage.getLearnedWords());
+}
+
+/**
+ * Get the partial word that ends at the cursor
+ * @param {string} textBeforeCursor - Field text up to the cursor
+ * @returns {string} Word fragment, or "" if the cursor is not after a word
+ */
+export function getWordBeforeCursor(textBeforeCursor) {
+  const match = WORD_BEFORE_CURSOR.exec(textBeforeCursor || "");
+  return match ? match[0] : "";
+}
+
+/**
+ * Get the word list for a layout
+ * @param {string} layoutId
+ * @returns {string[]}
+ */
+export function getLayoutDictionary(layoutId) {
+  const dictionaryId = getLayout(layoutId)?.dictionary;
+  return dictionaryId ? getDictionary(dictionaryId) : [];
+}
+
+/**
+ * Get every word the layout knows, most likely first
+ * Learned words (most used first) come before dictionary words
+ * @param {string} layoutId
+ * @returns {string[]}
+ */
+export function getCandidateWords(layoutId) {
+  const learned = [...(learnedWords.get(layoutId)?.values() || [])]
+    .sort((a, b) => b.count - a.count)
+    .map(({ word }) => word);
+  return [...learned, ...getLayoutDictionary(layoutId)];
+}
+
+/**
+ * Check whether a word is in the layout's dictionary or was learned
+ * @param {string} word
+ * @param {string} layoutId
+ * @returns {boolean}
+ */
+export function isKnownWord(word, layoutId) {
+  const lower = word.toLowerCase();
+  if (learnedWords.get(layoutId)?.has(lower)) return true;
+
+  const dictionaryId = getLayout(layoutId)?.dictionary;
+  if (!dictionaryId) return false;
+  if (!dictionaryWordSets.has(dictionaryId)) {
+    dictionaryWordSets.set(
+      dictionaryId,
+      new Set(getDictionary(dictionaryId).map((w) => w.toLowerCase()))
+    );
+  }
+  return dictionaryWordSets.get(dictionaryId).has(lower);
+}
+
+/**
+ * Get completions for a word fragment
+ * Words the user has typed come first (most used first), followed by
+ * dictionary words in frequency order. Each suggestion keeps the exact
+ * characters already typed so only the remainder needs inserting.
+ * @param {string} prefix - Word fragment before the cursor
+ * @param {string} layoutId - Current layout (selects the dictionary)
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {string[]}
+ */
+export function getSuggestions(
+  prefix,
+  layoutId,
+  limit = PREDICTION.MAX_SUGGESTIONS
+) {
+  if (!prefix) return [];
+
+  const lowerPrefix = prefix.toLowerCase();
+  const seen = new Set();
+  const suggestions = [];
+
+  for (const word of getCandidateWords(layoutId)) {
+    if (suggestions.length >= limit) break;
+
+    const lower = word.toLowerCase();
+    if (
+      seen.has(lower) ||
+      lower === lowerPrefix ||
+      !lower.startsWith(lowerPrefix)
+    ) {
+      continue;
+    }
+    seen.add(lower);
+    suggestions.push(matchCase(prefix, word));
+  }
+
+  return suggestions;
+}
+
+/**
+ * Apply the typed prefix's casing to a suggestion
+ * Typing "Hel" suggests "Hello", "HEL" suggests "HELLO"
+ * @param {string} prefix
+ * @param {string} word
+ * @returns {string}
+ */
+function matchCase(prefix, word) {
+  const rest = word.slice(prefix.length);
+  const isAllCaps =
+    prefix.length > 1 &&
+    prefix === prefix.toUpperCase() &&
+    prefix !== prefix.toLowerCase();
+  return prefix + (isAllCaps ? rest.toUpperCase() : rest);
+}
+
+/**
+ * Record a word the user typed so it is suggested in future
+ * @param {string} word
+ * @param {string} layoutId
+ */
+export function learnWord(word, layoutId) {
+  if (!word || [...word].length < PREDICTION.MIN_LEARN_LENGTH) return;
+
+  addWordCount(learnedWords, layoutId, word, 1);
+  addWordCount(pendingWords, layoutId, word, 1);
+  scheduleSave();
+}
+
+/**
+ * Persist learned words after a short delay (batches rapid typing)
+ */
+function scheduleSave() {
+  if (saveTimeout) clearTimeout(saveTimeout);
+  saveTimeout = setTimeout(() => {
+    saveTimeout = null;
+    saveLearnedWords();
+  }, TIMING.LEARNED_WORDS_SAVE_DELAY);
+}
+
+/**
+ * Add the uses counted since the last save to the stored counts
+ * Only the counts are sent - the background worker adds them to what other
+ * tabs and frames have saved
+ */
+async function saveLearnedWords() {
+  const pending = pendingWords;
+  pendingWords = new Map();
+  if (pending.size === 0) return;
+
+  const stored = await storage.addLearnedWords(toStoredWords(pending));
+  if (!stored) return;
+
+  // Pick up words learned elsewhere, keeping any typed during the save
+  learnedWords = fromStoredWords(stored);
+  mergeWordCounts(learnedWords, pendingWords);
+}
+
+/**
+ * Recompute suggestions for the text before the cursor
+ * @param {string} textBeforeCursor
+ * @param {string} layoutId
+ */
+export function updateSuggestions(textBeforeCursor, layoutId) {
+  const prefix = getWordBeforeCursor(textBeforeCursor);
+  setSuggestions(getSuggestions(prefix, layoutId));
+}
+
+/**
+ * Clear the suggestion strip
+ */
+export function clearSuggestions() {
+  setSuggestions([]);
+}
+
+/**
+ * Update suggestion state, skipping no-op updates
+ * @param {string[]} suggestions
+ */
+function setSuggestions(suggestions) {
+  const current = predictionState.get("suggestions");
+  if (
+    current.length === suggestions.length &&
+    current.every((word, i) => word === suggestions[i])
+  ) {
+    return;
+  }
+  predictionState.set("suggestions", suggestions);
+}
+
+export default {
+  loadLearnedWords,
+  getWordBeforeCursor,
+  getLayoutDictionary,
+  getCandidateWords,
+  isKnownWord,
+  getSuggestions,
+  learnWord,
+  updateSuggestions,
+  clearSuggestions,
+};
@@ -0,0 +1,164 @@
+import { expect, test } from "./fixtures.js";
+import {
+  isKeyboardOpen,
+  setStorageSettings,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Open the extension options page
+ * @param {import('@playwright/test').BrowserContext} context
+ * @param {string} extensionId
+ */
+async function openOptions(context, extensionId) {
+  const optionsPage = await context.newPage();
+  await optionsPage.goto(`chrome-extension://${extensionId}/options.html`);
+  await optionsPage.waitForLoadState("networkidle");
+  return optionsPage;
+}
+
+/**
+ * Check whether an input was bound by the keyboard
+ * @param {import('@playwright/test').Page} page
+ * @param {string} selector
+ * @returns {Promise<boolean>}
+ */
+async function isBound(page, selector) {
+  return await page.evaluate(
+    (sel) =>
+      document.querySelector(sel).getAttribute("data-vk-enabled") === "true",
+    selector
+  );
+}
+
+test.describe("Virtual Keyboard - Activation Rules", () => {
+  test("a deny rule for the page stops the keyboard opening", async ({
+    context,
+    extensionId,
+    page,
+  }) => {
+    await setStorageSettings(context, extensionId, {
+      activationRules: [{ action: "deny", url: "http://localhost:3333/*" }],
+    });
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+
+    await page.click("#text-input");
+    await page.waitForTimeout(500);
+    expect(await isKeyboardOpen(page)).toBe(false);
+    expect(await isBound(page, "#text-input")).toBe(false);
+  });
+
+  test("a deny rule with a selector only skips matching fields", async ({
+    context,
+    extensionId,
+    page,
+  }) => {
+    await setStorageSettings(context, extensionId, {
+      activationRules: [{ action: "deny", url: "*", selector: "#textarea" }],
+    });
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+
+    await page.click("#textarea");
+    await page.waitForTimeout(500);
+    expect(await isKeyboardOpen(page)).toBe(false);
+
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+  });
+
+  test("allow rules limit the keyboard to matching fields", async ({
+    context,
+    extensionId,
+    page,
+  }) => {
+    await setStorageSettings(context, extensionId, {
+      activationRules: [
+        {
+          action: "allow",
+          url: "http://localhost:3333/*",
+          selector: "#textarea",
+        },
+      ],
+    });
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+
+    expect(await isBound(page, "#textarea")).toBe(true);
+    expect(await isBound(page, "#text-input")).toBe(false);
+  });
+
+  test("inputs added later follow the rules", async ({
+    context,
+    extensionId,
+    page,
+  }) => {
+    await setStorageSettings(context, extensionId, {
+      activationRules: [{ action: "deny", url: "*", selector: ".keypad" }],
+    });
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+
+    await page.evaluate(() => {
+      for (const className of ["keypad", "notes"]) {
+        const input = document.createElement("input");
+        input.type = "text";
+        input.className = className;
+        document.body.appendChild(input);
+      }
+    });
+    await page.waitForTimeout(200);
+
+    expect(await isBound(page, ".keypad")).toBe(false);
+    expect(await isBound(page, ".notes")).toBe(true);
+  });
+
+  test("rules are edited on the options page", async ({
+    context,
+    extensionId,
+  }) => {
+    const optionsPage = await openOptions(context, extensionId);
+    await optionsPage.fill(
+      "#activationRules",
+      "deny https://pos.example.com/*\nallow * textarea"
+    );
+    await optionsPage.click("#activationRulesSave");
+    await expect(optionsPage.locator("#activationRulesStatus")).toHaveText(
+      "Saved"
+    );
+
+    const rules = await optionsPage.evaluate(async () => {
+      return (await chrome.storage.local.get("activationRules"))
+        .activationRules;
+    });
+    expect(rules).toEqual([
+      { action: "deny", url: "https://pos.example.com/*" },
+      { action: "allow", url: "*", selector: "textarea" },
+    ]);
+    await optionsPage.close();
+  });
+
+  test("invalid rules are reported and not saved", async ({
+    context,
+    extensionId,
+  }) => {
+    const optionsPage = await openOptions(context, extensionId);
+    await optionsPage.fill(
+      "#activationRules",
+      "block https://pos.example.com/*"
+    );
+    await optionsPage.click("#activationRulesSave");
+    await expect(optionsPage.locator("#activationRulesErrors li")).toHaveText(
+      'Line 1: unknown action "block" (use "allow" or "deny")'
+    );
+
+    const rules = await optionsPage.evaluate(async () => {
+      return (await chrome.storage.local.get("activationRules"))
+        .activationRules;
+    });
+    expect(rules).toBeUndefined();
+    await optionsPage.close();
+  });
+});
@@ -0,0 +1,111 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  setStorageSettings,
+  typeWithKeyboard,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+test.describe("Virtual Keyboard - Autocorrect", () => {
+  test("does not correct when disabled", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await typeWithKeyboard(page, "teh ");
+    expect(await page.inputValue("#text-input")).toBe("teh ");
+  });
+
+  test.describe("when enabled", () => {
+    test.beforeEach(async ({ context, extensionId, page }) => {
+      await setStorageSettings(context, extensionId, { autocorrect: true });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+    });
+
+    test("corrects a typo on space", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await typeWithKeyboard(page, "teh ");
+      expect(await page.inputValue("#text-input")).toBe("the ");
+    });
+
+    test("corrects a typo on punctuation", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await typeWithKeyboard(page, "teh");
+      await clickKey(page, ",");
+      expect(await page.inputValue("#text-input")).toBe("the,");
+    });
+
+    test("backspace right after a correction restores the word", async ({
+      page,
+    }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await typeWithKeyboard(page, "teh ");
+      await clickKey(page, "Backspace");
+      expect(await page.inputValue("#text-input")).toBe("teh");
+
+      // Retyping the boundary keeps the restored word
+      await clickKey(page, " ");
+      expect(await page.inputValue("#text-input")).toBe("teh ");
+    });
+
+    test("backspace after further typing deletes normally", async ({
+      page,
+    }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await typeWithKeyboard(page, "teh a");
+      await clickKey(page, "Backspace");
+      expect(await page.inputValue("#text-input")).toBe("the ");
+    });
+
+    test("leaves real words alone", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await typeWithKeyboard(page, "kiosk lunch ");
+      expect(await page.inputValue("#text-input")).toBe("kiosk lunch ");
+    });
+
+    test("leaves capitalised words alone", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await typeWithKeyboard(page, "Teh ");
+      expect(await page.inputValue("#text-input")).toBe("Teh ");
+    });
+
+    test("remembers an undone correction after a reload", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+      await typeWithKeyboard(page, "teh ");
+      await clickKey(page, "Backspace");
+      // Learned words are saved after a short delay
+      await page.waitForTimeout(1500);
+
+      await page.reload();
+      await waitForExtension(page);
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+      await typeWithKeyboard(page, "teh ");
+      expect(await page.inputValue("#text-input")).toBe("teh ");
+    });
+
+    test("does not correct password fields", async ({ page }) => {
+      await page.click("#password-input");
+      await waitForKeyboardOpen(page);
+
+      await typeWithKeyboard(page, "teh ");
+      expect(await page.inputValue("#password-input")).toBe("teh ");
+    });
+  });
+});
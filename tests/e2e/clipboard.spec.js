@@ -0,0 +1,227 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  setStorageSettings,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Swipe along the spacebar, one cursor step per move
+ * @param {import('@playwright/test').Page} page
+ * @param {number} steps - Negative to swipe left
+ */
+async function swipeSpacebar(page, steps) {
+  await page.evaluate((steps) => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const spaceKey = host.shadowRoot.querySelector(".vk-key-space");
+    const rect = spaceKey.getBoundingClientRect();
+    const y = rect.top + rect.height / 2;
+    let x = rect.left + rect.width / 2;
+
+    spaceKey.setPointerCapture = () => {};
+    spaceKey.releasePointerCapture = () => {};
+
+    const send = (type) =>
+      spaceKey.dispatchEvent(
+        new PointerEvent(type, {
+          bubbles: true,
+          cancelable: true,
+          pointerId: 1,
+          clientX: x,
+          clientY: y,
+        })
+      );
+
+    send("pointerdown");
+    for (let i = 0; i < Math.abs(steps); i++) {
+      x += Math.sign(steps) * 25;
+      send("pointermove");
+    }
+    send("pointerup");
+  }, steps);
+}
+
+/**
+ * Record beforeinput and input events on a field
+ * @param {import('@playwright/test').Page} page
+ * @param {string} selector
+ */
+async function recordEditEvents(page, selector) {
+  await page.evaluate((selector) => {
+    window.editEvents = [];
+    const element = document.querySelector(selector);
+    for (const type of ["beforeinput", "input"]) {
+      element.addEventListener(type, (e) => {
+        if (e.inputType) window.editEvents.push(`${e.type}:${e.inputType}`);
+      });
+    }
+  }, selector);
+}
+
+test.describe("Virtual Keyboard - Selection and Clipboard", () => {
+  test.beforeEach(async ({ context, extensionId }) => {
+    await context.grantPermissions(["clipboard-read", "clipboard-write"]);
+    await setStorageSettings(context, extensionId, {
+      showNavigationButton: true,
+      spacebarCursorSwipe: true,
+      // Don't open the settings page to grant clipboardRead
+      clipboardReadAsked: true,
+    });
+  });
+
+  test("Select All and Copy put the field's text on the clipboard", async ({
+    page,
+  }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.fill("#text-input", "copy me");
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "SelectAll");
+    await clickKey(page, "Copy");
+    await page.waitForTimeout(100);
+
+    expect(await page.evaluate(() => navigator.clipboard.readText())).toBe(
+      "copy me"
+    );
+    expect(await page.inputValue("#text-input")).toBe("copy me");
+  });
+
+  test("Cut removes the selection and fires deleteByCut", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.fill("#text-input", "hello world");
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await page.$eval("#text-input", (el) => el.setSelectionRange(5, 11));
+    await recordEditEvents(page, "#text-input");
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "Cut");
+    await page.waitForTimeout(100);
+
+    expect(await page.inputValue("#text-input")).toBe("hello");
+    expect(await page.evaluate(() => navigator.clipboard.readText())).toBe(
+      " world"
+    );
+    expect(await page.evaluate(() => window.editEvents)).toEqual([
+      "beforeinput:deleteByCut",
+      "input:deleteByCut",
+    ]);
+  });
+
+  test("Paste inserts the clipboard and fires insertFromPaste", async ({
+    page,
+  }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.evaluate(() => navigator.clipboard.writeText("pasted"));
+    await page.fill("#text-input", "[]");
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await page.$eval("#text-input", (el) => el.setSelectionRange(1, 1));
+    await recordEditEvents(page, "#text-input");
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "Paste");
+    await page.waitForTimeout(100);
+
+    expect(await page.inputValue("#text-input")).toBe("[pasted]");
+    expect(await page.evaluate(() => window.editEvents)).toEqual([
+      "beforeinput:insertFromPaste",
+      "input:insertFromPaste",
+    ]);
+  });
+
+  test("a cancelled beforeinput stops the paste", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.evaluate(() => {
+      navigator.clipboard.writeText("blocked");
+      document
+        .querySelector("#text-input")
+        .addEventListener("beforeinput", (e) => e.preventDefault());
+    });
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "Paste");
+    await page.waitForTimeout(100);
+
+    expect(await page.inputValue("#text-input")).toBe("");
+  });
+
+  test("Paste works in contenteditable", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.evaluate(() => navigator.clipboard.writeText("rich"));
+    await page.click("#contenteditable");
+    await waitForKeyboardOpen(page);
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "SelectAll");
+    await clickKey(page, "Paste");
+    await page.waitForTimeout(100);
+
+    expect(await page.textContent("#contenteditable")).toBe("rich");
+  });
+
+  test("swiping the spacebar with Shift on selects text", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.fill("#text-input", "hello");
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await page.$eval("#text-input", (el) => el.setSelectionRange(5, 5));
+
+    await clickKey(page, "Shift");
+    await swipeSpacebar(page, -3);
+
+    const selection = await page.$eval("#text-input", (el) => [
+      el.selectionStart,
+      el.selectionEnd,
+    ]);
+    expect(selection).toEqual([2, 5]);
+  });
+
+  test("password fields can't be copied", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.evaluate(() => navigator.clipboard.writeText("unchanged"));
+    await page.fill("#password-input", "secret");
+    await page.click("#password-input");
+    await waitForKeyboardOpen(page);
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "SelectAll");
+    await clickKey(page, "Copy");
+    await page.waitForTimeout(100);
+
+    expect(await page.evaluate(() => navigator.clipboard.readText())).toBe(
+      "unchanged"
+    );
+  });
+
+  test("Paste stops at the field's maxlength", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.evaluate(() => navigator.clipboard.writeText("pasted"));
+    await page.fill("#text-input", "[]");
+    await page.$eval("#text-input", (el) => {
+      el.maxLength = 5;
+    });
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await page.$eval("#text-input", (el) => el.setSelectionRange(1, 1));
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "Paste");
+    await page.waitForTimeout(100);
+
+    expect(await page.inputValue("#text-input")).toBe("[pas]");
+  });
+});
@@ -4,6 +4,7 @@ import {
   isKeyboardOpen,
   typeWithKeyboard,
   waitForExtension,
+  waitForKeyboardClose,
   waitForKeyboardOpen,
 } from "./helpers.js";
 
@@ -153,3 +154,111 @@ test.describe("Virtual Keyboard - Contenteditable", () => {
     expect(text).toBe("hello world");
   });
 });
+
+/**
+ * Add an editable element to the page
+ * @param {import('@playwright/test').Page} page
+ * @param {Object<string, string>} attrs
+ */
+async function addEditable(page, attrs) {
+  await page.evaluate((attrs) => {
+    const div = document.createElement("div");
+    div.id = "variant";
+    div.style.cssText = "min-height: 40px; border: 1px solid";
+    for (const [name, value] of Object.entries(attrs)) {
+      div.setAttribute(name, value);
+    }
+    document.body.appendChild(div);
+  }, attrs);
+  await page.waitForTimeout(100);
+}
+
+test.describe("Virtual Keyboard - Contenteditable variants", () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+  });
+
+  test('contenteditable="" works like "true"', async ({ page }) => {
+    await addEditable(page, { contenteditable: "" });
+    await page.click("#variant");
+    await waitForKeyboardOpen(page);
+
+    await typeWithKeyboard(page, "hi");
+    await clickKey(page, "Backspace");
+    expect(await page.textContent("#variant")).toBe("h");
+  });
+
+  test("plaintext-only editors get newlines, not <br>", async ({ page }) => {
+    await addEditable(page, {
+      contenteditable: "plaintext-only",
+      style: "white-space: pre-wrap; min-height: 40px",
+    });
+    await page.click("#variant");
+    await waitForKeyboardOpen(page);
+
+    await typeWithKeyboard(page, "a");
+    await clickKey(page, "Enter");
+    await typeWithKeyboard(page, "b");
+
+    const html = await page.evaluate(
+      () => document.querySelector("#variant").innerHTML
+    );
+    expect(html).not.toContain("<br>");
+    expect(await page.textContent("#variant")).toBe("a\nb");
+  });
+
+  test("focus inside an editor binds its editing host", async ({ page }) => {
+    await page.evaluate(() => {
+      const host = document.createElement("div");
+      host.id = "variant";
+      host.contentEditable = "true";
+      host.innerHTML = '<p id="paragraph" tabindex="0">text</p>';
+      document.body.appendChild(host);
+    });
+    await page.focus("#paragraph");
+    await waitForKeyboardOpen(page);
+
+    expect(await page.getAttribute("#variant", "data-vk-enabled")).toBe("true");
+  });
+
+  test("Enter in a searchbox closes the keyboard instead of adding a line", async ({
+    page,
+  }) => {
+    await addEditable(page, { contenteditable: "true", role: "searchbox" });
+    await page.click("#variant");
+    await waitForKeyboardOpen(page);
+
+    await typeWithKeyboard(page, "query");
+    await clickKey(page, "Enter");
+    await waitForKeyboardClose(page);
+
+    const html = await page.evaluate(
+      () => document.querySelector("#variant").innerHTML
+    );
+    expect(html).toBe("query");
+  });
+
+  test("aria-readonly fields don't open the keyboard", async ({ page }) => {
+    await addEditable(page, {
+      contenteditable: "true",
+      "aria-readonly": "true",
+    });
+    await page.click("#variant");
+    await page.waitForTimeout(500);
+
+    expect(await isKeyboardOpen(page)).toBe(false);
+  });
+
+  test("designMode documents can be typed into", async ({ page }) => {
+    await page.goto("http://localhost:3333/design-mode.html");
+    await waitForExtension(page);
+    await page.click("body");
+    await waitForKeyboardOpen(page);
+
+    await typeWithKeyboard(page, "hi");
+    expect(await page.evaluate(() => document.body.textContent)).toContain(
+      "hi"
+    );
+  });
+});
@@ -0,0 +1,168 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  getVisibleKeys,
+  setStorageSettings,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+const CUSTOM_LAYOUT = {
+  name: "ABC Test",
+  rows: [
+    ["a", "b", "c", "Backspace"],
+    ["Shift", { key: "d", menu: "TestD" }, "Enter"],
+  ],
+  overlays: { TestD: ["d", "đ"] },
+  labels: { Enter: "Go" },
+};
+
+test.describe("Virtual Keyboard - Custom Layouts", () => {
+  test.beforeEach(async ({ context, extensionId, page }) => {
+    await setStorageSettings(context, extensionId, {
+      customLayouts: { abc: CUSTOM_LAYOUT },
+      keyboardLayout: "abc",
+      keyboardLayoutsList: JSON.stringify([
+        { value: "abc", name: "ABC Test" },
+        { value: "en", name: "English (QWERTY)" },
+      ]),
+    });
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+  });
+
+  test("renders the custom layout's keys", async ({ page }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    const keys = await getVisibleKeys(page);
+    expect(keys).toContain("a");
+    expect(keys).toContain("d");
+    expect(keys).not.toContain("q");
+  });
+
+  test("types with the custom layout", async ({ page }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "c");
+    await clickKey(page, "a");
+    await clickKey(page, "b");
+    expect(await page.inputValue("#text-input")).toBe("cab");
+  });
+
+  test("appears in the language switcher", async ({ page }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    const layouts = await page.evaluate(() => {
+      const host = document.querySelector("#virtual-keyboard-host");
+      return Array.from(
+        host.shadowRoot.querySelectorAll("[data-action='setKeyboard']"),
+        (el) => el.dataset.layout
+      );
+    });
+    expect(layouts).toEqual(["abc", "en"]);
+  });
+
+  test("options page previews the layout being edited", async ({
+    context,
+    extensionId,
+  }) => {
+    const optionsPage = await context.newPage();
+    await optionsPage.goto(`chrome-extension://${extensionId}/options.html`);
+    await optionsPage.waitForLoadState("networkidle");
+
+    await optionsPage.selectOption("#customLayoutSelect", "abc");
+    const previewKeys = await optionsPage.evaluate(() =>
+      Array.from(
+        document
+          .querySelector("#customLayoutPreview")
+          .shadowRoot.querySelectorAll("[data-key]"),
+        (el) => el.dataset.key
+      )
+    );
+    expect(previewKeys).toContain("a");
+    expect(previewKeys).toContain("d");
+    await optionsPage.close();
+  });
+
+  test.describe("import and export", () => {
+    /**
+     * Open the options page and import a JSON file
+     * @param {import('@playwright/test').BrowserContext} context
+     * @param {string} extensionId
+     * @param {*} data - File contents
+     */
+    async function importFile(context, extensionId, data) {
+      const optionsPage = await context.newPage();
+      await optionsPage.goto(`chrome-extension://${extensionId}/options.html`);
+      await optionsPage.waitForLoadState("networkidle");
+      await optionsPage.setInputFiles("#customLayoutImportFile", {
+        name: "layouts.json",
+        mimeType: "application/json",
+        buffer: Buffer.from(JSON.stringify(data)),
+      });
+      await optionsPage.waitForTimeout(200);
+      return optionsPage;
+    }
+
+    test("imports a valid layout file", async ({ context, extensionId }) => {
+      const optionsPage = await importFile(context, extensionId, {
+        id: "xyz",
+        name: "XYZ",
+        rows: [["x", "y", "z"]],
+      });
+
+      const stored = await optionsPage.evaluate(
+        () =>
+          new Promise((resolve) => {
+            chrome.storage.local.get("customLayouts", (result) =>
+              resolve(result.customLayouts)
+            );
+          })
+      );
+      expect(stored.xyz).toEqual({ name: "XYZ", rows: [["x", "y", "z"]] });
+      expect(stored.abc).toBeDefined();
+      await optionsPage.close();
+    });
+
+    test("rejects an invalid file with per-key errors", async ({
+      context,
+      extensionId,
+    }) => {
+      const optionsPage = await importFile(context, extensionId, {
+        id: "bad",
+        name: "Bad",
+        rows: [["a", "Backspce"]],
+      });
+
+      await expect(optionsPage.locator("#customLayoutErrors")).toContainText(
+        'rows[0][1]: unknown special key "Backspce"'
+      );
+      const stored = await optionsPage.evaluate(
+        () =>
+          new Promise((resolve) => {
+            chrome.storage.local.get("customLayouts", (result) =>
+              resolve(result.customLayouts)
+            );
+          })
+      );
+      expect(stored.bad).toBeUndefined();
+      await optionsPage.close();
+    });
+
+    test("exports the selected layout", async ({ context, extensionId }) => {
+      const optionsPage = await context.newPage();
+      await optionsPage.goto(`chrome-extension://${extensionId}/options.html`);
+      await optionsPage.waitForLoadState("networkidle");
+      await optionsPage.selectOption("#customLayoutSelect", "abc");
+
+      const downloadPromise = optionsPage.waitForEvent("download");
+      await optionsPage.click("#customLayoutExport");
+      const download = await downloadPromise;
+      expect(download.suggestedFilename()).toBe("abc.json");
+      await optionsPage.close();
+    });
+  });
+});
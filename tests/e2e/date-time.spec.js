@@ -0,0 +1,204 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  isNumberKeyboardVisible,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Add a date/time input to the page
+ * @param {import('@playwright/test').Page} page
+ * @param {string} type - date, time, datetime-local, month or week
+ * @param {string} [value]
+ */
+async function addInput(page, type, value = "") {
+  await page.evaluate(
+    ({ type, value }) => {
+      const input = document.createElement("input");
+      input.type = type;
+      input.id = "date-time-input";
+      input.value = value;
+      document.body.prepend(input);
+    },
+    { type, value }
+  );
+}
+
+/**
+ * Check if the date/time keyboard is visible
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<boolean>}
+ */
+async function isDateTimeKeyboardVisible(page) {
+  return await page.evaluate(() => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const pad = host?.shadowRoot?.querySelector("#vk-date-time-input");
+    return !!pad && window.getComputedStyle(pad).display !== "none";
+  });
+}
+
+/**
+ * Type digits and keys on the keyboard
+ * @param {import('@playwright/test').Page} page
+ * @param {string[]} keys
+ */
+async function clickKeys(page, keys) {
+  for (const key of keys) {
+    await clickKey(page, key);
+  }
+}
+
+/**
+ * Leave the field so it gets its own input type back
+ * @param {import('@playwright/test').Page} page
+ */
+async function blurInput(page) {
+  await page.evaluate(() => document.activeElement?.blur());
+  await page.waitForTimeout(100);
+}
+
+test.describe("Virtual Keyboard - Date/Time Inputs", () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+  });
+
+  for (const type of ["date", "time", "datetime-local", "month", "week"]) {
+    test(`${type} input shows date/time keyboard`, async ({ page }) => {
+      await addInput(page, type);
+      await page.click("#date-time-input");
+      await waitForKeyboardOpen(page);
+
+      expect(await isDateTimeKeyboardVisible(page)).toBe(true);
+      expect(await isNumberKeyboardVisible(page)).toBe(false);
+    });
+  }
+
+  test("text input does NOT show date/time keyboard", async ({ page }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    expect(await isDateTimeKeyboardVisible(page)).toBe(false);
+  });
+
+  test("shows placeholders for the segments", async ({ page }) => {
+    await addInput(page, "date");
+    await page.click("#date-time-input");
+    await waitForKeyboardOpen(page);
+
+    expect(await page.inputValue("#date-time-input")).toBe("yyyy-mm-dd");
+  });
+
+  test("writes a date in the format the input requires", async ({ page }) => {
+    await addInput(page, "date");
+    await page.click("#date-time-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKeys(page, ["2", "0", "2", "4", "3", "9"]);
+    expect(await page.inputValue("#date-time-input")).toBe("2024-03-09");
+
+    await blurInput(page);
+    expect(await page.getAttribute("#date-time-input", "type")).toBe("date");
+    expect(await page.inputValue("#date-time-input")).toBe("2024-03-09");
+  });
+
+  test("writes a datetime-local value", async ({ page }) => {
+    await addInput(page, "datetime-local");
+    await page.click("#date-time-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKeys(page, "202403091405".split(""));
+    await blurInput(page);
+
+    expect(await page.inputValue("#date-time-input")).toBe("2024-03-09T14:05");
+  });
+
+  test("writes a week value", async ({ page }) => {
+    await addInput(page, "week");
+    await page.click("#date-time-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKeys(page, ["2", "0", "2", "4", "7", "NextSegment"]);
+    await blurInput(page);
+
+    expect(await page.inputValue("#date-time-input")).toBe("2024-W07");
+  });
+
+  test("separators and arrows move between segments", async ({ page }) => {
+    await addInput(page, "time");
+    await page.click("#date-time-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKeys(page, ["1", ":", "4", "5"]);
+    expect(await page.inputValue("#date-time-input")).toBe("01:45");
+
+    await clickKeys(page, ["PrevSegment", "2", "3"]);
+    expect(await page.inputValue("#date-time-input")).toBe("23:45");
+  });
+
+  test("backspace clears a segment", async ({ page }) => {
+    await addInput(page, "month", "2024-11");
+    await page.click("#date-time-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKeys(page, ["NextSegment", "Backspace"]);
+    expect(await page.inputValue("#date-time-input")).toBe("2024-mm");
+
+    await clickKeys(page, ["0", "5"]);
+    expect(await page.inputValue("#date-time-input")).toBe("2024-05");
+  });
+
+  test("an incomplete value leaves the field empty", async ({ page }) => {
+    await addInput(page, "date");
+    await page.click("#date-time-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKeys(page, ["2", "0", "2", "4"]);
+    await blurInput(page);
+
+    expect(await page.getAttribute("#date-time-input", "type")).toBe("date");
+    expect(await page.inputValue("#date-time-input")).toBe("");
+  });
+
+  test("only reports complete values to the page", async ({ page }) => {
+    await addInput(page, "date");
+    await page.evaluate(() => {
+      window.reported = [];
+      document
+        .querySelector("#date-time-input")
+        .addEventListener("input", (e) => window.reported.push(e.target.value));
+    });
+    await page.click("#date-time-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKeys(page, ["2", "0", "2", "4", "0", "3", "0", "9"]);
+
+    expect(await page.evaluate(() => window.reported)).toEqual(["2024-03-09"]);
+  });
+
+  test("tells the page when an incomplete value is cleared", async ({
+    page,
+  }) => {
+    await addInput(page, "date", "2024-03-09");
+    await page.evaluate(() => {
+      window.events = [];
+      const input = document.querySelector("#date-time-input");
+      for (const type of ["input", "change"]) {
+        input.addEventListener(type, (e) =>
+          window.events.push(`${type}:${e.target.value}`)
+        );
+      }
+    });
+    await page.click("#date-time-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "Backspace");
+    await blurInput(page);
+
+    expect(await page.evaluate(() => window.events)).toEqual([
+      "input:",
+      "change:",
+    ]);
+  });
+});
@@ -0,0 +1,140 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  getRecordedEvents,
+  setStorageSettings,
+  startRecordingInputEvents,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Tap keys one after another
+ * @param {import('@playwright/test').Page} page
+ * @param {string[]} keys
+ */
+async function tapKeys(page, keys) {
+  for (const key of keys) {
+    await clickKey(page, key);
+  }
+}
+
+/**
+ * Get how a key shows a waiting sequence
+ * @param {import('@playwright/test').Page} page
+ * @param {string} keyValue
+ * @returns {Promise<{pending: boolean, compose: string|undefined}>}
+ */
+async function getKeyState(page, keyValue) {
+  return await page.evaluate((keyValue) => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const key = host.shadowRoot.querySelector(`[data-key="${keyValue}"]`);
+    return {
+      pending: key.classList.contains("vk-key-pending"),
+      compose: key.dataset.compose,
+    };
+  }, keyValue);
+}
+
+test.describe("Virtual Keyboard - Dead Keys and Compose", () => {
+  test.describe("German dead keys", () => {
+    test.beforeEach(async ({ context, extensionId, page }) => {
+      await setStorageSettings(context, extensionId, { keyboardLayout1: "de" });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+    });
+
+    test("a dead key accents the next letter", async ({ page }) => {
+      await tapKeys(page, ["´", "e"]);
+
+      expect(await page.inputValue("#text-input")).toBe("é");
+    });
+
+    test("shift applies to the letter after a dead key", async ({ page }) => {
+      await tapKeys(page, ["´", "Shift", "e"]);
+
+      expect(await page.inputValue("#text-input")).toBe("É");
+    });
+
+    test("space types the accent itself", async ({ page }) => {
+      await tapKeys(page, ["´", " "]);
+
+      expect(await page.inputValue("#text-input")).toBe("´");
+    });
+
+    test("a letter the accent doesn't combine with is typed after it", async ({
+      page,
+    }) => {
+      await tapKeys(page, ["´", "x"]);
+
+      expect(await page.inputValue("#text-input")).toBe("´x");
+    });
+
+    test("backspace cancels a waiting dead key", async ({ page }) => {
+      await page.fill("#text-input", "ab");
+      await tapKeys(page, ["´", "Backspace", "e"]);
+
+      expect(await page.inputValue("#text-input")).toBe("abe");
+    });
+
+    test("the keys show the waiting dead key", async ({ page }) => {
+      await clickKey(page, "´");
+
+      expect(await getKeyState(page, "´")).toEqual({
+        pending: true,
+        compose: undefined,
+      });
+      expect((await getKeyState(page, "e")).compose).toBe("é");
+
+      await clickKey(page, "e");
+      expect(await getKeyState(page, "´")).toEqual({
+        pending: false,
+        compose: undefined,
+      });
+      expect((await getKeyState(page, "e")).compose).toBeUndefined();
+    });
+
+    test("a dead key sends a Dead keydown and no input", async ({ page }) => {
+      await startRecordingInputEvents(page, "#text-input");
+      await clickKey(page, "´");
+
+      const events = await getRecordedEvents(page);
+      expect(events.map((e) => `${e.type}:${e.key ?? e.inputType}`)).toEqual([
+        "keydown:Dead",
+        "keyup:Dead",
+      ]);
+    });
+  });
+
+  test.describe("Compose key", () => {
+    test.beforeEach(async ({ context, extensionId, page }) => {
+      await setStorageSettings(context, extensionId, { keyboardLayout1: "fr" });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+    });
+
+    test("compose sequences type their character", async ({ page }) => {
+      // Switching to the symbols layer keeps the sequence waiting
+      await tapKeys(page, ["Compose", "o", "&123", "/"]);
+
+      expect(await page.inputValue("#text-input")).toBe("ø");
+    });
+
+    test("dead accents work after Compose too", async ({ page }) => {
+      await tapKeys(page, ["Compose", "^", "e"]);
+
+      expect(await page.inputValue("#text-input")).toBe("ê");
+    });
+
+    test("pressing Compose again cancels", async ({ page }) => {
+      await tapKeys(page, ["Compose", "Compose", "o"]);
+
+      expect(await page.inputValue("#text-input")).toBe("o");
+      expect((await getKeyState(page, "Compose")).pending).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  setStorageSettings,
+  typeWithKeyboard,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+const FORM_LAYOUT = {
+  name: "Form Test",
+  rows: [
+    ["a", "b", "c", "Backspace"],
+    ["d", "e", "f", "Enter"],
+  ],
+  bottomRow: ["&123", "PrevField", "Space", "NextField", "Close"],
+};
+
+/**
+ * Get the ID of the focused element, looking into same-origin iframes
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<string|undefined>}
+ */
+async function getFocusedId(page) {
+  return await page.evaluate(() => {
+    let element = document.activeElement;
+    while (element?.localName === "iframe" && element.contentDocument) {
+      element = element.contentDocument.activeElement;
+    }
+    return element?.id;
+  });
+}
+
+test.describe("Virtual Keyboard - Field Navigation", () => {
+  test.beforeEach(async ({ context, extensionId }) => {
+    await setStorageSettings(context, extensionId, {
+      customLayouts: { form: FORM_LAYOUT },
+      keyboardLayout: "form",
+      keyboardLayoutsList: JSON.stringify([
+        { value: "form", name: "Form Test" },
+        { value: "en", name: "English (QWERTY)" },
+      ]),
+    });
+  });
+
+  test("Next and Prev move between fields", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "NextField");
+    await page.waitForTimeout(100);
+    expect(await getFocusedId(page)).toBe("password-input");
+
+    await clickKey(page, "PrevField");
+    await page.waitForTimeout(100);
+    expect(await getFocusedId(page)).toBe("text-input");
+  });
+
+  test("typing goes to the field moved to", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.click("#password-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "NextField");
+    await page.waitForTimeout(100);
+    await typeWithKeyboard(page, "abc");
+
+    expect(await page.inputValue("#search-input")).toBe("abc");
+  });
+
+  test("skips disabled fields", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.evaluate(() => {
+      document.querySelector("#password-input").disabled = true;
+    });
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "NextField");
+    await page.waitForTimeout(100);
+    expect(await getFocusedId(page)).toBe("search-input");
+  });
+
+  test("moves into same-origin iframes", async ({ page }) => {
+    await page.goto("http://localhost:3333/iframe.html");
+    await waitForExtension(page);
+    await page.waitForTimeout(1000);
+    await page.click("#main-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "NextField");
+    await page.waitForTimeout(300);
+    expect(await getFocusedId(page)).toBe("iframe-text");
+  });
+});
@@ -0,0 +1,92 @@
+import { expect, test } from "./fixtures.js";
+import {
+  setStorageSettings,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Get the center of a letter key on screen
+ * @param {import('@playwright/test').Page} page
+ * @param {string} key
+ * @returns {Promise<{x: number, y: number}>}
+ */
+async function getKeyCenter(page, key) {
+  return await page.evaluate((keyValue) => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const el = host.shadowRoot.querySelector(
+      `#vk-main-kbd-ph [data-key="${keyValue}"]`
+    );
+    const rect = el.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  }, key);
+}
+
+/**
+ * Glide the mouse across the keys of a word
+ * @param {import('@playwright/test').Page} page
+ * @param {string} word
+ */
+async function glide(page, word) {
+  const centers = [];
+  for (const char of word) {
+    centers.push(await getKeyCenter(page, char));
+  }
+
+  await page.mouse.move(centers[0].x, centers[0].y);
+  await page.mouse.down();
+  for (const center of centers.slice(1)) {
+    await page.mouse.move(center.x, center.y, { steps: 8 });
+  }
+  await page.mouse.up();
+  await page.waitForTimeout(100);
+}
+
+test.describe("Virtual Keyboard - Gesture Typing", () => {
+  test.describe("when enabled", () => {
+    test.beforeEach(async ({ context, extensionId, page }) => {
+      await setStorageSettings(context, extensionId, { gestureTyping: true });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+    });
+
+    test("gliding across letters types the word and a space", async ({
+      page,
+    }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await glide(page, "hello");
+      expect(await page.inputValue("#text-input")).toBe("hello ");
+    });
+
+    test("consecutive gestures type consecutive words", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await glide(page, "hello");
+      await glide(page, "world");
+      expect(await page.inputValue("#text-input")).toBe("hello world ");
+    });
+
+    test("tapping a key still types a single letter", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      const center = await getKeyCenter(page, "a");
+      await page.mouse.click(center.x, center.y);
+      await page.waitForTimeout(100);
+      expect(await page.inputValue("#text-input")).toBe("a");
+    });
+  });
+
+  test("gliding does nothing when disabled", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await glide(page, "hello");
+    expect(await page.inputValue("#text-input")).not.toBe("hello ");
+  });
+});
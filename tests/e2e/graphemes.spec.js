@@ -0,0 +1,171 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  setStorageSettings,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Swipe along the spacebar, one cursor step per move
+ * @param {import('@playwright/test').Page} page
+ * @param {number} steps - Negative to swipe left
+ */
+async function swipeSpacebar(page, steps) {
+  await page.evaluate((steps) => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const spaceKey = host.shadowRoot.querySelector(".vk-key-space");
+    const rect = spaceKey.getBoundingClientRect();
+    const y = rect.top + rect.height / 2;
+    let x = rect.left + rect.width / 2;
+
+    spaceKey.setPointerCapture = () => {};
+    spaceKey.releasePointerCapture = () => {};
+
+    const send = (type) =>
+      spaceKey.dispatchEvent(
+        new PointerEvent(type, {
+          bubbles: true,
+          cancelable: true,
+          pointerId: 1,
+          clientX: x,
+          clientY: y,
+        })
+      );
+
+    send("pointerdown");
+    for (let i = 0; i < Math.abs(steps); i++) {
+      x += Math.sign(steps) * 25;
+      send("pointermove");
+    }
+    send("pointerup");
+  }, steps);
+}
+
+/**
+ * Hold Backspace down for a while
+ * @param {import('@playwright/test').Page} page
+ * @param {number} ms
+ */
+async function holdBackspace(page, ms) {
+  const send = (type) =>
+    page.evaluate((type) => {
+      const host = document.querySelector("#virtual-keyboard-host");
+      const key = host.shadowRoot.querySelector('[data-key="Backspace"]');
+      key.dispatchEvent(
+        new PointerEvent(type, { bubbles: true, cancelable: true })
+      );
+    }, type);
+
+  await send("pointerdown");
+  await page.waitForTimeout(ms);
+  await send("pointerup");
+}
+
+test.describe("Virtual Keyboard - Whole Characters", () => {
+  test.describe("Backspace", () => {
+    test.beforeEach(async ({ page }) => {
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+    });
+
+    const cases = [
+      ["an emoji", "a😀"],
+      ["an emoji with a skin tone", "a👍🏽"],
+      ["a ZWJ sequence", "a👨‍👩‍👧"],
+      ["a flag", "a🇫🇷"],
+      ["a letter with a combining accent", "ae\u0301"],
+      ["a Tamil consonant with its vowel sign", "aகி"],
+    ];
+
+    for (const [name, text] of cases) {
+      test(`deletes ${name} in one go`, async ({ page }) => {
+        await page.fill("#text-input", text);
+        await page.click("#text-input");
+        await waitForKeyboardOpen(page);
+
+        await clickKey(page, "Backspace");
+
+        expect(await page.inputValue("#text-input")).toBe("a");
+      });
+    }
+
+    test("deletes a whole emoji in contenteditable", async ({ page }) => {
+      await page.click("#contenteditable");
+      await waitForKeyboardOpen(page);
+      await page.evaluate(() => {
+        const element = document.querySelector("#contenteditable");
+        element.textContent = "hi👍🏽";
+        const range = document.createRange();
+        range.setStart(element.firstChild, element.firstChild.length);
+        range.collapse(true);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+      });
+
+      await clickKey(page, "Backspace");
+
+      expect(await page.textContent("#contenteditable")).toBe("hi");
+    });
+  });
+
+  test.describe("cursor", () => {
+    test("the spacebar swipe steps over a whole emoji", async ({
+      context,
+      extensionId,
+      page,
+    }) => {
+      await setStorageSettings(context, extensionId, {
+        spacebarCursorSwipe: true,
+      });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+      await page.fill("#text-input", "a👍🏽b");
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+      await page.$eval("#text-input", (el) => el.setSelectionRange(1, 1));
+
+      await swipeSpacebar(page, 1);
+
+      expect(await page.$eval("#text-input", (el) => el.selectionStart)).toBe(
+        5
+      );
+    });
+  });
+
+  test.describe("holding Backspace", () => {
+    test("moves on from characters to whole words", async ({
+      context,
+      extensionId,
+      page,
+    }) => {
+      await setStorageSettings(context, extensionId, {
+        keyRepeatEnabled: true,
+        keyRepeatDelay: 100,
+        keyRepeatSpeed: 100,
+      });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+      await page.fill("#text-input", "word ".repeat(60).trim());
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+      await page.evaluate(() => {
+        window.deletes = [];
+        document
+          .querySelector("#text-input")
+          .addEventListener("beforeinput", (e) =>
+            window.deletes.push(e.inputType)
+          );
+      });
+
+      await holdBackspace(page, 2200);
+
+      const deletes = await page.evaluate(() => window.deletes);
+      expect(deletes[0]).toBe("deleteContentBackward");
+      expect(deletes.at(-1)).toBe("deleteWordBackward");
+      // Each word deleted takes the space after the one before it
+      expect(await page.inputValue("#text-input")).toMatch(/(^|word )$/);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  setStorageSettings,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Tap keys one after another
+ * @param {import('@playwright/test').Page} page
+ * @param {string} keys
+ */
+async function tapKeys(page, keys) {
+  for (const key of keys) {
+    await clickKey(page, key);
+  }
+}
+
+/**
+ * Record composition and input events on a field
+ * @param {import('@playwright/test').Page} page
+ * @param {string} selector
+ */
+async function recordCompositionEvents(page, selector) {
+  await page.evaluate((selector) => {
+    window.compositionEvents = [];
+    const element = document.querySelector(selector);
+    for (const type of [
+      "compositionstart",
+      "compositionupdate",
+      "compositionend",
+    ]) {
+      element.addEventListener(type, (e) => {
+        window.compositionEvents.push(`${e.type}:${e.data}`);
+      });
+    }
+  }, selector);
+}
+
+test.describe("Virtual Keyboard - Hangul Composition", () => {
+  test.beforeEach(async ({ context, extensionId, page }) => {
+    await setStorageSettings(context, extensionId, { keyboardLayout1: "kr" });
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+  });
+
+  test("jamo combine into syllables", async ({ page }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await tapKeys(page, "ㅎㅏㄴㄱㅡㄹ");
+
+    expect(await page.inputValue("#text-input")).toBe("한글");
+  });
+
+  test("a vowel takes the final consonant into a new syllable", async ({
+    page,
+  }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await tapKeys(page, "ㅎㅏㄴㅏ");
+
+    expect(await page.inputValue("#text-input")).toBe("하나");
+  });
+
+  test("backspace takes back one jamo at a time", async ({ page }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await tapKeys(page, "ㅎㅏㄴ");
+
+    await clickKey(page, "Backspace");
+    expect(await page.inputValue("#text-input")).toBe("하");
+    await clickKey(page, "Backspace");
+    expect(await page.inputValue("#text-input")).toBe("ㅎ");
+  });
+
+  test("space finishes the syllable", async ({ page }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await tapKeys(page, "ㅎㅏㄴ ㅎㅏ");
+    await clickKey(page, "Backspace");
+
+    // The finished syllable isn't taken apart
+    expect(await page.inputValue("#text-input")).toBe("한 ㅎ");
+  });
+
+  test("fires composition events", async ({ page }) => {
+    await recordCompositionEvents(page, "#text-input");
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await tapKeys(page, "ㅎㅏ ");
+
+    expect(await page.evaluate(() => window.compositionEvents)).toEqual([
+      "compositionstart:",
+      "compositionupdate:ㅎ",
+      "compositionupdate:하",
+      "compositionend:하",
+    ]);
+  });
+
+  test("composes in contenteditable", async ({ page }) => {
+    await page.evaluate(() => {
+      document.querySelector("#contenteditable").textContent = "";
+    });
+    await page.click("#contenteditable");
+    await waitForKeyboardOpen(page);
+
+    await tapKeys(page, "ㄷㅏㄹㄱ");
+
+    expect(await page.textContent("#contenteditable")).toBe("닭");
+  });
+});
@@ -630,6 +630,7 @@ export async function startRecordingInputEvents(page, selector) {
           window.__recordedEvents.push({
             type: e.type,
             key: e.key,
+            code: e.code,
             keyCode: e.keyCode,
             charCode: e.charCode,
             which: e.which,
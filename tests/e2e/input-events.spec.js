@@ -2,6 +2,7 @@ import { expect, test } from "./fixtures.js";
 import {
   clickKey,
   getRecordedEvents,
+  setStorageSettings,
   startRecordingInputEvents,
   typeWithKeyboard,
   waitForExtension,
@@ -62,11 +63,158 @@ test.describe("Virtual Keyboard - Input Events", () => {
     await page.waitForTimeout(100);
 
     const events = await getRecordedEvents(page);
-    const keydownEvents = events.filter((e) => e.type === "keydown");
-    // 'a' has charCode 97
-    expect(
-      keydownEvents.some((e) => e.keyCode === 97 || e.charCode === 97)
-    ).toBe(true);
+    const keydown = events.find((e) => e.type === "keydown");
+    // keydown carries the key's code (A = 65), keypress the character (a = 97)
+    expect(keydown).toMatchObject({ key: "a", code: "KeyA", keyCode: 65 });
+    const keypress = events.find((e) => e.type === "keypress");
+    expect(keypress).toMatchObject({ key: "a", charCode: 97 });
+  });
+
+  test("typing fires beforeinput and input with the inserted text", async ({
+    page,
+  }) => {
+    await startRecordingInputEvents(page, "#text-input");
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "a");
+    await page.waitForTimeout(100);
+
+    const events = await getRecordedEvents(page);
+    expect(events.map((e) => e.type)).toEqual([
+      "keydown",
+      "keypress",
+      "beforeinput",
+      "input",
+      "keyup",
+    ]);
+    for (const type of ["beforeinput", "input"]) {
+      expect(events.find((e) => e.type === type)).toMatchObject({
+        inputType: "insertText",
+        data: "a",
+      });
+    }
+  });
+
+  test("cancelled keydown stops the character", async ({ page }) => {
+    await page.evaluate(() => {
+      document
+        .querySelector("#text-input")
+        .addEventListener("keydown", (e) => e.preventDefault());
+    });
+    await startRecordingInputEvents(page, "#text-input");
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "a");
+    await page.waitForTimeout(100);
+
+    expect(await page.inputValue("#text-input")).toBe("");
+    const events = await getRecordedEvents(page);
+    expect(events.map((e) => e.type)).toEqual(["keydown", "keyup"]);
+  });
+
+  test("cancelled beforeinput stops the character", async ({ page }) => {
+    await page.evaluate(() => {
+      document
+        .querySelector("#text-input")
+        .addEventListener("beforeinput", (e) => e.preventDefault());
+    });
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await typeWithKeyboard(page, "abc");
+
+    expect(await page.inputValue("#text-input")).toBe("");
+  });
+
+  test("backspace fires deleteContentBackward", async ({ page }) => {
+    await page.fill("#text-input", "hello");
+    await startRecordingInputEvents(page, "#text-input");
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "Backspace");
+    await page.waitForTimeout(100);
+
+    const events = await getRecordedEvents(page);
+    expect(events.find((e) => e.type === "beforeinput")).toMatchObject({
+      inputType: "deleteContentBackward",
+      data: null,
+    });
+    expect(events.some((e) => e.type === "keypress")).toBe(false);
+  });
+
+  test("cancelled beforeinput stops backspace in contenteditable", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      const editor = document.querySelector("#contenteditable");
+      editor.textContent = "kept";
+      editor.addEventListener("beforeinput", (e) => e.preventDefault());
+    });
+    await page.click("#contenteditable");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "Backspace");
+    await page.waitForTimeout(100);
+
+    expect(await page.textContent("#contenteditable")).toBe("kept");
+  });
+
+  test("enter in textarea fires insertLineBreak", async ({ page }) => {
+    await startRecordingInputEvents(page, "#textarea");
+    await page.click("#textarea");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "Enter");
+    await page.waitForTimeout(100);
+
+    const events = await getRecordedEvents(page);
+    expect(events.find((e) => e.type === "input")).toMatchObject({
+      inputType: "insertLineBreak",
+    });
+  });
+
+  test("enter in contenteditable fires insertParagraph", async ({ page }) => {
+    await startRecordingInputEvents(page, "#contenteditable");
+    await page.click("#contenteditable");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "Enter");
+    await page.waitForTimeout(100);
+
+    const events = await getRecordedEvents(page);
+    expect(events.find((e) => e.type === "beforeinput")).toMatchObject({
+      inputType: "insertParagraph",
+    });
+    expect(events.find((e) => e.type === "input")).toMatchObject({
+      inputType: "insertParagraph",
+    });
+  });
+
+  test("key codes follow the layout", async ({
+    context,
+    extensionId,
+    page,
+  }) => {
+    await setStorageSettings(context, extensionId, { keyboardLayout1: "fr" });
+    await page.reload();
+    await waitForExtension(page);
+    await startRecordingInputEvents(page, "#text-input");
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await clickKey(page, "a");
+    await page.waitForTimeout(100);
+
+    const events = await getRecordedEvents(page);
+    // AZERTY's A sits where QWERTY has Q
+    expect(events.find((e) => e.type === "keydown")).toMatchObject({
+      key: "a",
+      code: "KeyQ",
+      keyCode: 65,
+    });
   });
 
   test("shift + letter produces uppercase in input", async ({ page }) => {
@@ -0,0 +1,136 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  isEmailKeyVisible,
+  isKeyboardOpen,
+  isNumberKeyboardVisible,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Add a text input with the given attributes to the page
+ * @param {import('@playwright/test').Page} page
+ * @param {Object<string, string>} attributes
+ */
+async function addInput(page, attributes) {
+  await page.evaluate((attributes) => {
+    const input = document.createElement("input");
+    input.id = "hinted-input";
+    for (const [name, value] of Object.entries(attributes)) {
+      input.setAttribute(name, value);
+    }
+    document.body.prepend(input);
+  }, attributes);
+}
+
+/**
+ * Check if the digits-only keyboard is visible
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<boolean>}
+ */
+async function isDigitsKeyboardVisible(page) {
+  return await page.evaluate(() => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const pad = host?.shadowRoot?.querySelector("#vk-digits-input");
+    return !!pad && window.getComputedStyle(pad).display !== "none";
+  });
+}
+
+/**
+ * Get the labels shown on the visible Enter keys
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<string[]>}
+ */
+async function getEnterKeyLabels(page) {
+  return await page.evaluate(() => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    return [...host.shadowRoot.querySelectorAll('[data-key^="Enter"]')]
+      .filter((key) => key.offsetParent !== null)
+      .map((key) => key.querySelector("span").getAttribute("aria-label"));
+  });
+}
+
+test.describe("Virtual Keyboard - Input Hints", () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+  });
+
+  test("inputmode=numeric shows the digits keyboard", async ({ page }) => {
+    await addInput(page, { inputmode: "numeric" });
+    await page.click("#hinted-input");
+    await waitForKeyboardOpen(page);
+
+    expect(await isDigitsKeyboardVisible(page)).toBe(true);
+    expect(await isNumberKeyboardVisible(page)).toBe(false);
+  });
+
+  test("inputmode=decimal shows the number keyboard", async ({ page }) => {
+    await addInput(page, { inputmode: "decimal" });
+    await page.click("#hinted-input");
+    await waitForKeyboardOpen(page);
+
+    expect(await isNumberKeyboardVisible(page)).toBe(true);
+  });
+
+  test("inputmode=email shows email keys", async ({ page }) => {
+    await addInput(page, { inputmode: "email" });
+    await page.click("#hinted-input");
+    await waitForKeyboardOpen(page);
+
+    expect(await isEmailKeyVisible(page)).toBe(true);
+  });
+
+  test("inputmode=text overrides a number input", async ({ page }) => {
+    await page.evaluate(() => {
+      document.querySelector("#number-input").setAttribute("inputmode", "text");
+    });
+    await page.click("#number-input");
+    await waitForKeyboardOpen(page);
+
+    expect(await isNumberKeyboardVisible(page)).toBe(false);
+  });
+
+  test("inputmode=none does not open the keyboard", async ({ page }) => {
+    await addInput(page, { inputmode: "none" });
+    await page.click("#hinted-input");
+    await page.waitForTimeout(300);
+
+    expect(await isKeyboardOpen(page)).toBe(false);
+  });
+
+  test("one-time codes use the digits keyboard", async ({ page }) => {
+    await addInput(page, { autocomplete: "one-time-code" });
+    await page.click("#hinted-input");
+    await waitForKeyboardOpen(page);
+
+    expect(await isDigitsKeyboardVisible(page)).toBe(true);
+
+    await clickKey(page, "4");
+    await clickKey(page, "2");
+    expect(await page.inputValue("#hinted-input")).toBe("42");
+  });
+
+  test("enterkeyhint relabels the Enter key", async ({ page }) => {
+    await addInput(page, { enterkeyhint: "send" });
+    await page.click("#hinted-input");
+    await waitForKeyboardOpen(page);
+
+    const labels = await getEnterKeyLabels(page);
+    expect(labels.length).toBeGreaterThan(0);
+    expect(labels.every((label) => label === "Send")).toBe(true);
+  });
+
+  test("Enter key icon returns for fields without a hint", async ({ page }) => {
+    await addInput(page, { enterkeyhint: "go" });
+    await page.click("#hinted-input");
+    await waitForKeyboardOpen(page);
+
+    await page.click("#text-input");
+    await page.waitForTimeout(100);
+
+    const labels = await getEnterKeyLabels(page);
+    expect(labels.every((label) => label === "Enter")).toBe(true);
+  });
+});
@@ -0,0 +1,190 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  setStorageSettings,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Tap keys one after another
+ * @param {import('@playwright/test').Page} page
+ * @param {string} keys
+ */
+async function tapKeys(page, keys) {
+  for (const key of keys) {
+    await clickKey(page, key);
+  }
+}
+
+/**
+ * Get the candidates shown in the candidate bar
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<string[]>}
+ */
+async function getCandidates(page) {
+  return await page.evaluate(() => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const bar = host?.shadowRoot?.querySelector("#vk-candidate-bar");
+    if (!bar) return [];
+    return Array.from(bar.querySelectorAll(".vk-candidate")).map(
+      (btn) => btn.textContent
+    );
+  });
+}
+
+/**
+ * Check if the candidate bar is visible
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<boolean>}
+ */
+async function isCandidateBarVisible(page) {
+  return await page.evaluate(() => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const bar = host?.shadowRoot?.querySelector("#vk-candidate-bar");
+    return !!bar && bar.style.display !== "none";
+  });
+}
+
+/**
+ * Tap a candidate in the candidate bar
+ * @param {import('@playwright/test').Page} page
+ * @param {string} text
+ */
+async function clickCandidate(page, text) {
+  await page.evaluate((text) => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const bar = host.shadowRoot.querySelector("#vk-candidate-bar");
+    const btn = Array.from(bar.querySelectorAll(".vk-candidate")).find(
+      (candidate) => candidate.textContent === text
+    );
+    if (!btn) throw new Error(`Candidate not found: ${text}`);
+    btn.click();
+  }, text);
+}
+
+test.describe("Virtual Keyboard - Input Methods", () => {
+  test.describe("phonetic Russian", () => {
+    test.beforeEach(async ({ context, extensionId, page }) => {
+      await setStorageSettings(context, extensionId, {
+        keyboardLayout1: "ru-ph",
+      });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+    });
+
+    test("Latin letters become Cyrillic", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await tapKeys(page, "privet");
+
+      expect(await page.inputValue("#text-input")).toBe("привет");
+    });
+
+    test("a letter pair becomes one Cyrillic letter", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await tapKeys(page, "s");
+      expect(await page.inputValue("#text-input")).toBe("с");
+      await tapKeys(page, "h");
+      expect(await page.inputValue("#text-input")).toBe("ш");
+    });
+
+    test("shift capitalises", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await clickKey(page, "Shift");
+      await tapKeys(page, "da");
+
+      expect(await page.inputValue("#text-input")).toBe("Да");
+    });
+
+    test("has no candidate bar", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      expect(await isCandidateBarVisible(page)).toBe(false);
+    });
+  });
+
+  test.describe("phonetic Tamil", () => {
+    test("consonants and vowels combine", async ({
+      context,
+      extensionId,
+      page,
+    }) => {
+      await setStorageSettings(context, extensionId, {
+        keyboardLayout1: "ta-ph",
+      });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await tapKeys(page, "thamizh");
+
+      expect(await page.inputValue("#text-input")).toBe("தமிழ்");
+    });
+  });
+
+  test.describe("pinyin", () => {
+    test.beforeEach(async ({ context, extensionId, page }) => {
+      await setStorageSettings(context, extensionId, { keyboardLayout1: "zh" });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+    });
+
+    test("shows pinyin and candidates while typing", async ({ page }) => {
+      await tapKeys(page, "nihao");
+
+      expect(await isCandidateBarVisible(page)).toBe(true);
+      expect(await page.inputValue("#text-input")).toBe("nihao");
+      expect((await getCandidates(page))[0]).toBe("你好");
+    });
+
+    test("tapping a candidate replaces the pinyin", async ({ page }) => {
+      await tapKeys(page, "nihao");
+      await clickCandidate(page, "你好");
+
+      expect(await page.inputValue("#text-input")).toBe("你好");
+      expect(await getCandidates(page)).toEqual([]);
+    });
+
+    test("space picks the first candidate", async ({ page }) => {
+      await tapKeys(page, "women ");
+
+      expect(await page.inputValue("#text-input")).toBe("我们");
+    });
+
+    test("a candidate for part of the pinyin leaves the rest", async ({
+      page,
+    }) => {
+      await tapKeys(page, "nihaoma");
+      await clickCandidate(page, "你好");
+
+      expect(await page.inputValue("#text-input")).toBe("你好ma");
+      expect((await getCandidates(page))[0]).toBe("吗");
+    });
+
+    test("enter keeps the letters as typed", async ({ page }) => {
+      await tapKeys(page, "ok");
+      await clickKey(page, "Enter");
+
+      expect(await page.inputValue("#text-input")).toBe("ok");
+      expect(await getCandidates(page)).toEqual([]);
+    });
+
+    test("backspace takes back a letter", async ({ page }) => {
+      await tapKeys(page, "nih");
+      await clickKey(page, "Backspace");
+
+      expect(await page.inputValue("#text-input")).toBe("ni");
+      expect((await getCandidates(page))[0]).toBe("你");
+    });
+  });
+});
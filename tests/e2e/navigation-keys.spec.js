@@ -0,0 +1,178 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  setStorageSettings,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Check if the navigation keys layer is visible
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<boolean>}
+ */
+async function isNavigationLayerVisible(page) {
+  return await page.evaluate(() => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const layer = host?.shadowRoot?.querySelector("#vk-main-navigation");
+    return !!layer && window.getComputedStyle(layer).display !== "none";
+  });
+}
+
+/**
+ * Get the cursor position in a field
+ * @param {import('@playwright/test').Page} page
+ * @param {string} selector
+ * @returns {Promise<number>}
+ */
+async function getCursor(page, selector) {
+  return await page.$eval(selector, (el) => el.selectionStart);
+}
+
+test.describe("Virtual Keyboard - Navigation Keys", () => {
+  test.beforeEach(async ({ context, extensionId }) => {
+    await setStorageSettings(context, extensionId, {
+      showNavigationButton: true,
+    });
+  });
+
+  test("Nav key toggles the navigation layer", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    expect(await isNavigationLayerVisible(page)).toBe(false);
+    await clickKey(page, "Nav");
+    expect(await isNavigationLayerVisible(page)).toBe(true);
+    await clickKey(page, "Nav");
+    expect(await isNavigationLayerVisible(page)).toBe(false);
+  });
+
+  test("layers stay inside the scaled keyboard after a reload", async ({
+    context,
+    extensionId,
+    page,
+  }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    // Changing the close button rebuilds the layers
+    await setStorageSettings(context, extensionId, { showCloseButton: false });
+    await page.waitForTimeout(300);
+
+    const parents = await page.evaluate(() => {
+      const root = document.querySelector("#virtual-keyboard-host").shadowRoot;
+      return ["#vk-main-navigation", "#vk-main-numbers"].map(
+        (id) => root.querySelector(id)?.parentElement.className
+      );
+    });
+    expect(parents).toEqual(["vk-scale-wrapper", "vk-scale-wrapper"]);
+  });
+
+  test("arrows, Home and End move the cursor", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.fill("#text-input", "hello world");
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await page.$eval("#text-input", (el) => el.setSelectionRange(11, 11));
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "ArrowLeft");
+    expect(await getCursor(page, "#text-input")).toBe(10);
+
+    await clickKey(page, "WordLeft");
+    expect(await getCursor(page, "#text-input")).toBe(6);
+
+    await clickKey(page, "Home");
+    expect(await getCursor(page, "#text-input")).toBe(0);
+
+    await clickKey(page, "End");
+    expect(await getCursor(page, "#text-input")).toBe(11);
+  });
+
+  test("Up and Down move between textarea lines", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.fill("#textarea", "first\nsecond");
+    await page.click("#textarea");
+    await waitForKeyboardOpen(page);
+    await page.$eval("#textarea", (el) => el.setSelectionRange(9, 9));
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "ArrowUp");
+    expect(await getCursor(page, "#textarea")).toBe(3);
+
+    await clickKey(page, "ArrowDown");
+    expect(await getCursor(page, "#textarea")).toBe(9);
+  });
+
+  test("keys send keydown and keyup to the page", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.evaluate(() => {
+      window.navEvents = [];
+      const input = document.querySelector("#text-input");
+      for (const type of ["keydown", "keyup"]) {
+        input.addEventListener(type, (e) => {
+          window.navEvents.push(
+            `${e.type}:${e.shiftKey ? "Shift+" : ""}${e.key}`
+          );
+        });
+      }
+    });
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "Escape");
+
+    expect(await page.evaluate(() => window.navEvents)).toEqual([
+      "keydown:Escape",
+      "keyup:Escape",
+    ]);
+  });
+
+  test("page shortcuts can take over a key", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.fill("#text-input", "abc");
+    await page.evaluate(() => {
+      document.querySelector("#text-input").addEventListener("keydown", (e) => {
+        if (e.key === "Home") e.preventDefault();
+      });
+    });
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await page.$eval("#text-input", (el) => el.setSelectionRange(3, 3));
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "Home");
+    expect(await getCursor(page, "#text-input")).toBe(3);
+  });
+
+  test("Tab and Shift+Tab move between fields", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "Tab");
+    await page.waitForTimeout(100);
+    expect(await page.evaluate(() => document.activeElement.id)).toBe(
+      "password-input"
+    );
+    // The layer stays up for the next field
+    expect(await isNavigationLayerVisible(page)).toBe(true);
+
+    await clickKey(page, "ShiftTab");
+    await page.waitForTimeout(100);
+    expect(await page.evaluate(() => document.activeElement.id)).toBe(
+      "text-input"
+    );
+  });
+});
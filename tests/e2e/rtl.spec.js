@@ -0,0 +1,209 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  getKeyDisplayText,
+  setStorageSettings,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Tap keys one after another
+ * @param {import('@playwright/test').Page} page
+ * @param {string[]} keys
+ */
+async function tapKeys(page, keys) {
+  for (const key of keys) {
+    await clickKey(page, key);
+  }
+}
+
+/**
+ * Swipe along the spacebar, one cursor step per move
+ * @param {import('@playwright/test').Page} page
+ * @param {number} steps - Negative to swipe left
+ */
+async function swipeSpacebar(page, steps) {
+  await page.evaluate((steps) => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const spaceKey = host.shadowRoot.querySelector(".vk-key-space");
+    const rect = spaceKey.getBoundingClientRect();
+    const y = rect.top + rect.height / 2;
+    let x = rect.left + rect.width / 2;
+
+    spaceKey.setPointerCapture = () => {};
+    spaceKey.releasePointerCapture = () => {};
+
+    const send = (type) =>
+      spaceKey.dispatchEvent(
+        new PointerEvent(type, {
+          bubbles: true,
+          cancelable: true,
+          pointerId: 1,
+          clientX: x,
+          clientY: y,
+        })
+      );
+
+    send("pointerdown");
+    for (let i = 0; i < Math.abs(steps); i++) {
+      x += Math.sign(steps) * 25;
+      send("pointermove");
+    }
+    send("pointerup");
+  }, steps);
+}
+
+/**
+ * Get the horizontal centre of a key
+ * @param {import('@playwright/test').Page} page
+ * @param {string} keyValue
+ * @returns {Promise<number>}
+ */
+async function getKeyX(page, keyValue) {
+  return await page.evaluate((keyValue) => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const key = host.shadowRoot.querySelector(`[data-key="${keyValue}"]`);
+    const rect = key.getBoundingClientRect();
+    return rect.left + rect.width / 2;
+  }, keyValue);
+}
+
+/**
+ * Get the cursor position in the text input
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<number>}
+ */
+async function getCaret(page) {
+  return await page.$eval("#text-input", (el) => el.selectionStart);
+}
+
+test.describe("Virtual Keyboard - Right-to-Left Layouts", () => {
+  test.describe("Arabic", () => {
+    test.beforeEach(async ({ context, extensionId, page }) => {
+      await setStorageSettings(context, extensionId, {
+        keyboardLayout1: "ar",
+        spacebarCursorSwipe: true,
+      });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+      await page.$eval("#text-input", (el) => el.setAttribute("dir", "rtl"));
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+    });
+
+    test("rows are laid out from the right", async ({ page }) => {
+      expect(await getKeyX(page, "ض")).toBeLessThan(await getKeyX(page, "ص"));
+      expect(await getKeyX(page, "Backspace")).toBeGreaterThan(
+        await getKeyX(page, "د")
+      );
+    });
+
+    test("types Arabic letters", async ({ page }) => {
+      await tapKeys(page, ["س", "ل", "ا", "م"]);
+
+      expect(await page.inputValue("#text-input")).toBe("سلام");
+    });
+
+    test("a Lam-Alef key types both letters", async ({ page }) => {
+      await tapKeys(page, ["لا", "Shift", "لا"]);
+
+      expect(await page.inputValue("#text-input")).toBe("لالآ");
+    });
+
+    test("harakat are on shift and shown on a dotted circle", async ({
+      page,
+    }) => {
+      await clickKey(page, "Shift");
+      expect(await getKeyDisplayText(page, "ض")).toBe("◌َ");
+
+      await clickKey(page, "ض");
+      expect(await getKeyDisplayText(page, "ض")).toBe("ض");
+    });
+
+    test("backspace removes a letter with its harakat", async ({ page }) => {
+      await tapKeys(page, ["ب", "ك", "Shift", "ض"]);
+      expect(await page.inputValue("#text-input")).toBe("بكَ");
+
+      await clickKey(page, "Backspace");
+
+      expect(await page.inputValue("#text-input")).toBe("ب");
+    });
+
+    test("swiping right moves back through right-to-left text", async ({
+      page,
+    }) => {
+      await page.fill("#text-input", "سلام");
+      await page.$eval("#text-input", (el) => el.setSelectionRange(4, 4));
+
+      await swipeSpacebar(page, 1);
+      expect(await getCaret(page)).toBe(3);
+
+      await swipeSpacebar(page, -2);
+      expect(await getCaret(page)).toBe(4);
+    });
+
+    test("the cursor steps over harakat", async ({ page }) => {
+      await page.fill("#text-input", "كَتَبَ");
+      await page.$eval("#text-input", (el) => el.setSelectionRange(6, 6));
+
+      await swipeSpacebar(page, 1);
+
+      expect(await getCaret(page)).toBe(4);
+    });
+  });
+
+  test.describe("Arabic with auto-caps", () => {
+    test("auto-caps doesn't shift letters to harakat", async ({
+      context,
+      extensionId,
+      page,
+    }) => {
+      await setStorageSettings(context, extensionId, {
+        keyboardLayout1: "ar",
+        autoCaps: true,
+      });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await tapKeys(page, ["ب", ".", " ", "ب"]);
+
+      expect(await page.inputValue("#text-input")).toBe("ب. ب");
+    });
+  });
+
+  test.describe("Hebrew", () => {
+    test("types Hebrew letters", async ({ context, extensionId, page }) => {
+      await setStorageSettings(context, extensionId, { keyboardLayout1: "he" });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await tapKeys(page, ["ש", "ל", "ו", "ם"]);
+
+      expect(await page.inputValue("#text-input")).toBe("שלום");
+    });
+  });
+
+  test.describe("Persian", () => {
+    test("the half-space key types a zero-width non-joiner", async ({
+      context,
+      extensionId,
+      page,
+    }) => {
+      await setStorageSettings(context, extensionId, { keyboardLayout1: "fa" });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      expect(await getKeyDisplayText(page, "‌")).toBe("ZWNJ");
+      await tapKeys(page, ["م", "ی", "‌", "ر", "و", "م"]);
+
+      expect(await page.inputValue("#text-input")).toBe("می‌روم");
+    });
+  });
+});
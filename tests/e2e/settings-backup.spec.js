@@ -0,0 +1,88 @@
+import { expect, test } from "./fixtures.js";
+import { setStorageSettings } from "./helpers.js";
+
+/**
+ * Open the extension options page
+ * @param {import('@playwright/test').BrowserContext} context
+ * @param {string} extensionId
+ */
+async function openOptions(context, extensionId) {
+  const optionsPage = await context.newPage();
+  await optionsPage.goto(`chrome-extension://${extensionId}/options.html`);
+  await optionsPage.waitForLoadState("networkidle");
+  return optionsPage;
+}
+
+test.describe("Virtual Keyboard - Settings Backup", () => {
+  test("exports settings as a versioned file", async ({
+    context,
+    extensionId,
+  }) => {
+    await setStorageSettings(context, extensionId, {
+      autostart: true,
+      keyboardZoomWidth: 80,
+    });
+    const optionsPage = await openOptions(context, extensionId);
+
+    const downloadPromise = optionsPage.waitForEvent("download");
+    await optionsPage.click("#backupSettings");
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toMatch(
+      /^virtual-keyboard-settings-.*\.json$/
+    );
+
+    const chunks = [];
+    for await (const chunk of await download.createReadStream()) {
+      chunks.push(chunk);
+    }
+    const bundle = JSON.parse(Buffer.concat(chunks).toString());
+    expect(bundle.format).toBe("virtual-keyboard-settings");
+    expect(bundle.version).toBe(1);
+    expect(bundle.settings.autostart).toBe(true);
+    expect(bundle.settings.keyboardZoomWidth).toBe(80);
+    expect(bundle.settings.openedFirstTime).toBeUndefined();
+    await optionsPage.close();
+  });
+
+  test("imports a backup and updates the page", async ({
+    context,
+    extensionId,
+  }) => {
+    const optionsPage = await openOptions(context, extensionId);
+    await optionsPage.setInputFiles("#restoreSettingsFile", {
+      name: "backup.json",
+      mimeType: "application/json",
+      buffer: Buffer.from(
+        JSON.stringify({
+          format: "virtual-keyboard-settings",
+          version: 1,
+          settings: { stickyShift: true, keyboardZoomWidth: 90 },
+        })
+      ),
+    });
+
+    await expect(optionsPage.locator("#backupStatus")).toHaveText(
+      "Settings restored"
+    );
+    await expect(optionsPage.locator("#stickyShift")).toBeChecked();
+    await expect(optionsPage.locator("#keyboardZoomWidth")).toHaveValue("90");
+    await optionsPage.close();
+  });
+
+  test("rejects files that aren't backups", async ({
+    context,
+    extensionId,
+  }) => {
+    const optionsPage = await openOptions(context, extensionId);
+    await optionsPage.setInputFiles("#restoreSettingsFile", {
+      name: "layout.json",
+      mimeType: "application/json",
+      buffer: Buffer.from(JSON.stringify({ name: "X", rows: [["a"]] })),
+    });
+
+    await expect(optionsPage.locator("#backupStatus")).toContainText(
+      "Not a Virtual Keyboard settings backup"
+    );
+    await optionsPage.close();
+  });
+});
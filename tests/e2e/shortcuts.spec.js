@@ -0,0 +1,77 @@
+import { expect, test } from "./fixtures.js";
+import {
+  getVisibleKeys,
+  isKeyboardOpen,
+  isUrlBarOpen,
+  setStorageSettings,
+  waitForExtension,
+  waitForKeyboardClose,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Run a shortcut command the way the background service worker does
+ * (chrome.commands can't be pressed from Playwright)
+ * @param {import('@playwright/test').BrowserContext} context
+ * @param {string} method - Message type the command relays
+ */
+async function runCommand(context, method) {
+  const [serviceWorker] = context.serviceWorkers();
+  await serviceWorker.evaluate(async (method) => {
+    const [tab] = await chrome.tabs.query({ active: true });
+    await chrome.tabs.sendMessage(tab.id, { method }, { frameId: 0 });
+  }, method);
+}
+
+test.describe("Virtual Keyboard - Shortcuts", () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+  });
+
+  test("toggle opens and closes the keyboard", async ({ context, page }) => {
+    await runCommand(context, "toggleKeyboard");
+    await waitForKeyboardOpen(page);
+
+    await runCommand(context, "toggleKeyboard");
+    await waitForKeyboardClose(page);
+    expect(await isKeyboardOpen(page)).toBe(false);
+  });
+
+  test("open URL bar opens the keyboard with its URL bar", async ({
+    context,
+    page,
+  }) => {
+    await runCommand(context, "openUrlBar");
+    await waitForKeyboardOpen(page);
+    await page.waitForTimeout(300);
+
+    expect(await isUrlBarOpen(page)).toBe(true);
+  });
+
+  test("cycle layout switches to the next layout in the list", async ({
+    context,
+    extensionId,
+    page,
+  }) => {
+    await setStorageSettings(context, extensionId, {
+      keyboardLayout1: "en",
+      keyboardLayoutsList: JSON.stringify([
+        { value: "en", name: "English" },
+        { value: "de", name: "Deutsch" },
+      ]),
+    });
+    await page.reload();
+    await waitForExtension(page);
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await runCommand(context, "cycleLayout");
+    await page.waitForTimeout(300);
+    expect(await getVisibleKeys(page)).toContain("ü");
+
+    await runCommand(context, "cycleLayout");
+    await page.waitForTimeout(300);
+    expect(await getVisibleKeys(page)).not.toContain("ü");
+  });
+});
@@ -0,0 +1,144 @@
+import { expect, test } from "./fixtures.js";
+import {
+  isNumberBarVisible,
+  isSettingsButtonVisible,
+  setStorageSettings,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+const SITE = "http://localhost:3333";
+
+/**
+ * Open the extension options page
+ * @param {import('@playwright/test').BrowserContext} context
+ * @param {string} extensionId
+ */
+async function openOptions(context, extensionId) {
+  const optionsPage = await context.newPage();
+  await optionsPage.goto(`chrome-extension://${extensionId}/options.html`);
+  await optionsPage.waitForLoadState("networkidle");
+  return optionsPage;
+}
+
+/**
+ * Read the stored site profiles
+ * @param {import('@playwright/test').BrowserContext} context
+ * @param {string} extensionId
+ * @returns {Promise<Object>}
+ */
+async function getSiteProfiles(context, extensionId) {
+  const optionsPage = await openOptions(context, extensionId);
+  const profiles = await optionsPage.evaluate(async () => {
+    const result = await chrome.storage.local.get("siteProfiles");
+    return result.siteProfiles || {};
+  });
+  await optionsPage.close();
+  return profiles;
+}
+
+test.describe("Virtual Keyboard - Site Profiles", () => {
+  test("a site's profile overrides the global settings", async ({
+    context,
+    extensionId,
+    page,
+  }) => {
+    await setStorageSettings(context, extensionId, {
+      showNumberBar: true,
+      showSettingsButton: true,
+      siteProfiles: {
+        [SITE]: { showNumberBar: false, showSettingsButton: false },
+      },
+    });
+    await page.goto(`${SITE}/index.html`);
+    await waitForExtension(page);
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    expect(await isNumberBarVisible(page)).toBe(false);
+    expect(await isSettingsButtonVisible(page)).toBe(false);
+  });
+
+  test("other sites keep the global settings", async ({
+    context,
+    extensionId,
+    page,
+  }) => {
+    await setStorageSettings(context, extensionId, {
+      showNumberBar: true,
+      siteProfiles: { [SITE]: { showNumberBar: false } },
+    });
+    await page.goto("http://127.0.0.1:3333/index.html");
+    await waitForExtension(page);
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    expect(await isNumberBarVisible(page)).toBe(true);
+  });
+
+  test("the settings key saves current settings for the site", async ({
+    context,
+    extensionId,
+    page,
+  }) => {
+    await setStorageSettings(context, extensionId, {
+      keyboardLayout1: "fr",
+      showNumberBar: false,
+    });
+    await page.goto(`${SITE}/index.html`);
+    await waitForExtension(page);
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    await page.click("#vk-settings-btn");
+    await page.click("#vk-overlay-Settings [data-action='saveSiteProfile']");
+    await page.waitForTimeout(200);
+
+    const profiles = await getSiteProfiles(context, extensionId);
+    expect(profiles[SITE].layout).toBe("fr");
+    expect(profiles[SITE].showNumberBar).toBe(false);
+  });
+
+  test("site rules can be added and deleted on the options page", async ({
+    context,
+    extensionId,
+  }) => {
+    const optionsPage = await openOptions(context, extensionId);
+    await optionsPage.fill("#siteRuleOrigin", "pos.example.com/till");
+    await optionsPage.selectOption("#siteRuleLayout", "de");
+    await optionsPage.selectOption(
+      "#siteRuleSettings [data-setting='autostart']",
+      "true"
+    );
+    await optionsPage.click("#siteRuleSave");
+    await expect(optionsPage.locator("#siteRuleStatus")).toHaveText("Saved");
+    await expect(optionsPage.locator("#siteRuleSelect")).toHaveValue(
+      "https://pos.example.com"
+    );
+
+    let profiles = await optionsPage.evaluate(async () => {
+      return (await chrome.storage.local.get("siteProfiles")).siteProfiles;
+    });
+    expect(profiles["https://pos.example.com"]).toEqual({
+      layout: "de",
+      autostart: true,
+    });
+
+    await optionsPage.click("#siteRuleDelete");
+    profiles = await optionsPage.evaluate(async () => {
+      return (await chrome.storage.local.get("siteProfiles")).siteProfiles;
+    });
+    expect(profiles).toEqual({});
+    await optionsPage.close();
+  });
+
+  test("rejects a rule with no site", async ({ context, extensionId }) => {
+    const optionsPage = await openOptions(context, extensionId);
+    await optionsPage.selectOption("#siteRuleLayout", "de");
+    await optionsPage.click("#siteRuleSave");
+    await expect(optionsPage.locator("#siteRuleStatus")).toContainText(
+      "Enter a site address"
+    );
+    await optionsPage.close();
+  });
+});
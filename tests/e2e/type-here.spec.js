@@ -0,0 +1,75 @@
+import { expect, test } from "./fixtures.js";
+import { waitForExtension, waitForKeyboardOpen } from "./helpers.js";
+
+/**
+ * Right-click an element, then pick a context menu item the way the
+ * background service worker relays it (native menus can't be clicked from
+ * Playwright)
+ * @param {import('@playwright/test').BrowserContext} context
+ * @param {import('@playwright/test').Page} page
+ * @param {string} selector
+ * @param {boolean} remember - The "Always use..." item
+ */
+async function typeHere(context, page, selector, remember) {
+  await page.click(selector, { button: "right" });
+  await page.keyboard.press("Escape");
+
+  const [serviceWorker] = context.serviceWorkers();
+  await serviceWorker.evaluate(async (remember) => {
+    const [tab] = await chrome.tabs.query({ active: true });
+    await chrome.tabs.sendMessage(
+      tab.id,
+      { method: "bindElement", remember },
+      { frameId: 0 }
+    );
+  }, remember);
+}
+
+/**
+ * Add a custom widget the keyboard doesn't detect by itself
+ * @param {import('@playwright/test').Page} page
+ */
+async function addWidget(page) {
+  await page.evaluate(() => {
+    const widget = document.createElement("div");
+    widget.id = "widget";
+    widget.style.cssText = "width: 200px; height: 50px; border: 1px solid";
+    document.body.appendChild(widget);
+  });
+}
+
+test.describe("Virtual Keyboard - Type Here", () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await addWidget(page);
+  });
+
+  test("binds an undetected element and opens the keyboard", async ({
+    context,
+    page,
+  }) => {
+    expect(await page.getAttribute("#widget", "data-vk-enabled")).toBeNull();
+
+    await typeHere(context, page, "#widget", false);
+    await waitForKeyboardOpen(page);
+
+    expect(await page.getAttribute("#widget", "data-vk-enabled")).toBe("true");
+  });
+
+  test("remembers the field for the site when asked", async ({
+    context,
+    page,
+  }) => {
+    await typeHere(context, page, "#widget", true);
+    await waitForKeyboardOpen(page);
+    await page.waitForTimeout(200);
+
+    await page.reload();
+    await waitForExtension(page);
+    await addWidget(page);
+    await page.waitForTimeout(200);
+
+    expect(await page.getAttribute("#widget", "data-vk-enabled")).toBe("true");
+  });
+});
@@ -0,0 +1,125 @@
+import { expect, test } from "./fixtures.js";
+import {
+  clickKey,
+  setStorageSettings,
+  typeWithKeyboard,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Type on the letters, then switch to the navigation layer
+ * @param {import('@playwright/test').Page} page
+ * @param {string} text
+ */
+async function typeThenShowNavigation(page, text) {
+  await typeWithKeyboard(page, text);
+  await clickKey(page, "Nav");
+}
+
+test.describe("Virtual Keyboard - Undo and Redo", () => {
+  test.beforeEach(async ({ context, extensionId, page }) => {
+    await setStorageSettings(context, extensionId, {
+      showNavigationButton: true,
+    });
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+  });
+
+  test("Undo removes a run of typing in one step", async ({ page }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await typeThenShowNavigation(page, "hello");
+
+    await clickKey(page, "Undo");
+
+    expect(await page.inputValue("#text-input")).toBe("");
+  });
+
+  test("Redo puts undone typing back", async ({ page }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await typeThenShowNavigation(page, "hello");
+
+    await clickKey(page, "Undo");
+    await clickKey(page, "Redo");
+
+    expect(await page.inputValue("#text-input")).toBe("hello");
+  });
+
+  test("Undo restores deleted text", async ({ page }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await typeWithKeyboard(page, "abc");
+    await page.waitForTimeout(1100);
+    await clickKey(page, "Backspace");
+    await clickKey(page, "Nav");
+
+    await clickKey(page, "Undo");
+
+    expect(await page.inputValue("#text-input")).toBe("abc");
+  });
+
+  test("Undo fires historyUndo input events", async ({ page }) => {
+    await page.click("#textarea");
+    await waitForKeyboardOpen(page);
+    await typeThenShowNavigation(page, "hi");
+    await page.evaluate(() => {
+      window.editEvents = [];
+      const textarea = document.querySelector("#textarea");
+      for (const type of ["beforeinput", "input"]) {
+        textarea.addEventListener(type, (e) => {
+          window.editEvents.push(`${e.type}:${e.inputType}`);
+        });
+      }
+    });
+
+    await clickKey(page, "Undo");
+
+    expect(await page.evaluate(() => window.editEvents)).toEqual([
+      "beforeinput:historyUndo",
+      "input:historyUndo",
+    ]);
+  });
+
+  test("pages handling Ctrl+Z keep their own undo", async ({ page }) => {
+    await page.evaluate(() => {
+      document.querySelector("#text-input").addEventListener("keydown", (e) => {
+        if (e.ctrlKey && e.key === "z") e.preventDefault();
+      });
+    });
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await typeThenShowNavigation(page, "kept");
+
+    await clickKey(page, "Undo");
+
+    expect(await page.inputValue("#text-input")).toBe("kept");
+  });
+
+  test("Undo works in contenteditable", async ({ page }) => {
+    await page.evaluate(() => {
+      document.querySelector("#contenteditable").textContent = "";
+    });
+    await page.click("#contenteditable");
+    await waitForKeyboardOpen(page);
+    await typeThenShowNavigation(page, "rich");
+
+    await clickKey(page, "Undo");
+
+    expect(await page.textContent("#contenteditable")).toBe("");
+  });
+
+  test("Undo leaves a field the page has changed since", async ({ page }) => {
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+    await typeThenShowNavigation(page, "typed");
+    await page.$eval("#text-input", (el) => {
+      el.value = "set by the page";
+    });
+
+    await clickKey(page, "Undo");
+
+    expect(await page.inputValue("#text-input")).toBe("set by the page");
+  });
+});
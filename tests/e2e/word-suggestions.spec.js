@@ -0,0 +1,98 @@
+import { expect, test } from "./fixtures.js";
+import {
+  setStorageSettings,
+  typeWithKeyboard,
+  waitForExtension,
+  waitForKeyboardOpen,
+} from "./helpers.js";
+
+/**
+ * Get the words currently shown in the suggestion bar
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<string[]>}
+ */
+async function getSuggestions(page) {
+  return await page.evaluate(() => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const bar = host?.shadowRoot?.querySelector("#vk-suggestion-bar");
+    if (!bar) return [];
+    return Array.from(bar.querySelectorAll(".vk-suggestion"))
+      .map((btn) => btn.dataset.suggestion)
+      .filter(Boolean);
+  });
+}
+
+/**
+ * Check if the suggestion bar is visible
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<boolean>}
+ */
+async function isSuggestionBarVisible(page) {
+  return await page.evaluate(() => {
+    const host = document.querySelector("#virtual-keyboard-host");
+    const bar = host?.shadowRoot?.querySelector("#vk-suggestion-bar");
+    return !!bar && bar.style.display !== "none";
+  });
+}
+
+test.describe("Virtual Keyboard - Word Suggestions", () => {
+  test("suggestion bar is hidden by default", async ({ page }) => {
+    await page.goto("http://localhost:3333/index.html");
+    await waitForExtension(page);
+    await page.click("#text-input");
+    await waitForKeyboardOpen(page);
+
+    expect(await isSuggestionBarVisible(page)).toBe(false);
+  });
+
+  test.describe("when enabled", () => {
+    test.beforeEach(async ({ context, extensionId, page }) => {
+      await setStorageSettings(context, extensionId, {
+        wordSuggestions: true,
+      });
+      await page.goto("http://localhost:3333/index.html");
+      await waitForExtension(page);
+    });
+
+    test("shows completions for the word being typed", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      expect(await isSuggestionBarVisible(page)).toBe(true);
+
+      await typeWithKeyboard(page, "hel");
+      expect(await getSuggestions(page)).toContain("hello");
+    });
+
+    test("clicking a suggestion completes the word", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await typeWithKeyboard(page, "say hel");
+      await page.evaluate(() => {
+        const host = document.querySelector("#virtual-keyboard-host");
+        host.shadowRoot.querySelector('[data-suggestion="hello"]').click();
+      });
+
+      await page.waitForTimeout(100);
+      expect(await page.inputValue("#text-input")).toBe("say hello ");
+      expect(await getSuggestions(page)).toEqual([]);
+    });
+
+    test("suggests previously typed words", async ({ page }) => {
+      await page.click("#text-input");
+      await waitForKeyboardOpen(page);
+
+      await typeWithKeyboard(page, "zygote zy");
+      expect(await getSuggestions(page)).toContain("zygote");
+    });
+
+    test("no suggestions in password fields", async ({ page }) => {
+      await page.click("#password-input");
+      await waitForKeyboardOpen(page);
+
+      await typeWithKeyboard(page, "hel");
+      expect(await getSuggestions(page)).toEqual([]);
+    });
+  });
+});
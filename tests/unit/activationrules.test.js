@@ -0,0 +1,194 @@
+// Unit tests for ActivationRules.js - Where the keyboard binds
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { EVENTS, off, on } from "../../src/core/events.js";
+import {
+  applyActivationRules,
+  formatActivationRules,
+  globToRegExp,
+  isFieldAllowed,
+  isPageAllowed,
+  parseActivationRules,
+} from "../../src/input/ActivationRules.js";
+import { isSupportedInput } from "../../src/input/InputBinder.js";
+import { startDocumentObserver } from "../../src/input/ShadowDOMWatcher.js";
+
+/**
+ * Create an input with the given attributes
+ * @param {Object} attrs
+ * @returns {HTMLInputElement}
+ */
+function createInput(attrs = {}) {
+  const input = document.createElement("input");
+  input.type = "text";
+  for (const [name, value] of Object.entries(attrs)) {
+    input.setAttribute(name, value);
+  }
+  return input;
+}
+
+describe("ActivationRules.js", () => {
+  afterEach(() => {
+    applyActivationRules([]);
+  });
+
+  describe("globToRegExp", () => {
+    it("should match the whole URL with * as a wildcard", () => {
+      const pattern = globToRegExp("https://*.example.com/*");
+      expect(pattern.test("https://pos.example.com/till")).toBe(true);
+      expect(pattern.test("https://example.org/")).toBe(false);
+      expect(pattern.test("http://pos.example.com/")).toBe(false);
+    });
+
+    it("should treat other characters literally", () => {
+      const pattern = globToRegExp("https://example.com/a?b=1");
+      expect(pattern.test("https://example.com/a?b=1")).toBe(true);
+      expect(pattern.test("https://example.com/ab=1")).toBe(false);
+      expect(
+        globToRegExp("https://example.com").test("https://exampleXcom")
+      ).toBe(false);
+    });
+  });
+
+  describe("isPageAllowed", () => {
+    it("should allow every page without rules", () => {
+      expect(isPageAllowed("https://example.com/")).toBe(true);
+    });
+
+    it("should block pages matching a deny rule", () => {
+      applyActivationRules([{ action: "deny", url: "https://pos.test/*" }]);
+      expect(isPageAllowed("https://pos.test/till")).toBe(false);
+      expect(isPageAllowed("https://cms.test/")).toBe(true);
+    });
+
+    it("should keep pages whose deny rule only targets some fields", () => {
+      applyActivationRules([
+        { action: "deny", url: "https://pos.test/*", selector: ".pin" },
+      ]);
+      expect(isPageAllowed("https://pos.test/till")).toBe(true);
+    });
+
+    it("should only allow pages matching an allow rule once one exists", () => {
+      applyActivationRules([{ action: "allow", url: "https://*.corp.test/*" }]);
+      expect(isPageAllowed("https://hr.corp.test/")).toBe(true);
+      expect(isPageAllowed("https://example.com/")).toBe(false);
+    });
+
+    it("should let deny rules win over allow rules", () => {
+      applyActivationRules([
+        { action: "allow", url: "https://*.corp.test/*" },
+        { action: "deny", url: "https://pos.corp.test/*" },
+      ]);
+      expect(isPageAllowed("https://hr.corp.test/")).toBe(true);
+      expect(isPageAllowed("https://pos.corp.test/")).toBe(false);
+    });
+  });
+
+  describe("isFieldAllowed", () => {
+    it("should deny fields matching a rule's selector", () => {
+      applyActivationRules([{ action: "deny", url: "*", selector: ".pin" }]);
+      expect(isFieldAllowed(createInput({ class: "pin" }))).toBe(false);
+      expect(isFieldAllowed(createInput())).toBe(true);
+    });
+
+    it("should ignore rules for other URLs", () => {
+      applyActivationRules([
+        { action: "deny", url: "https://elsewhere.test/*", selector: "input" },
+      ]);
+      expect(isFieldAllowed(createInput())).toBe(true);
+    });
+
+    it("should only allow matching fields when allow rules exist", () => {
+      applyActivationRules([
+        { action: "allow", url: "*", selector: "[name=notes]" },
+      ]);
+      expect(isFieldAllowed(createInput({ name: "notes" }))).toBe(true);
+      expect(isFieldAllowed(createInput({ name: "search" }))).toBe(false);
+    });
+
+    it("should be checked on focus, not when binding", () => {
+      applyActivationRules([{ action: "deny", url: "*", selector: ".pin" }]);
+      expect(isSupportedInput(createInput({ class: "pin" }))).toBe(true);
+    });
+
+    it("should open for fields added while the page was denied", async () => {
+      const url = location.href;
+      applyActivationRules([{ action: "deny", url: "*/checkout" }]);
+      const observer = await startDocumentObserver();
+      const focused = vi.fn();
+      on(EVENTS.INPUT_FOCUS, focused);
+
+      history.pushState({}, "", "/checkout");
+      const input = createInput();
+      document.body.append(input);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      history.pushState({}, "", "/notes");
+      input.focus();
+
+      expect(focused).toHaveBeenCalledWith(
+        expect.objectContaining({ element: input })
+      );
+      off(EVENTS.INPUT_FOCUS, focused);
+      observer.disconnect();
+      input.remove();
+      history.pushState({}, "", url);
+    });
+  });
+
+  describe("applyActivationRules", () => {
+    it("should skip invalid rules with a warning", () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      applyActivationRules([
+        { action: "block", url: "*" },
+        { action: "deny", url: "*", selector: "[[" },
+        { action: "deny", url: "https://pos.test/*" },
+      ]);
+      expect(warn).toHaveBeenCalledTimes(2);
+      expect(isPageAllowed("https://pos.test/")).toBe(false);
+      expect(isPageAllowed("https://cms.test/")).toBe(true);
+      warn.mockRestore();
+    });
+
+    it("should ignore a missing rule list", () => {
+      applyActivationRules(undefined);
+      expect(isPageAllowed("https://example.com/")).toBe(true);
+    });
+  });
+
+  describe("parseActivationRules", () => {
+    it("should read one rule per line, skipping blanks and comments", () => {
+      const { rules, errors } = parseActivationRules(
+        "# Our POS has its own keypad\n" +
+          "deny https://pos.test/*\n" +
+          "\n" +
+          "Allow https://*.corp.test/* input[type=text], textarea\n"
+      );
+      expect(errors).toEqual([]);
+      expect(rules).toEqual([
+        { action: "deny", url: "https://pos.test/*" },
+        {
+          action: "allow",
+          url: "https://*.corp.test/*",
+          selector: "input[type=text], textarea",
+        },
+      ]);
+    });
+
+    it("should report problems by line number", () => {
+      const { rules, errors } = parseActivationRules(
+        "deny https://pos.test/*\nblock *\nallow\ndeny * [["
+      );
+      expect(rules).toHaveLength(1);
+      expect(errors).toEqual([
+        'Line 2: unknown action "block" (use "allow" or "deny")',
+        "Line 3: missing URL pattern",
+        'Line 4: invalid CSS selector "[["',
+      ]);
+    });
+
+    it("should round-trip through formatActivationRules", () => {
+      const text = "deny https://pos.test/*\nallow * .notes textarea";
+      const { rules } = parseActivationRules(text);
+      expect(formatActivationRules(rules)).toBe(text);
+    });
+  });
+});
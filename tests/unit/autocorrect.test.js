@@ -0,0 +1,157 @@
+// Unit tests for Autocorrect.js - Typo correction
+import englishWords from "an-array-of-english-words";
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { MESSAGE_TYPES, TIMING } from "../../src/core/config.js";
+import {
+  buildAdjacency,
+  editDistance,
+  findCorrection,
+  ignoreWord,
+} from "../../src/prediction/Autocorrect.js";
+import { loadLexicon } from "../../src/prediction/Lexicon.js";
+import { learnWord, loadLearnedWords } from "../../src/prediction/Predictor.js";
+import { chromeMocks } from "./setup.js";
+
+describe("Autocorrect.js", () => {
+  beforeAll(async () => {
+    // The same list build.js writes to lexicons/en.txt
+    const words = new Set(englishWords.map((word) => word.toLowerCase()));
+    chrome.runtime.sendMessage.mockResolvedValueOnce({
+      text: `${[...words].sort().join("\n")}\n`,
+    });
+    await loadLexicon("en");
+  });
+
+  beforeEach(async () => {
+    chromeMocks.resetAll();
+    await loadLearnedWords();
+  });
+
+  describe("buildAdjacency", () => {
+    const rows = [
+      ["q", "w", "e", "Backspace"],
+      ["_spacer", "a", "s", "d"],
+      ["Shift", { key: "z", shift: "Z" }, "?|@"],
+    ];
+
+    it("should link keys next to each other in a row", () => {
+      const adjacency = buildAdjacency(rows);
+      expect(adjacency.get("w").has("q")).toBe(true);
+      expect(adjacency.get("w").has("e")).toBe(true);
+      expect(adjacency.get("q").has("e")).toBe(false);
+    });
+
+    it("should link keys in neighbouring rows", () => {
+      const adjacency = buildAdjacency(rows);
+      expect(adjacency.get("a").has("q")).toBe(true);
+      expect(adjacency.get("a").has("z")).toBe(true);
+      expect(adjacency.get("q").has("z")).toBe(false);
+    });
+
+    it("should skip special keys", () => {
+      const adjacency = buildAdjacency(rows);
+      expect(adjacency.has("backspace")).toBe(false);
+      expect(adjacency.has("?|@")).toBe(false);
+      expect(adjacency.get("e").has("backspace")).toBe(false);
+    });
+  });
+
+  describe("editDistance", () => {
+    it("should count insertions, deletions and substitutions", () => {
+      expect(editDistance("cat", "cat")).toBe(0);
+      expect(editDistance("cat", "cats")).toBe(1);
+      expect(editDistance("cats", "cat")).toBe(1);
+      expect(editDistance("cat", "cut")).toBe(1);
+    });
+
+    it("should count a swap of neighbouring letters as one edit", () => {
+      expect(editDistance("teh", "the")).toBe(1);
+    });
+
+    it("should make substitutions of neighbouring keys cheaper", () => {
+      const adjacency = new Map([["r", new Set(["e"])]]);
+      expect(editDistance("thr", "the", adjacency)).toBe(0.5);
+      expect(editDistance("thx", "the", adjacency)).toBe(1);
+    });
+  });
+
+  describe("findCorrection", () => {
+    it("should correct common typos", () => {
+      expect(findCorrection("teh", "en")).toBe("the");
+      expect(findCorrection("hrllo", "en")).toBe("hello");
+    });
+
+    it("should prefer neighbouring-key slips", () => {
+      // "r" sits next to "e" on QWERTY
+      expect(findCorrection("thrm", "en")).toBe("them");
+    });
+
+    it("should leave capitalised words alone", () => {
+      expect(findCorrection("Teh", "en")).toBeNull();
+      expect(findCorrection("TEH", "en")).toBeNull();
+      expect(findCorrection("Paris", "en")).toBeNull();
+    });
+
+    it("should leave dictionary words alone", () => {
+      expect(findCorrection("the", "en")).toBeNull();
+    });
+
+    it("should leave words the lexicon knows alone", () => {
+      for (const word of ["cat", "dog", "tree", "lunch", "kiosk", "went"]) {
+        expect(findCorrection(word, "en")).toBeNull();
+      }
+    });
+
+    it("should leave learned words alone", () => {
+      learnWord("thw", "en");
+      expect(findCorrection("thw", "en")).toBeNull();
+    });
+
+    it("should leave short words alone", () => {
+      expect(findCorrection("th", "en")).toBeNull();
+    });
+
+    it("should leave words with no close match alone", () => {
+      expect(findCorrection("zxqv", "en")).toBeNull();
+      // "receive" isn't in the dictionary and "believe" is too far away
+      expect(findCorrection("recieve", "en")).toBeNull();
+    });
+
+    it("should leave words alone when no candidate clearly wins", () => {
+      // One edit from both "they" and "them", which are about as common
+      expect(findCorrection("tbeh", "en")).toBeNull();
+    });
+
+    it("should fall back to the dictionary for layouts without a lexicon", () => {
+      expect(findCorrection("nicth", "de")).toBe("nicht");
+      expect(findCorrection("avce", "fr")).toBe("avec");
+      expect(findCorrection("nicht", "de")).toBeNull();
+      learnWord("wrid", "de");
+      expect(findCorrection("wrid", "de")).toBeNull();
+    });
+
+    it("should leave words alone for layouts without a dictionary", () => {
+      expect(findCorrection("teh", "kr")).toBeNull();
+    });
+  });
+
+  describe("ignoreWord", () => {
+    it("should stop correcting the word", () => {
+      expect(findCorrection("thw", "en")).toBe("the");
+      ignoreWord("thw", "en");
+      expect(findCorrection("thw", "en")).toBeNull();
+    });
+
+    it("should remember the word across sessions", async () => {
+      vi.useFakeTimers();
+      ignoreWord("thw", "en");
+      await vi.advanceTimersByTimeAsync(TIMING.LEARNED_WORDS_SAVE_DELAY);
+      vi.useRealTimers();
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        method: MESSAGE_TYPES.ADD_LEARNED_WORDS,
+        words: { en: { thw: 1 } },
+      });
+    });
+  });
+});
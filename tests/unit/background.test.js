@@ -1,6 +1,10 @@
 // Unit tests for background.js - Background service worker
 import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
-import { MESSAGE_TYPES } from "../../src/core/config.js";
+import {
+  CONTEXT_MENU_IDS,
+  MESSAGE_TYPES,
+  STORAGE_KEYS,
+} from "../../src/core/config.js";
 import { chromeMocks } from "./setup.js";
 
 describe("background.js", () => {
@@ -21,6 +25,173 @@ describe("background.js", () => {
       chromeMocks.action._triggerClicked({ id: 1, url: "https://example.com" });
 
       expect(chrome.runtime.openOptionsPage).toHaveBeenCalled();
+      expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Store build (on-demand injection)", () => {
+    beforeEach(async () => {
+      vi.resetModules();
+      chromeMocks.resetAll();
+      chrome.runtime.getManifest.mockReturnValueOnce({ manifest_version: 3 });
+      await import("../../src/background.js");
+    });
+
+    it("should inject main.js into all frames when icon clicked", async () => {
+      chromeMocks.action._triggerClicked({ id: 1, url: "https://example.com" });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.openOptionsPage).not.toHaveBeenCalled();
+      expect(chrome.scripting.executeScript).toHaveBeenCalledWith({
+        target: { tabId: 1, allFrames: true },
+        files: ["main.js"],
+      });
+    });
+
+    it("should open the keyboard when already injected", async () => {
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: true }]);
+
+      chromeMocks.action._triggerClicked({ id: 1, url: "https://example.com" });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(chrome.scripting.executeScript).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+        1,
+        { method: MESSAGE_TYPES.OPEN_FROM_BUTTON },
+        { frameId: 0 }
+      );
+    });
+
+    it("should not throw on pages that can't be scripted", async () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      chrome.scripting.executeScript.mockRejectedValueOnce(
+        new Error("Cannot access a chrome:// URL")
+      );
+
+      chromeMocks.action._triggerClicked({ id: 1, url: "chrome://newtab" });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it("should inject the keyboard for the toggle shortcut", async () => {
+      chromeMocks.commands._triggerCommand("toggle-keyboard", { id: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(chrome.scripting.executeScript).toHaveBeenCalledWith({
+        target: { tabId: 1, allFrames: true },
+        files: ["main.js"],
+      });
+      expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it("should still relay iframe messages", async () => {
+      const request = { method: MESSAGE_TYPES.OPEN_FROM_IFRAME };
+      const listener = chromeMocks.runtime._listeners.onMessage[0];
+      listener(request, {}, vi.fn());
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(1, request);
+    });
+  });
+
+  describe("Keyboard shortcuts", () => {
+    beforeEach(async () => {
+      vi.resetModules();
+      chromeMocks.resetAll();
+      await import("../../src/background.js");
+    });
+
+    it.each([
+      ["toggle-keyboard", MESSAGE_TYPES.TOGGLE_KEYBOARD],
+      ["open-url-bar", MESSAGE_TYPES.OPEN_URL_BAR],
+      ["cycle-layout", MESSAGE_TYPES.CYCLE_LAYOUT],
+    ])("should relay %s to the tab's top frame", async (command, method) => {
+      chromeMocks.commands._triggerCommand(command, { id: 2 });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+        2,
+        { method },
+        { frameId: 0 }
+      );
+    });
+
+    it("should fall back to the active tab", async () => {
+      chromeMocks.commands._triggerCommand("toggle-keyboard");
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+        1,
+        { method: MESSAGE_TYPES.TOGGLE_KEYBOARD },
+        { frameId: 0 }
+      );
+    });
+
+    it("should ignore unknown commands", async () => {
+      chromeMocks.commands._triggerCommand("do-something", { id: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it("should not throw on pages without the keyboard", async () => {
+      chrome.tabs.sendMessage.mockRejectedValueOnce(
+        new Error("Receiving end does not exist")
+      );
+
+      chromeMocks.commands._triggerCommand("cycle-layout", { id: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("Context menu", () => {
+    beforeEach(async () => {
+      vi.resetModules();
+      chromeMocks.resetAll();
+      await import("../../src/background.js");
+    });
+
+    it("should create the menu items on install", () => {
+      chromeMocks.runtime._triggerInstalled();
+
+      expect(chrome.contextMenus.create).toHaveBeenCalledWith({
+        id: CONTEXT_MENU_IDS.TYPE_HERE,
+        title: "Type here with virtual keyboard",
+        contexts: ["all"],
+      });
+      expect(chrome.contextMenus.create).toHaveBeenCalledTimes(2);
+    });
+
+    it("should ask the right-clicked frame to bind the element", async () => {
+      chromeMocks.contextMenus._triggerClicked(
+        { menuItemId: CONTEXT_MENU_IDS.TYPE_HERE, frameId: 5 },
+        { id: 1 }
+      );
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+        1,
+        { method: MESSAGE_TYPES.BIND_ELEMENT, remember: false },
+        { frameId: 5 }
+      );
+    });
+
+    it("should ask to remember the field from the always item", async () => {
+      chromeMocks.contextMenus._triggerClicked(
+        { menuItemId: CONTEXT_MENU_IDS.ALWAYS_TYPE_HERE, frameId: 0 },
+        { id: 1 }
+      );
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+        1,
+        { method: MESSAGE_TYPES.BIND_ELEMENT, remember: true },
+        { frameId: 0 }
+      );
     });
   });
 
@@ -210,4 +381,135 @@ describe("background.js", () => {
       expect(sendResponse).toHaveBeenCalledWith({ success: true });
     });
   });
+
+  describe("Learned words", () => {
+    beforeEach(async () => {
+      vi.resetModules();
+      chromeMocks.resetAll();
+      await import("../../src/background.js");
+    });
+
+    it("should add counts to the stored words and return them", async () => {
+      chromeMocks.storage._set({
+        [STORAGE_KEYS.LEARNED_WORDS]: { en: { kiosk: 1 } },
+      });
+      const sendResponse = vi.fn();
+      const listener = chromeMocks.runtime._listeners.onMessage[0];
+      listener(
+        {
+          method: MESSAGE_TYPES.ADD_LEARNED_WORDS,
+          words: { en: { kiosk: 2 } },
+        },
+        {},
+        sendResponse
+      );
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(sendResponse).toHaveBeenCalledWith({
+        words: { en: { kiosk: 3 } },
+      });
+    });
+
+    it("should clear the stored words", async () => {
+      chromeMocks.storage._set({
+        [STORAGE_KEYS.LEARNED_WORDS]: { en: { kiosk: 1 } },
+      });
+      const listener = chromeMocks.runtime._listeners.onMessage[0];
+      listener({ method: MESSAGE_TYPES.CLEAR_LEARNED_WORDS }, {}, vi.fn());
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(
+        chromeMocks.storage.local._get()[STORAGE_KEYS.LEARNED_WORDS]
+      ).toEqual({});
+    });
+  });
+
+  describe("Clipboard permission", () => {
+    const request = { method: MESSAGE_TYPES.REQUEST_CLIPBOARD_READ };
+
+    beforeEach(async () => {
+      vi.resetModules();
+      chromeMocks.resetAll();
+      await import("../../src/background.js");
+    });
+
+    /**
+     * Send the request and wait for the response
+     * @returns {Promise<Object>}
+     */
+    async function requestClipboardRead() {
+      const sendResponse = vi.fn();
+      const listener = chromeMocks.runtime._listeners.onMessage[0];
+      listener(request, {}, sendResponse);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return sendResponse.mock.calls[0][0];
+    }
+
+    it("should report a granted permission", async () => {
+      chrome.permissions.contains.mockResolvedValueOnce(true);
+
+      expect(await requestClipboardRead()).toEqual({ granted: true });
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    it("should open the settings page the first time only", async () => {
+      expect(await requestClipboardRead()).toEqual({ granted: false });
+      expect(await requestClipboardRead()).toEqual({ granted: false });
+
+      expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.create).toHaveBeenCalledWith({
+        url: "chrome-extension://test-extension/options.html#clipboard",
+      });
+    });
+  });
+
+  describe("Lexicons", () => {
+    beforeEach(async () => {
+      vi.resetModules();
+      chromeMocks.resetAll();
+      await import("../../src/background.js");
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    /**
+     * Ask for a dictionary's word list and wait for the response
+     * @param {string} dictionaryId
+     * @returns {Promise<Object>}
+     */
+    async function getLexicon(dictionaryId) {
+      const sendResponse = vi.fn();
+      const listener = chromeMocks.runtime._listeners.onMessage[0];
+      listener(
+        { method: MESSAGE_TYPES.GET_LEXICON, dictionaryId },
+        {},
+        sendResponse
+      );
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return sendResponse.mock.calls[0][0];
+    }
+
+    it("should read the word list from the extension", async () => {
+      const fetch = vi.fn(async () => ({
+        ok: true,
+        text: async () => "a\nb\n",
+      }));
+      vi.stubGlobal("fetch", fetch);
+
+      expect(await getLexicon("en")).toEqual({ text: "a\nb\n" });
+      expect(fetch).toHaveBeenCalledWith(
+        "chrome-extension://test-extension/lexicons/en.txt"
+      );
+    });
+
+    it("should only read lists that were built", async () => {
+      const fetch = vi.fn();
+      vi.stubGlobal("fetch", fetch);
+
+      expect(await getLexicon("../manifest")).toEqual({ text: null });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
 });
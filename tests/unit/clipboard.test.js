@@ -0,0 +1,51 @@
+// Unit tests for Clipboard.js - Copy, Cut and Paste keys
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { MESSAGE_TYPES } from "../../src/core/config.js";
+import { readClipboard, writeClipboard } from "../../src/keyboard/Clipboard.js";
+
+describe("Clipboard.js", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("should read back what was written", async () => {
+    let stored = "";
+    vi.spyOn(navigator.clipboard, "writeText").mockImplementation(
+      async (text) => {
+        stored = text;
+      }
+    );
+    vi.spyOn(navigator.clipboard, "readText").mockImplementation(
+      async () => stored
+    );
+
+    await writeClipboard("copied");
+    expect(stored).toBe("copied");
+    expect(await readClipboard()).toBe("copied");
+  });
+
+  it("should read the system clipboard", async () => {
+    vi.spyOn(navigator.clipboard, "readText").mockResolvedValue("from page");
+    expect(await readClipboard()).toBe("from page");
+  });
+
+  it("should fall back to the last copied text when blocked", async () => {
+    const blocked = new DOMException("Blocked", "NotAllowedError");
+    vi.spyOn(navigator.clipboard, "writeText").mockRejectedValue(blocked);
+    vi.spyOn(navigator.clipboard, "readText").mockRejectedValue(blocked);
+
+    await writeClipboard("kept");
+    expect(await readClipboard()).toBe("kept");
+  });
+
+  it("should ask for the clipboardRead permission on Paste", async () => {
+    vi.spyOn(navigator.clipboard, "readText").mockResolvedValue("");
+    chrome.runtime.sendMessage.mockClear();
+
+    await readClipboard();
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      method: MESSAGE_TYPES.REQUEST_CLIPBOARD_READ,
+    });
+  });
+});
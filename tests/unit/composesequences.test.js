@@ -0,0 +1,65 @@
+// Unit tests for ComposeSequences.js - dead keys and the Compose key
+import { describe, expect, it } from "vitest";
+import {
+  getDeadKeys,
+  matchSequence,
+} from "../../src/keyboard/ComposeSequences.js";
+import { getLayout, layouts } from "../../src/layouts/layouts.js";
+
+const TABLE = {
+  "´e": "é",
+  "o/": "ø",
+  oe: "œ",
+  "<<": "«",
+};
+
+describe("ComposeSequences.js", () => {
+  describe("matchSequence", () => {
+    it("should find complete sequences", () => {
+      expect(matchSequence(TABLE, "´e")).toEqual({ text: "é", partial: false });
+      expect(matchSequence(TABLE, "o/")).toEqual({ text: "ø", partial: false });
+    });
+
+    it("should report sequences still being typed", () => {
+      expect(matchSequence(TABLE, "o")).toEqual({ text: null, partial: true });
+      expect(matchSequence(TABLE, "´")).toEqual({ text: null, partial: true });
+    });
+
+    it("should report keys that can't continue a sequence", () => {
+      expect(matchSequence(TABLE, "´x")).toEqual({
+        text: null,
+        partial: false,
+      });
+    });
+
+    it("should uppercase the lowercase entry for uppercase letters", () => {
+      expect(matchSequence(TABLE, "´E").text).toBe("É");
+      expect(matchSequence(TABLE, "O/").text).toBe("Ø");
+      expect(matchSequence(TABLE, "O").partial).toBe(true);
+    });
+  });
+
+  describe("getDeadKeys", () => {
+    it("should collect dead keys and their shifted characters", () => {
+      expect(getDeadKeys(getLayout("de"))).toEqual(new Set(["´", "`"]));
+      expect(getDeadKeys(getLayout("fr"))).toEqual(new Set(["^", "¨"]));
+    });
+
+    it("should be empty for layouts without dead keys", () => {
+      expect(getDeadKeys(getLayout("en")).size).toBe(0);
+      expect(getDeadKeys(null).size).toBe(0);
+    });
+  });
+
+  describe("layout compose tables", () => {
+    it("should start a sequence with every dead key", () => {
+      for (const [id, layout] of Object.entries(layouts)) {
+        for (const deadKey of getDeadKeys(layout)) {
+          expect(matchSequence(layout.compose ?? {}, deadKey).partial, id).toBe(
+            true
+          );
+        }
+      }
+    });
+  });
+});
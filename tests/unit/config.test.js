@@ -1,6 +1,7 @@
 // Unit tests for config.js - Configuration constants
 import { describe, expect, it } from "vitest";
 import {
+  COMMANDS,
   CSS_CLASSES,
   DEFAULT_BOTTOM_ROW,
   DOM_IDS,
@@ -8,6 +9,9 @@ import {
   KEY_TYPES,
   KEYBOARD,
   MESSAGE_TYPES,
+  NAVIGATION_KEYS,
+  SETTING_TYPES,
+  SITE_PROFILE_SETTINGS,
   SPECIAL_KEYS,
   STORAGE_KEYS,
   TIMING,
@@ -22,6 +26,8 @@ describe("config.js", () => {
       expect(DOM_IDS.MAIN_KBD_PLACEHOLDER).toBe("vk-main-kbd-ph");
       expect(DOM_IDS.MAIN_NUMBERS).toBe("vk-main-numbers");
       expect(DOM_IDS.NUMBER_BAR_INPUT).toBe("vk-number-bar-input");
+      expect(DOM_IDS.DIGITS_INPUT).toBe("vk-digits-input");
+      expect(DOM_IDS.DATE_TIME_INPUT).toBe("vk-date-time-input");
       expect(DOM_IDS.SCROLL_EXTEND).toBe("vk-scroll-extend");
       expect(DOM_IDS.URL_BAR).toBe("vk-url-bar");
       expect(DOM_IDS.URL_BAR_TEXTBOX).toBe("vk-url-bar-textbox");
@@ -112,10 +118,15 @@ describe("config.js", () => {
       expect(INPUT_TYPES).toContain("number");
       expect(INPUT_TYPES).toContain("tel");
       expect(INPUT_TYPES).toContain("url");
+      expect(INPUT_TYPES).toContain("date");
+      expect(INPUT_TYPES).toContain("time");
+      expect(INPUT_TYPES).toContain("datetime-local");
+      expect(INPUT_TYPES).toContain("month");
+      expect(INPUT_TYPES).toContain("week");
     });
 
-    it("should have exactly 7 types", () => {
-      expect(INPUT_TYPES).toHaveLength(7);
+    it("should have exactly 12 types", () => {
+      expect(INPUT_TYPES).toHaveLength(12);
     });
   });
 
@@ -131,6 +142,36 @@ describe("config.js", () => {
       expect(SPECIAL_KEYS.SHIFT).toBe("Shift");
       expect(SPECIAL_KEYS.BACKSPACE).toBe("Backspace");
       expect(SPECIAL_KEYS.SPACE).toBe("Space");
+      expect(SPECIAL_KEYS.PREV_SEGMENT).toBe("PrevSegment");
+      expect(SPECIAL_KEYS.NEXT_SEGMENT).toBe("NextSegment");
+      expect(SPECIAL_KEYS.PREV_FIELD).toBe("PrevField");
+      expect(SPECIAL_KEYS.NEXT_FIELD).toBe("NextField");
+      expect(SPECIAL_KEYS.NAVIGATION).toBe("Nav");
+      expect(SPECIAL_KEYS.SELECT_ALL).toBe("SelectAll");
+      expect(SPECIAL_KEYS.COPY).toBe("Copy");
+      expect(SPECIAL_KEYS.CUT).toBe("Cut");
+      expect(SPECIAL_KEYS.PASTE).toBe("Paste");
+      expect(SPECIAL_KEYS.UNDO).toBe("Undo");
+      expect(SPECIAL_KEYS.REDO).toBe("Redo");
+    });
+  });
+
+  describe("NAVIGATION_KEYS", () => {
+    it("should send the key codes of the matching hardware keys", () => {
+      expect(NAVIGATION_KEYS.ArrowUp.keyCode).toBe(38);
+      expect(NAVIGATION_KEYS.Home.key).toBe("Home");
+      expect(NAVIGATION_KEYS.Escape.keyCode).toBe(27);
+    });
+
+    it("should send modifiers for word jumps and Shift+Tab", () => {
+      expect(NAVIGATION_KEYS.WordLeft).toMatchObject({
+        key: "ArrowLeft",
+        ctrlKey: true,
+      });
+      expect(NAVIGATION_KEYS.ShiftTab).toMatchObject({
+        key: "Tab",
+        shiftKey: true,
+      });
     });
   });
 
@@ -151,6 +192,25 @@ describe("config.js", () => {
       expect(STORAGE_KEYS.KEYBOARD_POSITION).toBe("keyboardPosition");
       expect(STORAGE_KEYS.AUTOSTART).toBe("autostart");
       expect(STORAGE_KEYS.STICKY_SHIFT).toBe("stickyShift");
+      expect(STORAGE_KEYS.SITE_PROFILES).toBe("siteProfiles");
+    });
+  });
+
+  describe("SITE_PROFILE_SETTINGS", () => {
+    it("should map each overridable setting to its storage key", () => {
+      expect(SITE_PROFILE_SETTINGS.layout).toBe(STORAGE_KEYS.KEYBOARD_LAYOUT);
+      expect(SITE_PROFILE_SETTINGS.autoCaps).toBe(STORAGE_KEYS.AUTO_CAPS);
+      for (const key of Object.values(SITE_PROFILE_SETTINGS)) {
+        expect(Object.values(STORAGE_KEYS)).toContain(key);
+      }
+    });
+  });
+
+  describe("SETTING_TYPES", () => {
+    it("should give every storage key a type", () => {
+      expect(Object.keys(SETTING_TYPES).sort()).toEqual(
+        Object.values(STORAGE_KEYS).sort()
+      );
     });
   });
 
@@ -160,10 +220,20 @@ describe("config.js", () => {
       expect(MESSAGE_TYPES.CLICK_FROM_IFRAME).toBe("clickFromIframe");
       expect(MESSAGE_TYPES.OPEN_FROM_BUTTON).toBe("openFromButton");
       expect(MESSAGE_TYPES.OPEN_URL_BAR).toBe("openUrlBar");
+      expect(MESSAGE_TYPES.TOGGLE_KEYBOARD).toBe("toggleKeyboard");
+      expect(MESSAGE_TYPES.CYCLE_LAYOUT).toBe("cycleLayout");
       expect(MESSAGE_TYPES.KEYBOARD_STATE_CHANGE).toBe("keyboardStateChange");
     });
   });
 
+  describe("COMMANDS", () => {
+    it("should map each shortcut command to a message type", () => {
+      expect(COMMANDS["toggle-keyboard"]).toBe(MESSAGE_TYPES.TOGGLE_KEYBOARD);
+      expect(COMMANDS["open-url-bar"]).toBe(MESSAGE_TYPES.OPEN_URL_BAR);
+      expect(COMMANDS["cycle-layout"]).toBe(MESSAGE_TYPES.CYCLE_LAYOUT);
+    });
+  });
+
   describe("KEY_TYPES", () => {
     it("should define Backspace key", () => {
       expect(KEY_TYPES.Backspace.class).toContain("vk-key");
@@ -173,6 +243,7 @@ describe("config.js", () => {
     it("should define BackspaceSmall key", () => {
       expect(KEY_TYPES.BackspaceSmall.class).toContain("vk-key");
       expect(KEY_TYPES.BackspaceSmall.icon).toBe("backspace");
+      expect(KEY_TYPES.BackspaceSmall.dataKey).toBe("Backspace");
     });
 
     it("should define Enter keys", () => {
@@ -194,10 +265,11 @@ describe("config.js", () => {
       expect(KEY_TYPES.Close.icon).toBe("close");
     });
 
-    it("should define Settings key with ID", () => {
+    it("should define Settings key with ID and menu", () => {
       expect(KEY_TYPES.Settings.icon).toBe("settings");
       expect(KEY_TYPES.Settings.attrs.id).toBe(DOM_IDS.SETTINGS_BUTTON);
-      expect(KEY_TYPES.Settings.dataKey).toBe("OpenSettings");
+      expect(KEY_TYPES.Settings.attrs["data-menu"]).toBe("Settings");
+      expect(KEY_TYPES.Settings.noClick).toBe(true);
     });
 
     it("should define Language key with menu", () => {
@@ -205,6 +277,29 @@ describe("config.js", () => {
       expect(KEY_TYPES.Language.noClick).toBe(true);
     });
 
+    it("should define field navigation keys", () => {
+      expect(KEY_TYPES.PrevField.dataKey).toBe(SPECIAL_KEYS.PREV_FIELD);
+      expect(KEY_TYPES.NextField.dataKey).toBe(SPECIAL_KEYS.NEXT_FIELD);
+      expect(KEY_TYPES.PrevField.label).toBe("Prev");
+      expect(KEY_TYPES.NextField.label).toBe("Next");
+    });
+
+    it("should define selection and clipboard keys", () => {
+      expect(KEY_TYPES.SelectAll.dataKey).toBe(SPECIAL_KEYS.SELECT_ALL);
+      expect(KEY_TYPES.Copy.dataKey).toBe(SPECIAL_KEYS.COPY);
+      expect(KEY_TYPES.Cut.dataKey).toBe(SPECIAL_KEYS.CUT);
+      expect(KEY_TYPES.Paste.dataKey).toBe(SPECIAL_KEYS.PASTE);
+    });
+
+    it("should define undo and redo keys", () => {
+      expect(KEY_TYPES.Undo.dataKey).toBe(SPECIAL_KEYS.UNDO);
+      expect(KEY_TYPES.Redo.dataKey).toBe(SPECIAL_KEYS.REDO);
+    });
+
+    it("should define Nav key", () => {
+      expect(KEY_TYPES.Nav.dataKey).toBe(SPECIAL_KEYS.NAVIGATION);
+    });
+
     it("should define Url key", () => {
       expect(KEY_TYPES.Url.label).toBe("URL");
       expect(KEY_TYPES.Url.dataKey).toBe("Url");
@@ -220,6 +315,7 @@ describe("config.js", () => {
     it("should have correct order", () => {
       expect(DEFAULT_BOTTOM_ROW).toEqual([
         "&123",
+        "Nav",
         "Language",
         "Space",
         "Voice",
@@ -229,8 +325,8 @@ describe("config.js", () => {
       ]);
     });
 
-    it("should have 7 keys", () => {
-      expect(DEFAULT_BOTTOM_ROW).toHaveLength(7);
+    it("should have 8 keys", () => {
+      expect(DEFAULT_BOTTOM_ROW).toHaveLength(8);
     });
   });
 });
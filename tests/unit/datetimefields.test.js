@@ -0,0 +1,203 @@
+// Unit tests for DateTimeFields.js - Segment entry for date/time inputs
+import { describe, expect, it } from "vitest";
+import {
+  beginReporting,
+  clearSegment,
+  endReporting,
+  getSegmentAt,
+  isComplete,
+  isDateTimeType,
+  moveSegment,
+  reportValue,
+  toEditText,
+  typeDigit,
+} from "../../src/input/DateTimeFields.js";
+
+/**
+ * Type digits into a field from its first segment
+ * @param {string} type
+ * @param {string} digits
+ * @param {string} [text] - Starting text, defaults to the placeholders
+ * @returns {{text: string, index: number, typed: number}}
+ */
+function typeDigits(type, digits, text = toEditText("", type)) {
+  let state = { text, index: 0, typed: 0 };
+  for (const digit of digits) {
+    state = typeDigit(state.text, type, state.index, state.typed, digit);
+  }
+  return state;
+}
+
+describe("DateTimeFields.js", () => {
+  describe("isDateTimeType", () => {
+    it("should cover the date and time input types", () => {
+      for (const type of ["date", "time", "datetime-local", "month", "week"]) {
+        expect(isDateTimeType(type)).toBe(true);
+      }
+      expect(isDateTimeType("text")).toBe(false);
+      expect(isDateTimeType("number")).toBe(false);
+      expect(isDateTimeType(null)).toBe(false);
+    });
+  });
+
+  describe("toEditText", () => {
+    it("should show placeholders for an empty value", () => {
+      expect(toEditText("", "date")).toBe("yyyy-mm-dd");
+      expect(toEditText("", "time")).toBe("hh:mm");
+      expect(toEditText("", "datetime-local")).toBe("yyyy-mm-ddThh:mm");
+      expect(toEditText("", "month")).toBe("yyyy-mm");
+      expect(toEditText("", "week")).toBe("yyyy-Www");
+    });
+
+    it("should keep a valid value", () => {
+      expect(toEditText("2024-03-09", "date")).toBe("2024-03-09");
+      expect(toEditText("2024-W07", "week")).toBe("2024-W07");
+    });
+
+    it("should drop seconds the pad doesn't enter", () => {
+      expect(toEditText("14:05:30", "time")).toBe("14:05");
+      expect(toEditText("2024-03-09T14:05:30.5", "datetime-local")).toBe(
+        "2024-03-09T14:05"
+      );
+    });
+  });
+
+  describe("typeDigit", () => {
+    it("should write values in the format each type requires", () => {
+      expect(typeDigits("date", "20240309").text).toBe("2024-03-09");
+      expect(typeDigits("time", "1405").text).toBe("14:05");
+      expect(typeDigits("datetime-local", "202403091405").text).toBe(
+        "2024-03-09T14:05"
+      );
+      expect(typeDigits("month", "202411").text).toBe("2024-11");
+      expect(typeDigits("week", "202407").text).toBe("2024-W07");
+    });
+
+    it("should show a partly typed segment", () => {
+      const state = typeDigits("date", "20");
+      expect(state.text).toBe("20yy-mm-dd");
+      expect(state.index).toBe(0);
+      expect(state.typed).toBe(2);
+    });
+
+    it("should move on as soon as a digit can't start a longer value", () => {
+      expect(typeDigits("date", "202439").text).toBe("2024-03-09");
+      expect(typeDigits("time", "76").text).toBe("07:06");
+    });
+
+    it("should clamp segments to their range", () => {
+      expect(typeDigits("time", "1").text).toBe("1h:mm");
+      expect(typeDigits("time", "19").text).toBe("19:mm");
+      expect(typeDigits("date", "0000").text).toBe("0001-mm-dd");
+      expect(typeDigits("date", "202400").text).toBe("2024-01-dd");
+    });
+
+    it("should clamp the day to the month", () => {
+      expect(typeDigits("date", "2023022").text).toBe("2023-02-2d");
+      expect(typeDigits("date", "20230230").text).toBe("2023-02-28");
+      expect(typeDigits("date", "20240231").text).toBe("2024-02-29");
+      expect(typeDigits("date", "20240431").text).toBe("2024-04-30");
+    });
+
+    it("should clamp the week to the year", () => {
+      expect(typeDigits("week", "202053").text).toBe("2020-W53");
+      expect(typeDigits("week", "202453").text).toBe("2024-W52");
+    });
+
+    it("should stay on the last segment", () => {
+      const state = typeDigits("time", "1405");
+      expect(state.index).toBe(1);
+      expect(state.typed).toBe(0);
+    });
+  });
+
+  describe("moveSegment", () => {
+    it("should commit a partly typed segment", () => {
+      const state = typeDigits("date", "2024");
+      const typed = typeDigit(state.text, "date", state.index, 0, "1");
+      expect(moveSegment(typed.text, "date", 1, 1, 1)).toEqual({
+        text: "2024-01-dd",
+        index: 2,
+        typed: 0,
+      });
+    });
+
+    it("should stop at the first and last segments", () => {
+      expect(moveSegment("hh:mm", "time", 0, 0, -1).index).toBe(0);
+      expect(moveSegment("hh:mm", "time", 1, 0, 1).index).toBe(1);
+    });
+  });
+
+  describe("clearSegment", () => {
+    it("should clear the current segment", () => {
+      expect(clearSegment("2024-03-09", "date", 1)).toEqual({
+        text: "2024-mm-09",
+        index: 1,
+        typed: 0,
+      });
+    });
+
+    it("should clear the previous segment when the current one is empty", () => {
+      expect(clearSegment("2024-03-dd", "date", 2)).toEqual({
+        text: "2024-mm-dd",
+        index: 1,
+        typed: 0,
+      });
+    });
+  });
+
+  describe("isComplete", () => {
+    it("should only accept fully entered values", () => {
+      expect(isComplete("2024-03-09", "date")).toBe(true);
+      expect(isComplete("2024-03-dd", "date")).toBe(false);
+      expect(isComplete("14:05", "time")).toBe(true);
+      expect(isComplete("14:0", "time")).toBe(false);
+    });
+  });
+
+  describe("getSegmentAt", () => {
+    it("should find the segment under the cursor", () => {
+      expect(getSegmentAt("date", 0)).toBe(0);
+      expect(getSegmentAt("date", 5)).toBe(1);
+      expect(getSegmentAt("date", 8)).toBe(2);
+      expect(getSegmentAt("datetime-local", 11)).toBe(3);
+      expect(getSegmentAt("date", 10)).toBe(2);
+    });
+  });
+
+  describe("reporting", () => {
+    it("should tell when a field no longer has the value the page saw", () => {
+      const element = document.createElement("input");
+      element.value = "2024-03-09";
+      beginReporting(element);
+
+      element.value = "";
+      expect(endReporting(element)).toBe(true);
+    });
+
+    it("should track the last complete value reported", () => {
+      const element = document.createElement("input");
+      beginReporting(element);
+      reportValue(element, "2024-03-09");
+
+      element.value = "2024-03-09";
+      expect(endReporting(element)).toBe(false);
+    });
+
+    it("should keep the first value when entry begins again", () => {
+      const element = document.createElement("input");
+      beginReporting(element);
+      element.value = "2024-mm-dd";
+      beginReporting(element);
+
+      element.value = "";
+      expect(endReporting(element)).toBe(false);
+    });
+
+    it("should ignore fields that were never entered", () => {
+      const element = document.createElement("input");
+      element.value = "14:05";
+      expect(endReporting(element)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+// Unit tests for EditHistory.js - Undo and Redo keys
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  canRedo,
+  canUndo,
+  recordEdit,
+  redo,
+  undo,
+} from "../../src/keyboard/EditHistory.js";
+
+/**
+ * Type text into an input the way the keyboard does, recording each edit
+ * @param {HTMLInputElement} input
+ * @param {string} text
+ */
+function type(input, text) {
+  for (const char of text) {
+    recordEdit(input, "insert");
+    input.setRangeText(char, input.selectionStart, input.selectionEnd, "end");
+  }
+}
+
+/**
+ * Create an input and attach it to the page
+ * @returns {HTMLInputElement}
+ */
+function createInput() {
+  document.body.innerHTML = "<input>";
+  return document.body.firstElementChild;
+}
+
+describe("EditHistory.js", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    document.body.innerHTML = "";
+  });
+
+  it("should have nothing to undo for an untouched field", () => {
+    const input = createInput();
+    expect(canUndo(input)).toBe(false);
+    expect(undo(input)).toBe(false);
+  });
+
+  it("should undo a run of typing as one step", () => {
+    const input = createInput();
+    type(input, "hello");
+
+    expect(undo(input)).toBe(true);
+    expect(input.value).toBe("");
+    expect(canUndo(input)).toBe(false);
+  });
+
+  it("should start a new step after a pause", () => {
+    vi.useFakeTimers();
+    const input = createInput();
+    type(input, "one");
+    vi.advanceTimersByTime(2000);
+    type(input, " two");
+
+    undo(input);
+    expect(input.value).toBe("one");
+    expect(input.selectionStart).toBe(3);
+  });
+
+  it("should start a new step when switching from typing to deleting", () => {
+    const input = createInput();
+    type(input, "abc");
+    recordEdit(input, "delete");
+    input.value = "ab";
+
+    undo(input);
+    expect(input.value).toBe("abc");
+    undo(input);
+    expect(input.value).toBe("");
+  });
+
+  it("should keep other edits as separate steps", () => {
+    const input = createInput();
+    recordEdit(input);
+    input.value = "pasted";
+    recordEdit(input);
+    input.value = "pasted twice";
+
+    undo(input);
+    expect(input.value).toBe("pasted");
+  });
+
+  it("should redo undone steps", () => {
+    const input = createInput();
+    type(input, "hi");
+    undo(input);
+
+    expect(canRedo(input)).toBe(true);
+    expect(redo(input)).toBe(true);
+    expect(input.value).toBe("hi");
+    expect(input.selectionStart).toBe(2);
+    expect(canRedo(input)).toBe(false);
+  });
+
+  it("should drop the redo steps on a new edit", () => {
+    const input = createInput();
+    type(input, "hi");
+    undo(input);
+    type(input, "x");
+
+    expect(canRedo(input)).toBe(false);
+  });
+
+  it("should restore contenteditable content and cursor", () => {
+    document.body.innerHTML =
+      '<div contenteditable="true"><p>one</p><p>two</p></div>';
+    const editor = document.body.firstElementChild;
+    const text = editor.querySelectorAll("p")[1].firstChild;
+    const selection = window.getSelection();
+    const range = document.createRange();
+    range.setStart(text, 1);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    recordEdit(editor, "insert");
+    text.data = "tXwo";
+
+    undo(editor);
+    expect(editor.innerHTML).toBe("<p>one</p><p>two</p>");
+    const restored = window.getSelection().getRangeAt(0);
+    expect(restored.startContainer.data).toBe("two");
+    expect(restored.startOffset).toBe(1);
+  });
+
+  it("should drop the history when the field is changed another way", async () => {
+    const input = createInput();
+    type(input, "hello");
+    await Promise.resolve();
+
+    input.value = "set by the page";
+
+    expect(canUndo(input)).toBe(false);
+    expect(undo(input)).toBe(false);
+    expect(input.value).toBe("set by the page");
+  });
+
+  it("should keep the history through the page's own input handling", async () => {
+    const input = createInput();
+    type(input, "hi");
+    // e.g. a page uppercasing the value in its input handler
+    input.value = input.value.toUpperCase();
+    await Promise.resolve();
+
+    expect(undo(input)).toBe(true);
+    expect(input.value).toBe("");
+  });
+
+  it("should keep contenteditable markup outside the undone text", () => {
+    document.body.innerHTML =
+      '<div contenteditable="true"><b>bold</b> text</div>';
+    const editor = document.body.firstElementChild;
+    const text = editor.lastChild;
+    const range = document.createRange();
+    range.setStart(text, 5);
+    range.collapse(true);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+
+    recordEdit(editor, "insert");
+    text.data = " texts";
+
+    undo(editor);
+    expect(editor.innerHTML).toBe("<b>bold</b> text");
+  });
+
+  it("should undo a line break in contenteditable", () => {
+    document.body.innerHTML = '<div contenteditable="true">ab</div>';
+    const editor = document.body.firstElementChild;
+    const range = document.createRange();
+    range.setStart(editor.firstChild, 1);
+    range.collapse(true);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+
+    recordEdit(editor);
+    const text = editor.firstChild;
+    text.after(document.createElement("br"), text.splitText(1));
+
+    expect(editor.innerHTML).toBe("a<br>b");
+    undo(editor);
+    expect(editor.textContent).toBe("ab");
+    expect(editor.querySelector("br")).toBeNull();
+    redo(editor);
+    expect(editor.querySelectorAll("br")).toHaveLength(1);
+  });
+
+  it("should undo contenteditable without firing edit events of its own", () => {
+    document.body.innerHTML = '<div contenteditable="true">one</div>';
+    const editor = document.body.firstElementChild;
+    // Browsers fire beforeinput/input for execCommand edits
+    const execCommand = vi.fn((command) => {
+      editor.dispatchEvent(
+        new InputEvent("beforeinput", { inputType: command })
+      );
+      editor.dispatchEvent(new InputEvent("input", { inputType: command }));
+      return false;
+    });
+    document.execCommand = execCommand;
+    const events = [];
+    for (const type of ["beforeinput", "input"]) {
+      editor.addEventListener(type, (e) => events.push(e.inputType));
+    }
+    const range = document.createRange();
+    range.setStart(editor.firstChild, 3);
+    range.collapse(true);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+
+    recordEdit(editor, "insert");
+    editor.firstChild.data = "one two";
+    undo(editor);
+    redo(editor);
+
+    expect(editor.textContent).toBe("one two");
+    expect(events).toEqual([]);
+    expect(execCommand).not.toHaveBeenCalled();
+    delete document.execCommand;
+  });
+});
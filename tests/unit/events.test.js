@@ -205,6 +205,7 @@ describe("events.js", () => {
     it("should have input events", () => {
       expect(EVENTS.INPUT_FOCUS).toBe("input:focus");
       expect(EVENTS.INPUT_BLUR).toBe("input:blur");
+      expect(EVENTS.FIELD_NAVIGATE).toBe("input:navigate");
     });
 
     it("should have URL bar events", () => {
@@ -0,0 +1,96 @@
+// Unit tests for FieldNavigator.js - PrevField/NextField keys
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  findAdjacentField,
+  focusAdjacentField,
+  getNavigableFields,
+} from "../../src/input/FieldNavigator.js";
+
+/**
+ * Get the IDs of the navigable fields on the page
+ * @returns {string[]}
+ */
+function getFieldIds() {
+  return getNavigableFields().map((field) => field.id);
+}
+
+describe("FieldNavigator.js", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  describe("getNavigableFields", () => {
+    it("should list supported fields in document order", () => {
+      document.body.innerHTML = `
+        <input id="a">
+        <button>Go</button>
+        <textarea id="b"></textarea>
+        <div id="c" contenteditable="true"><p>text</p></div>
+        <input type="checkbox">
+      `;
+      expect(getFieldIds()).toEqual(["a", "b", "c"]);
+    });
+
+    it("should skip fields Tab wouldn't stop at", () => {
+      document.body.innerHTML = `
+        <input id="a">
+        <input id="disabled" disabled>
+        <input id="readonly" readonly>
+        <input id="untabbable" tabindex="-1">
+        <input id="own-keyboard" inputmode="none">
+        <input id="b">
+      `;
+      expect(getFieldIds()).toEqual(["a", "b"]);
+    });
+
+    it("should put positive tabindex fields first", () => {
+      document.body.innerHTML = `
+        <input id="a">
+        <input id="b" tabindex="2">
+        <input id="c" tabindex="1">
+        <input id="d">
+      `;
+      expect(getFieldIds()).toEqual(["c", "b", "a", "d"]);
+    });
+
+    it("should include fields in open shadow roots", () => {
+      document.body.innerHTML =
+        '<input id="a"><div id="host"></div><input id="c">';
+      const shadow = document
+        .getElementById("host")
+        .attachShadow({ mode: "open" });
+      shadow.innerHTML = '<input id="b">';
+      expect(getFieldIds()).toEqual(["a", "b", "c"]);
+    });
+  });
+
+  describe("findAdjacentField", () => {
+    it("should find the next and previous fields", () => {
+      document.body.innerHTML = '<input id="a"><input id="b"><input id="c">';
+      const b = document.getElementById("b");
+      expect(findAdjacentField(b, 1).id).toBe("c");
+      expect(findAdjacentField(b, -1).id).toBe("a");
+    });
+
+    it("should stop at either end", () => {
+      document.body.innerHTML = '<input id="a"><input id="b">';
+      expect(findAdjacentField(document.getElementById("b"), 1)).toBeNull();
+      expect(findAdjacentField(document.getElementById("a"), -1)).toBeNull();
+    });
+
+    it("should start from the first or last field without a current one", () => {
+      document.body.innerHTML = '<input id="a"><input id="b">';
+      expect(findAdjacentField(null, 1).id).toBe("a");
+      expect(findAdjacentField(null, -1).id).toBe("b");
+    });
+  });
+
+  describe("focusAdjacentField", () => {
+    it("should focus the adjacent field", () => {
+      document.body.innerHTML = '<input id="a"><input id="b">';
+      const field = focusAdjacentField(document.getElementById("a"), 1);
+      expect(field.id).toBe("b");
+      expect(document.activeElement).toBe(field);
+    });
+  });
+});
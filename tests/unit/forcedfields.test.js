@@ -0,0 +1,102 @@
+// Unit tests for ForcedFields.js - Fields picked from the context menu
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  applyForcedFields,
+  getContextMenuTarget,
+  getElementSelector,
+  getForcedFieldsSelector,
+  isForcedField,
+  trackContextMenuTarget,
+} from "../../src/input/ForcedFields.js";
+import {
+  bindAllInputs,
+  isBound,
+  isSupportedInput,
+} from "../../src/input/InputBinder.js";
+
+describe("ForcedFields.js", () => {
+  afterEach(() => {
+    applyForcedFields({});
+    document.body.innerHTML = "";
+  });
+
+  describe("getElementSelector", () => {
+    it("should use the element's ID when it has one", () => {
+      document.body.innerHTML = '<div id="editor"></div>';
+      expect(getElementSelector(document.getElementById("editor"))).toBe(
+        "#editor"
+      );
+    });
+
+    it("should build a path from the nearest ID", () => {
+      document.body.innerHTML =
+        '<main id="app"><div></div><div><canvas></canvas></div></main>';
+      const canvas = document.querySelector("canvas");
+      const selector = getElementSelector(canvas);
+      expect(selector).toBe("#app > div:nth-of-type(2) > canvas");
+      expect(document.querySelector(selector)).toBe(canvas);
+    });
+
+    it("should find the element again without any IDs", () => {
+      document.body.innerHTML =
+        "<section><p></p><p><span></span></p></section>";
+      const span = document.querySelector("span");
+      expect(document.querySelector(getElementSelector(span))).toBe(span);
+    });
+  });
+
+  describe("applyForcedFields", () => {
+    it("should only use the selectors for the given origin", () => {
+      document.body.innerHTML = '<canvas id="pad"></canvas>';
+      const canvas = document.getElementById("pad");
+
+      applyForcedFields({ "https://other.test": ["#pad"] }, location.origin);
+      expect(isForcedField(canvas)).toBe(false);
+
+      applyForcedFields({ [location.origin]: ["#pad"] }, location.origin);
+      expect(isForcedField(canvas)).toBe(true);
+    });
+
+    it("should drop invalid selectors", () => {
+      applyForcedFields({ [location.origin]: ["[[", "#pad", 5] });
+      expect(getForcedFieldsSelector()).toBe("#pad");
+    });
+  });
+
+  describe("binding", () => {
+    it("should make remembered fields supported inputs", () => {
+      document.body.innerHTML = '<canvas id="pad"></canvas>';
+      const canvas = document.getElementById("pad");
+      expect(isSupportedInput(canvas)).toBe(false);
+
+      applyForcedFields({ [location.origin]: ["#pad"] });
+      expect(isSupportedInput(canvas)).toBe(true);
+
+      bindAllInputs(document);
+      expect(isBound(canvas)).toBe(true);
+    });
+  });
+
+  describe("getContextMenuTarget", () => {
+    it("should return the editing host of right-clicked content", () => {
+      document.body.innerHTML =
+        '<div id="host" contenteditable="true"><p><b>hi</b></p></div>';
+      trackContextMenuTarget(document);
+
+      const bold = document.querySelector("b");
+      bold.dispatchEvent(
+        new MouseEvent("contextmenu", { bubbles: true, composed: true })
+      );
+      expect(getContextMenuTarget()).toBe(document.getElementById("host"));
+    });
+
+    it("should return the right-clicked element", () => {
+      document.body.innerHTML = '<canvas id="pad"></canvas>';
+      trackContextMenuTarget(document);
+
+      const canvas = document.getElementById("pad");
+      canvas.dispatchEvent(new MouseEvent("contextmenu", { bubbles: true }));
+      expect(getContextMenuTarget()).toBe(canvas);
+    });
+  });
+});
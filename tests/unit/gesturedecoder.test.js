@@ -0,0 +1,148 @@
+// Unit tests for GestureDecoder.js - Swipe path to word decoding
+import { describe, expect, it } from "vitest";
+import {
+  decodeGesture,
+  resamplePath,
+} from "../../src/prediction/GestureDecoder.js";
+
+const KEY_WIDTH = 10;
+
+// QWERTY key centers, each row shifted right by half a key
+const keyCenters = new Map();
+["qwertyuiop", "asdfghjkl", "zxcvbnm"].forEach((row, rowIndex) => {
+  [...row].forEach((char, column) => {
+    keyCenters.set(char, {
+      x: column * KEY_WIDTH + KEY_WIDTH / 2 + (rowIndex * KEY_WIDTH) / 2,
+      y: rowIndex * KEY_WIDTH + KEY_WIDTH / 2,
+    });
+  });
+});
+
+/**
+ * Build a swipe path through the keys of a word, with points in between
+ * @param {string} word
+ * @param {number} [jitter] - Offset added to every point
+ */
+function swipe(word, jitter = 0) {
+  const centers = [...word].map((char) => keyCenters.get(char));
+  const path = [];
+  for (let i = 0; i < centers.length - 1; i++) {
+    for (let step = 0; step < 5; step++) {
+      const t = step / 5;
+      path.push({
+        x: centers[i].x + t * (centers[i + 1].x - centers[i].x) + jitter,
+        y: centers[i].y + t * (centers[i + 1].y - centers[i].y) + jitter,
+      });
+    }
+  }
+  const last = centers[centers.length - 1];
+  path.push({ x: last.x + jitter, y: last.y + jitter });
+  return path;
+}
+
+describe("GestureDecoder.js", () => {
+  describe("resamplePath", () => {
+    it("should return the requested number of points", () => {
+      const path = [
+        { x: 0, y: 0 },
+        { x: 100, y: 0 },
+      ];
+      expect(resamplePath(path, 5)).toHaveLength(5);
+    });
+
+    it("should space points evenly along the path", () => {
+      const path = [
+        { x: 0, y: 0 },
+        { x: 10, y: 0 },
+        { x: 100, y: 0 },
+      ];
+      const xs = resamplePath(path, 5).map((p) => Math.round(p.x));
+      expect(xs).toEqual([0, 25, 50, 75, 100]);
+    });
+
+    it("should handle a path that doesn't move", () => {
+      const path = [
+        { x: 3, y: 4 },
+        { x: 3, y: 4 },
+      ];
+      expect(resamplePath(path, 3)).toEqual([
+        { x: 3, y: 4 },
+        { x: 3, y: 4 },
+        { x: 3, y: 4 },
+      ]);
+    });
+  });
+
+  describe("decodeGesture", () => {
+    const words = ["the", "they", "then", "hello", "help", "world", "word"];
+
+    it("should decode a swipe through a word's keys", () => {
+      expect(
+        decodeGesture(swipe("hello"), keyCenters, words, {
+          keyWidth: KEY_WIDTH,
+        })
+      ).toEqual(["hello"]);
+    });
+
+    it("should tell apart words sharing a prefix", () => {
+      const options = { keyWidth: KEY_WIDTH };
+      expect(decodeGesture(swipe("the"), keyCenters, words, options)).toEqual([
+        "the",
+      ]);
+      expect(decodeGesture(swipe("then"), keyCenters, words, options)).toEqual([
+        "then",
+      ]);
+      expect(decodeGesture(swipe("world"), keyCenters, words, options)).toEqual(
+        ["world"]
+      );
+    });
+
+    it("should tolerate imprecise swipes", () => {
+      expect(
+        decodeGesture(swipe("help", 3), keyCenters, words, {
+          keyWidth: KEY_WIDTH,
+        })
+      ).toEqual(["help"]);
+    });
+
+    it("should return several candidates when asked", () => {
+      // "o" sits next to "p", so "hello" is a weaker match for this swipe
+      const result = decodeGesture(swipe("help"), keyCenters, words, {
+        keyWidth: KEY_WIDTH,
+        limit: 3,
+      });
+      expect(result[0]).toBe("help");
+      expect(result.length).toBeGreaterThan(1);
+    });
+
+    it("should keep the candidate's casing", () => {
+      expect(
+        decodeGesture(swipe("word"), keyCenters, ["Word"], {
+          keyWidth: KEY_WIDTH,
+        })
+      ).toEqual(["Word"]);
+    });
+
+    it("should return nothing when no word fits", () => {
+      expect(
+        decodeGesture(swipe("qaz"), keyCenters, words, { keyWidth: KEY_WIDTH })
+      ).toEqual([]);
+    });
+
+    it("should skip words with keys missing from the layout", () => {
+      expect(
+        decodeGesture(swipe("the"), keyCenters, ["thé"], {
+          keyWidth: KEY_WIDTH,
+        })
+      ).toEqual([]);
+    });
+
+    it("should return nothing for a single point", () => {
+      expect(
+        decodeGesture([{ x: 0, y: 0 }], keyCenters, words, {
+          keyWidth: KEY_WIDTH,
+        })
+      ).toEqual([]);
+    });
+  });
+});
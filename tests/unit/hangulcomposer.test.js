@@ -0,0 +1,99 @@
+// Unit tests for HangulComposer.js - Korean syllable composition
+import { describe, expect, it } from "vitest";
+import {
+  addJamo,
+  composeSyllable,
+  isJamo,
+  removeJamo,
+} from "../../src/ime/HangulComposer.js";
+
+/**
+ * Type jamo one at a time, the way the keyboard does
+ * @param {string} keys
+ * @returns {{text: string, jamo: string[]}} Finished text plus the syllable
+ *   still being composed, and its jamo
+ */
+function type(keys) {
+  let committed = "";
+  let jamo = [];
+  for (const key of keys) {
+    const result = addJamo(jamo, key);
+    committed += result.committed;
+    jamo = result.jamo;
+  }
+  return { text: committed + composeSyllable(jamo), jamo };
+}
+
+describe("HangulComposer.js", () => {
+  describe("isJamo", () => {
+    it("should recognise consonants and vowels", () => {
+      expect(isJamo("ㅎ")).toBe(true);
+      expect(isJamo("ㅏ")).toBe(true);
+      expect(isJamo("ㅃ")).toBe(true);
+    });
+
+    it("should not treat syllables or other characters as jamo", () => {
+      expect(isJamo("한")).toBe(false);
+      expect(isJamo("a")).toBe(false);
+      expect(isJamo(",")).toBe(false);
+    });
+  });
+
+  describe("composeSyllable", () => {
+    it("should build syllables with and without a final", () => {
+      expect(composeSyllable(["ㅎ", "ㅏ"])).toBe("하");
+      expect(composeSyllable(["ㅎ", "ㅏ", "ㄴ"])).toBe("한");
+    });
+
+    it("should keep lone jamo as they are", () => {
+      expect(composeSyllable(["ㄱ"])).toBe("ㄱ");
+      expect(composeSyllable(["ㅗ", "ㅏ"])).toBe("ㅘ");
+      expect(composeSyllable([])).toBe("");
+    });
+
+    it("should combine compound vowels and finals", () => {
+      expect(composeSyllable(["ㄱ", "ㅗ", "ㅏ"])).toBe("과");
+      expect(composeSyllable(["ㄷ", "ㅏ", "ㄹ", "ㄱ"])).toBe("닭");
+    });
+  });
+
+  describe("addJamo", () => {
+    it("should assemble words", () => {
+      expect(type("ㅎㅏㄴㄱㅡㄹ").text).toBe("한글");
+      expect(type("ㄷㅏㄹㄱ").text).toBe("닭");
+    });
+
+    it("should move the final to the next syllable before a vowel", () => {
+      expect(type("ㅎㅏㄴㅏ").text).toBe("하나");
+      expect(type("ㄷㅏㄹㄱㅏ").text).toBe("달가");
+    });
+
+    it("should finish the syllable when a jamo can't join it", () => {
+      const result = addJamo(["ㅎ", "ㅏ", "ㄴ"], "ㄴ");
+      expect(result).toEqual({ committed: "한", jamo: ["ㄴ"] });
+    });
+
+    it("should not use double consonants that only start syllables as finals", () => {
+      expect(type("ㄷㅏㄸㅏ").text).toBe("다따");
+    });
+
+    it("should keep consecutive consonants or vowels apart", () => {
+      expect(type("ㄱㄱ").text).toBe("ㄱㄱ");
+      expect(type("ㅏㅏ").text).toBe("ㅏㅏ");
+    });
+  });
+
+  describe("removeJamo", () => {
+    it("should take back one keystroke at a time", () => {
+      let { jamo } = type("ㄱㅗㅏㄴ");
+      expect(composeSyllable(jamo)).toBe("관");
+
+      const steps = [];
+      while (jamo.length > 0) {
+        jamo = removeJamo(jamo);
+        steps.push(composeSyllable(jamo));
+      }
+      expect(steps).toEqual(["과", "고", "ㄱ", ""]);
+    });
+  });
+});
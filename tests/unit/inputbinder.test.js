@@ -0,0 +1,126 @@
+// Unit tests for InputBinder.js - Which elements the keyboard binds
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  getEditingHost,
+  getInputType,
+  isPlainTextOnly,
+  isSingleLineField,
+  isSupportedInput,
+} from "../../src/input/InputBinder.js";
+
+/**
+ * Create an element from HTML and attach it to the page
+ * @param {string} html
+ * @returns {HTMLElement}
+ */
+function render(html) {
+  document.body.innerHTML = html;
+  return document.body.firstElementChild;
+}
+
+describe("InputBinder.js", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+    document.designMode = "off";
+  });
+
+  describe("isSupportedInput", () => {
+    it.each([
+      '<div contenteditable="true"></div>',
+      '<div contenteditable=""></div>',
+      '<div contenteditable="plaintext-only"></div>',
+      '<div contenteditable="TRUE"></div>',
+      '<div role="textbox"></div>',
+      '<div role="searchbox"></div>',
+      '<div role="combobox" contenteditable="true"></div>',
+      '<input role="combobox" type="text">',
+    ])("should support %s", (html) => {
+      expect(isSupportedInput(render(html))).toBe(true);
+    });
+
+    it.each([
+      '<div contenteditable="false"></div>',
+      '<div role="combobox"></div>',
+      "<div></div>",
+    ])("should not support %s", (html) => {
+      expect(isSupportedInput(render(html))).toBe(false);
+    });
+
+    it("should support the body of a designMode document", () => {
+      document.designMode = "on";
+      expect(isSupportedInput(document.body)).toBe(true);
+    });
+  });
+
+  describe("getInputType", () => {
+    it("should treat editable and ARIA text fields as contenteditable", () => {
+      expect(getInputType(render('<div contenteditable=""></div>'))).toBe(
+        "contenteditable"
+      );
+      expect(getInputType(render('<div role="searchbox"></div>'))).toBe(
+        "contenteditable"
+      );
+      expect(
+        getInputType(render('<div contenteditable="true"><p></p></div>'))
+      ).toBe("contenteditable");
+    });
+
+    it("should keep native fields as input and textarea", () => {
+      expect(getInputType(render('<input role="combobox">'))).toBe("input");
+      expect(getInputType(render("<textarea></textarea>"))).toBe("textarea");
+    });
+  });
+
+  describe("getEditingHost", () => {
+    it("should find the host an element inherits editability from", () => {
+      const host = render(
+        '<div contenteditable="true"><p><b id="child">x</b></p></div>'
+      );
+      expect(getEditingHost(document.getElementById("child"))).toBe(host);
+    });
+
+    it("should stop at contenteditable=false islands", () => {
+      render(
+        '<div contenteditable="true"><span contenteditable="false"><b id="child"></b></span></div>'
+      );
+      expect(getEditingHost(document.getElementById("child"))).toBeNull();
+    });
+
+    it("should return null outside editable content", () => {
+      expect(getEditingHost(render("<p></p>"))).toBeNull();
+    });
+  });
+
+  describe("isPlainTextOnly", () => {
+    it("should check the editing host's contenteditable value", () => {
+      render('<div contenteditable="plaintext-only"><p id="child"></p></div>');
+      expect(isPlainTextOnly(document.getElementById("child"))).toBe(true);
+      expect(
+        isPlainTextOnly(render('<div contenteditable="true"></div>'))
+      ).toBe(false);
+    });
+  });
+
+  describe("isSingleLineField", () => {
+    it("should treat search boxes and comboboxes as single-line", () => {
+      expect(isSingleLineField(render('<div role="searchbox"></div>'))).toBe(
+        true
+      );
+      expect(isSingleLineField(render('<div role="combobox"></div>'))).toBe(
+        true
+      );
+      expect(
+        isSingleLineField(render('<div role="textbox" aria-multiline="false">'))
+      ).toBe(true);
+    });
+
+    it("should leave other text fields multi-line", () => {
+      expect(isSingleLineField(render('<div role="textbox"></div>'))).toBe(
+        false
+      );
+      expect(
+        isSingleLineField(render('<div contenteditable="true"></div>'))
+      ).toBe(false);
+    });
+  });
+});
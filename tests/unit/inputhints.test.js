@@ -0,0 +1,108 @@
+// Unit tests for InputHints.js - inputmode, enterkeyhint and autocomplete
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  getEnterKeyHint,
+  getInputMode,
+  getKeyboardKind,
+  isOneTimeCode,
+} from "../../src/input/InputHints.js";
+
+/**
+ * Create an element from HTML and attach it to the page
+ * @param {string} html
+ * @returns {HTMLElement}
+ */
+function render(html) {
+  document.body.innerHTML = html;
+  return document.body.firstElementChild;
+}
+
+describe("InputHints.js", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  describe("getInputMode", () => {
+    it("should read recognised values in any case", () => {
+      expect(getInputMode(render('<input inputmode="Numeric">'))).toBe(
+        "numeric"
+      );
+      expect(getInputMode(render('<div inputmode="none"></div>'))).toBe("none");
+    });
+
+    it("should ignore missing and unknown values", () => {
+      expect(getInputMode(render("<input>"))).toBeNull();
+      expect(getInputMode(render('<input inputmode="latin">'))).toBeNull();
+    });
+  });
+
+  describe("getEnterKeyHint", () => {
+    it("should read recognised values", () => {
+      expect(getEnterKeyHint(render('<input enterkeyhint="send">'))).toBe(
+        "send"
+      );
+      expect(getEnterKeyHint(render('<input enterkeyhint="later">'))).toBe(
+        null
+      );
+    });
+  });
+
+  describe("isOneTimeCode", () => {
+    it("should find the one-time-code token", () => {
+      expect(
+        isOneTimeCode(render('<input autocomplete="one-time-code">'))
+      ).toBe(true);
+      expect(
+        isOneTimeCode(
+          render('<input autocomplete="section-2fa One-Time-Code">')
+        )
+      ).toBe(true);
+      expect(isOneTimeCode(render('<input autocomplete="off">'))).toBe(false);
+    });
+  });
+
+  describe("getKeyboardKind", () => {
+    it.each([
+      ['<input inputmode="numeric">', "digits"],
+      ['<input autocomplete="one-time-code">', "digits"],
+      ['<input inputmode="decimal">', "number"],
+      ['<input inputmode="tel">', "number"],
+      ['<input inputmode="email">', "email"],
+      ['<textarea inputmode="numeric"></textarea>', "digits"],
+      ['<div contenteditable="true" inputmode="decimal"></div>', "number"],
+      ["<input>", "text"],
+    ])("should pick a keyboard for %s", (html, kind) => {
+      expect(getKeyboardKind(render(html))).toBe(kind);
+    });
+
+    it("should fall back to the original input type", () => {
+      expect(getKeyboardKind(render('<input data-original-type="tel">'))).toBe(
+        "number"
+      );
+      expect(
+        getKeyboardKind(render('<input data-original-type="email">'))
+      ).toBe("email");
+    });
+
+    it("should let inputmode override the input type", () => {
+      expect(
+        getKeyboardKind(
+          render('<input data-original-type="number" inputmode="text">')
+        )
+      ).toBe("text");
+      expect(
+        getKeyboardKind(
+          render('<input data-original-type="tel" inputmode="numeric">')
+        )
+      ).toBe("digits");
+    });
+
+    it("should always use the date/time pad for date/time inputs", () => {
+      expect(
+        getKeyboardKind(
+          render('<input data-original-type="date" inputmode="numeric">')
+        )
+      ).toBe("dateTime");
+    });
+  });
+});
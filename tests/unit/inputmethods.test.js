@@ -0,0 +1,54 @@
+// Unit tests for InputMethods.js - input method registry
+import { describe, expect, it } from "vitest";
+import {
+  getInputMethod,
+  getInputMethodIds,
+  registerInputMethod,
+} from "../../src/ime/InputMethods.js";
+import { layouts } from "../../src/layouts/layouts.js";
+
+describe("InputMethods.js", () => {
+  it("should register the built-in input methods", () => {
+    expect(getInputMethodIds()).toEqual([
+      "hangul",
+      "translit-ru",
+      "translit-ua",
+      "translit-ta",
+      "pinyin",
+    ]);
+  });
+
+  it("should have an input method for every layout that names one", () => {
+    for (const layout of Object.values(layouts)) {
+      if (layout.inputMethod) {
+        expect(getInputMethod(layout.inputMethod)).not.toBeNull();
+      }
+    }
+  });
+
+  it("should return null for unknown or missing ids", () => {
+    expect(getInputMethod("kana")).toBeNull();
+    expect(getInputMethod(undefined)).toBeNull();
+  });
+
+  it("should compose Hangul through the common interface", () => {
+    const hangul = getInputMethod("hangul");
+    expect(hangul.accepts("ㅎ", [])).toBe(true);
+    expect(hangul.accepts("a", [])).toBe(false);
+
+    const { committed, keys } = hangul.addKey(["ㅎ", "ㅏ", "ㄴ"], "ㅏ");
+    expect(committed).toBe("하");
+    expect(hangul.getPreedit(keys)).toBe("나");
+  });
+
+  it("should add new input methods", () => {
+    const upper = {
+      accepts: () => true,
+      addKey: (keys, key) => ({ committed: "", keys: [...keys, key] }),
+      removeKey: (keys) => keys.slice(0, -1),
+      getPreedit: (keys) => keys.join("").toUpperCase(),
+    };
+    registerInputMethod("test-upper", upper);
+    expect(getInputMethod("test-upper")).toBe(upper);
+  });
+});
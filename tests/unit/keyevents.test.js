@@ -0,0 +1,262 @@
+// Unit tests for KeyEvents.js - Keystroke event synthesis
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  buildKeyCodes,
+  getKeyInfo,
+  typeKey,
+} from "../../src/keyboard/KeyEvents.js";
+
+/**
+ * Record the events a field receives
+ * @param {HTMLElement} element
+ * @returns {Array<{type: string, key?: string, code?: string, inputType?: string, data?: string|null}>}
+ */
+function recordEvents(element) {
+  const events = [];
+  for (const type of ["keydown", "keypress", "beforeinput", "input", "keyup"]) {
+    element.addEventListener(type, (e) => {
+      events.push({
+        type,
+        key: e.key,
+        code: e.code,
+        inputType: e.inputType,
+        data: e.data,
+      });
+    });
+  }
+  return events;
+}
+
+/**
+ * Create an input and attach it to the page
+ * @returns {HTMLInputElement}
+ */
+function createInput() {
+  document.body.innerHTML = "<input>";
+  return document.body.firstElementChild;
+}
+
+/**
+ * Edit that types a character into an input
+ * @param {HTMLInputElement} input
+ * @param {string} char
+ */
+function insert(input, char) {
+  return () => {
+    input.value += char;
+  };
+}
+
+describe("KeyEvents.js", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  describe("getKeyInfo", () => {
+    it("should describe a letter like a US keyboard", () => {
+      expect(getKeyInfo("a", "en")).toEqual({
+        key: "a",
+        code: "KeyA",
+        keyCode: 65,
+        charCode: 97,
+        shiftKey: false,
+      });
+    });
+
+    it("should hold Shift for capitals and shifted symbols", () => {
+      expect(getKeyInfo("A", "en").shiftKey).toBe(true);
+      expect(getKeyInfo("!", "en")).toMatchObject({
+        code: "Digit1",
+        keyCode: 49,
+        shiftKey: true,
+      });
+    });
+
+    it("should use the key a layout puts a character on", () => {
+      expect(getKeyInfo("a", "fr").code).toBe("KeyQ");
+      expect(getKeyInfo("q", "fr").code).toBe("KeyA");
+      expect(getKeyInfo("m", "fr")).toMatchObject({
+        code: "Semicolon",
+        keyCode: 77,
+      });
+    });
+
+    it("should use hardware positions for right-to-left layouts", () => {
+      expect(getKeyInfo("ض", "ar").code).toBe("KeyQ");
+      expect(getKeyInfo("لا", "ar").code).toBe("KeyB");
+      expect(getKeyInfo("ש", "he").code).toBe("KeyA");
+      expect(getKeyInfo("ژ", "fa").code).toBe("KeyC");
+    });
+
+    it("should give non-Latin letters the code of their key", () => {
+      expect(getKeyInfo("й", "ru")).toMatchObject({
+        code: "KeyQ",
+        keyCode: 81,
+        charCode: 1081,
+      });
+      expect(getKeyInfo("Й", "ru").shiftKey).toBe(true);
+    });
+
+    it("should fall back to US positions for the symbols layer", () => {
+      expect(getKeyInfo("5", "fr")).toMatchObject({
+        code: "Digit5",
+        keyCode: 53,
+      });
+      expect(getKeyInfo(" ", "en")).toMatchObject({
+        code: "Space",
+        keyCode: 32,
+        charCode: 32,
+      });
+    });
+
+    it("should leave code empty for characters no key types", () => {
+      expect(getKeyInfo("€", "en")).toMatchObject({ code: "", keyCode: 0 });
+    });
+
+    it("should describe Enter and Backspace", () => {
+      expect(getKeyInfo("Enter")).toMatchObject({
+        code: "Enter",
+        keyCode: 13,
+        charCode: 13,
+      });
+      expect(getKeyInfo("Backspace")).toMatchObject({
+        code: "Backspace",
+        keyCode: 8,
+        charCode: 0,
+      });
+    });
+  });
+
+  describe("buildKeyCodes", () => {
+    it("should put a fourth layout row on the digit keys", () => {
+      const codes = buildKeyCodes([
+        ["ě", "š"],
+        ["q", "w"],
+        ["_spacer", "a"],
+        ["Shift", "z", "?|@"],
+      ]);
+      expect(codes.get("ě")).toBe("Digit1");
+      expect(codes.get("š")).toBe("Digit2");
+      expect(codes.get("a")).toBe("KeyA");
+      expect(codes.get("@")).toBe("KeyX");
+    });
+
+    it("should map explicit shift characters to the same key", () => {
+      const codes = buildKeyCodes([[{ key: "ä", shift: "Ä" }], [], []]);
+      expect(codes.get("Ä")).toBe("KeyQ");
+    });
+
+    it("should read right-to-left rows from the right", () => {
+      const codes = buildKeyCodes(
+        [
+          ["Backspace", "ص", "ض"],
+          ["Enter", "س", "ش", "_spacer"],
+          ["Shift", { key: "لا", shift: "لآ" }, "ؤ", "ء", "ئ", "Shift"],
+        ],
+        true
+      );
+      expect(codes.get("ض")).toBe("KeyQ");
+      expect(codes.get("س")).toBe("KeyS");
+      expect(codes.get("لا")).toBe("KeyV");
+      expect(codes.get("لآ")).toBe("KeyV");
+    });
+  });
+
+  describe("typeKey", () => {
+    it("should fire the full sequence around the edit", () => {
+      const input = createInput();
+      const events = recordEvents(input);
+
+      const edited = typeKey(input, "a", {
+        layoutId: "en",
+        inputType: "insertText",
+        data: "a",
+        edit: insert(input, "a"),
+      });
+
+      expect(edited).toBe(true);
+      expect(input.value).toBe("a");
+      expect(events.map((e) => e.type)).toEqual([
+        "keydown",
+        "keypress",
+        "beforeinput",
+        "input",
+        "keyup",
+      ]);
+      expect(events[0]).toMatchObject({ key: "a", code: "KeyA" });
+      expect(events[3]).toMatchObject({ inputType: "insertText", data: "a" });
+    });
+
+    it("should skip the edit when keydown is cancelled", () => {
+      const input = createInput();
+      input.addEventListener("keydown", (e) => e.preventDefault());
+      const events = recordEvents(input);
+
+      const edited = typeKey(input, "a", {
+        inputType: "insertText",
+        data: "a",
+        edit: insert(input, "a"),
+      });
+
+      expect(edited).toBe(false);
+      expect(input.value).toBe("");
+      expect(events.map((e) => e.type)).toEqual(["keydown", "keyup"]);
+    });
+
+    it("should skip the edit when beforeinput is cancelled", () => {
+      const input = createInput();
+      input.addEventListener("beforeinput", (e) => e.preventDefault());
+      const events = recordEvents(input);
+
+      typeKey(input, "a", {
+        inputType: "insertText",
+        data: "a",
+        edit: insert(input, "a"),
+      });
+
+      expect(input.value).toBe("");
+      expect(events.map((e) => e.type)).toEqual([
+        "keydown",
+        "keypress",
+        "beforeinput",
+        "keyup",
+      ]);
+    });
+
+    it("should send no keypress or input for an edit that changes nothing", () => {
+      const input = createInput();
+      const events = recordEvents(input);
+
+      const edited = typeKey(input, "Backspace", {
+        inputType: "deleteContentBackward",
+        edit: () => false,
+      });
+
+      expect(edited).toBe(false);
+      expect(events.map((e) => e.type)).toEqual([
+        "keydown",
+        "beforeinput",
+        "keyup",
+      ]);
+    });
+
+    it("should run keys without an inputType between keypress and keyup", () => {
+      const input = createInput();
+      const events = recordEvents(input);
+      let submitted = false;
+
+      typeKey(input, "Enter", {
+        edit: () => {
+          submitted = true;
+        },
+      });
+
+      expect(submitted).toBe(true);
+      expect(events.map((e) => e.type)).toEqual([
+        "keydown",
+        "keypress",
+        "keyup",
+      ]);
+    });
+  });
+});
@@ -59,6 +59,19 @@ describe("KeyMap.js", () => {
       keyboardState.set("shift", true);
       expect(getKeyWithShift(mockElement)).toBe("Ü");
     });
+
+    it("should only auto-capitalise letters that have case", () => {
+      keyboardState.set("shift", true);
+      keyboardState.set("autoCapsActive", true);
+
+      expect(getKeyWithShift({ dataset: { key: "a", keyShift: "A" } })).toBe(
+        "A"
+      );
+      // An Arabic key's shift is a haraka, not a capital
+      expect(getKeyWithShift({ dataset: { key: "ض", keyShift: "َ" } })).toBe(
+        "ض"
+      );
+    });
   });
 
   describe("applyShiftToCharacter", () => {
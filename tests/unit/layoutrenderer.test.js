@@ -0,0 +1,43 @@
+// Unit tests for LayoutRenderer.js - key labels and row direction
+import { describe, expect, it } from "vitest";
+import { getKeyLabel, renderLayout } from "../../src/layouts/LayoutRenderer.js";
+
+describe("LayoutRenderer.js", () => {
+  describe("getKeyLabel", () => {
+    it("should show characters as they are", () => {
+      expect(getKeyLabel("a")).toBe("a");
+      expect(getKeyLabel("لا")).toBe("لا");
+    });
+
+    it("should put a lone combining mark on a dotted circle", () => {
+      expect(getKeyLabel("َ")).toBe("◌َ");
+      expect(getKeyLabel("்")).toBe("◌்");
+    });
+
+    it("should name invisible characters", () => {
+      expect(getKeyLabel("‌")).toBe("ZWNJ");
+    });
+  });
+
+  describe("renderLayout", () => {
+    it("should lay out right-to-left rows from the right", () => {
+      const fragment = renderLayout({
+        name: "T",
+        dir: "rtl",
+        rows: [["Backspace", "ص", "ض"]],
+        overlays: { A: ["ا"] },
+      });
+      const rows = fragment.querySelectorAll(".vk-row");
+
+      expect(rows[0].dir).toBe("rtl");
+      expect(fragment.querySelector(".vk-overlay").dir).toBe("rtl");
+      // The bottom row keeps its usual order
+      expect(rows[rows.length - 1].dir).toBe("");
+    });
+
+    it("should leave left-to-right rows alone", () => {
+      const fragment = renderLayout({ name: "T", rows: [["a"]] });
+      expect(fragment.querySelector(".vk-row").dir).toBe("");
+    });
+  });
+});
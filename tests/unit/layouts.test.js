@@ -0,0 +1,88 @@
+// Unit tests for layouts.js - Built-in and custom layout registry
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  getLayout,
+  getLayoutsList,
+  isBuiltInLayout,
+  registerCustomLayouts,
+} from "../../src/layouts/layouts.js";
+
+const custom = {
+  mine: { name: "My Layout", rows: [["a", "b", "c"]] },
+};
+
+describe("layouts.js", () => {
+  afterEach(() => {
+    registerCustomLayouts({});
+  });
+
+  describe("getLayout", () => {
+    it("should return built-in layouts", () => {
+      expect(getLayout("en").name).toBe("English (QWERTY)");
+    });
+
+    it("should return null for unknown layouts", () => {
+      expect(getLayout("mine")).toBeNull();
+      expect(getLayout("toString")).toBeNull();
+    });
+
+    it("should return registered custom layouts", () => {
+      registerCustomLayouts(custom);
+      expect(getLayout("mine")).toBe(custom.mine);
+    });
+  });
+
+  describe("registerCustomLayouts", () => {
+    it("should replace previously registered layouts", () => {
+      registerCustomLayouts(custom);
+      registerCustomLayouts({ other: { name: "Other", rows: [["x"]] } });
+      expect(getLayout("mine")).toBeNull();
+      expect(getLayout("other").name).toBe("Other");
+    });
+
+    it("should not let custom layouts shadow built-ins", () => {
+      registerCustomLayouts({ en: { name: "Fake", rows: [["x"]] } });
+      expect(getLayout("en").name).toBe("English (QWERTY)");
+    });
+
+    it("should skip definitions that fail validation", () => {
+      // Mock console.warn to suppress output
+      const consoleSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+      registerCustomLayouts({
+        ...custom,
+        broken: { name: "Broken", rows: [["Backspce"]] },
+      });
+      expect(getLayout("mine")).toBe(custom.mine);
+      expect(getLayout("broken")).toBeNull();
+      expect(consoleSpy).toHaveBeenCalled();
+
+      consoleSpy.mockRestore();
+    });
+
+    it("should accept missing definitions", () => {
+      registerCustomLayouts(undefined);
+      expect(getLayout("mine")).toBeNull();
+    });
+  });
+
+  describe("getLayoutsList", () => {
+    it("should list custom layouts after the built-ins", () => {
+      registerCustomLayouts(custom);
+      const list = getLayoutsList();
+      expect(list[0]).toEqual({ value: "en", name: "English (QWERTY)" });
+      expect(list[list.length - 1]).toEqual({
+        value: "mine",
+        name: "My Layout",
+      });
+    });
+  });
+
+  describe("isBuiltInLayout", () => {
+    it("should tell built-in and custom layouts apart", () => {
+      registerCustomLayouts(custom);
+      expect(isBuiltInLayout("en")).toBe(true);
+      expect(isBuiltInLayout("mine")).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+// Unit tests for LayoutSchema.js - Layout definition validation
+import { describe, expect, it } from "vitest";
+import {
+  formatLayoutErrors,
+  validateLayout,
+} from "../../src/layouts/LayoutSchema.js";
+import { layouts } from "../../src/layouts/layouts.js";
+
+/**
+ * Validate and format errors for easy comparison
+ * @param {*} layout
+ * @returns {string[]}
+ */
+function check(layout) {
+  return formatLayoutErrors(validateLayout(layout));
+}
+
+describe("LayoutSchema.js", () => {
+  describe("validateLayout", () => {
+    it("should accept every built-in layout", () => {
+      for (const [id, layout] of Object.entries(layouts)) {
+        expect(check(layout), id).toEqual([]);
+      }
+    });
+
+    it("should accept all key forms", () => {
+      expect(
+        check({
+          id: "test",
+          name: "Test",
+          dictionary: "en",
+          labels: { Enter: "Go" },
+          rows: [
+            ["a", "Backspace", "_spacer", "?|@"],
+            [
+              { key: "ü", shift: "Ü" },
+              { key: "e", menu: "E" },
+              { key: "ㅂ", shift: "ㅃ", display: true },
+              "கி",
+              { key: "´", shift: "`", dead: true },
+              "Compose",
+            ],
+          ],
+          overlays: { E: ["é", { key: "è", shift: "È" }] },
+          bottomRow: ["&123", "Space", "Close"],
+          compose: { "´e": "é", "o/": "ø" },
+        })
+      ).toEqual([]);
+    });
+
+    it("should require a name and rows", () => {
+      expect(check({})).toEqual(['missing "name"', 'missing "rows"']);
+      expect(check({ name: "", rows: [["a"]] })).toEqual([
+        "name: must not be empty",
+      ]);
+    });
+
+    it("should reject non-objects", () => {
+      expect(check([])).toEqual(["must be an object, got array"]);
+      expect(check(null)).toEqual(["must be an object, got null"]);
+    });
+
+    it("should report unknown special keys by position", () => {
+      expect(check({ name: "T", rows: [["a"], ["b", "Backspce"]] })).toEqual([
+        'rows[1][1]: unknown special key "Backspce"',
+      ]);
+    });
+
+    it("should report malformed email toggles", () => {
+      expect(check({ name: "T", rows: [["?|"]] })).toEqual([
+        'rows[0][0]: email toggle "?|" must be two characters separated by "|" (e.g. "?|@")',
+      ]);
+    });
+
+    it("should check key objects", () => {
+      expect(
+        check({
+          name: "T",
+          rows: [
+            [
+              { shift: "A" },
+              { key: "a", shift: "AB" },
+              { key: "a", display: "yes" },
+              { key: "a", colour: "red" },
+              42,
+            ],
+          ],
+        })
+      ).toEqual([
+        'rows[0][0]: missing "key"',
+        'rows[0][1].shift: "AB" must be a single character',
+        "rows[0][2].display: must be a boolean, got string",
+        "rows[0][3].colour: unknown property",
+        "rows[0][4]: must be a string or object",
+      ]);
+    });
+
+    it("should check overlays, labels and the bottom row", () => {
+      expect(
+        check({
+          name: "T",
+          rows: [["a"]],
+          overlays: { A: [], B: ["Nope"] },
+          labels: { Enter: 1 },
+          bottomRow: "Space",
+        })
+      ).toEqual([
+        "overlays.A: must not be empty",
+        'overlays.B[0]: unknown special key "Nope"',
+        "labels.Enter: must be a string, got number",
+        "bottomRow: must be an array, got string",
+      ]);
+    });
+
+    it("should check compose sequences", () => {
+      expect(
+        check({
+          name: "T",
+          rows: [[{ key: "´", dead: "yes" }]],
+          compose: { "´e": 1, "o/": "" },
+        })
+      ).toEqual([
+        "rows[0][0].dead: must be a boolean, got string",
+        "compose.´e: must be a string, got number",
+        "compose.o/: must not be empty",
+      ]);
+    });
+
+    it("should reject empty rows", () => {
+      expect(check({ name: "T", rows: [] })).toEqual([
+        "rows: must not be empty",
+      ]);
+      expect(check({ name: "T", rows: [[]] })).toEqual([
+        "rows[0]: must not be empty",
+      ]);
+    });
+
+    it("should reject menus that name a missing overlay", () => {
+      expect(
+        check({
+          name: "T",
+          rows: [[{ key: "a", menu: "A" }]],
+          bottomRow: [{ key: "b", menu: "B" }],
+          overlays: { A: ["á"] },
+        })
+      ).toEqual(['bottomRow[0].menu: no overlay named "B"']);
+    });
+
+    it("should only accept known input methods", () => {
+      expect(
+        check({ name: "T", rows: [["ㄱ"]], inputMethod: "hangul" })
+      ).toEqual([]);
+      expect(check({ name: "T", rows: [["a"]], inputMethod: "kana" })).toEqual([
+        'inputMethod: must be one of "hangul", "translit-ru", "translit-ua", "translit-ta", "pinyin"',
+      ]);
+    });
+
+    it("should accept right-to-left layouts with marks and Lam-Alef keys", () => {
+      expect(
+        check({
+          name: "T",
+          dir: "rtl",
+          rows: [
+            [
+              { key: "ض", shift: "َ" },
+              { key: "لا", shift: "لآ" },
+            ],
+          ],
+        })
+      ).toEqual([]);
+      expect(check({ name: "T", rows: [["ab"]], dir: "up" })).toEqual([
+        'rows[0][0]: unknown special key "ab"',
+        'dir: must be one of "ltr", "rtl"',
+      ]);
+    });
+
+    it("should reject unknown top-level properties and bad ids", () => {
+      expect(
+        check({ name: "T", rows: [["a"]], row: [], id: "Big ID" })
+      ).toEqual(["row: unknown property", "id: must match ^[a-z0-9-]{1,8}$"]);
+    });
+  });
+});
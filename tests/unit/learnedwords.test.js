@@ -0,0 +1,81 @@
+// Unit tests for learnedWords.js - Stored word counts
+import { beforeEach, describe, expect, it } from "vitest";
+import { PREDICTION, STORAGE_KEYS } from "../../src/core/config.js";
+import {
+  addLearnedWords,
+  addWordCount,
+  clearLearnedWords,
+} from "../../src/core/learnedWords.js";
+import { chromeMocks } from "./setup.js";
+
+describe("learnedWords.js", () => {
+  beforeEach(() => {
+    chromeMocks.resetAll();
+  });
+
+  /**
+   * Get the stored learned words
+   * @returns {Object}
+   */
+  function stored() {
+    return chromeMocks.storage.local._get()[STORAGE_KEYS.LEARNED_WORDS];
+  }
+
+  describe("addWordCount", () => {
+    it("should match words ignoring case, keeping the first spelling", () => {
+      const words = new Map();
+      addWordCount(words, "en", "Kiosk", 1);
+      addWordCount(words, "en", "kiosk", 2);
+      expect(words.get("en").get("kiosk")).toEqual({ word: "Kiosk", count: 3 });
+    });
+
+    it("should drop the least used words over the limit", () => {
+      const words = new Map();
+      addWordCount(words, "en", "rare", 1);
+      for (let i = 0; i < PREDICTION.MAX_LEARNED_WORDS; i++) {
+        addWordCount(words, "en", `word${i}`, 2);
+      }
+      expect(words.get("en").size).toBe(PREDICTION.MAX_LEARNED_WORDS);
+      expect(words.get("en").has("rare")).toBe(false);
+    });
+  });
+
+  describe("addLearnedWords", () => {
+    it("should add counts to the stored ones", async () => {
+      chromeMocks.storage._set({
+        [STORAGE_KEYS.LEARNED_WORDS]: {
+          en: { kiosk: 3 },
+          de: { Zeitgeist: 1 },
+        },
+      });
+      const words = await addLearnedWords({ en: { Kiosk: 1, thermostat: 2 } });
+
+      expect(words).toEqual({
+        en: { kiosk: 4, thermostat: 2 },
+        de: { Zeitgeist: 1 },
+      });
+      expect(stored()).toEqual(words);
+    });
+
+    it("should keep every count when frames save at the same time", async () => {
+      await Promise.all([
+        addLearnedWords({ en: { kiosk: 1 } }),
+        addLearnedWords({ en: { kiosk: 2, thermostat: 1 } }),
+      ]);
+      expect(stored()).toEqual({ en: { kiosk: 3, thermostat: 1 } });
+    });
+  });
+
+  describe("clearLearnedWords", () => {
+    it("should not be undone by a save already under way", async () => {
+      chromeMocks.storage._set({
+        [STORAGE_KEYS.LEARNED_WORDS]: { en: { kiosk: 3 } },
+      });
+      await Promise.all([
+        addLearnedWords({ en: { thermostat: 1 } }),
+        clearLearnedWords(),
+      ]);
+      expect(stored()).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// Unit tests for Lexicon.js - Full word lists for autocorrect
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { MESSAGE_TYPES } from "../../src/core/config.js";
+import { chromeMocks } from "./setup.js";
+
+describe("Lexicon.js", () => {
+  // Fresh module per test - loaded lists are cached for the page's lifetime
+  let Lexicon;
+
+  beforeEach(async () => {
+    chromeMocks.resetAll();
+    vi.resetModules();
+    Lexicon = await import("../../src/prediction/Lexicon.js");
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("hasLexicon", () => {
+    it("should only list dictionaries built with a word list", () => {
+      expect(Lexicon.hasLexicon("en")).toBe(true);
+      expect(Lexicon.hasLexicon("de")).toBe(false);
+      expect(Lexicon.hasLexicon("toString")).toBe(false);
+      expect(Lexicon.hasLexicon(undefined)).toBe(false);
+    });
+  });
+
+  describe("getLexicon", () => {
+    it("should ask the background worker on first use", async () => {
+      const sendMessage = vi
+        .spyOn(chrome.runtime, "sendMessage")
+        .mockResolvedValue({ text: "apple\ncat\ndog\nzebra\n" });
+
+      expect(Lexicon.getLexicon("en")).toBeNull();
+      await Lexicon.loadLexicon("en");
+
+      expect(sendMessage).toHaveBeenCalledWith({
+        method: MESSAGE_TYPES.GET_LEXICON,
+        dictionaryId: "en",
+      });
+      expect(sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it("should find every word in the sorted list", async () => {
+      vi.spyOn(chrome.runtime, "sendMessage").mockResolvedValue({
+        text: "apple\ncat\ndog\nzebra\n",
+      });
+      await Lexicon.loadLexicon("en");
+
+      const lexicon = Lexicon.getLexicon("en");
+      for (const word of ["apple", "cat", "dog", "zebra"]) {
+        expect(lexicon.has(word)).toBe(true);
+      }
+      for (const word of ["aardvark", "ca", "cats", "zz", ""]) {
+        expect(lexicon.has(word)).toBe(false);
+      }
+    });
+
+    it("should return null for dictionaries without a word list", () => {
+      const sendMessage = vi.spyOn(chrome.runtime, "sendMessage");
+
+      expect(Lexicon.getLexicon("de")).toBeNull();
+      expect(sendMessage).not.toHaveBeenCalled();
+    });
+
+    it("should warn once and not retry when the list can't be read", async () => {
+      const sendMessage = vi
+        .spyOn(chrome.runtime, "sendMessage")
+        .mockResolvedValue({ text: null });
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+      expect(Lexicon.getLexicon("en")).toBeNull();
+      await Lexicon.loadLexicon("en");
+      expect(Lexicon.getLexicon("en")).toBeNull();
+
+      expect(sendMessage).toHaveBeenCalledTimes(1);
+      expect(warn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+// Unit tests for NavigationKeys.js - arrows, Home/End, word jumps, Tab, Esc
+import { afterEach, describe, expect, it } from "vitest";
+import { EVENTS, off, on } from "../../src/core/events.js";
+import { focusState } from "../../src/core/state.js";
+import { focusAdjacentField } from "../../src/input/FieldNavigator.js";
+import {
+  getCaretTarget,
+  handleNavigationKey,
+  isNavigationKey,
+} from "../../src/keyboard/NavigationKeys.js";
+
+/**
+ * Add a field to the page and make it the focused field
+ * @param {string} html
+ * @param {string} type - 'input' | 'textarea' | 'contenteditable'
+ * @returns {HTMLElement}
+ */
+function focusField(html, type = "input") {
+  document.body.innerHTML = html;
+  const element = document.body.firstElementChild;
+  element.focus();
+  focusState.set({ element, type });
+  return element;
+}
+
+describe("NavigationKeys.js", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+    focusState.reset();
+  });
+
+  describe("isNavigationKey", () => {
+    it("should recognise navigation layer keys only", () => {
+      expect(isNavigationKey("ArrowUp")).toBe(true);
+      expect(isNavigationKey("ShiftTab")).toBe(true);
+      expect(isNavigationKey("a")).toBe(false);
+      expect(isNavigationKey("toString")).toBe(false);
+    });
+  });
+
+  describe("getCaretTarget", () => {
+    it("should move one character, collapsing a selection", () => {
+      expect(getCaretTarget("abc", 1, 1, "ArrowLeft")).toBe(0);
+      expect(getCaretTarget("abc", 0, 0, "ArrowLeft")).toBe(0);
+      expect(getCaretTarget("abc", 3, 3, "ArrowRight")).toBe(3);
+      expect(getCaretTarget("abc", 1, 2, "ArrowLeft")).toBe(1);
+      expect(getCaretTarget("abc", 1, 2, "ArrowRight")).toBe(2);
+    });
+
+    it("should move over whole characters", () => {
+      // كَتَبَ - each letter carries a fatha
+      const value = "\u0643\u064e\u062a\u064e\u0628\u064e";
+      expect(getCaretTarget(value, 0, 0, "ArrowRight")).toBe(2);
+      expect(getCaretTarget(value, 6, 6, "ArrowLeft")).toBe(4);
+      expect(getCaretTarget("a👍🏽b", 5, 5, "ArrowLeft")).toBe(1);
+    });
+
+    it("should keep marks inside words", () => {
+      const value = "\u0643\u064e\u062a\u064e\u0628\u064e \u0645";
+      expect(getCaretTarget(value, 8, 8, "WordLeft")).toBe(7);
+      expect(getCaretTarget(value, 7, 7, "WordLeft")).toBe(0);
+      expect(getCaretTarget(value, 0, 0, "WordRight")).toBe(6);
+    });
+
+    it("should jump to word starts and ends", () => {
+      const value = "hello, big world";
+      expect(getCaretTarget(value, 16, 16, "WordLeft")).toBe(11);
+      expect(getCaretTarget(value, 11, 11, "WordLeft")).toBe(7);
+      expect(getCaretTarget(value, 0, 0, "WordRight")).toBe(5);
+      expect(getCaretTarget(value, 5, 5, "WordRight")).toBe(10);
+      expect(getCaretTarget("  ", 2, 2, "WordLeft")).toBe(0);
+    });
+
+    it("should go to the ends of a single-line value", () => {
+      expect(getCaretTarget("abc", 1, 1, "Home")).toBe(0);
+      expect(getCaretTarget("abc", 1, 1, "End")).toBe(3);
+    });
+
+    it("should go to the ends of the current line in a textarea", () => {
+      const value = "one\ntwo\nthree";
+      expect(getCaretTarget(value, 5, 5, "Home", true)).toBe(4);
+      expect(getCaretTarget(value, 5, 5, "End", true)).toBe(7);
+    });
+
+    it("should keep the column moving up and down", () => {
+      const value = "one\nab\nthree";
+      expect(getCaretTarget(value, 10, 10, "ArrowUp", true)).toBe(6);
+      expect(getCaretTarget(value, 2, 2, "ArrowDown", true)).toBe(6);
+      expect(getCaretTarget(value, 5, 5, "ArrowDown", true)).toBe(8);
+      expect(getCaretTarget(value, 2, 2, "ArrowUp", true)).toBe(0);
+      expect(getCaretTarget(value, 8, 8, "ArrowDown", true)).toBe(12);
+    });
+
+    it("should not land inside a character moving up and down", () => {
+      // 😀 is two UTF-16 code units, so column 1 falls inside it
+      const value = "ab\n😀x";
+      expect(getCaretTarget(value, 1, 1, "ArrowDown", true)).toBe(3);
+      expect(getCaretTarget(value, 2, 2, "ArrowDown", true)).toBe(5);
+      expect(getCaretTarget("a😀\nxy", 6, 6, "ArrowUp", true)).toBe(1);
+    });
+
+    it("should jump over words in languages without spaces", () => {
+      // 我喜欢猫 - "I", "like", "cat"
+      const value = "我喜欢猫";
+      expect(getCaretTarget(value, 4, 4, "WordLeft")).toBeLessThan(4);
+      expect(getCaretTarget(value, 4, 4, "WordLeft")).toBeGreaterThan(0);
+      expect(getCaretTarget(value, 0, 0, "WordRight")).toBeLessThan(4);
+      // ภาษาไทย - "language", "Thai"
+      expect(getCaretTarget("ภาษาไทย", 0, 0, "WordRight")).toBe(4);
+    });
+
+    it("should not move up or down in single-line fields", () => {
+      expect(getCaretTarget("abc", 1, 1, "ArrowUp")).toBeNull();
+      expect(getCaretTarget("abc", 1, 1, "ArrowDown")).toBeNull();
+    });
+  });
+
+  describe("handleNavigationKey", () => {
+    it("should send keydown and keyup with the key's modifiers", () => {
+      const input = focusField('<input value="one two">');
+      const events = [];
+      const record = (e) =>
+        events.push([e.type, e.key, e.keyCode, e.ctrlKey, e.shiftKey]);
+      input.addEventListener("keydown", record);
+      input.addEventListener("keyup", record);
+
+      handleNavigationKey("WordLeft");
+
+      expect(events).toEqual([
+        ["keydown", "ArrowLeft", 37, true, false],
+        ["keyup", "ArrowLeft", 37, true, false],
+      ]);
+    });
+
+    it("should move the cursor when the page doesn't handle the key", () => {
+      const input = focusField('<input value="one two">');
+      input.setSelectionRange(7, 7);
+
+      handleNavigationKey("WordLeft");
+      expect(input.selectionStart).toBe(4);
+
+      handleNavigationKey("Home");
+      expect(input.selectionStart).toBe(0);
+    });
+
+    it("should leave the cursor alone when the page prevents the keydown", () => {
+      const input = focusField('<input value="abc">');
+      input.setSelectionRange(3, 3);
+      input.addEventListener("keydown", (e) => e.preventDefault());
+
+      handleNavigationKey("Home");
+      expect(input.selectionStart).toBe(3);
+    });
+
+    it("should swap left and right in a right-to-left field", () => {
+      const input = focusField('<input dir="rtl" value="שלום">');
+      input.setSelectionRange(2, 2);
+
+      handleNavigationKey("ArrowLeft");
+      expect(input.selectionStart).toBe(3);
+
+      handleNavigationKey("WordRight");
+      expect(input.selectionStart).toBe(0);
+    });
+
+    it("should move up and down lines in a textarea", () => {
+      const textarea = focusField(
+        "<textarea>first\nsecond</textarea>",
+        "textarea"
+      );
+      textarea.setSelectionRange(9, 9);
+
+      handleNavigationKey("ArrowUp");
+      expect(textarea.selectionStart).toBe(3);
+    });
+
+    it("should move between fields with Tab and Shift+Tab", () => {
+      focusField('<input id="a"><input id="b">');
+      const steps = [];
+      const keyups = [];
+      // Stands in for the keyboard, which focuses the adjacent field
+      const navigate = ({ step }) => {
+        steps.push(step);
+        const field = focusAdjacentField(focusState.get("element"), step);
+        focusState.set("element", field);
+      };
+      const recordKeyup = (e) => keyups.push(e.target.id);
+      on(EVENTS.FIELD_NAVIGATE, navigate);
+      document.body.addEventListener("keyup", recordKeyup);
+
+      handleNavigationKey("Tab");
+      expect(document.activeElement.id).toBe("b");
+      handleNavigationKey("ShiftTab");
+      expect(document.activeElement.id).toBe("a");
+
+      off(EVENTS.FIELD_NAVIGATE, navigate);
+      document.body.removeEventListener("keyup", recordKeyup);
+      expect(steps).toEqual([1, -1]);
+      // The key comes up in the field focus moved to
+      expect(keyups).toEqual(["b", "a"]);
+    });
+
+    it("should send Escape without moving anything", () => {
+      const input = focusField('<input value="abc">');
+      input.setSelectionRange(1, 1);
+      let escaped = false;
+      input.addEventListener("keydown", (e) => {
+        escaped = e.key === "Escape" && e.keyCode === 27;
+      });
+
+      handleNavigationKey("Escape");
+      expect(escaped).toBe(true);
+      expect(input.selectionStart).toBe(1);
+      expect(document.activeElement).toBe(input);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// Unit tests for Pinyin.js - Chinese pinyin input
+import { describe, expect, it } from "vitest";
+import { getCandidates, pinyin } from "../../src/ime/Pinyin.js";
+
+/**
+ * Get the candidate texts for typed pinyin
+ * @param {string} letters
+ * @returns {string[]}
+ */
+function texts(letters) {
+  return getCandidates([...letters]).map((candidate) => candidate.text);
+}
+
+describe("Pinyin.js", () => {
+  describe("getCandidates", () => {
+    it("should offer words before characters", () => {
+      expect(texts("women").slice(0, 1)).toEqual(["我们"]);
+      expect(texts("ta").slice(0, 3)).toEqual(["他", "她", "它"]);
+    });
+
+    it("should offer the start of the pinyin when the whole has no match", () => {
+      const candidates = getCandidates([..."nihaoma"]);
+      expect(candidates[0]).toEqual({ text: "你好", length: 5 });
+      expect(candidates).toContainEqual({ text: "你", length: 2 });
+    });
+
+    it("should complete a syllable still being typed", () => {
+      expect(texts("zh")).toContain("中");
+      expect(texts("zh")).toContain("这");
+    });
+
+    it("should keep syllables apart at separators", () => {
+      expect(texts("xian")[0]).toBe("先");
+      // The separator is used up with the syllable before it
+      expect(getCandidates([..."xi'an"])[0]).toEqual({ text: "西", length: 3 });
+    });
+
+    it("should return nothing for letters no syllable starts with", () => {
+      expect(getCandidates(["v"])).toEqual([]);
+    });
+  });
+
+  describe("pinyin", () => {
+    it("should accept lowercase letters and separators between them", () => {
+      expect(pinyin.accepts("a", [])).toBe(true);
+      expect(pinyin.accepts("A", [])).toBe(false);
+      expect(pinyin.accepts("'", [])).toBe(false);
+      expect(pinyin.accepts("'", ["x", "i"])).toBe(true);
+    });
+
+    it("should show the letters as typed", () => {
+      const { keys } = pinyin.addKey(["n", "i"], "h");
+      expect(pinyin.getPreedit(keys)).toBe("nih");
+    });
+  });
+});
@@ -0,0 +1,205 @@
+// Unit tests for Predictor.js - Word suggestions
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { PREDICTION, STORAGE_KEYS, TIMING } from "../../src/core/config.js";
+import { addLearnedWords } from "../../src/core/learnedWords.js";
+import { predictionState } from "../../src/core/state.js";
+import {
+  clearSuggestions,
+  getSuggestions,
+  getWordBeforeCursor,
+  learnWord,
+  loadLearnedWords,
+  updateSuggestions,
+} from "../../src/prediction/Predictor.js";
+import { chromeMocks } from "./setup.js";
+
+describe("Predictor.js", () => {
+  beforeEach(async () => {
+    chromeMocks.resetAll();
+    // Saves go through the background worker
+    chrome.runtime.sendMessage.mockImplementation(async (message) => ({
+      words: await addLearnedWords(message.words),
+    }));
+    await loadLearnedWords();
+    predictionState.reset();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe("getWordBeforeCursor", () => {
+    it("should return the word fragment at the end of the text", () => {
+      expect(getWordBeforeCursor("hello wor")).toBe("wor");
+    });
+
+    it("should return empty string after a space or punctuation", () => {
+      expect(getWordBeforeCursor("hello ")).toBe("");
+      expect(getWordBeforeCursor("hello,")).toBe("");
+      expect(getWordBeforeCursor("")).toBe("");
+    });
+
+    it("should keep apostrophes inside words", () => {
+      expect(getWordBeforeCursor("I don't")).toBe("don't");
+      expect(getWordBeforeCursor("say 'hi")).toBe("hi");
+    });
+
+    it("should handle non-Latin scripts", () => {
+      expect(getWordBeforeCursor("привет мир")).toBe("мир");
+    });
+  });
+
+  describe("getSuggestions", () => {
+    it("should suggest dictionary words in frequency order", () => {
+      expect(getSuggestions("th", "en")).toEqual(["the", "that", "this"]);
+    });
+
+    it("should respect the limit", () => {
+      expect(getSuggestions("th", "en", 1)).toEqual(["the"]);
+      expect(getSuggestions("th", "en")).toHaveLength(
+        PREDICTION.MAX_SUGGESTIONS
+      );
+    });
+
+    it("should return nothing for an empty prefix", () => {
+      expect(getSuggestions("", "en")).toEqual([]);
+    });
+
+    it("should not suggest the word already typed", () => {
+      expect(getSuggestions("the", "en")).not.toContain("the");
+    });
+
+    it("should keep the typed casing", () => {
+      expect(getSuggestions("Th", "en")[0]).toBe("The");
+      expect(getSuggestions("TH", "en")[0]).toBe("THE");
+    });
+
+    it("should use the layout's dictionary", () => {
+      expect(getSuggestions("bon", "fr")).toContain("bonjour");
+      expect(getSuggestions("bon", "en")).toEqual([]);
+    });
+
+    it("should return nothing for layouts without a dictionary", () => {
+      expect(getSuggestions("a", "kr")).toEqual([]);
+      expect(getSuggestions("a", "nonexistent")).toEqual([]);
+    });
+  });
+
+  describe("learnWord", () => {
+    it("should suggest learned words before dictionary words", () => {
+      learnWord("thermostat", "en");
+      expect(getSuggestions("th", "en")[0]).toBe("thermostat");
+    });
+
+    it("should rank learned words by use count", () => {
+      learnWord("thermostat", "en");
+      learnWord("thimble", "en");
+      learnWord("thimble", "en");
+      expect(getSuggestions("th", "en").slice(0, 2)).toEqual([
+        "thimble",
+        "thermostat",
+      ]);
+    });
+
+    it("should keep learned words per layout", () => {
+      learnWord("thermostat", "en");
+      expect(getSuggestions("th", "de")).not.toContain("thermostat");
+    });
+
+    it("should ignore words shorter than the minimum length", () => {
+      learnWord("x", "en");
+      expect(getSuggestions("x", "en")).toEqual([]);
+    });
+
+    it("should persist learned words after a delay", async () => {
+      vi.useFakeTimers();
+      learnWord("thermostat", "en");
+      learnWord("thermostat", "en");
+
+      expect(chromeMocks.storage.local.set).not.toHaveBeenCalled();
+      await vi.advanceTimersByTimeAsync(TIMING.LEARNED_WORDS_SAVE_DELAY);
+
+      expect(chromeMocks.storage.local.set).toHaveBeenCalledWith({
+        [STORAGE_KEYS.LEARNED_WORDS]: { en: { thermostat: 2 } },
+      });
+    });
+
+    it("should merge with words saved from other tabs", async () => {
+      vi.useFakeTimers();
+      learnWord("thermostat", "en");
+      chromeMocks.storage._set({
+        [STORAGE_KEYS.LEARNED_WORDS]: {
+          en: { thermostat: 3, kiosk: 1 },
+          de: { Zeitgeist: 2 },
+        },
+      });
+
+      await vi.advanceTimersByTimeAsync(TIMING.LEARNED_WORDS_SAVE_DELAY);
+
+      expect(
+        chromeMocks.storage.local._get()[STORAGE_KEYS.LEARNED_WORDS]
+      ).toEqual({
+        en: { thermostat: 4, kiosk: 1 },
+        de: { Zeitgeist: 2 },
+      });
+      expect(getSuggestions("ki", "en")).toContain("kiosk");
+    });
+
+    it("should only add uses counted since the last save", async () => {
+      vi.useFakeTimers();
+      learnWord("thermostat", "en");
+      await vi.advanceTimersByTimeAsync(TIMING.LEARNED_WORDS_SAVE_DELAY);
+      learnWord("thermostat", "en");
+      await vi.advanceTimersByTimeAsync(TIMING.LEARNED_WORDS_SAVE_DELAY);
+
+      expect(
+        chromeMocks.storage.local._get()[STORAGE_KEYS.LEARNED_WORDS]
+      ).toEqual({
+        en: { thermostat: 2 },
+      });
+    });
+  });
+
+  describe("loadLearnedWords", () => {
+    it("should load learned words from storage", async () => {
+      chromeMocks.storage._set({
+        [STORAGE_KEYS.LEARNED_WORDS]: { en: { thermostat: 5 } },
+      });
+      await loadLearnedWords();
+      expect(getSuggestions("th", "en")[0]).toBe("thermostat");
+    });
+
+    it("should drop unsaved words when reloading after a clear", async () => {
+      vi.useFakeTimers();
+      learnWord("thermostat", "en");
+      await loadLearnedWords();
+      await vi.advanceTimersByTimeAsync(TIMING.LEARNED_WORDS_SAVE_DELAY);
+
+      expect(getSuggestions("th", "en")).not.toContain("thermostat");
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateSuggestions", () => {
+    it("should set suggestions for the word before the cursor", () => {
+      updateSuggestions("say hel", "en");
+      expect(predictionState.get("suggestions")).toContain("hello");
+    });
+
+    it("should clear suggestions after a space", () => {
+      updateSuggestions("say hel", "en");
+      updateSuggestions("say hello ", "en");
+      expect(predictionState.get("suggestions")).toEqual([]);
+    });
+
+    it("should not notify subscribers when suggestions are unchanged", () => {
+      const callback = vi.fn();
+      predictionState.subscribe("suggestions", callback);
+      updateSuggestions("th", "en");
+      updateSuggestions("th", "en");
+      clearSuggestions();
+      clearSuggestions();
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -1,52 +1,86 @@
 // Vitest setup - Chrome API mocks
 import { vi } from "vitest";
 
-// Chrome storage mock with in-memory storage
-const createStorageMock = () => {
+// In-memory storage area (chrome.storage.local / chrome.storage.sync)
+const createStorageAreaMock = () => {
   let store = {};
   return {
-    local: {
-      get: vi.fn((keys) => {
-        if (typeof keys === "string") {
-          return Promise.resolve({ [keys]: store[keys] });
-        }
-        if (Array.isArray(keys)) {
-          const result = {};
-          keys.forEach((key) => {
-            if (store[key] !== undefined) {
-              result[key] = store[key];
-            }
-          });
-          return Promise.resolve(result);
-        }
-        return Promise.resolve({ ...store });
-      }),
-      set: vi.fn((items) => {
-        Object.assign(store, items);
-        return Promise.resolve();
-      }),
-      remove: vi.fn((keys) => {
-        if (typeof keys === "string") {
-          delete store[keys];
-        } else if (Array.isArray(keys)) {
-          for (const key of keys) {
-            delete store[key];
+    get: vi.fn((keys) => {
+      if (typeof keys === "string") {
+        return Promise.resolve({ [keys]: store[keys] });
+      }
+      if (Array.isArray(keys)) {
+        const result = {};
+        keys.forEach((key) => {
+          if (store[key] !== undefined) {
+            result[key] = store[key];
           }
+        });
+        return Promise.resolve(result);
+      }
+      return Promise.resolve({ ...store });
+    }),
+    set: vi.fn((items) => {
+      Object.assign(store, items);
+      return Promise.resolve();
+    }),
+    remove: vi.fn((keys) => {
+      if (typeof keys === "string") {
+        delete store[keys];
+      } else if (Array.isArray(keys)) {
+        for (const key of keys) {
+          delete store[key];
         }
-        return Promise.resolve();
-      }),
-      clear: vi.fn(() => {
-        store = {};
-        return Promise.resolve();
+      }
+      return Promise.resolve();
+    }),
+    clear: vi.fn(() => {
+      store = {};
+      return Promise.resolve();
+    }),
+    // Helpers for tests
+    _get: () => store,
+    _set: (data) => {
+      store = { ...data };
+    },
+  };
+};
+
+// Chrome storage mock with in-memory storage
+const createStorageMock = () => {
+  const local = createStorageAreaMock();
+  const sync = createStorageAreaMock();
+  let managedStore = {};
+  let changeListeners = [];
+  return {
+    local,
+    sync,
+    // Policy storage (read-only for the extension)
+    managed: {
+      get: vi.fn(() => Promise.resolve({ ...managedStore })),
+    },
+    onChanged: {
+      addListener: vi.fn((callback) => {
+        changeListeners.push(callback);
       }),
     },
-    // Helper for tests to inspect/reset storage
-    _store: store,
+    // Helpers for tests to inspect/reset storage
     _reset: () => {
-      store = {};
+      local._set({});
+      sync._set({});
+      managedStore = {};
+      changeListeners = [];
     },
     _set: (data) => {
-      store = { ...data };
+      local._set(data);
+    },
+    _setManaged: (data) => {
+      managedStore = { ...data };
+    },
+    _triggerChanged: (changes, areaName) => {
+      for (const listener of changeListeners) {
+        listener(changes, areaName);
+      }
     },
   };
 };
@@ -72,6 +106,9 @@ const createTabsMock = () => {
     sendMessage: vi.fn((_tabId, _message) => {
       return Promise.resolve({ success: true });
     }),
+    create: vi.fn((createProperties) =>
+      Promise.resolve({ id: 3, ...createProperties })
+    ),
     // Helper for tests
     _setTabs: (newTabs) => {
       tabs = newTabs;
@@ -89,9 +126,15 @@ const createTabsMock = () => {
 const createRuntimeMock = () => {
   const listeners = {
     onMessage: [],
+    onInstalled: [],
   };
 
   return {
+    onInstalled: {
+      addListener: vi.fn((callback) => {
+        listeners.onInstalled.push(callback);
+      }),
+    },
     onMessage: {
       addListener: vi.fn((callback) => {
         listeners.onMessage.push(callback);
@@ -102,7 +145,13 @@ const createRuntimeMock = () => {
       }),
     },
     openOptionsPage: vi.fn(() => Promise.resolve()),
+    // Full build manifest (the store build has no content_scripts)
+    getManifest: vi.fn(() => ({
+      manifest_version: 3,
+      content_scripts: [{ matches: ["<all_urls>"], js: ["main.js"] }],
+    })),
     sendMessage: vi.fn((_message) => Promise.resolve({ success: true })),
+    getURL: vi.fn((path) => `chrome-extension://test-extension/${path}`),
     // Helper for tests to simulate messages
     _triggerMessage: (request, sender = {}) => {
       const responses = [];
@@ -112,9 +161,15 @@ const createRuntimeMock = () => {
       });
       return responses;
     },
+    _triggerInstalled: (details = { reason: "install" }) => {
+      for (const listener of listeners.onInstalled) {
+        listener(details);
+      }
+    },
     _listeners: listeners,
     _reset: () => {
       listeners.onMessage = [];
+      listeners.onInstalled = [];
     },
   };
 };
@@ -143,11 +198,80 @@ const createActionMock = () => {
   };
 };
 
+// Chrome commands mock
+const createCommandsMock = () => {
+  const listeners = {
+    onCommand: [],
+  };
+
+  return {
+    onCommand: {
+      addListener: vi.fn((callback) => {
+        listeners.onCommand.push(callback);
+      }),
+    },
+    // Helper for tests
+    _triggerCommand: (command, tab) => {
+      for (const listener of listeners.onCommand) {
+        listener(command, tab);
+      }
+    },
+    _reset: () => {
+      listeners.onCommand = [];
+    },
+  };
+};
+
+// Chrome context menus mock
+const createContextMenusMock = () => {
+  const listeners = {
+    onClicked: [],
+  };
+
+  return {
+    create: vi.fn(),
+    onClicked: {
+      addListener: vi.fn((callback) => {
+        listeners.onClicked.push(callback);
+      }),
+    },
+    // Helper for tests
+    _triggerClicked: (info, tab) => {
+      for (const listener of listeners.onClicked) {
+        listener(info, tab);
+      }
+    },
+    _reset: () => {
+      listeners.onClicked = [];
+    },
+  };
+};
+
+// Chrome scripting mock
+const createScriptingMock = () => {
+  return {
+    executeScript: vi.fn((_injection) => Promise.resolve([{ result: null }])),
+  };
+};
+
+// Chrome permissions mock (optional permissions start out not granted)
+const createPermissionsMock = () => {
+  return {
+    contains: vi.fn((_permissions) => Promise.resolve(false)),
+    request: vi.fn((_permissions) => Promise.resolve(true)),
+    remove: vi.fn((_permissions) => Promise.resolve(true)),
+  };
+};
+
 // Create all mocks
 const storageMock = createStorageMock();
 const tabsMock = createTabsMock();
 const runtimeMock = createRuntimeMock();
 const actionMock = createActionMock();
+const commandsMock = createCommandsMock();
+const contextMenusMock = createContextMenusMock();
+const scriptingMock = createScriptingMock();
+const permissionsMock = createPermissionsMock();
 
 // Global chrome object
 globalThis.chrome = {
@@ -155,6 +279,10 @@ globalThis.chrome = {
   tabs: tabsMock,
   runtime: runtimeMock,
   action: actionMock,
+  commands: commandsMock,
+  contextMenus: contextMenusMock,
+  scripting: scriptingMock,
+  permissions: permissionsMock,
 };
 
 // Export for direct test access
@@ -163,11 +291,17 @@ export const chromeMocks = {
   tabs: tabsMock,
   runtime: runtimeMock,
   action: actionMock,
+  commands: commandsMock,
+  contextMenus: contextMenusMock,
+  scripting: scriptingMock,
+  permissions: permissionsMock,
   resetAll: () => {
     storageMock._reset();
     tabsMock._reset();
     runtimeMock._reset();
     actionMock._reset();
+    commandsMock._reset();
+    contextMenusMock._reset();
     // Reset all mock function call counts
     vi.clearAllMocks();
   },
@@ -187,6 +187,7 @@ describe("Application State Stores", () => {
       expect(keyboardState.get("open")).toBe(false);
       expect(keyboardState.get("shift")).toBe(false);
       expect(keyboardState.get("numbersMode")).toBe(false);
+      expect(keyboardState.get("navigationMode")).toBe(false);
       expect(keyboardState.get("loadedLayout")).toBe("");
     });
 
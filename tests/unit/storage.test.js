@@ -1,10 +1,18 @@
 // Unit tests for storage.js - Chrome storage wrapper
-import { beforeEach, describe, expect, it } from "vitest";
-import { STORAGE_KEYS } from "../../src/core/config.js";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { MESSAGE_TYPES, STORAGE_KEYS } from "../../src/core/config.js";
 import {
+  addLearnedWords,
   clear,
+  clearLearnedWords,
+  exportSettings,
   get,
+  getActivationRules,
+  getAutocorrect,
   getAutostart,
+  getCustomLayouts,
+  getForcedFields,
+  getGestureTyping,
   getKeyboardDraggable,
   getKeyboardPosition,
   getKeyboardZoomHeight,
@@ -12,19 +20,30 @@ import {
   getKeyboardZoomWidth,
   getLayout,
   getLayoutsList,
+  getLearnedWords,
+  getLockedSettings,
   getShowLanguageButton,
   getShowNumberBar,
   getShowOpenButton,
   getShowSettingsButton,
+  getSiteProfile,
+  getSiteProfiles,
   getSpacebarCursorSwipe,
   getStickyShift,
+  getWordSuggestions,
+  importSettings,
   initializeDefaults,
   isFirstTime,
   loadAllSettings,
   markOpened,
   remove,
   set,
+  setActivationRules,
+  setAutocorrect,
   setAutostart,
+  setCustomLayouts,
+  setForcedField,
+  setGestureTyping,
   setKeyboardDraggable,
   setKeyboardPosition,
   setKeyboardZoomHeight,
@@ -36,8 +55,10 @@ import {
   setShowNumberBar,
   setShowOpenButton,
   setShowSettingsButton,
+  setSiteProfile,
   setSpacebarCursorSwipe,
   setStickyShift,
+  setWordSuggestions,
 } from "../../src/core/storage.js";
 import { chromeMocks } from "./setup.js";
 
@@ -384,6 +405,338 @@ describe("storage.js", () => {
     });
   });
 
+  describe("Word prediction settings", () => {
+    describe("wordSuggestions", () => {
+      it("should return false by default", async () => {
+        expect(await getWordSuggestions()).toBe(false);
+      });
+
+      it("should store value", async () => {
+        await setWordSuggestions(true);
+        expect(await getWordSuggestions()).toBe(true);
+      });
+    });
+
+    describe("autocorrect", () => {
+      it("should return false by default", async () => {
+        expect(await getAutocorrect()).toBe(false);
+      });
+
+      it("should store value", async () => {
+        await setAutocorrect(true);
+        expect(await getAutocorrect()).toBe(true);
+      });
+    });
+
+    describe("gestureTyping", () => {
+      it("should return false by default", async () => {
+        expect(await getGestureTyping()).toBe(false);
+      });
+
+      it("should store value", async () => {
+        await setGestureTyping(true);
+        expect(await getGestureTyping()).toBe(true);
+      });
+    });
+
+    describe("learnedWords", () => {
+      it("should return empty object by default", async () => {
+        expect(await getLearnedWords()).toEqual({});
+      });
+
+      it("should send new counts to the background worker", async () => {
+        const words = { en: { kiosk: 3 }, fr: { bonjour: 1 } };
+        chrome.runtime.sendMessage.mockResolvedValueOnce({ words });
+
+        expect(await addLearnedWords({ en: { kiosk: 1 } })).toEqual(words);
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+          method: MESSAGE_TYPES.ADD_LEARNED_WORDS,
+          words: { en: { kiosk: 1 } },
+        });
+      });
+
+      it("should return null when the counts can't be saved", async () => {
+        const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+        chrome.runtime.sendMessage.mockRejectedValueOnce(new Error("gone"));
+
+        expect(await addLearnedWords({ en: { kiosk: 1 } })).toBeNull();
+        warn.mockRestore();
+      });
+
+      it("should clear words through the background worker", async () => {
+        await clearLearnedWords();
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+          method: MESSAGE_TYPES.CLEAR_LEARNED_WORDS,
+        });
+      });
+    });
+  });
+
+  describe("Custom layouts", () => {
+    it("should return empty object by default", async () => {
+      expect(await getCustomLayouts()).toEqual({});
+    });
+
+    it("should store layouts by id", async () => {
+      const layouts = { mine: { name: "Mine", rows: [["a", "b"]] } };
+      await setCustomLayouts(layouts);
+      expect(await getCustomLayouts()).toEqual(layouts);
+    });
+  });
+
+  describe("Site profiles", () => {
+    const pos = "https://pos.example.com";
+
+    it("should return empty objects by default", async () => {
+      expect(await getSiteProfiles()).toEqual({});
+      expect(await getSiteProfile(pos)).toEqual({});
+    });
+
+    it("should store a profile per origin", async () => {
+      await setSiteProfile(pos, { layout: "fr", showNumberBar: true });
+      await setSiteProfile("https://cms.example.com", { autoCaps: true });
+      expect(await getSiteProfile(pos)).toEqual({
+        layout: "fr",
+        showNumberBar: true,
+      });
+      expect(Object.keys(await getSiteProfiles())).toEqual([
+        pos,
+        "https://cms.example.com",
+      ]);
+    });
+
+    it("should remove a profile when set to null", async () => {
+      await setSiteProfile(pos, { layout: "fr" });
+      await setSiteProfile(pos, null);
+      expect(await getSiteProfiles()).toEqual({});
+    });
+
+    it("should leave out settings a profile can't override", async () => {
+      chromeMocks.storage._set({
+        siteProfiles: { [pos]: { layout: "fr", hideCursor: true } },
+      });
+      expect(await getSiteProfile(pos)).toEqual({ layout: "fr" });
+    });
+
+    it("should leave out settings locked by policy", async () => {
+      chromeMocks.storage._set({
+        siteProfiles: { [pos]: { layout: "fr", autostart: true } },
+      });
+      chromeMocks.storage._setManaged({ autostart: false });
+      expect(await getSiteProfile(pos)).toEqual({ layout: "fr" });
+    });
+
+    it("should accept profiles set by policy", async () => {
+      chromeMocks.storage._setManaged({
+        siteProfiles: { [pos]: { autostart: true } },
+      });
+      expect(await getSiteProfile(pos)).toEqual({ autostart: true });
+    });
+  });
+
+  describe("Activation rules", () => {
+    it("should return an empty list by default", async () => {
+      expect(await getActivationRules()).toEqual([]);
+    });
+
+    it("should store rules in order", async () => {
+      const rules = [
+        { action: "deny", url: "https://pos.example.com/*" },
+        { action: "allow", url: "*", selector: "textarea" },
+      ];
+      await setActivationRules(rules);
+      expect(await getActivationRules()).toEqual(rules);
+    });
+  });
+
+  describe("Forced fields", () => {
+    const pos = "https://pos.example.com";
+
+    it("should return an empty object by default", async () => {
+      expect(await getForcedFields()).toEqual({});
+    });
+
+    it("should remember each selector once per origin", async () => {
+      await setForcedField(pos, "#editor");
+      await setForcedField(pos, "canvas");
+      await setForcedField(pos, "#editor");
+      expect(await getForcedFields()).toEqual({ [pos]: ["canvas", "#editor"] });
+    });
+
+    it("should drop the origin when its last field is forgotten", async () => {
+      await setForcedField(pos, "#editor");
+      await setForcedField(pos, "#editor", true);
+      expect(await getForcedFields()).toEqual({});
+    });
+  });
+
+  describe("Managed policy", () => {
+    it("should let policy values override local ones", async () => {
+      chromeMocks.storage._set({ autostart: false, hideCursor: false });
+      chromeMocks.storage._setManaged({ autostart: true });
+      expect(await getAutostart()).toBe(true);
+      expect(await get(["autostart", "hideCursor"])).toEqual({
+        autostart: true,
+        hideCursor: false,
+      });
+    });
+
+    it("should only apply policy values for requested keys", async () => {
+      chromeMocks.storage._setManaged({ autostart: true });
+      expect(await get("hideCursor")).toEqual({ hideCursor: undefined });
+    });
+
+    it("should accept the layout list as a list", async () => {
+      const layouts = [{ value: "fr", name: "French (AZERTY)" }];
+      chromeMocks.storage._setManaged({ keyboardLayoutsList: layouts });
+      expect(await getLayoutsList()).toEqual(layouts);
+    });
+
+    it("should list locked settings, ignoring unknown policy keys", async () => {
+      chromeMocks.storage._setManaged({ autostart: true, unknownPolicy: 1 });
+      expect(await getLockedSettings()).toEqual(["autostart"]);
+    });
+
+    it("should work when policy storage is unavailable", async () => {
+      chrome.storage.managed.get.mockRejectedValueOnce(new Error("no policy"));
+      chromeMocks.storage._set({ autostart: true });
+      expect(await getAutostart()).toBe(true);
+    });
+  });
+
+  describe("Settings backup", () => {
+    it("should export stored settings in a versioned bundle", async () => {
+      chromeMocks.storage._set({
+        autostart: true,
+        keyboardZoomWidth: 80,
+        openedFirstTime: "true",
+        learnedWords: { en: { kiosk: 1 } },
+        somethingElse: 1,
+      });
+      const bundle = await exportSettings();
+      expect(bundle.format).toBe("virtual-keyboard-settings");
+      expect(bundle.version).toBe(1);
+      expect(bundle.settings).toEqual({
+        autostart: true,
+        keyboardZoomWidth: 80,
+      });
+    });
+
+    it("should restore settings from a bundle", async () => {
+      const result = await importSettings({
+        format: "virtual-keyboard-settings",
+        version: 1,
+        settings: { autostart: true, stickyShift: true },
+      });
+      expect(result).toEqual({
+        restored: ["autostart", "stickyShift"],
+        skipped: [],
+        invalid: [],
+      });
+      expect(await getAutostart()).toBe(true);
+      expect(await getStickyShift()).toBe(true);
+    });
+
+    it("should round-trip an export", async () => {
+      chromeMocks.storage._set({ autostart: true, keyboardZoomHeight: 120 });
+      const bundle = await exportSettings();
+      chromeMocks.storage._reset();
+      await importSettings(bundle);
+      expect(await getAutostart()).toBe(true);
+      expect(await getKeyboardZoomHeight()).toBe(120);
+    });
+
+    it("should skip unknown, excluded and locked settings", async () => {
+      chromeMocks.storage._setManaged({ hideCursor: false });
+      const result = await importSettings({
+        format: "virtual-keyboard-settings",
+        version: 1,
+        settings: {
+          autostart: true,
+          hideCursor: true,
+          learnedWords: {},
+          bogus: 1,
+        },
+      });
+      expect(result.restored).toEqual(["autostart"]);
+      expect(result.skipped).toEqual(["hideCursor", "learnedWords", "bogus"]);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        autostart: true,
+      });
+    });
+
+    it("should skip settings of the wrong type", async () => {
+      const result = await importSettings({
+        format: "virtual-keyboard-settings",
+        version: 1,
+        settings: {
+          autostart: "yes",
+          keyboardZoomWidth: "80",
+          keyRepeatDelay: null,
+          activationRules: {},
+          keyboardPosition: null,
+          stickyShift: true,
+        },
+      });
+      expect(result.restored).toEqual(["keyboardPosition", "stickyShift"]);
+      expect(result.skipped).toEqual([
+        "autostart",
+        "keyboardZoomWidth",
+        "keyRepeatDelay",
+        "activationRules",
+      ]);
+      expect(result.invalid).toEqual([
+        "autostart: expected boolean, got string",
+        "keyboardZoomWidth: expected number, got string",
+        "keyRepeatDelay: expected number, got null",
+        "activationRules: expected array, got object",
+      ]);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        keyboardPosition: null,
+        stickyShift: true,
+      });
+    });
+
+    it("should validate restored custom layouts", async () => {
+      const layout = { name: "Mine", rows: [["a", "b"]] };
+      const restore = (customLayouts) =>
+        importSettings({
+          format: "virtual-keyboard-settings",
+          version: 1,
+          settings: { customLayouts },
+        });
+
+      expect((await restore({ mine: layout })).restored).toEqual([
+        "customLayouts",
+      ]);
+      expect((await restore({ "Not An ID": layout })).invalid).toEqual([
+        'customLayouts: invalid layout ID "Not An ID"',
+      ]);
+      const result = await restore({ mine: layout, bad: { name: "Bad" } });
+      expect(result.restored).toEqual([]);
+      expect(result.invalid).toHaveLength(1);
+      expect(result.invalid[0]).toMatch(/^customLayouts\.bad: /);
+      expect(await getCustomLayouts()).toEqual({ mine: layout });
+    });
+
+    it("should reject files that aren't settings backups", async () => {
+      await expect(importSettings({ rows: [] })).rejects.toThrow(
+        "Not a Virtual Keyboard settings backup"
+      );
+      await expect(importSettings(null)).rejects.toThrow();
+    });
+
+    it("should reject backups from newer versions", async () => {
+      await expect(
+        importSettings({
+          format: "virtual-keyboard-settings",
+          version: 2,
+          settings: {},
+        })
+      ).rejects.toThrow("Unsupported backup version: 2");
+    });
+  });
+
   describe("First time tracking", () => {
     describe("isFirstTime", () => {
       it("should return true when not opened before", async () => {
@@ -419,6 +772,7 @@ describe("storage.js", () => {
         showUrlButton: true,
         showCloseButton: true,
         showNumbersButton: true,
+        showNavigationButton: false,
         showNumberBar: true,
         keyboardZoomWidth: 100,
         keyboardZoomHeight: 100,
@@ -436,6 +790,9 @@ describe("storage.js", () => {
         keyRepeatDelay: 400,
         keyRepeatSpeed: 75,
         hideCursor: false,
+        wordSuggestions: false,
+        autocorrect: false,
+        gestureTyping: false,
       });
     });
 
@@ -475,6 +832,7 @@ describe("storage.js", () => {
         showUrlButton: false,
         showCloseButton: false,
         showNumbersButton: false,
+        showNavigationButton: false,
         showNumberBar: false,
         keyboardZoomWidth: 125,
         keyboardZoomHeight: 80,
@@ -492,6 +850,9 @@ describe("storage.js", () => {
         keyRepeatDelay: 400,
         keyRepeatSpeed: 75,
         hideCursor: false,
+        wordSuggestions: false,
+        autocorrect: false,
+        gestureTyping: false,
       });
     });
   });
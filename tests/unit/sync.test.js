@@ -0,0 +1,236 @@
+// Unit tests for sync.js - Settings sync between local and sync storage
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  initSync,
+  isSyncedKey,
+  pullChanges,
+  pushChanges,
+  reconcile,
+} from "../../src/core/sync.js";
+import { chromeMocks } from "./setup.js";
+
+const local = () => chromeMocks.storage.local._get();
+const synced = () => chromeMocks.storage.sync._get();
+
+describe("sync.js", () => {
+  beforeEach(() => {
+    chromeMocks.resetAll();
+  });
+
+  describe("isSyncedKey", () => {
+    it("should sync preferences", () => {
+      expect(isSyncedKey("autostart")).toBe(true);
+      expect(isSyncedKey("keyboardLayoutsList")).toBe(true);
+      expect(isSyncedKey("customLayouts")).toBe(true);
+    });
+
+    it("should keep device-specific values local", () => {
+      expect(isSyncedKey("keyboardPosition")).toBe(false);
+      expect(isSyncedKey("keyboardZoomWidth")).toBe(false);
+      expect(isSyncedKey("keyboardZoomHeight")).toBe(false);
+      expect(isSyncedKey("learnedWords")).toBe(false);
+      expect(isSyncedKey("syncSettings")).toBe(false);
+    });
+
+    it("should keep site rules local", () => {
+      expect(isSyncedKey("siteProfiles")).toBe(false);
+      expect(isSyncedKey("activationRules")).toBe(false);
+      expect(isSyncedKey("forcedFields")).toBe(false);
+    });
+
+    it("should ignore keys that aren't settings", () => {
+      expect(isSyncedKey("somethingElse")).toBe(false);
+    });
+  });
+
+  describe("pushChanges", () => {
+    it("should do nothing while sync is off", async () => {
+      await pushChanges({ autostart: { newValue: true } });
+      expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+    });
+
+    it("should copy changed preferences to sync", async () => {
+      chromeMocks.storage._set({ syncSettings: true });
+      await pushChanges({
+        autostart: { newValue: true },
+        keyboardPosition: { newValue: { x: 1, y: 2 } },
+      });
+      expect(synced().autostart.value).toBe(true);
+      expect(synced().autostart.updatedAt).toBeGreaterThan(0);
+      expect(synced().keyboardPosition).toBeUndefined();
+      expect(local().syncTimestamps.autostart).toBe(
+        synced().autostart.updatedAt
+      );
+    });
+
+    it("should not echo values that came from sync", async () => {
+      chromeMocks.storage._set({ syncSettings: true });
+      chromeMocks.storage.sync._set({
+        autostart: { value: true, updatedAt: 5 },
+      });
+      await pushChanges({ autostart: { newValue: true } });
+      expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+    });
+
+    it("should log rather than throw when a write fails", async () => {
+      const consoleSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      chromeMocks.storage._set({ syncSettings: true });
+      chrome.storage.sync.set.mockRejectedValueOnce(new Error("QUOTA"));
+
+      await pushChanges({ customLayouts: { newValue: { big: {} } } });
+      expect(consoleSpy).toHaveBeenCalled();
+      expect(local().syncErrors).toEqual({ customLayouts: "QUOTA" });
+
+      consoleSpy.mockRestore();
+    });
+
+    it("should sync the other keys when one is too large", async () => {
+      chromeMocks.storage._set({ syncSettings: true });
+      const big = { layout: { name: "x".repeat(9000), rows: [] } };
+
+      await pushChanges({
+        customLayouts: { newValue: big },
+        autostart: { newValue: true },
+      });
+
+      expect(synced().customLayouts).toBeUndefined();
+      expect(synced().autostart.value).toBe(true);
+      expect(local().syncErrors.customLayouts).toMatch(/too large to sync/);
+    });
+
+    it("should clear a key's error once it syncs", async () => {
+      chromeMocks.storage._set({
+        syncSettings: true,
+        syncErrors: { customLayouts: "too large to sync" },
+      });
+
+      await pushChanges({ customLayouts: { newValue: {} } });
+
+      expect(synced().customLayouts.value).toEqual({});
+      expect(local().syncErrors).toEqual({});
+    });
+  });
+
+  describe("pullChanges", () => {
+    it("should apply newer changes from other devices", async () => {
+      chromeMocks.storage._set({
+        syncSettings: true,
+        stickyShift: false,
+        syncTimestamps: { stickyShift: 100 },
+      });
+      await pullChanges({
+        stickyShift: { newValue: { value: true, updatedAt: 200 } },
+      });
+      expect(local().stickyShift).toBe(true);
+      expect(local().syncTimestamps.stickyShift).toBe(200);
+    });
+
+    it("should keep local values changed more recently", async () => {
+      chromeMocks.storage._set({
+        syncSettings: true,
+        stickyShift: false,
+        syncTimestamps: { stickyShift: 300 },
+      });
+      await pullChanges({
+        stickyShift: { newValue: { value: true, updatedAt: 200 } },
+      });
+      expect(local().stickyShift).toBe(false);
+    });
+
+    it("should ignore device-specific keys and deletions", async () => {
+      chromeMocks.storage._set({ syncSettings: true, autostart: true });
+      await pullChanges({
+        keyboardPosition: { newValue: { value: { x: 1 }, updatedAt: 1 } },
+        autostart: { oldValue: { value: true, updatedAt: 1 } },
+      });
+      expect(local().keyboardPosition).toBeUndefined();
+      expect(local().autostart).toBe(true);
+    });
+
+    it("should do nothing while sync is off", async () => {
+      await pullChanges({
+        stickyShift: { newValue: { value: true, updatedAt: 200 } },
+      });
+      expect(local().stickyShift).toBeUndefined();
+    });
+  });
+
+  describe("reconcile", () => {
+    it("should upload local preferences when sync is first turned on", async () => {
+      chromeMocks.storage._set({
+        syncSettings: true,
+        autostart: true,
+        keyboardZoomWidth: 80,
+      });
+      await reconcile();
+      expect(synced().autostart.value).toBe(true);
+      expect(synced().keyboardZoomWidth).toBeUndefined();
+    });
+
+    it("should let synced values replace untouched local ones", async () => {
+      chromeMocks.storage._set({ syncSettings: true, autostart: false });
+      chromeMocks.storage.sync._set({
+        autostart: { value: true, updatedAt: 100 },
+      });
+      await reconcile();
+      expect(local().autostart).toBe(true);
+    });
+
+    it("should resolve each key to its latest change", async () => {
+      chromeMocks.storage._set({
+        syncSettings: true,
+        autostart: false,
+        stickyShift: true,
+        syncTimestamps: { autostart: 50, stickyShift: 500 },
+      });
+      chromeMocks.storage.sync._set({
+        autostart: { value: true, updatedAt: 100 },
+        stickyShift: { value: false, updatedAt: 100 },
+      });
+      await reconcile();
+      expect(local().autostart).toBe(true);
+      expect(local().stickyShift).toBe(true);
+      expect(synced().stickyShift).toEqual({ value: true, updatedAt: 500 });
+    });
+
+    it("should not write local storage when nothing changed", async () => {
+      chromeMocks.storage._set({
+        syncSettings: true,
+        autostart: true,
+        syncTimestamps: { autostart: 100 },
+      });
+      chromeMocks.storage.sync._set({
+        autostart: { value: true, updatedAt: 100 },
+      });
+      chrome.storage.local.set.mockClear();
+      await reconcile();
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("initSync", () => {
+    it("should reconcile when sync is turned on", async () => {
+      initSync();
+      chromeMocks.storage._set({ syncSettings: true, autostart: true });
+      chromeMocks.storage._triggerChanged(
+        { syncSettings: { newValue: true } },
+        "local"
+      );
+      await vi.waitFor(() => {
+        expect(synced().autostart?.value).toBe(true);
+      });
+    });
+
+    it("should pull changes from the sync area", async () => {
+      chromeMocks.storage._set({ syncSettings: true });
+      initSync();
+      chromeMocks.storage._triggerChanged(
+        { autoCaps: { newValue: { value: true, updatedAt: Date.now() } } },
+        "sync"
+      );
+      await vi.waitFor(() => {
+        expect(local().autoCaps).toBe(true);
+      });
+    });
+  });
+});
@@ -0,0 +1,49 @@
+// Unit tests for TextDirection.js - right-to-left fields
+import { afterEach, describe, expect, it } from "vitest";
+import { getLogicalStep, isRtlField } from "../../src/input/TextDirection.js";
+
+describe("TextDirection.js", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  describe("isRtlField", () => {
+    it("should read the dir attribute of the field or its ancestors", () => {
+      document.body.innerHTML =
+        '<input id="a" dir="rtl"><div dir="rtl"><textarea id="b"></textarea></div><input id="c">';
+      expect(isRtlField(document.getElementById("a"))).toBe(true);
+      expect(isRtlField(document.getElementById("b"))).toBe(true);
+      expect(isRtlField(document.getElementById("c"))).toBe(false);
+    });
+
+    it("should let a nearer dir attribute win", () => {
+      document.body.innerHTML = '<div dir="rtl"><input id="a" dir="ltr"></div>';
+      expect(isRtlField(document.getElementById("a"))).toBe(false);
+    });
+
+    it("should read the CSS direction", () => {
+      document.body.innerHTML = '<input id="a" style="direction: rtl">';
+      expect(isRtlField(document.getElementById("a"))).toBe(true);
+    });
+
+    it("should handle no field", () => {
+      expect(isRtlField(null)).toBe(false);
+    });
+  });
+
+  describe("getLogicalStep", () => {
+    it("should keep the step in a left-to-right field", () => {
+      document.body.innerHTML = '<input id="a">';
+      const input = document.getElementById("a");
+      expect(getLogicalStep(-1, input)).toBe(-1);
+      expect(getLogicalStep(1, input)).toBe(1);
+    });
+
+    it("should reverse the step in a right-to-left field", () => {
+      document.body.innerHTML = '<input id="a" dir="rtl">';
+      const input = document.getElementById("a");
+      expect(getLogicalStep(-1, input)).toBe(1);
+      expect(getLogicalStep(1, input)).toBe(-1);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+// Unit tests for TextSegments.js - grapheme clusters and words
+import { describe, expect, it } from "vitest";
+import {
+  getNextGraphemeBoundary,
+  getNextWordBoundary,
+  getPreviousGraphemeBoundary,
+  getPreviousWordBoundary,
+  splitGraphemes,
+} from "../../src/keyboard/TextSegments.js";
+
+describe("TextSegments.js", () => {
+  describe("getPreviousGraphemeBoundary", () => {
+    it("should step back one letter", () => {
+      expect(getPreviousGraphemeBoundary("abc", 3)).toBe(2);
+      expect(getPreviousGraphemeBoundary("abc", 0)).toBe(0);
+    });
+
+    it("should keep surrogate pairs together", () => {
+      // 😀 is two UTF-16 code units
+      expect(getPreviousGraphemeBoundary("a😀", 3)).toBe(1);
+    });
+
+    it("should keep emoji modifier and ZWJ sequences together", () => {
+      expect(getPreviousGraphemeBoundary("a👍🏽", 5)).toBe(1);
+      const family = "👨‍👩‍👧";
+      expect(getPreviousGraphemeBoundary(`a${family}`, family.length + 1)).toBe(
+        1
+      );
+    });
+
+    it("should keep combining marks with their letter", () => {
+      // e + combining acute accent
+      expect(getPreviousGraphemeBoundary("cafe\u0301", 5)).toBe(3);
+      // Tamil கி - consonant and vowel sign
+      expect(getPreviousGraphemeBoundary("அகி", 3)).toBe(1);
+    });
+
+    it("should move to the start of a cluster the position is inside", () => {
+      expect(getPreviousGraphemeBoundary("a😀", 2)).toBe(1);
+    });
+  });
+
+  describe("getNextGraphemeBoundary", () => {
+    it("should step over a whole cluster", () => {
+      expect(getNextGraphemeBoundary("abc", 0)).toBe(1);
+      expect(getNextGraphemeBoundary("😀b", 0)).toBe(2);
+      expect(getNextGraphemeBoundary("e\u0301x", 0)).toBe(2);
+    });
+
+    it("should stay inside the text", () => {
+      expect(getNextGraphemeBoundary("ab", 2)).toBe(2);
+    });
+  });
+
+  describe("getPreviousWordBoundary", () => {
+    it("should delete back to the start of the word", () => {
+      expect(getPreviousWordBoundary("hello world", 11)).toBe(6);
+      expect(getPreviousWordBoundary("hello world", 8)).toBe(6);
+    });
+
+    it("should take the spaces and punctuation before the cursor too", () => {
+      expect(getPreviousWordBoundary("hello world  ", 13)).toBe(6);
+      expect(getPreviousWordBoundary("one, ", 5)).toBe(0);
+    });
+
+    it("should stop at the start of the text", () => {
+      expect(getPreviousWordBoundary("   ", 3)).toBe(0);
+      expect(getPreviousWordBoundary("", 0)).toBe(0);
+    });
+  });
+
+  describe("getNextWordBoundary", () => {
+    it("should stop at the end of the word", () => {
+      expect(getNextWordBoundary("hello world", 0)).toBe(5);
+      expect(getNextWordBoundary("hello world", 2)).toBe(5);
+    });
+
+    it("should skip the spaces and punctuation after the cursor", () => {
+      expect(getNextWordBoundary("hello, world", 5)).toBe(12);
+    });
+
+    it("should stop at the end of the text", () => {
+      expect(getNextWordBoundary("one  ", 3)).toBe(5);
+      expect(getNextWordBoundary("", 0)).toBe(0);
+    });
+  });
+
+  describe("splitGraphemes", () => {
+    it("should split text into visible characters", () => {
+      expect(splitGraphemes("a😀e\u0301")).toEqual(["a", "😀", "e\u0301"]);
+    });
+  });
+});
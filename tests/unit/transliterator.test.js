@@ -0,0 +1,89 @@
+// Unit tests for Transliterator.js - phonetic input
+import { describe, expect, it } from "vitest";
+import {
+  createTransliterator,
+  transliterate,
+} from "../../src/ime/Transliterator.js";
+import {
+  RUSSIAN,
+  TAMIL,
+  UKRAINIAN,
+} from "../../src/ime/transliterationTables.js";
+
+/**
+ * Type keys one at a time, the way the keyboard does
+ * @param {Object<string, string>} table
+ * @param {string} keys
+ * @returns {{text: string, keys: string[]}} Finished text plus the pre-edit
+ *   text, and the keys still in the buffer
+ */
+function type(table, keys) {
+  const method = createTransliterator(table);
+  let committed = "";
+  let buffer = [];
+  for (const key of keys) {
+    const result = method.addKey(buffer, key);
+    committed += result.committed;
+    buffer = result.keys;
+  }
+  return { text: committed + method.getPreedit(buffer), keys: buffer };
+}
+
+describe("Transliterator.js", () => {
+  describe("transliterate", () => {
+    it("should use the longest sequence first", () => {
+      expect(transliterate("shchi", RUSSIAN)).toBe("щи");
+      expect(transliterate("privet", RUSSIAN)).toBe("привет");
+    });
+
+    it("should capitalise when the input is", () => {
+      expect(transliterate("Moskva", RUSSIAN)).toBe("Москва");
+      expect(transliterate("Zhuk", RUSSIAN)).toBe("Жук");
+    });
+
+    it("should keep characters the table doesn't cover", () => {
+      expect(transliterate("da, 5!", RUSSIAN)).toBe("да, 5!");
+    });
+
+    it("should tell case apart where the table does", () => {
+      expect(transliterate("kaNam", TAMIL)).toBe("கணம்");
+      expect(transliterate("kanam", TAMIL)).toBe("கனம்");
+    });
+  });
+
+  describe("createTransliterator", () => {
+    it("should keep keys while they could grow into a longer sequence", () => {
+      expect(type(RUSSIAN, "s")).toEqual({ text: "с", keys: ["s"] });
+      expect(type(RUSSIAN, "sh")).toEqual({ text: "ш", keys: ["s", "h"] });
+      expect(type(RUSSIAN, "sha")).toEqual({ text: "ша", keys: ["a"] });
+    });
+
+    it("should type words", () => {
+      expect(type(RUSSIAN, "spasibo").text).toBe("спасибо");
+      expect(type(UKRAINIAN, "dyakuyu").text).toBe("дякую");
+      expect(type(TAMIL, "vaNakkam").text).toBe("வணக்கம்");
+    });
+
+    it("should type soft and hard signs with apostrophes", () => {
+      expect(type(RUSSIAN, "mat'").text).toBe("мать");
+      expect(type(RUSSIAN, "ob''yom").text).toBe("объём");
+    });
+
+    it("should only accept keys that start a sequence", () => {
+      const method = createTransliterator(RUSSIAN);
+      expect(method.accepts("a")).toBe(true);
+      expect(method.accepts("S")).toBe(true);
+      expect(method.accepts("q")).toBe(false);
+      expect(method.accepts("1")).toBe(false);
+    });
+
+    it("should take back one key at a time", () => {
+      const method = createTransliterator(TAMIL);
+      let { keys } = type(TAMIL, "kaa");
+      keys = method.removeKey(keys);
+      expect(method.getPreedit(keys)).toBe("க");
+      keys = method.removeKey(keys);
+      expect(method.getPreedit(keys)).toBe("க்");
+    });
+  });
+});